@@ -0,0 +1,11 @@
+const nextJest = require("next/jest");
+
+// next/jest applies the same SWC transform + module resolution as `next build`,
+// so routes can be imported as-is (ESM, extensionless "../../lib/caspio" imports).
+const createJestConfig = nextJest({ dir: "./" });
+
+module.exports = createJestConfig({
+  testEnvironment: "node",
+  setupFiles: ["<rootDir>/tests/setup-env.js"],
+  testMatch: ["<rootDir>/tests/**/*.test.js"],
+});
@@ -0,0 +1,274 @@
+// lib/abandoned-reservations.js
+//
+// Releases reservations whose booking-fee checkout was abandoned.
+//
+// Released = Status "Abandoned" (via lib/reservation-status), StripeCheckoutSessionId and
+// HoldExpiresAt cleared (so the seats stop counting, see lib/session-capacity), and
+// optionally a "finish your booking" email pointing back at /api/paystart, which resumes
+// the reservation (Abandoned -> In Process) if the session still has room.
+//
+// Gift card amounts already redeemed against the reservation go back on the card
+// (lib/giftcards), so resuming starts from the full balance again.
+//
+// Two entry points:
+//   - stripe-webhook: checkout.session.expired for the reservation's current session
+//   - sweepAbandonedReservations(): cron backstop for missed webhooks, legacy 24h Checkout
+//     Sessions and reservations that never reached Checkout. It reads candidates page by
+//     page (PK_ID order) past the ones it has to skip, so rows that stay In Process (a
+//     Stripe error, still recent) can't crowd newer ones out; legacy rows with no timestamp
+//     at all are never candidates.
+//
+// Waitlist offers (WaitlistId set, lib/waitlist) are left to the waitlist: their link
+// answers 410 once the hold lapsed, so they get no finish-your-booking email.
+//
+// Env:
+//   CHECKOUT_ABANDON_MINUTES   age before an unpaid checkout counts as abandoned (default 60)
+//   ABANDONED_REMINDER_EMAIL   "1" to send the finish-your-booking email (lib/customer-email)
+
+import {
+  caspioQuery,
+  listRecordsByWhere,
+  updateReservationResilient,
+  buildWhereForIdKey,
+} from "./caspio";
+import {
+  RESERVATION_STATUS,
+  isPaid,
+  normalizeStatus,
+  transitionReservation,
+} from "./reservation-status";
+import { withSessionLock } from "./session-capacity";
+import { apiBaseUrl, sendCustomerEmail } from "./customer-email";
+import { restoreGiftCardRedemptions } from "./giftcards";
+
+const DEFAULT_ABANDON_MINUTES = 60;
+
+const F_HOLD = "HoldExpiresAt";
+const F_EMAIL_SENT = "FinishBookingEmailSentAt";
+const F_WAITLIST_ID = "WaitlistId";
+
+const MAX_SWEEP_PAGES = 10;
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function reservationTable() {
+  return process.env.CASPIO_TABLE || "BAR2_Reservations_SIGMA";
+}
+
+export function abandonAfterMs() {
+  const n = Number(process.env.CHECKOUT_ABANDON_MINUTES);
+  return (Number.isFinite(n) && n > 0 ? n : DEFAULT_ABANDON_MINUTES) * 60 * 1000;
+}
+
+export function reminderEmailEnabled() {
+  return ["1", "true", "yes"].includes(oneLine(process.env.ABANDONED_REMINDER_EMAIL).toLowerCase());
+}
+
+export function resumeBookingUrl(idkey) {
+  return `${apiBaseUrl()}/api/paystart?idkey=${encodeURIComponent(idkey)}`;
+}
+
+async function sendFinishBookingEmail(row) {
+  const idkey = String(row.IDKEY);
+  return await sendCustomerEmail("finish_booking", {
+    to: row.Email,
+    idkey,
+    res_id: row.RES_ID || null,
+    first_name: row.First_Name || "",
+    business_unit: row.Business_Unit || "",
+    sessions_title: row.Sessions_Title || "",
+    session_date: row.Session_Date || "",
+    people_text: row.People_Text || "",
+    resume_url: resumeBookingUrl(idkey),
+  });
+}
+
+/**
+ * Marks one In Process, unpaid reservation abandoned and frees its seats.
+ * Anything else (booked, cancelled, already abandoned, paid) is left alone.
+ *
+ * @param {object} row  full reservation row (IDKEY, Status, PaymentStatus, Email, ...)
+ * @param {object} opts
+ *   by       audit label for StatusChangedBy (required)
+ *   reason   logged + returned, e.g. "checkout_expired"
+ *   notify   send the finish-your-booking email (default: ABANDONED_REMINDER_EMAIL)
+ * @returns {{ released: boolean, idkey, reason?, skipped?, email? }}
+ */
+export async function releaseAbandonedReservation(
+  row,
+  { by, reason = "checkout_expired", notify = reminderEmailEnabled() } = {}
+) {
+  const idkey = row?.IDKEY ? String(row.IDKEY) : null;
+  if (!idkey) throw new Error("releaseAbandonedReservation requires a row with IDKEY");
+
+  if (normalizeStatus(row.Status) !== RESERVATION_STATUS.IN_PROCESS) {
+    return { released: false, idkey, skipped: "status" };
+  }
+  if (isPaid(row.PaymentStatus)) return { released: false, idkey, skipped: "paid" };
+
+  await transitionReservation(idkey, {
+    status: RESERVATION_STATUS.ABANDONED,
+    by,
+    current: row,
+    fields: { StripeCheckoutSessionId: null, [F_HOLD]: null },
+  });
+  console.log("RESERVATION_ABANDONED:", idkey, reason);
+
+  // A failed restore leaves the giftcard_redeem rows without a giftcard_refund: logged for follow-up
+  await restoreGiftCardRedemptions(idkey, { by }).catch((e) =>
+    console.error("⚠️ GIFT_CARD_RESTORE_FAILED", idkey, e?.message || e)
+  );
+
+  let email = { sent: false, skipped: "disabled" };
+  if (notify && oneLine(row[F_WAITLIST_ID])) {
+    email = { sent: false, skipped: "waitlist_offer" };
+  } else if (notify && row[F_EMAIL_SENT]) {
+    email = { sent: false, skipped: "already_sent" };
+  } else if (notify) {
+    try {
+      email = await sendFinishBookingEmail(row);
+      if (email.sent) {
+        await updateReservationResilient(buildWhereForIdKey(idkey), {
+          [F_EMAIL_SENT]: new Date().toISOString(),
+        });
+      }
+    } catch (e) {
+      console.warn("⚠️ FINISH_BOOKING_EMAIL_FAILED", idkey, e?.message || e);
+      email = { sent: false, skipped: "error" };
+    }
+  }
+
+  return { released: true, idkey, reason, email };
+}
+
+/**
+ * In Process reservations whose hold has lapsed (or that never had one), oldest first,
+ * after PK_ID `afterPkId`. Waitlist offers and rows with nothing to date them by are left out.
+ */
+export async function listAbandonCandidates({ now = new Date(), limit = 100, afterPkId = null } = {}) {
+  const where = caspioQuery()
+    .eq("Type", "Reservation")
+    .eq("Status", RESERVATION_STATUS.IN_PROCESS)
+    .isNull(F_WAITLIST_ID)
+    .or(
+      (q) => q.isNull(F_HOLD),
+      (q) => q.lt(F_HOLD, now)
+    )
+    .or(
+      (q) => q.notNull("StripeCheckoutSessionId"),
+      (q) => q.notNull(F_HOLD),
+      (q) => q.notNull("StatusChangedAt"),
+      (q) => q.notNull("UpdatedAt")
+    );
+  if (afterPkId != null) where.gt("PK_ID", Number(afterPkId));
+
+  return await listRecordsByWhere(reservationTable(), where, { limit, orderBy: "PK_ID" });
+}
+
+// Latest known activity on a reservation without a Checkout Session (ms, or NaN)
+function lastActivityMs(row) {
+  const times = [row?.[F_HOLD], row?.StatusChangedAt, row?.UpdatedAt]
+    .map((v) => Date.parse(String(v || "")))
+    .filter(Number.isFinite);
+  return times.length ? Math.max(...times) : NaN;
+}
+
+/**
+ * Decides what to do with one candidate. Open Checkout Sessions older than the cutoff are
+ * expired in Stripe first, so the customer can't pay for seats that were just released.
+ * @returns {{ release: boolean, reason: string }}
+ */
+async function planSweep(row, { stripe, cutoffMs, dryRun }) {
+  const sessionId = oneLine(row.StripeCheckoutSessionId);
+
+  if (sessionId) {
+    let checkout = null;
+    try {
+      checkout = await stripe.checkout.sessions.retrieve(sessionId);
+    } catch (e) {
+      if (e?.statusCode !== 404) return { release: false, reason: "stripe_error" };
+    }
+
+    // Paid: the checkout.session.completed webhook books it
+    if (checkout?.status === "complete") return { release: false, reason: "checkout_complete" };
+
+    if (checkout?.status === "open") {
+      if (Number(checkout.created) * 1000 > cutoffMs) return { release: false, reason: "recent" };
+      if (!dryRun) await stripe.checkout.sessions.expire(sessionId);
+      return { release: true, reason: "checkout_stale" };
+    }
+
+    if (checkout) return { release: true, reason: "checkout_expired" };
+  }
+
+  const last = lastActivityMs(row);
+  if (!Number.isFinite(last)) return { release: false, reason: "unknown_age" };
+  if (last > cutoffMs) return { release: false, reason: "recent" };
+  return { release: true, reason: "no_checkout" };
+}
+
+/**
+ * Cron backstop: releases abandoned In Process reservations.
+ *
+ * @param {object} opts
+ *   stripe   Stripe client (required; used to check/expire Checkout Sessions)
+ *   limit    releases per run, and candidates per page (at most MAX_SWEEP_PAGES pages)
+ *   now, dryRun, notify
+ * @returns {{ ok, scanned, released: [...], skipped: [...], errors: [...] }}
+ */
+export async function sweepAbandonedReservations({
+  stripe,
+  now = new Date(),
+  limit = 100,
+  dryRun = false,
+  notify = reminderEmailEnabled(),
+} = {}) {
+  if (!stripe) throw new Error("sweepAbandonedReservations requires a Stripe client");
+
+  const cutoffMs = now.getTime() - abandonAfterMs();
+
+  const released = [];
+  const skipped = [];
+  const errors = [];
+  let scanned = 0;
+  let afterPkId = null;
+
+  for (let page = 0; page < MAX_SWEEP_PAGES && released.length < limit; page++) {
+    const rows = await listAbandonCandidates({ now, limit, afterPkId });
+    scanned += rows.length;
+
+    for (const row of rows) {
+      if (released.length >= limit) break;
+      afterPkId = row.PK_ID;
+
+      const idkey = String(row.IDKEY || "");
+      try {
+        const plan = await planSweep(row, { stripe, cutoffMs, dryRun });
+        if (!plan.release) {
+          skipped.push({ idkey, reason: plan.reason });
+          continue;
+        }
+        if (dryRun) {
+          released.push({ idkey, reason: plan.reason, dryRun: true });
+          continue;
+        }
+
+        const out = await withSessionLock(row.Session_ID, () =>
+          releaseAbandonedReservation(row, { by: "sweep-abandoned", reason: plan.reason, notify })
+        );
+        if (out.released) released.push({ idkey, reason: plan.reason, email: out.email });
+        else skipped.push({ idkey, reason: out.skipped });
+      } catch (e) {
+        console.error("⚠️ ABANDON_SWEEP_FAILED", idkey, e?.message || e);
+        errors.push({ idkey, error: e?.message || String(e) });
+      }
+    }
+
+    if (rows.length < limit || afterPkId == null) break;
+  }
+
+  console.log("ABANDON_SWEEP:", `scanned=${scanned}`, `released=${released.length}`, `errors=${errors.length}`);
+  return { ok: errors.length === 0, scanned, released, skipped, errors };
+}
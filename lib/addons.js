@@ -0,0 +1,155 @@
+// lib/addons.js
+//
+// Add-ons sold with a reservation (shoe rental, food, ...).
+//
+// The catalog is a Caspio view (one row per add-on per business unit). /api/reserve
+// prices the requested add-ons from it — a client-sent price is only checked against
+// the catalog, never trusted — and stores each one as a Type='addon' row sharing the
+// reservation's RES_ID (the rows sigma-rollup-total-res sums into Subtotal_Addon).
+// Add-on rows carry no Status or hold: they don't use session capacity and follow
+// their reservation. /api/paystart charges them as extra line items.
+//
+// Env:
+//   CASPIO_ADDON_CATALOG_VIEW   default SIGMA_VW_Addon_Catalog
+
+import { caspioQuery, listRecordsByWhere, listViewRecordsByWhere } from "./caspio";
+
+export const ADDON_TYPE = "addon";
+
+export class AddonError extends Error {
+  constructor(message, { code = "INVALID_ADDONS", status = 400 } = {}) {
+    super(message);
+    this.name = "AddonError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function cents(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(n * 100) : null;
+}
+
+function catalogView() {
+  return process.env.CASPIO_ADDON_CATALOG_VIEW || "SIGMA_VW_Addon_Catalog";
+}
+
+function reservationTable() {
+  return process.env.CASPIO_TABLE || "BAR2_Reservations_SIGMA";
+}
+
+// Active add-ons for a business unit, by name
+export async function listAddonCatalog(businessUnit) {
+  const where = caspioQuery().eq("Business_Unit", oneLine(businessUnit)).eq("Active", 1);
+  const rows = await listViewRecordsByWhere(catalogView(), where, Infinity);
+  return rows.sort((a, b) => oneLine(a.Name).localeCompare(oneLine(b.Name)));
+}
+
+/**
+ * Validates requested add-ons ([{ addon_id, qty, price? }]) against the catalog.
+ * The same add-on listed twice is merged. Throws AddonError.
+ * @returns {Promise<{ lines: Array<{ addon_id, name, qty, unit_price, total }>, subtotal: number }>}
+ */
+export async function resolveAddons(businessUnit, requested) {
+  if (requested == null || requested === "") return { lines: [], subtotal: 0 };
+  if (!Array.isArray(requested)) throw new AddonError("Addons must be an array");
+  if (!requested.length) return { lines: [], subtotal: 0 };
+
+  const catalog = new Map((await listAddonCatalog(businessUnit)).map((r) => [oneLine(r.Addon_ID), r]));
+  const byId = new Map();
+
+  for (const item of requested) {
+    const id = oneLine(item?.addon_id ?? item?.Addon_ID);
+    const qty = Number(item?.qty ?? item?.quantity ?? 1);
+    if (!id) throw new AddonError("Add-on is missing addon_id");
+    if (!Number.isInteger(qty) || qty <= 0) throw new AddonError(`Invalid quantity for add-on ${id}`);
+
+    const row = catalog.get(id);
+    if (!row) throw new AddonError(`Add-on ${id} is not available`, { code: "UNKNOWN_ADDON" });
+
+    const sent = item?.price ?? item?.unit_price;
+    if (sent != null && sent !== "" && cents(sent) !== cents(row.Price)) {
+      throw new AddonError(`Price for ${oneLine(row.Name) || id} has changed (now ${Number(row.Price).toFixed(2)})`, {
+        code: "ADDON_PRICE_MISMATCH",
+        status: 409,
+      });
+    }
+
+    byId.set(id, (byId.get(id) || 0) + qty);
+  }
+
+  const lines = [];
+  for (const [id, qty] of byId) {
+    const row = catalog.get(id);
+    const max = Number(row.Max_Qty);
+    if (row.Max_Qty != null && row.Max_Qty !== "" && Number.isFinite(max) && qty > max) {
+      throw new AddonError(`At most ${max} × ${oneLine(row.Name) || id} per reservation`, { code: "ADDON_QTY" });
+    }
+
+    const unitCents = cents(row.Price);
+    if (unitCents == null || unitCents < 0) {
+      throw new AddonError(`Add-on ${id} has no valid price`, { code: "UNKNOWN_ADDON" });
+    }
+
+    lines.push({
+      addon_id: id,
+      name: oneLine(row.Name) || id,
+      qty,
+      unit_price: unitCents / 100,
+      total: (unitCents * qty) / 100,
+    });
+  }
+
+  const subtotal = lines.reduce((sum, l) => sum + cents(l.total), 0) / 100;
+  return { lines, subtotal };
+}
+
+// Reservation-table rows for resolved lines, copying the parent's RES_ID / session fields
+export function addonRowsFor(reservation, lines) {
+  return lines.map((l) => ({
+    Type: ADDON_TYPE,
+    RES_ID: reservation.RES_ID,
+    Addon_ID: l.addon_id,
+
+    Business_Unit: reservation.Business_Unit,
+    Session_Date: reservation.Session_Date,
+    Session_ID: reservation.Session_ID,
+    Sessions_Title: reservation.Sessions_Title,
+
+    Item: l.name,
+    Units: String(l.qty),
+    Unit_Price: String(l.unit_price),
+    Total: l.total,
+  }));
+}
+
+export async function listAddonRows(resId) {
+  if (!oneLine(resId)) return [];
+  const where = caspioQuery().eq("RES_ID", oneLine(resId)).eq("Type", ADDON_TYPE);
+  return await listRecordsByWhere(reservationTable(), where, { limit: Infinity, orderBy: "PK_ID" });
+}
+
+/**
+ * What a reservation's add-on rows cost, in cents: per-line amounts plus tax at `taxRate`
+ * on their subtotal (add-ons carry no gratuity).
+ */
+export function addonCharge(rows, taxRate) {
+  const lines = rows
+    .map((r) => ({
+      addon_id: oneLine(r.Addon_ID),
+      name: oneLine(r.Item) || oneLine(r.Addon_ID) || "Add-on",
+      qty: Number(r.Units) || 0,
+      unitCents: cents(r.Unit_Price) || 0,
+    }))
+    .filter((l) => l.qty > 0 && l.unitCents > 0);
+
+  const subtotalCents = lines.reduce((sum, l) => sum + l.qty * l.unitCents, 0);
+  const rate = Number(taxRate);
+  const taxCents = Number.isFinite(rate) && rate > 0 ? Math.round(subtotalCents * rate) : 0;
+
+  return { lines, subtotalCents, taxCents };
+}
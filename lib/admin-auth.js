@@ -0,0 +1,71 @@
+// lib/admin-auth.js
+//
+// Shared-secret checks for the cron and staff routes, compared in constant time.
+//
+// Cron routes:
+//   Authorization: Bearer <CRON_SECRET>   (Vercel Cron sends this automatically)
+// Staff routes:
+//   x-admin-key: <ADMIN_API_KEY>
+
+import crypto from "crypto";
+
+export const ADMIN_KEY_HEADER = "x-admin-key";
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+// Hashing first gives timingSafeEqual two buffers of the same length
+function sameSecret(provided, expected) {
+  const a = crypto.createHash("sha256").update(String(provided)).digest();
+  const b = crypto.createHash("sha256").update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// true when allowed; otherwise answers the JSON route and returns false
+function allowOrAnswer(res, denial) {
+  if (!denial) return true;
+  res.status(denial.status).json({ ok: false, error: denial.error });
+  return false;
+}
+
+/**
+ * -> null when the request carries `Bearer <CRON_SECRET>`, else { status, error }
+ *    (500 when CRON_SECRET is not configured, 401 otherwise)
+ */
+export function cronSecretDenial(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return { status: 500, error: "Missing CRON_SECRET" };
+  if (!sameSecret(oneLine(req.headers?.authorization), `Bearer ${secret}`)) {
+    return { status: 401, error: "Unauthorized" };
+  }
+  return null;
+}
+
+/**
+ * For JSON routes:
+ *   if (!requireCronSecret(req, res)) return;
+ */
+export function requireCronSecret(req, res) {
+  return allowOrAnswer(res, cronSecretDenial(req));
+}
+
+/**
+ * -> null when the request carries ADMIN_API_KEY, else { status, error }
+ *    (500 when ADMIN_API_KEY is not configured, 401 otherwise)
+ */
+export function adminKeyDenial(req) {
+  const key = process.env.ADMIN_API_KEY;
+  if (!key) return { status: 500, error: "Missing ADMIN_API_KEY" };
+  const provided = String(req.headers?.[ADMIN_KEY_HEADER] || "");
+  if (!provided || !sameSecret(provided, key)) return { status: 401, error: "Unauthorized" };
+  return null;
+}
+
+/**
+ * For JSON routes:
+ *   if (!requireAdminKey(req, res)) return;
+ */
+export function requireAdminKey(req, res) {
+  return allowOrAnswer(res, adminKeyDenial(req));
+}
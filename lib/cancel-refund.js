@@ -0,0 +1,263 @@
+// lib/cancel-refund.js
+//
+// Refund owed when a customer cancels online (customer-cancel.js issues it,
+// customer-cancel-eligibility.js quotes it).
+//
+// Policy, first one set wins (read through SIGMA_VW_Res_Billing_Edit):
+//   BAR2_Primary_Config.Refund_Policy / Refund_Percent / Refund_Window_Hours
+//   GEN_Business_Units.Refund_Policy  / Refund_Percent / Refund_Window_Hours
+//   env CANCEL_REFUND_POLICY / CANCEL_REFUND_PERCENT / CANCEL_REFUND_WINDOW_HOURS
+//     (default "none": nothing is refunded automatically)
+//
+// Refund_Policy:
+//   full          everything still refundable on each charge
+//   partial       Refund_Percent % of it, pro rata over the components
+//   fee_retained  everything except the booking Fee
+//   none          nothing
+// Refund_Window_Hours: cancelling this close to the start refunds nothing, whatever the policy.
+//
+// Amounts come from the ledger (lib/ledger getIdKeyBalance), per charge, so earlier refunds
+// are never paid twice; refunds carry their split in metadata like /api/refund's. What a gift
+// card paid goes back on the card (lib/giftcards refundGiftCardRedemption). Pay Now bookings
+// can't be cancelled online, so those redemptions are supplemental charges staff put on the
+// card (/api/charge-adjustment gift_card).
+
+import { updateReservationResilient, buildWhereForIdKey, rollupTotalsForIdKey } from "./caspio";
+import { allocateRefund, getIdKeyBalance, refundMetadataFor, refundPresetComponents } from "./ledger";
+import { GIFT_CARD_TXN_TYPES, refundGiftCardRedemption } from "./giftcards";
+
+export const REFUND_POLICIES = Object.freeze({
+  FULL: "full",
+  PARTIAL: "partial",
+  FEE_RETAINED: "fee_retained",
+  NONE: "none",
+});
+
+const POLICY_ALIASES = {
+  full_refund: REFUND_POLICIES.FULL,
+  percent: REFUND_POLICIES.PARTIAL,
+  percentage: REFUND_POLICIES.PARTIAL,
+  retain_fee: REFUND_POLICIES.FEE_RETAINED,
+  all_but_fee: REFUND_POLICIES.FEE_RETAINED,
+  no_refund: REFUND_POLICIES.NONE,
+};
+
+// Sources in precedence order: view column prefix -> label reported to the UI
+const POLICY_SOURCES = [
+  ["BAR2_Primary_Config_", "primary_config"],
+  ["GEN_Business_Units_", "business_unit"],
+];
+
+const POLICY_FIELDS = ["Refund_Policy", "Refund_Percent", "Refund_Window_Hours"];
+
+// Billing-view columns resolveRefundPolicy reads (add to the view query's select)
+export const REFUND_POLICY_VIEW_FIELDS = POLICY_SOURCES.flatMap(([prefix]) => POLICY_FIELDS.map((f) => `${prefix}${f}`));
+
+const toCents = (v) => Math.round((Number(v) || 0) * 100);
+
+function blank(v) {
+  return v === null || v === undefined || String(v).trim() === "";
+}
+
+function toNumberOrNull(v) {
+  if (blank(v)) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizePolicy(v) {
+  const key = String(v || "").toLowerCase().trim().replace(/[\s-]+/g, "_");
+  if (Object.values(REFUND_POLICIES).includes(key)) return key;
+  return POLICY_ALIASES[key] || null;
+}
+
+/**
+ * -> { policy, percent, refund_window_hours, source }
+ */
+export function resolveRefundPolicy(billing) {
+  const row = billing || {};
+
+  for (const [prefix, source] of POLICY_SOURCES) {
+    const raw = row[`${prefix}Refund_Policy`];
+    if (blank(raw)) continue;
+
+    const policy = normalizePolicy(raw);
+    if (!policy) {
+      console.warn(`⚠️ Unknown Refund_Policy "${raw}" (${source}); refunding nothing`);
+      return { policy: REFUND_POLICIES.NONE, percent: null, refund_window_hours: null, source };
+    }
+    return {
+      policy,
+      percent: toNumberOrNull(row[`${prefix}Refund_Percent`]),
+      refund_window_hours: toNumberOrNull(row[`${prefix}Refund_Window_Hours`]),
+      source,
+    };
+  }
+
+  return {
+    policy: normalizePolicy(process.env.CANCEL_REFUND_POLICY) || REFUND_POLICIES.NONE,
+    percent: toNumberOrNull(process.env.CANCEL_REFUND_PERCENT),
+    refund_window_hours: toNumberOrNull(process.env.CANCEL_REFUND_WINDOW_HOURS),
+    source: "default",
+  };
+}
+
+// What one charge gives back under the policy: { base, grat, tax, fee, amount } or null
+function chargeRefund(policy, percent, refundable) {
+  if (!(refundable.amount > 0)) return null;
+
+  if (policy === REFUND_POLICIES.FULL) return refundable;
+
+  if (policy === REFUND_POLICIES.FEE_RETAINED) {
+    const components = refundPresetComponents("all_but_fee", refundable);
+    const amount = Number(Object.values(components).reduce((s, v) => s + v, 0).toFixed(2));
+    return amount > 0 ? allocateRefund({ original: refundable, amount, components }) : null;
+  }
+
+  if (policy === REFUND_POLICIES.PARTIAL) {
+    const pct = Math.min(100, Math.max(0, Number(percent) || 0));
+    const amount = Math.round(refundable.amount * pct) / 100;
+    return amount > 0 ? allocateRefund({ original: refundable, amount }) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Pure: the refund for a cancellation `hoursUntilStart` hours before the session.
+ * `balance` is getIdKeyBalance's result.
+ * -> { policy, percent, source, within_refund_window, amount,
+ *      charges:[{txn_id, stripe_charge_id, gift_card, split}] }
+ *    gift_card: the charge is a gift card redemption (no stripe_charge_id)
+ */
+export function planCancelRefund({ policy: resolved, balance, hoursUntilStart }) {
+  const { policy, percent, refund_window_hours: windowHours, source } = resolved;
+  const withinWindow = windowHours != null && Number.isFinite(hoursUntilStart) && hoursUntilStart <= windowHours;
+
+  const charges = [];
+  if (!withinWindow && policy !== REFUND_POLICIES.NONE) {
+    for (const c of balance?.charges || []) {
+      const giftCard = c.txn_type === GIFT_CARD_TXN_TYPES.REDEEM;
+      if (!c.stripe_charge_id && !giftCard) continue;
+      const split = chargeRefund(policy, percent, c.refundable);
+      if (split) charges.push({ txn_id: c.txn_id, stripe_charge_id: c.stripe_charge_id, gift_card: giftCard, split });
+    }
+  }
+
+  const amount = Number(charges.reduce((s, c) => s + c.split.amount, 0).toFixed(2));
+
+  return {
+    policy,
+    percent: policy === REFUND_POLICIES.PARTIAL ? percent : null,
+    source,
+    refund_window_hours: windowHours,
+    within_refund_window: withinWindow,
+    amount,
+    charges,
+  };
+}
+
+export async function quoteCancelRefund(idkey, { billing, hoursUntilStart }) {
+  const balance = await getIdKeyBalance(idkey);
+  return planCancelRefund({ policy: resolveRefundPolicy(billing), balance, hoursUntilStart });
+}
+
+/**
+ * Issues the planned Stripe and gift card refunds and stamps the outcome on the reservation.
+ * Idempotency key per reservation + charge + amount, and capped at what Stripe still holds,
+ * so a retry never refunds twice. Never throws: a failed refund is reported so the cancellation still
+ * stands and staff can refund by hand.
+ * -> { status: "none"|"refunded"|"partial_failure"|"failed", amount, refunds:[...], errors:[...] }
+ */
+export async function issueCancelRefund({ stripe, idkey, plan, reservation }) {
+  const refunds = [];
+  const errors = [];
+
+  for (const c of plan.charges) {
+    if (c.gift_card) {
+      try {
+        const out = await refundGiftCardRedemption({
+          idkey,
+          txnId: c.txn_id,
+          split: c.split,
+          rawEventId: ["cancel_refund", String(idkey), "giftcard", String(c.txn_id), String(toCents(c.split.amount))]
+            .join("_"),
+          note: `Customer cancellation (${plan.policy} policy)`,
+        });
+        if (!out.replayed) {
+          refunds.push({ refund_id: null, gift_card: out.gift_card, amount: out.amount, status: "succeeded" });
+        }
+      } catch (e) {
+        console.warn("⚠️ CANCEL_GIFT_CARD_REFUND_FAILED", String(idkey), c.txn_id, e?.message || e);
+        errors.push({ charge_id: `gift card txn ${c.txn_id}`, error: e?.message || String(e) });
+      }
+      continue;
+    }
+
+    try {
+      const charge = await stripe.charges.retrieve(String(c.stripe_charge_id));
+      const stripeLeft = Math.max(0, (charge?.amount ?? 0) - (charge?.amount_refunded ?? 0));
+      let cents = Math.round(c.split.amount * 100);
+      let split = c.split;
+
+      if (cents > stripeLeft) {
+        if (stripeLeft <= 0) continue;
+        cents = stripeLeft;
+        split = allocateRefund({ original: c.split, amount: cents / 100 });
+      }
+
+      const refund = await stripe.refunds.create(
+        {
+          charge: String(c.stripe_charge_id),
+          amount: cents,
+          reason: "requested_by_customer",
+          metadata: {
+            txn_id: String(c.txn_id ?? ""),
+            IDKEY: String(idkey),
+            Confirmation_Number: String(reservation?.Confirmation_Number || ""),
+            note: `Customer cancellation (${plan.policy} policy)`,
+            source: "customer-cancel",
+            ...refundMetadataFor(split),
+          },
+        },
+        { idempotencyKey: ["cancel_refund", String(idkey), String(c.stripe_charge_id), String(cents)].join("_") }
+      );
+
+      refunds.push({
+        refund_id: refund.id,
+        charge_id: c.stripe_charge_id,
+        amount: Number((refund.amount / 100).toFixed(2)),
+        status: refund.status,
+      });
+    } catch (e) {
+      console.warn("⚠️ CANCEL_REFUND_FAILED", String(idkey), c.stripe_charge_id, e?.message || e);
+      errors.push({ charge_id: c.stripe_charge_id, error: e?.message || String(e) });
+    }
+  }
+
+  const amount = Number(refunds.reduce((s, r) => s + r.amount, 0).toFixed(2));
+  // "none" also covers charges Stripe already shows as refunded (a retried cancellation)
+  const status = refunds.length
+    ? errors.length
+      ? "partial_failure"
+      : "refunded"
+    : errors.length
+    ? "failed"
+    : "none";
+
+  await updateReservationResilient(buildWhereForIdKey(idkey), {
+    CancelRefundPolicy: plan.policy,
+    CancelRefundAmount: amount,
+    CancelRefundStatus: status,
+    CancelRefundedAt: refunds.length ? new Date().toISOString() : null,
+  }).catch((e) => console.warn("⚠️ CANCEL_REFUND_STAMP_FAILED", e?.message || e));
+
+  // Stripe refunds reach the ledger through the webhook; gift card refunds are written here
+  if (refunds.some((r) => r.gift_card)) {
+    await rollupTotalsForIdKey(idkey).catch((e) =>
+      console.warn("⚠️ ROLLUP_FAILED (non-blocking)", e?.message || e)
+    );
+  }
+
+  return { status, amount, refunds, errors };
+}
@@ -0,0 +1,783 @@
+// lib/caspio-emulator.js
+//
+// Local stand-in for the subset of Caspio REST that lib/caspio.js uses, so the
+// middleware can run (and be tested) without a live Caspio account.
+//
+// Implements:
+//   POST   /oauth/token                         (client_credentials)
+//   GET    /rest/v2/tables/{t}/records          q.where, q.select, q.orderBy, q.groupBy,
+//   GET    /rest/v2/views/{v}/records           q.limit, q.pageNumber, q.pageSize
+//   POST   /rest/v2/tables/{t}/records          (?response=rows returns the inserted row)
+//   PUT    /rest/v2/tables/{t}/records?q.where=...
+//   DELETE /rest/v2/tables/{t}/records?q.where=...
+//
+// q.where supports = <> != < > <= >=, AND, OR, NOT, parentheses, IN / NOT IN,
+// LIKE / NOT LIKE (% and _), IS [NOT] NULL and BETWEEN. Unknown columns answer
+// 400 ColumnNotFound with the same body shape Caspio uses.
+//
+// Fixtures: one JSON file per table/view in fixtures/caspio/ (format: see loadCaspioFixtures).
+//
+// Usage (in-process):
+//   import { createCaspioEmulator } from "../lib/caspio-emulator";
+//   const caspio = createCaspioEmulator();
+//   caspio.install();            // routes global fetch for caspio.baseUrl to the emulator
+//   process.env.CASPIO_INTEGRATION_URL = caspio.baseUrl;
+//
+// Usage (HTTP): node scripts/caspio-emulator.mjs --port 4010
+
+import fs from "fs";
+import path from "path";
+import http from "http";
+import crypto from "crypto";
+
+const DEFAULT_BASE_URL = "http://caspio.local";
+const DEFAULT_LIMIT = 100;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 1000;
+
+// -------------------- Errors --------------------
+class EmulatorError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function columnNotFound(fields) {
+  const list = fields.map((f) => `'${f}'`).join(", ");
+  return new EmulatorError(
+    400,
+    "ColumnNotFound",
+    `Cannot perform operation because the following field(s) do not exist: ${list}`
+  );
+}
+
+// -------------------- q.where parser --------------------
+const KEYWORDS = new Set(["AND", "OR", "NOT", "IN", "LIKE", "IS", "NULL", "BETWEEN"]);
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === "'") {
+      let value = "";
+      i++;
+      for (;;) {
+        if (i >= src.length) throw new EmulatorError(400, "SqlServerError", "Unterminated string in q.where");
+        if (src[i] === "'") {
+          if (src[i + 1] === "'") {
+            value += "'";
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += src[i++];
+      }
+      tokens.push({ type: "literal", value });
+      continue;
+    }
+
+    const num = /^-?\d+(\.\d+)?/.exec(src.slice(i));
+    if (num) {
+      tokens.push({ type: "literal", value: Number(num[0]) });
+      i += num[0].length;
+      continue;
+    }
+
+    const op = /^(<=|>=|<>|!=|=|<|>)/.exec(src.slice(i));
+    if (op) {
+      tokens.push({ type: "op", value: op[0] === "!=" ? "<>" : op[0] });
+      i += op[0].length;
+      continue;
+    }
+
+    if (ch === "(" || ch === ")" || ch === ",") {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+
+    const ident = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(src.slice(i));
+    if (ident) {
+      const upper = ident[0].toUpperCase();
+      if (KEYWORDS.has(upper)) tokens.push({ type: "kw", value: upper });
+      else tokens.push({ type: "field", value: ident[0] });
+      i += ident[0].length;
+      continue;
+    }
+
+    throw new EmulatorError(400, "SqlServerError", `Unexpected character in q.where: ${ch}`);
+  }
+
+  return tokens;
+}
+
+export function parseWhere(src) {
+  const tokens = tokenize(String(src || ""));
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isKw = (kw) => peek()?.type === "kw" && peek().value === kw;
+  const fail = (msg) => {
+    throw new EmulatorError(400, "SqlServerError", `Invalid q.where: ${msg}`);
+  };
+  const expect = (type, value) => {
+    const t = tokens[pos];
+    if (!t || t.type !== type || (value && t.value !== value)) fail(`expected ${value || type}`);
+    pos++;
+    return t;
+  };
+
+  function operand() {
+    const t = tokens[pos];
+    if (!t) fail("unexpected end");
+    if (t.type === "field") {
+      pos++;
+      return { field: t.value };
+    }
+    if (t.type === "literal") {
+      pos++;
+      return { literal: t.value };
+    }
+    if (t.type === "kw" && t.value === "NULL") {
+      pos++;
+      return { literal: null };
+    }
+    return fail(`unexpected token ${t.value || t.type}`);
+  }
+
+  function predicate() {
+    const left = operand();
+
+    if (isKw("IS")) {
+      pos++;
+      const negate = isKw("NOT") ? (pos++, true) : false;
+      expect("kw", "NULL");
+      return { kind: "isnull", left, negate };
+    }
+
+    const negate = isKw("NOT") ? (pos++, true) : false;
+
+    if (isKw("IN")) {
+      pos++;
+      expect("(");
+      const list = [operand()];
+      while (peek()?.type === ",") {
+        pos++;
+        list.push(operand());
+      }
+      expect(")");
+      return { kind: "in", left, list, negate };
+    }
+
+    if (isKw("LIKE")) {
+      pos++;
+      return { kind: "like", left, right: operand(), negate };
+    }
+
+    if (isKw("BETWEEN")) {
+      pos++;
+      const low = operand();
+      expect("kw", "AND");
+      const high = operand();
+      return { kind: "between", left, low, high, negate };
+    }
+
+    if (negate) fail("NOT must be followed by IN, LIKE or BETWEEN");
+
+    const op = expect("op").value;
+    return { kind: "compare", op, left, right: operand() };
+  }
+
+  function primary() {
+    if (peek()?.type === "(") {
+      pos++;
+      const inner = orExpr();
+      expect(")");
+      return inner;
+    }
+    return predicate();
+  }
+
+  function notExpr() {
+    if (isKw("NOT")) {
+      pos++;
+      return { kind: "not", expr: notExpr() };
+    }
+    return primary();
+  }
+
+  function andExpr() {
+    let node = notExpr();
+    while (isKw("AND")) {
+      pos++;
+      node = { kind: "and", left: node, right: notExpr() };
+    }
+    return node;
+  }
+
+  function orExpr() {
+    let node = andExpr();
+    while (isKw("OR")) {
+      pos++;
+      node = { kind: "or", left: node, right: andExpr() };
+    }
+    return node;
+  }
+
+  if (!tokens.length) return null;
+  const ast = orExpr();
+  if (pos < tokens.length) fail(`unexpected token ${tokens[pos].value || tokens[pos].type}`);
+  return ast;
+}
+
+function whereFields(ast, out = new Set()) {
+  if (!ast) return out;
+  for (const key of ["left", "right", "low", "high", "expr"]) {
+    const v = ast[key];
+    if (v?.field) out.add(v.field);
+    else if (v && typeof v === "object") whereFields(v, out);
+  }
+  for (const item of ast.list || []) if (item.field) out.add(item.field);
+  return out;
+}
+
+// -------------------- Value semantics (SQL Server-ish) --------------------
+const ISO_DATE = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2})?))?/;
+
+function normalizeDate(s) {
+  const m = ISO_DATE.exec(s);
+  if (!m) return null;
+  const time = m[2] ? (m[2].length === 5 ? `${m[2]}:00` : m[2]) : "00:00:00";
+  return `${m[1]}T${time}`;
+}
+
+function toComparable(a, b) {
+  if (typeof a === "boolean") a = a ? 1 : 0;
+  if (typeof b === "boolean") b = b ? 1 : 0;
+
+  if (typeof a === "number" || typeof b === "number") {
+    const na = Number(a);
+    const nb = Number(b);
+    if (Number.isFinite(na) && Number.isFinite(nb)) return [na, nb];
+  }
+
+  const sa = String(a);
+  const sb = String(b);
+  const da = normalizeDate(sa);
+  const db = normalizeDate(sb);
+  if (da && db) return [da, db];
+
+  // Default SQL Server collation is case-insensitive
+  return [sa.toLowerCase(), sb.toLowerCase()];
+}
+
+function compareValues(a, b) {
+  const [x, y] = toComparable(a, b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function likeToRegex(pattern) {
+  const body = String(pattern)
+    .split("")
+    .map((c) => (c === "%" ? ".*" : c === "_" ? "." : c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${body}$`, "is");
+}
+
+function evalWhere(ast, row) {
+  if (!ast) return true;
+
+  const val = (o) => (o.field !== undefined ? row[o.field] ?? null : o.literal);
+
+  switch (ast.kind) {
+    case "and":
+      return evalWhere(ast.left, row) && evalWhere(ast.right, row);
+    case "or":
+      return evalWhere(ast.left, row) || evalWhere(ast.right, row);
+    case "not":
+      return !evalWhere(ast.expr, row);
+    case "isnull": {
+      const v = val(ast.left);
+      const isNull = v === null || v === undefined;
+      return ast.negate ? !isNull : isNull;
+    }
+    case "in": {
+      const v = val(ast.left);
+      if (v === null) return false;
+      const hit = ast.list.some((o) => {
+        const x = val(o);
+        return x !== null && compareValues(v, x) === 0;
+      });
+      return ast.negate ? !hit : hit;
+    }
+    case "like": {
+      const v = val(ast.left);
+      const p = val(ast.right);
+      if (v === null || p === null) return false;
+      const hit = likeToRegex(p).test(String(v));
+      return ast.negate ? !hit : hit;
+    }
+    case "between": {
+      const v = val(ast.left);
+      const lo = val(ast.low);
+      const hi = val(ast.high);
+      if (v === null || lo === null || hi === null) return false;
+      const hit = compareValues(v, lo) >= 0 && compareValues(v, hi) <= 0;
+      return ast.negate ? !hit : hit;
+    }
+    case "compare": {
+      const a = val(ast.left);
+      const b = val(ast.right);
+      if (a === null || b === null) return false; // NULL compares unknown
+      const c = compareValues(a, b);
+      switch (ast.op) {
+        case "=":
+          return c === 0;
+        case "<>":
+          return c !== 0;
+        case "<":
+          return c < 0;
+        case ">":
+          return c > 0;
+        case "<=":
+          return c <= 0;
+        case ">=":
+          return c >= 0;
+      }
+    }
+  }
+  return false;
+}
+
+// -------------------- Fixtures --------------------
+/**
+ * Loads every *.json in `dir` (default fixtures/caspio). Each file describes one object:
+ *   table: { kind: "table", name, columns: [...], generated: { Field: "autonumber"|"randomid"|"timestamp" }, rows: [...] }
+ *   view:  { kind: "view", name, rows: [...] }                             (static rows)
+ *      or: { kind: "view", name, base, prefix, expose, joins: [...], where } (computed from tables)
+ */
+export function loadCaspioFixtures(dir = path.join(process.cwd(), "fixtures", "caspio")) {
+  const out = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith(".json")) continue;
+    const def = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    out.push({ name: path.basename(file, ".json"), ...def });
+  }
+  return out;
+}
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+function randomId(len = 10) {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(len);
+  let out = "";
+  for (let i = 0; i < len; i++) out += chars[bytes[i] % chars.length];
+  return out;
+}
+
+// -------------------- Emulator --------------------
+export function createCaspioEmulator({
+  fixtures,
+  baseUrl = DEFAULT_BASE_URL,
+  clientId = null,
+  clientSecret = null,
+  tokenTtlSeconds = 3600,
+} = {}) {
+  const defs = fixtures || loadCaspioFixtures();
+  const base = String(baseUrl).replace(/\/+$/, "");
+
+  let tables = new Map();
+  let views = new Map();
+  const tokens = new Map(); // token -> expiresAt ms
+  const log = [];
+
+  function reset() {
+    tables = new Map();
+    views = new Map();
+
+    for (const def of defs) {
+      if (def.kind === "view") {
+        views.set(def.name, clone(def));
+        continue;
+      }
+
+      const generated = def.generated || {};
+      const counters = {};
+      for (const [field, kind] of Object.entries(generated)) {
+        if (kind !== "autonumber") continue;
+        const max = Math.max(0, ...(def.rows || []).map((r) => Number(r[field]) || 0));
+        counters[field] = Math.max(max, Number(def.autonumberStart?.[field] || 0));
+      }
+
+      tables.set(def.name, {
+        name: def.name,
+        columns: def.columns ? new Set(def.columns) : null,
+        generated,
+        counters,
+        rows: clone(def.rows || []),
+      });
+    }
+    log.length = 0;
+  }
+
+  reset();
+
+  function getTable(name) {
+    const t = tables.get(name);
+    if (!t) throw new EmulatorError(404, "ObjectNotFound", `Table '${name}' not found`);
+    return t;
+  }
+
+  // Left-joins the base table with each join in order; columns are "<Table>_<Field>"
+  // except the ones listed in `expose`, which also appear unprefixed.
+  function computeView(def) {
+    if (!def.base) return clone(def.rows || []);
+
+    const baseTable = getTable(def.base);
+    const basePrefix = def.prefix ?? `${def.base}_`;
+
+    let rows = baseTable.rows.map((r) => {
+      const out = {};
+      for (const [k, v] of Object.entries(r)) out[`${basePrefix}${k}`] = v;
+      for (const k of def.expose || []) out[k] = r[k] ?? null;
+      return out;
+    });
+
+    for (const join of def.joins || []) {
+      const jt = getTable(join.table);
+      const prefix = join.prefix ?? `${join.table}_`;
+      const [leftField, rightField] = join.on;
+      const cols = jt.columns ? [...jt.columns] : Object.keys(jt.rows[0] || {});
+
+      rows = rows.map((row) => {
+        const key = row[leftField];
+        const match =
+          key == null ? null : jt.rows.find((r) => r[rightField] != null && compareValues(r[rightField], key) === 0);
+        const out = { ...row };
+        for (const c of cols) out[`${prefix}${c}`] = match ? match[c] ?? null : null;
+        return out;
+      });
+    }
+
+    if (def.where) {
+      const ast = parseWhere(def.where);
+      rows = rows.filter((r) => evalWhere(ast, r));
+    }
+    return rows;
+  }
+
+  function viewColumns(def, rows) {
+    if (def.columns) return new Set(def.columns);
+    if (!def.base) return rows.length ? new Set(Object.keys(rows[0])) : null;
+
+    const cols = new Set();
+    const baseTable = getTable(def.base);
+    const basePrefix = def.prefix ?? `${def.base}_`;
+    for (const c of baseTable.columns || []) cols.add(`${basePrefix}${c}`);
+    for (const c of def.expose || []) cols.add(c);
+    for (const join of def.joins || []) {
+      const jt = getTable(join.table);
+      for (const c of jt.columns || []) cols.add(`${join.prefix ?? `${join.table}_`}${c}`);
+    }
+    return cols;
+  }
+
+  function assertColumns(columns, fields) {
+    if (!columns) return;
+    const missing = [...fields].filter((f) => !columns.has(f));
+    if (missing.length) throw columnNotFound(missing);
+  }
+
+  function filterRows(rows, columns, where) {
+    const ast = parseWhere(where);
+    assertColumns(columns, whereFields(ast));
+    return rows.filter((r) => evalWhere(ast, r));
+  }
+
+  function listFields(v) {
+    return String(v || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+
+  function readRecords(rows, columns, params) {
+    let out = filterRows(rows, columns, params.get("q.where"));
+
+    const orderBy = listFields(params.get("q.orderBy")).map((part) => {
+      const [field, dir] = part.split(/\s+/);
+      return { field, desc: String(dir || "").toUpperCase() === "DESC" };
+    });
+    assertColumns(columns, orderBy.map((o) => o.field));
+    if (orderBy.length) {
+      out = [...out].sort((a, b) => {
+        for (const { field, desc } of orderBy) {
+          const av = a[field] ?? null;
+          const bv = b[field] ?? null;
+          if (av === bv) continue;
+          if (av === null) return desc ? 1 : -1;
+          if (bv === null) return desc ? -1 : 1;
+          const c = compareValues(av, bv);
+          if (c) return desc ? -c : c;
+        }
+        return 0;
+      });
+    }
+
+    const select = listFields(params.get("q.select"));
+    assertColumns(columns, select);
+    if (select.length) {
+      out = out.map((r) => Object.fromEntries(select.map((f) => [f, r[f] ?? null])));
+    }
+
+    const groupBy = listFields(params.get("q.groupBy"));
+    assertColumns(columns, groupBy);
+    if (groupBy.length) {
+      const seen = new Set();
+      out = out.filter((r) => {
+        const key = JSON.stringify(groupBy.map((f) => r[f] ?? null));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    const pageNumber = params.get("q.pageNumber");
+    const pageSize = params.get("q.pageSize");
+    if (pageNumber || pageSize) {
+      const size = Math.min(MAX_PAGE_SIZE, Math.max(5, Number(pageSize) || DEFAULT_PAGE_SIZE));
+      const page = Math.max(1, Number(pageNumber) || 1);
+      return out.slice((page - 1) * size, page * size);
+    }
+
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(params.get("q.limit")) || DEFAULT_LIMIT));
+    return out.slice(0, limit);
+  }
+
+  function applyGenerated(table, row) {
+    for (const [field, kind] of Object.entries(table.generated)) {
+      if (kind === "autonumber") {
+        table.counters[field] = (table.counters[field] || 0) + 1;
+        row[field] = table.counters[field];
+      } else if (kind === "randomid" && !row[field]) {
+        row[field] = randomId();
+      } else if (kind === "timestamp" && !row[field]) {
+        row[field] = new Date().toISOString().slice(0, 19);
+      }
+    }
+    return row;
+  }
+
+  function insertRow(tableName, payload) {
+    const table = getTable(tableName);
+    assertColumns(table.columns, Object.keys(payload));
+
+    const row = {};
+    for (const c of table.columns || []) row[c] = null;
+    Object.assign(row, payload);
+    applyGenerated(table, row);
+
+    table.rows.push(row);
+    return row;
+  }
+
+  function updateRows(tableName, where, payload) {
+    const table = getTable(tableName);
+    assertColumns(table.columns, Object.keys(payload));
+    const hits = filterRows(table.rows, table.columns, where);
+    for (const row of hits) {
+      for (const [k, v] of Object.entries(payload)) {
+        if (table.generated[k] === "autonumber") continue; // read-only in Caspio
+        row[k] = v;
+      }
+    }
+    return hits.length;
+  }
+
+  function deleteRows(tableName, where) {
+    const table = getTable(tableName);
+    const hits = new Set(filterRows(table.rows, table.columns, where));
+    table.rows = table.rows.filter((r) => !hits.has(r));
+    return hits.size;
+  }
+
+  function authorize(headers) {
+    const auth = String(headers.authorization || headers.Authorization || "");
+    const token = auth.replace(/^Bearer\s+/i, "");
+    const exp = tokens.get(token);
+    if (!exp || exp < Date.now()) throw new EmulatorError(401, "InvalidToken", "Authorization has been denied");
+  }
+
+  function issueToken(body) {
+    const form = new URLSearchParams(String(body || ""));
+    if (form.get("grant_type") !== "client_credentials") {
+      throw new EmulatorError(400, "unsupported_grant_type", "grant_type must be client_credentials");
+    }
+    if (
+      (clientId && form.get("client_id") !== clientId) ||
+      (clientSecret && form.get("client_secret") !== clientSecret)
+    ) {
+      throw new EmulatorError(400, "invalid_client", "Invalid client credentials");
+    }
+
+    const token = crypto.randomBytes(16).toString("hex");
+    tokens.set(token, Date.now() + tokenTtlSeconds * 1000);
+    return { access_token: token, token_type: "bearer", expires_in: tokenTtlSeconds };
+  }
+
+  function json(status, body) {
+    return {
+      status,
+      headers: { "content-type": "application/json; charset=utf-8" },
+      body: body === undefined ? "" : JSON.stringify(body),
+    };
+  }
+
+  /**
+   * Pure request handler: { method, url, headers, body } -> { status, headers, body }.
+   * `url` may be absolute or just the path + query.
+   */
+  function handle({ method = "GET", url, headers = {}, body = "" }) {
+    const verb = String(method).toUpperCase();
+    const u = new URL(url, base);
+    const params = u.searchParams;
+    log.push({ method: verb, path: `${u.pathname}${u.search}` });
+
+    try {
+      if (u.pathname === "/oauth/token" && verb === "POST") return json(200, issueToken(body));
+
+      const m = /^\/rest\/v2\/(tables|views)\/([^/]+)\/records\/?$/.exec(u.pathname);
+      if (!m) throw new EmulatorError(404, "NotFound", `No route for ${verb} ${u.pathname}`);
+
+      authorize(headers);
+
+      const kind = m[1];
+      const name = decodeURIComponent(m[2]);
+
+      if (kind === "views") {
+        if (verb !== "GET") throw new EmulatorError(405, "MethodNotAllowed", "Views are read-only");
+        const def = views.get(name);
+        if (!def) throw new EmulatorError(404, "ObjectNotFound", `View '${name}' not found`);
+        const rows = computeView(def);
+        return json(200, { Result: readRecords(rows, viewColumns(def, rows), params) });
+      }
+
+      const table = getTable(name);
+
+      if (verb === "GET") return json(200, { Result: readRecords(table.rows, table.columns, params) });
+
+      if (verb === "POST") {
+        const row = insertRow(name, JSON.parse(String(body || "{}")));
+        return params.get("response") === "rows" ? json(201, { Result: [clone(row)] }) : json(201);
+      }
+
+      if (verb === "PUT" || verb === "DELETE") {
+        const where = params.get("q.where");
+        if (!where) throw new EmulatorError(400, "MissingWhere", "q.where is required");
+        const affected =
+          verb === "PUT" ? updateRows(name, where, JSON.parse(String(body || "{}"))) : deleteRows(name, where);
+        return json(200, { RecordsAffected: affected });
+      }
+
+      throw new EmulatorError(405, "MethodNotAllowed", `${verb} not supported`);
+    } catch (e) {
+      if (!(e instanceof EmulatorError)) {
+        return json(500, { Code: "InternalError", Message: String(e?.message || e) });
+      }
+      return json(e.status, {
+        Code: e.code,
+        Message: e.message,
+        Resource: u.pathname,
+        RequestId: crypto.randomUUID(),
+      });
+    }
+  }
+
+  // fetch()-compatible entry point (only for URLs under baseUrl)
+  async function emulatorFetch(input, init = {}) {
+    const url = typeof input === "string" ? input : input.url;
+    const headers =
+      init.headers instanceof Headers ? Object.fromEntries(init.headers.entries()) : { ...(init.headers || {}) };
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+
+    const out = handle({
+      method: init.method || "GET",
+      url,
+      headers: lower,
+      body: init.body == null ? "" : String(init.body),
+    });
+    return new Response(out.body || null, { status: out.status, headers: out.headers });
+  }
+
+  let originalFetch = null;
+
+  // Route global fetch() calls for baseUrl to the emulator; everything else passes through
+  function install() {
+    if (originalFetch) return api;
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = (input, init) => {
+      const url = typeof input === "string" ? input : input?.url || String(input);
+      if (url.startsWith(base)) return emulatorFetch(url, init);
+      return originalFetch(input, init);
+    };
+    return api;
+  }
+
+  function uninstall() {
+    if (originalFetch) globalThis.fetch = originalFetch;
+    originalFetch = null;
+    return api;
+  }
+
+  function listen(port = 4010, host = "127.0.0.1") {
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", (c) => chunks.push(c));
+      req.on("end", () => {
+        const out = handle({
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: Buffer.concat(chunks).toString("utf8"),
+        });
+        res.writeHead(out.status, out.headers);
+        res.end(out.body);
+      });
+    });
+    return new Promise((resolve) => server.listen(port, host, () => resolve(server)));
+  }
+
+  const api = {
+    baseUrl: base,
+    handle,
+    fetch: emulatorFetch,
+    install,
+    uninstall,
+    listen,
+    reset,
+    log,
+    // Direct access for seeding/assertions (live rows, not copies)
+    rows: (tableName) => getTable(tableName).rows,
+    view: (viewName) => {
+      const def = views.get(viewName);
+      if (!def) throw new EmulatorError(404, "ObjectNotFound", `View '${viewName}' not found`);
+      return computeView(def);
+    },
+    insert: (tableName, row) => insertRow(tableName, row),
+  };
+
+  return api;
+}
@@ -4,19 +4,23 @@
 // Named exports (ESM) so API routes can do:
 //   import { insertRecord, getReservationByResId, ... } from "../../lib/caspio";
 //
+// Every route talks to Caspio through this module (one token cache, one base URL,
+// one error model), so switching accounts/environments is an env change only.
+//
 // Required env vars:
 //   CASPIO_INTEGRATION_URL   e.g. https://c0xxxx.caspio.com
-//   CASPIO_TOKEN_URL         e.g. https://c0xxxx.caspio.com/oauth/token
 //   CASPIO_CLIENT_ID
 //   CASPIO_CLIENT_SECRET
 //
 // Optional env vars:
+//   CASPIO_TOKEN_URL         default: <CASPIO_INTEGRATION_URL>/oauth/token
 //   CASPIO_TABLE             default: BAR2_Reservations_SIGMA
 //   CASPIO_KEY_FIELD         default: IDKEY
 //   CASPIO_RES_ID_FIELD      default: RES_ID
 //   CASPIO_TXN_TABLE         default: SIGMA_BAR3_Transactions
 //   CASPIO_TOTAL_RES_TABLE   default: SIGMA_BAR3_TOTAL_RES
 //   CASPIO_RES_BILLING_VIEW  (Caspio VIEW name used by webhook to enrich email design / branding)
+//   CASPIO_MAX_RETRIES / CASPIO_RETRY_BASE_MS / CASPIO_RETRY_MAX_DELAY_MS  (see caspioFetch)
 
 function normalizeBase(url) {
   return String(url || "").replace(/\/+$/, "");
@@ -29,9 +33,8 @@ function integrationBase() {
 }
 
 function tokenUrl() {
-  const v = process.env.CASPIO_TOKEN_URL;
-  if (!v) throw new Error("Missing CASPIO_TOKEN_URL");
-  return v;
+  const v = String(process.env.CASPIO_TOKEN_URL || "").trim();
+  return v || `${integrationBase()}/oauth/token`;
 }
 
 function clientId() {
@@ -67,7 +70,7 @@ function totalResTable() {
 }
 
 function encodeWhere(where) {
-  return encodeURIComponent(where);
+  return encodeURIComponent(String(where ?? ""));
 }
 
 export function escapeWhereValue(value) {
@@ -75,6 +78,257 @@ export function escapeWhereValue(value) {
   return String(value ?? "").replace(/'/g, "''");
 }
 
+// -------------------- Query builder --------------------
+// Builds Caspio q.where strings without hand-quoting:
+//
+//   caspioQuery()
+//     .eq("IDKEY", idkey)
+//     .eq("Type", "Reservation")
+//     .or((q) => q.eq("Status", "Booked"), (q) => q.isNull("Status"))
+//     .select("IDKEY", "Status")
+//     .orderBy("Session_Date", "DESC")
+//     .limit(10)
+//
+// Chained conditions are ANDed. Strings are quoted/escaped, numbers are bare,
+// booleans become 1/0, Dates become 'YYYY-MM-DDTHH:mm:ss' (UTC), and
+// eq/ne with null become IS NULL / IS NOT NULL.
+// A builder can be passed anywhere a `where` string is accepted.
+
+function quoteField(field) {
+  const f = String(field ?? "").trim();
+  if (!/^[A-Za-z_][A-Za-z0-9_.]*$/.test(f)) throw new Error(`Invalid Caspio field name: ${field}`);
+  return f;
+}
+
+export function formatWhereValue(value) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new Error("Invalid Date in Caspio where clause");
+    return `'${value.toISOString().slice(0, 19)}'`;
+  }
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) throw new Error(`Invalid number in Caspio where clause: ${value}`);
+    return String(value);
+  }
+  if (typeof value === "bigint") return String(value);
+  if (typeof value === "boolean") return value ? "1" : "0";
+  return `'${escapeWhereValue(value)}'`;
+}
+
+export class CaspioQuery {
+  constructor() {
+    this.clauses = [];
+    this.selectFields = [];
+    this.orderByParts = [];
+    this.limitCount = null;
+  }
+
+  // Escape hatch for an already-built clause
+  raw(clause) {
+    const c = String(clause ?? "").trim();
+    if (c) this.clauses.push(c);
+    return this;
+  }
+
+  compare(field, op, value) {
+    return this.raw(`${quoteField(field)}${op}${formatWhereValue(value)}`);
+  }
+
+  eq(field, value) {
+    return value == null ? this.isNull(field) : this.compare(field, "=", value);
+  }
+
+  ne(field, value) {
+    return value == null ? this.notNull(field) : this.compare(field, "<>", value);
+  }
+
+  gt(field, value) {
+    return this.compare(field, ">", value);
+  }
+
+  gte(field, value) {
+    return this.compare(field, ">=", value);
+  }
+
+  lt(field, value) {
+    return this.compare(field, "<", value);
+  }
+
+  lte(field, value) {
+    return this.compare(field, "<=", value);
+  }
+
+  in(field, values) {
+    const list = (Array.isArray(values) ? values : [values]).filter((v) => v != null);
+    // Empty IN () is invalid SQL; match nothing instead
+    if (!list.length) return this.raw("1=0");
+    return this.raw(`${quoteField(field)} IN (${list.map(formatWhereValue).join(",")})`);
+  }
+
+  between(field, low, high) {
+    return this.raw(`${quoteField(field)} BETWEEN ${formatWhereValue(low)} AND ${formatWhereValue(high)}`);
+  }
+
+  like(field, pattern) {
+    return this.raw(`${quoteField(field)} LIKE ${formatWhereValue(String(pattern ?? ""))}`);
+  }
+
+  isNull(field) {
+    return this.raw(`${quoteField(field)} IS NULL`);
+  }
+
+  notNull(field) {
+    return this.raw(`${quoteField(field)} IS NOT NULL`);
+  }
+
+  // Groups: each argument is a (q) => q... callback, a CaspioQuery, or a raw string.
+  and(...groups) {
+    return this.group(" AND ", groups);
+  }
+
+  or(...groups) {
+    return this.group(" OR ", groups);
+  }
+
+  group(joiner, groups) {
+    const parts = groups
+      .map((g) => {
+        if (typeof g === "function") return g(new CaspioQuery()).toString();
+        return String(g ?? "");
+      })
+      .map((p) => p.trim())
+      .filter(Boolean);
+
+    if (!parts.length) return this;
+    if (parts.length === 1) return this.raw(parts[0]);
+    return this.raw(`(${parts.map((p) => `(${p})`).join(joiner)})`);
+  }
+
+  select(...fields) {
+    for (const f of fields.flat()) this.selectFields.push(quoteField(f));
+    return this;
+  }
+
+  orderBy(field, direction = "ASC") {
+    const dir = String(direction).toUpperCase() === "DESC" ? "DESC" : "ASC";
+    this.orderByParts.push(`${quoteField(field)} ${dir}`);
+    return this;
+  }
+
+  limit(n) {
+    this.limitCount = n;
+    return this;
+  }
+
+  isEmpty() {
+    return this.clauses.length === 0;
+  }
+
+  toString() {
+    return this.clauses.join(" AND ");
+  }
+}
+
+export function caspioQuery() {
+  return new CaspioQuery();
+}
+
+// Split a `where` argument (string or CaspioQuery) into q.* pieces
+function queryParts(where) {
+  if (where instanceof CaspioQuery) {
+    return {
+      where: where.toString(),
+      select: where.selectFields,
+      orderBy: where.orderByParts,
+      groupBy: [],
+      limit: where.limitCount,
+    };
+  }
+  return { where: String(where ?? ""), select: [], orderBy: [], groupBy: [], limit: null };
+}
+
+// "A, B" | ["A", "B"] -> ["A", "B"]
+function fieldList(v) {
+  if (v == null) return [];
+  const list = Array.isArray(v) ? v : String(v).split(",");
+  return list.map((f) => String(f).trim()).filter(Boolean);
+}
+
+/**
+ * List/find helpers take either a numeric limit (legacy) or an options object:
+ *   { select, orderBy, groupBy, limit, pageSize }
+ * select/groupBy: array or comma string. orderBy: "Field DESC" string(s).
+ * Explicit options win over whatever a CaspioQuery builder carries.
+ */
+function normalizeListOptions(limitOrOptions) {
+  if (limitOrOptions == null) return {};
+  if (typeof limitOrOptions === "object") return { ...limitOrOptions };
+  return { limit: limitOrOptions };
+}
+
+function resolveQuery(where, opts = {}) {
+  const q = queryParts(where);
+  return {
+    where: q.where,
+    select: opts.select != null ? fieldList(opts.select) : q.select,
+    orderBy: opts.orderBy != null ? fieldList(opts.orderBy) : q.orderBy,
+    groupBy: opts.groupBy != null ? fieldList(opts.groupBy) : q.groupBy,
+    limit: opts.limit !== undefined ? opts.limit : q.limit,
+  };
+}
+
+// -------------------- Errors --------------------
+/**
+ * Typed error for every failed Caspio call, so callers can branch on
+ * `err.status` / `err.code` instead of regex-matching `err.message`.
+ * The message keeps the old "Caspio error <status>: <body>" shape for logs.
+ */
+export class CaspioError extends Error {
+  constructor(
+    message,
+    { status = 0, code = null, missingFields = [], raw = null, method = null, path = null, attempts = 1, cause } = {}
+  ) {
+    super(message);
+    this.name = "CaspioError";
+    this.status = status; // HTTP status (0 = network / no response)
+    this.code = code; // Caspio "Code" (e.g. ColumnNotFound) or NetworkError / TokenError
+    this.missingFields = missingFields; // ColumnNotFound: field names Caspio rejected
+    this.raw = raw; // parsed JSON error body (or text when not JSON)
+    this.method = method;
+    this.path = path; // request path (no host, no token)
+    this.attempts = attempts;
+    if (cause) this.cause = cause;
+  }
+
+  get retryable() {
+    return this.status === 0 || RETRYABLE_STATUSES.has(this.status);
+  }
+
+  get isColumnNotFound() {
+    return this.code === "ColumnNotFound" || this.missingFields.length > 0;
+  }
+}
+
+// Caspio error body: { Code, Message, Resource, RequestId }
+// ColumnNotFound Message: "...the following field(s) do not exist: 'A', 'B'"
+function parseCaspioErrorBody(text) {
+  let raw = text || null;
+  try {
+    raw = text ? JSON.parse(text) : null;
+  } catch {}
+
+  const obj = raw && typeof raw === "object" ? raw : {};
+  const code = obj.Code || obj.code || obj.error || null;
+  const message = String(obj.Message || obj.message || (typeof raw === "string" ? raw : ""));
+
+  const missingFields = [];
+  if (code === "ColumnNotFound" || /do not exist/i.test(message)) {
+    const after = message.split(/do not exist:?/i)[1] || "";
+    for (const m of after.matchAll(/'([^']+)'/g)) missingFields.push(m[1]);
+  }
+
+  return { code, missingFields, raw };
+}
+
 // -------------------- Token cache --------------------
 let cachedToken = null;
 let cachedTokenExp = 0;
@@ -92,11 +346,11 @@ export async function getCaspioAccessToken() {
 
   const body = new URLSearchParams({
     grant_type: "client_credentials",
-    client_id: process.env.CASPIO_CLIENT_ID,
-    client_secret: process.env.CASPIO_CLIENT_SECRET
+    client_id: clientId(),
+    client_secret: clientSecret()
   });
 
-  const resp = await fetch(process.env.CASPIO_TOKEN_URL, {
+  const resp = await fetch(tokenUrl(), {
     method: "POST",
     headers: {
       "Content-Type": "application/x-www-form-urlencoded"
@@ -107,17 +361,38 @@ export async function getCaspioAccessToken() {
   const text = await resp.text();
 
   if (!resp.ok) {
-    throw new Error(`Caspio token error ${resp.status}: ${text}`);
+    throw new CaspioError(`Caspio token error ${resp.status}: ${text}`, {
+      status: resp.status,
+      code: "TokenError",
+      raw: text.slice(0, 400),
+      method: "POST",
+      path: "/oauth/token",
+    });
   }
 
   let json;
   try {
     json = JSON.parse(text);
   } catch {
-    throw new Error(`Caspio token JSON parse failed: ${text.slice(0,200)}`);
+    throw new CaspioError(`Caspio token JSON parse failed: ${text.slice(0,200)}`, {
+      status: resp.status,
+      code: "TokenError",
+      raw: text.slice(0, 400),
+      method: "POST",
+      path: "/oauth/token",
+    });
   }
 
   const token = json.access_token;
+  if (!token) {
+    throw new CaspioError("Caspio token response missing access_token", {
+      status: resp.status,
+      code: "TokenError",
+      raw: json,
+      method: "POST",
+      path: "/oauth/token",
+    });
+  }
   const expires = Number(json.expires_in || 3600);
 
   cachedToken = token;
@@ -125,73 +400,296 @@ export async function getCaspioAccessToken() {
 
   return token;
 }
+
+// Forget the cached token (next call fetches a fresh one)
+export function clearCaspioAccessToken() {
+  cachedToken = null;
+  cachedTokenExp = 0;
+}
+
+// Epoch ms when the cached token expires (0 = none cached)
+export function getCaspioAccessTokenExpiresAt() {
+  return cachedToken ? cachedTokenExp : 0;
+}
+
+// -------------------- Retry / backoff --------------------
+// Env overrides:
+//   CASPIO_MAX_RETRIES         default: 3     (retries after the first attempt)
+//   CASPIO_RETRY_BASE_MS       default: 300   (exponential base, full jitter)
+//   CASPIO_RETRY_MAX_DELAY_MS  default: 8000  (a longer Retry-After gives up instead of waiting)
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+
+function envInt(name, fallback) {
+  const raw = String(process.env[name] ?? "").trim();
+  if (!raw) return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+function retryConfig() {
+  return {
+    maxRetries: envInt("CASPIO_MAX_RETRIES", 3),
+    baseMs: envInt("CASPIO_RETRY_BASE_MS", 300),
+    maxDelayMs: envInt("CASPIO_RETRY_MAX_DELAY_MS", 8000),
+  };
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfterMs(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function backoffMs(attempt, { baseMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
 /**
  * ✅ EXPORTED (optional but useful)
  * Authenticated fetch for Caspio REST.
+ *
+ * - Retries 408/429/5xx and network errors with jittered exponential backoff,
+ *   honoring Retry-After. Only idempotent verbs retry unless `retryNonIdempotent: true`
+ *   (a retried POST could insert twice).
+ * - On 401 the cached token is dropped and the request is replayed once.
+ * - Failures throw CaspioError.
  */
-export async function caspioFetch(path, { method = "GET", headers = {}, body } = {}) {
-  const token = await getCaspioAccessToken();
+export async function caspioFetch(
+  path,
+  { method = "GET", headers = {}, body, retries, retryNonIdempotent = false } = {}
+) {
+  const verb = String(method).toUpperCase();
+  const cfg = retryConfig();
+  const maxRetries = Number.isFinite(Number(retries)) ? Number(retries) : cfg.maxRetries;
+  const canRetry = retryNonIdempotent || IDEMPOTENT_METHODS.has(verb);
   const url = `${integrationBase()}${path}`;
 
-  const resp = await fetch(url, {
-    method,
-    headers: {
-      Authorization: `Bearer ${token}`,
-      ...headers,
-    },
-    body,
-  });
+  let refreshedToken = false;
 
-  const text = await resp.text().catch(() => "");
+  for (let attempt = 0; ; attempt++) {
+    const token = await getCaspioAccessToken();
 
-  if (!resp.ok) {
-    const preview = String(text || "").slice(0, 350);
-    throw new Error(`Caspio error ${resp.status}: ${preview}`);
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: verb,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...headers,
+        },
+        body,
+      });
+    } catch (e) {
+      const err = new CaspioError(`Caspio network error: ${e?.message || e}`, {
+        code: "NetworkError",
+        method: verb,
+        path,
+        attempts: attempt + 1,
+        cause: e,
+      });
+      if (!canRetry || attempt >= maxRetries) throw err;
+
+      const wait = backoffMs(attempt, cfg);
+      console.warn(`⚠️ Caspio ${verb} network error, retry ${attempt + 1}/${maxRetries} in ${wait}ms`);
+      await sleep(wait);
+      continue;
+    }
+
+    const text = await resp.text().catch(() => "");
+
+    if (!resp.ok) {
+      // Expired/revoked token: drop cache, replay once (safe for any verb; Caspio rejected it)
+      if (resp.status === 401 && !refreshedToken) {
+        refreshedToken = true;
+        clearCaspioAccessToken();
+        attempt--;
+        continue;
+      }
+
+      const preview = String(text || "").slice(0, 350);
+      const err = new CaspioError(`Caspio error ${resp.status}: ${preview}`, {
+        status: resp.status,
+        ...parseCaspioErrorBody(text),
+        method: verb,
+        path,
+        attempts: attempt + 1,
+      });
+
+      if (!canRetry || !err.retryable || attempt >= maxRetries) throw err;
+
+      const retryAfter = parseRetryAfterMs(resp.headers.get("retry-after"));
+      if (retryAfter != null && retryAfter > cfg.maxDelayMs) throw err;
+
+      const wait = retryAfter != null ? retryAfter : backoffMs(attempt, cfg);
+      console.warn(`⚠️ Caspio ${verb} ${resp.status}, retry ${attempt + 1}/${maxRetries} in ${wait}ms`);
+      await sleep(wait);
+      continue;
+    }
+
+    const ct = resp.headers.get("content-type") || "";
+    if (ct.includes("application/json")) {
+      try {
+        return text ? JSON.parse(text) : {};
+      } catch {
+        const preview = String(text || "").slice(0, 250);
+        throw new CaspioError(`Caspio JSON parse failed. Body starts: ${preview}`, {
+          status: resp.status,
+          code: "InvalidJson",
+          method: verb,
+          path,
+          attempts: attempt + 1,
+        });
+      }
+    }
+    return text;
   }
+}
 
-  const ct = resp.headers.get("content-type") || "";
-  if (ct.includes("application/json")) {
+// -------------------- Paging --------------------
+// Caspio caps a single response at 1000 rows (q.limit / q.pageSize), so anything
+// bigger has to be walked page by page with q.pageNumber.
+const CASPIO_MAX_PAGE_SIZE = 1000;
+const CASPIO_MIN_PAGE_SIZE = 5;
+const CASPIO_MAX_PAGES = 500; // runaway guard (500k rows)
+
+// Caspio only pages consistently under an explicit order, so table reads without one are
+// ordered by PK_ID. Tables that turn out not to have it are remembered and read unordered.
+const DEFAULT_ORDER_BY = "PK_ID";
+const tablesWithoutDefaultOrder = new Set();
+
+function normalizeLimit(limit) {
+  // Infinity / null / 0 => no cap (read every page)
+  if (limit == null || limit === Infinity) return Infinity;
+  const n = Math.floor(Number(limit));
+  return Number.isFinite(n) && n > 0 ? n : Infinity;
+}
+
+function pickRows(json) {
+  const rows = json?.Result || json?.result || [];
+  return Array.isArray(rows) ? rows : [];
+}
+
+async function fetchRecordsPage(kind, name, query, { pageNumber, pageSize }) {
+  const parts = [];
+  if (query.where) parts.push(`q.where=${encodeWhere(query.where)}`);
+  if (query.select.length) parts.push(`q.select=${encodeURIComponent(query.select.join(","))}`);
+  if (query.orderBy.length) parts.push(`q.orderBy=${encodeURIComponent(query.orderBy.join(","))}`);
+  if (query.groupBy.length) parts.push(`q.groupBy=${encodeURIComponent(query.groupBy.join(","))}`);
+  parts.push(`q.pageNumber=${Number(pageNumber)}`, `q.pageSize=${Number(pageSize)}`);
+  const path = `/rest/v2/${kind}/${encodeURIComponent(name)}/records?${parts.join("&")}`;
+  return pickRows(await caspioFetch(path));
+}
+
+async function* iterateRecords(kind, name, where, opts = {}) {
+  const query = resolveQuery(where, opts);
+  // Views expose prefixed key columns and grouped rows have none: those callers pass orderBy
+  let defaultOrder =
+    kind === "tables" && !query.orderBy.length && !query.groupBy.length && !tablesWithoutDefaultOrder.has(name);
+  if (defaultOrder) query.orderBy = [DEFAULT_ORDER_BY];
+
+  const pageSize = opts.pageSize;
+  const cap = normalizeLimit(query.limit);
+  const size = Math.max(
+    CASPIO_MIN_PAGE_SIZE,
+    Math.min(CASPIO_MAX_PAGE_SIZE, Number(pageSize) || CASPIO_MAX_PAGE_SIZE, cap)
+  );
+
+  let yielded = 0;
+  for (let pageNumber = 1; pageNumber <= CASPIO_MAX_PAGES; pageNumber++) {
+    let rows;
     try {
-      return text ? JSON.parse(text) : {};
-    } catch {
-      const preview = String(text || "").slice(0, 250);
-      throw new Error(`Caspio JSON parse failed. Body starts: ${preview}`);
+      rows = await fetchRecordsPage(kind, name, query, { pageNumber, pageSize: size });
+    } catch (err) {
+      const noPkId = err instanceof CaspioError && err.missingFields.includes(DEFAULT_ORDER_BY);
+      if (!defaultOrder || pageNumber > 1 || !noPkId) throw err;
+
+      console.warn(`⚠️ Caspio tables/${name} has no ${DEFAULT_ORDER_BY}; paging it unordered`);
+      tablesWithoutDefaultOrder.add(name);
+      defaultOrder = false;
+      query.orderBy = [];
+      rows = await fetchRecordsPage(kind, name, query, { pageNumber, pageSize: size });
     }
+
+    for (const row of rows) {
+      if (yielded >= cap) {
+        // findOne-style lookups (cap 1) truncate on purpose; anything else is worth a log line
+        if (cap > 1) console.warn(`⚠️ Caspio ${kind}/${name}: stopped at hard cap of ${cap} rows (more exist)`);
+        return;
+      }
+      yielded++;
+      yield row;
+    }
+
+    // Short page => last page
+    if (rows.length < size) return;
   }
-  return text;
+
+  console.warn(`⚠️ Caspio ${kind}/${name}: gave up after ${CASPIO_MAX_PAGES} pages`);
+}
+
+// Legacy default cap for list helpers when neither options nor builder set one
+function withDefaultLimit(where, limitOrOptions) {
+  const opts = normalizeListOptions(limitOrOptions);
+  if (opts.limit === undefined) opts.limit = queryParts(where).limit ?? 100;
+  return opts;
+}
+
+async function collect(iterable) {
+  const out = [];
+  for await (const row of iterable) out.push(row);
+  return out;
 }
 
 // -------------------- Core table helpers --------------------
-export async function listRecordsByWhere(table, where, limit = 100) {
-  const q = `q.where=${encodeWhere(where)}&q.limit=${Number(limit)}`;
-  const path = `/rest/v2/tables/${encodeURIComponent(table)}/records?${q}`;
-  const json = await caspioFetch(path);
-  const rows = json?.Result || json?.result || [];
-  return Array.isArray(rows) ? rows : [];
+
+/**
+ * Async iterator over every matching table row, one Caspio page at a time.
+ *   for await (const row of iterateRecordsByWhere(table, where)) { ... }
+ * Options: { select, orderBy (default PK_ID), groupBy, limit (hard cap, default none),
+ *            pageSize (default 1000) }
+ */
+export function iterateRecordsByWhere(table, where, opts = {}) {
+  return iterateRecords("tables", table, where, opts);
 }
 
-export async function findOneByWhereInTable(table, where) {
-  const rows = await listRecordsByWhere(table, where, 1);
+/**
+ * Returns ALL matching rows (walks q.pageNumber/q.pageSize until exhausted).
+ * Third arg: a numeric hard cap or { select, orderBy, groupBy, limit }.
+ * The cap defaults to the builder's .limit(), else 100; pass Infinity to read everything.
+ */
+export async function listRecordsByWhere(table, where, limitOrOptions) {
+  return await collect(iterateRecordsByWhere(table, where, withDefaultLimit(where, limitOrOptions)));
+}
+
+export async function findOneByWhereInTable(table, where, options = {}) {
+  const rows = await listRecordsByWhere(table, where, { ...options, limit: 1 });
   return rows[0] || null;
 }
 
 // ✅ NEW: view helpers (Caspio REST uses /views, not /tables)
-export async function listViewRecordsByWhere(view, where, limit = 100) {
-  const q = `q.where=${encodeWhere(where)}&q.limit=${Number(limit)}`;
-  const path = `/rest/v2/views/${encodeURIComponent(view)}/records?${q}`;
-  const json = await caspioFetch(path);
-  const rows = json?.Result || json?.result || [];
-  return Array.isArray(rows) ? rows : [];
+export function iterateViewRecordsByWhere(view, where, opts = {}) {
+  return iterateRecords("views", view, where, opts);
+}
+
+export async function listViewRecordsByWhere(view, where, limitOrOptions) {
+  return await collect(iterateViewRecordsByWhere(view, where, withDefaultLimit(where, limitOrOptions)));
 }
 
-export async function findOneByWhereInView(view, where) {
-  const rows = await listViewRecordsByWhere(view, where, 1);
+export async function findOneByWhereInView(view, where, options = {}) {
+  const rows = await listViewRecordsByWhere(view, where, { ...options, limit: 1 });
   return rows[0] || null;
 }
 
 // Backward-friendly helper (default table)
-export async function findOneByWhere(where) {
-  return await findOneByWhereInTable(defaultTable(), where);
+export async function findOneByWhere(where, options = {}) {
+  return await findOneByWhereInTable(defaultTable(), where, options);
 }
 
 export async function insertRecord(table, payload) {
@@ -204,6 +702,8 @@ export async function insertRecord(table, payload) {
 }
 
 export async function updateRecordByWhere(table, where, payload) {
+  // An empty where would update every row in the table
+  if (!String(where ?? "").trim()) throw new Error("updateRecordByWhere requires a where clause");
   const q = `q.where=${encodeWhere(where)}`;
   const path = `/rest/v2/tables/${encodeURIComponent(table)}/records?${q}`;
   return await caspioFetch(path, {
@@ -213,27 +713,66 @@ export async function updateRecordByWhere(table, where, payload) {
   });
 }
 
+export async function deleteRecordsByWhere(table, where) {
+  if (!String(where ?? "").trim()) throw new Error("deleteRecordsByWhere requires a where clause");
+  const q = `q.where=${encodeWhere(where)}`;
+  const path = `/rest/v2/tables/${encodeURIComponent(table)}/records?${q}`;
+  return await caspioFetch(path, { method: "DELETE" });
+}
+
+/**
+ * Schema-drift tolerant write: insert when `where` is empty, otherwise update.
+ * If Caspio answers ColumnNotFound, the rejected fields are dropped and the
+ * write is retried (a few rounds, in case Caspio reports them one at a time).
+ */
+export async function writeResilient(table, where, payload, { maxRounds = 3 } = {}) {
+  let body = { ...payload };
+
+  for (let round = 0; ; round++) {
+    try {
+      return where
+        ? await updateRecordByWhere(table, where, body)
+        : await insertRecord(table, body);
+    } catch (err) {
+      if (!(err instanceof CaspioError) || !err.isColumnNotFound || round >= maxRounds) throw err;
+
+      const missing = err.missingFields.filter((f) => f in body);
+      if (!missing.length) throw err;
+
+      const trimmed = { ...body };
+      for (const f of missing) delete trimmed[f];
+      if (Object.keys(trimmed).length === 0) throw err;
+
+      console.warn(`⚠️ ${table} ColumnNotFound. Retrying without fields:`, missing);
+      body = trimmed;
+    }
+  }
+}
+
 // -------------------- Reservations --------------------
 export function buildWhereForIdKey(idkey) {
-  const safe = escapeWhereValue(idkey);
-  return `${keyField()}='${safe}'`;
+  return caspioQuery().eq(keyField(), String(idkey ?? "")).toString();
 }
 
-export async function getReservationByIdKey(idkey) {
+export async function getReservationByIdKey(idkey, options = {}) {
   const where = buildWhereForIdKey(idkey);
-  return await findOneByWhereInTable(defaultTable(), where);
+  return await findOneByWhereInTable(defaultTable(), where, options);
 }
 
-export async function getReservationByResId(resId) {
-  const safe = escapeWhereValue(resId);
-  const where = `${resIdField()}='${safe}'`;
-  return await findOneByWhereInTable(defaultTable(), where);
+export async function getReservationByResId(resId, options = {}) {
+  const where = caspioQuery().eq(resIdField(), String(resId ?? ""));
+  return await findOneByWhereInTable(defaultTable(), where, options);
 }
 
 export async function updateReservationByWhere(where, payload) {
   return await updateRecordByWhere(defaultTable(), where, payload);
 }
 
+// Same, but drops columns the reservation table doesn't have (see writeResilient)
+export async function updateReservationResilient(where, payload) {
+  return await writeResilient(defaultTable(), where, payload);
+}
+
 // -------------------- Optional Billing View (for webhook email/branding enrichment) --------------------
 function resBillingViewName() {
   // Your env var name:
@@ -241,15 +780,14 @@ function resBillingViewName() {
   return String(process.env.CASPIO_RES_BILLING_VIEW || "").trim();
 }
 
-export async function getResBillingEditViewRowByIdKey(idkey) {
+export async function getResBillingEditViewRowByIdKey(idkey, options = {}) {
   const view = resBillingViewName();
   if (!view) return null; // silent skip if not configured
 
-  const safe = escapeWhereValue(idkey);
-  const where = `IDKEY='${safe}'`;
+  const where = caspioQuery().eq("IDKEY", String(idkey ?? ""));
 
   // ✅ IMPORTANT: Views are accessed via /views endpoint
-  return await findOneByWhereInView(view, where);
+  return await findOneByWhereInView(view, where, options);
 }
 
 // -------------------- Transactions: idempotent insert --------------------
@@ -261,9 +799,8 @@ export async function insertTransactionIfMissingByRawEventId(txnPayload) {
   const rawEventId = txnPayload?.RawEventId;
   if (!rawEventId) throw new Error("Transaction payload missing RawEventId");
 
-  const safeEvent = escapeWhereValue(rawEventId);
   {
-    const where = `RawEventId='${safeEvent}'`;
+    const where = caspioQuery().eq("RawEventId", String(rawEventId));
     const existing = await findOneByWhereInTable(table, where).catch(() => null);
     if (existing) return { ok: true, skipped: true, reason: "raw_event_exists" };
   }
@@ -273,37 +810,45 @@ export async function insertTransactionIfMissingByRawEventId(txnPayload) {
   const ch = txnPayload?.StripeChargeId ? String(txnPayload.StripeChargeId) : "";
   const rf = txnPayload?.StripeRefundId ? String(txnPayload.StripeRefundId) : "";
 
-  const clauses = [];
+  const idFields = [];
 
   if (txntype === "charge") {
-    if (pi) clauses.push(`(TxnType='charge' AND StripePaymentIntentId='${escapeWhereValue(pi)}')`);
-    if (ch) clauses.push(`(TxnType='charge' AND StripeChargeId='${escapeWhereValue(ch)}')`);
+    if (pi) idFields.push(["StripePaymentIntentId", pi]);
+    if (ch) idFields.push(["StripeChargeId", ch]);
   } else if (txntype === "refund") {
-    if (rf) clauses.push(`(TxnType='refund' AND StripeRefundId='${escapeWhereValue(rf)}')`);
-    if (pi) clauses.push(`(TxnType='refund' AND StripePaymentIntentId='${escapeWhereValue(pi)}')`);
-    if (ch) clauses.push(`(TxnType='refund' AND StripeChargeId='${escapeWhereValue(ch)}')`);
+    // A charge can have several partial refunds: only fall back to PI/charge ids when the
+    // row carries no refund id
+    if (rf) idFields.push(["StripeRefundId", rf]);
+    else {
+      if (pi) idFields.push(["StripePaymentIntentId", pi]);
+      if (ch) idFields.push(["StripeChargeId", ch]);
+    }
+  } else if (txntype === "failed") {
+    // charge.failed + payment_intent.payment_failed describe the same declined charge
+    if (ch) idFields.push(["StripeChargeId", ch]);
   }
 
-  if (clauses.length) {
-    const where = clauses.join(" OR ");
+  if (idFields.length) {
+    const where = caspioQuery().or(
+      ...idFields.map(([field, value]) => (q) => q.eq("TxnType", txntype).eq(field, value))
+    );
     const existing = await findOneByWhereInTable(table, where).catch(() => null);
     if (existing) return { ok: true, skipped: true, reason: "stripe_id_exists", existing };
   }
 
-  // 2) Insert
-  const inserted = await insertRecord(table, txnPayload);
+  // 2) Insert (drops columns the TXN table doesn't have)
+  const inserted = await writeResilient(table, null, txnPayload);
   return { ok: true, inserted };
 }
 
 // -------------------- Transactions: reads --------------------
-export async function listTransactionsByIdKey(idkey, limit = 500) {
+export async function listTransactionsByIdKey(idkey, limit = Infinity) {
   const table = txnTable();
-  const safe = escapeWhereValue(idkey);
-  return await listRecordsByWhere(table, `IDKEY='${safe}'`, limit);
+  return await listRecordsByWhere(table, caspioQuery().eq("IDKEY", String(idkey ?? "")), limit);
 }
 
 // Optional convenience if you need custom filters from the UI/API
-export async function listTransactionsByWhere(where, limit = 500) {
+export async function listTransactionsByWhere(where, limit = Infinity) {
   const table = txnTable();
   return await listRecordsByWhere(table, where, limit);
 }
@@ -312,29 +857,38 @@ export async function listTransactionsByWhere(where, limit = 500) {
 export async function rollupTotalsForIdKey(idKey) {
   const tTable = txnTable();
   const rTable = totalResTable();
-  const safeId = escapeWhereValue(idKey);
+  const byIdKey = caspioQuery().eq("IDKEY", String(idKey ?? "")).toString();
 
-  // Pull txns for this IDKEY (cap 500)
-  const txns = await listRecordsByWhere(tTable, `IDKEY='${safeId}'`, 500);
+  // Pull ALL txns for this IDKEY (paged) so totals never come from a partial set
+  const txns = await listRecordsByWhere(tTable, byIdKey, Infinity);
 
   const toNum = (v) => {
     const n = Number(v);
     return Number.isFinite(n) ? n : 0;
   };
 
+  // Disputes move money too: "dispute" rows are negative (funds withdrawn),
+  // "dispute_reversal" rows positive (funds reinstated after a win). Gift card redemptions
+  // pay like charges ("giftcard_refund" rows put them back on the card).
+  const COUNTED = new Set(["charge", "refund", "dispute", "dispute_reversal", "giftcard_redeem", "giftcard_refund"]);
+
   const sums = txns.reduce(
     (a, t) => {
       const tt = String(t.TxnType || "").toLowerCase();
-      if (tt !== "charge" && tt !== "refund") return a;
+      // Promo discounts are price given away, not money: tracked apart from the charged totals
+      if (tt === "discount") a.discount -= toNum(t.Amount);
+      if (!COUNTED.has(tt)) return a;
 
       a.base += toNum(t.Base_Amount);
       a.grat += toNum(t.Auto_Gratuity);
       a.tax += toNum(t.Tax);
       a.fee += toNum(t.Fee);
       a.amount += toNum(t.Amount);
+      if (tt === "dispute" || tt === "dispute_reversal") a.disputed -= toNum(t.Amount);
+      if (tt === "giftcard_redeem" || tt === "giftcard_refund") a.giftcard += toNum(t.Amount);
       return a;
     },
-    { base: 0, grat: 0, tax: 0, fee: 0, amount: 0 }
+    { base: 0, grat: 0, tax: 0, fee: 0, amount: 0, disputed: 0, discount: 0, giftcard: 0 }
   );
 
   const payload = {
@@ -345,15 +899,24 @@ export async function rollupTotalsForIdKey(idKey) {
     Total_Charged_Tax: Number(sums.tax.toFixed(2)),
     Total_Charged_Fee: Number(sums.fee.toFixed(2)),
     Total_Charged_Amount: Number(sums.amount.toFixed(2)),
+
+    // Net amount currently held by open/lost disputes (optional column)
+    Total_Disputed_Amount: Number(sums.disputed.toFixed(2)),
+
+    // Promo discounts given on this reservation (optional column)
+    Total_Discount_Amount: Number(sums.discount.toFixed(2)),
+
+    // Part of Total_Charged_Amount paid with gift cards (optional column)
+    Total_GiftCard_Amount: Number(sums.giftcard.toFixed(2)),
   };
 
-  const existing = await findOneByWhereInTable(rTable, `IDKEY='${safeId}'`).catch(() => null);
+  const existing = await findOneByWhereInTable(rTable, byIdKey).catch(() => null);
 
   if (existing) {
-    await updateRecordByWhere(rTable, `IDKEY='${safeId}'`, payload);
+    await writeResilient(rTable, byIdKey, payload);
     return { ok: true, action: "updated", payload };
   } else {
-    await insertRecord(rTable, payload);
+    await writeResilient(rTable, null, payload);
     return { ok: true, action: "inserted", payload };
   }
 }
@@ -0,0 +1,194 @@
+// lib/disputes.js
+//
+// Disputes (chargebacks): ledger lookups, reservation flag fields and the evidence bundle
+// staff submit to Stripe.
+//
+// Ledger (SIGMA_BAR3_Transactions), written by stripe-webhook:
+//   TxnType "dispute"           funds withdrawn   (negative amounts, pro-rated like refunds)
+//   TxnType "dispute_reversal"  funds reinstated  (positive; only when the dispute is won)
+// Both carry StripeDisputeId + ParentTxnId (TXN_ID of the disputed charge row) and are
+// netted into SIGMA_BAR3_TOTAL_RES by rollupTotalsForIdKey.
+
+import { caspioQuery, findOneByWhereInTable, listRecordsByWhere, updateRecordByWhere } from "./caspio";
+
+export const DISPUTE_TXN_TYPES = Object.freeze({
+  WITHDRAWN: "dispute",
+  REINSTATED: "dispute_reversal",
+});
+
+const MAX_EVIDENCE_FIELD = 20000; // Stripe's per-field limit for text evidence
+
+function txnTable() {
+  return process.env.CASPIO_TXN_TABLE || "SIGMA_BAR3_Transactions";
+}
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function money(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? `$${x.toFixed(2)}` : "";
+}
+
+// Inquiries ("warning_*") never move money; real disputes withdraw the amount when opened
+export function disputeWithdrawsFunds(dispute) {
+  return !String(dispute?.status || "").startsWith("warning_");
+}
+
+export function isDisputeClosed(status) {
+  return ["won", "lost", "warning_closed"].includes(String(status || ""));
+}
+
+export function disputeChargeId(dispute) {
+  const c = dispute?.charge;
+  return typeof c === "string" ? c : c?.id || null;
+}
+
+// The ledger row of the charge being disputed
+export async function findOriginalChargeTxn(chargeId) {
+  if (!chargeId) return null;
+  const where = caspioQuery().eq("TxnType", "charge").eq("StripeChargeId", String(chargeId));
+  return await findOneByWhereInTable(txnTable(), where);
+}
+
+export async function listDisputeTxns(disputeId) {
+  const where = caspioQuery()
+    .eq("StripeDisputeId", String(disputeId))
+    .in("TxnType", Object.values(DISPUTE_TXN_TYPES));
+  return await listRecordsByWhere(txnTable(), where, Infinity);
+}
+
+// Keeps the ledger rows' Status in step with the dispute (needs_response -> under_review -> won/lost)
+export async function updateDisputeTxnStatus(disputeId, status) {
+  const where = caspioQuery()
+    .eq("StripeDisputeId", String(disputeId))
+    .in("TxnType", Object.values(DISPUTE_TXN_TYPES));
+  return await updateRecordByWhere(txnTable(), where, { Status: String(status || "") });
+}
+
+// Reservation flag (DisputeStatus non-empty = disputed)
+export function disputeFlagFields(dispute) {
+  return {
+    DisputeId: dispute?.id || null,
+    DisputeStatus: dispute?.status || null,
+    DisputeReason: dispute?.reason || null,
+    DisputeAmount: typeof dispute?.amount === "number" ? Number((dispute.amount / 100).toFixed(2)) : null,
+    DisputeUpdatedAt: new Date().toISOString(),
+  };
+}
+
+function sessionStart(viewRow, reservation) {
+  const raw =
+    viewRow?.BAR2_Sessions_Date_Start_Time ||
+    viewRow?.BAR2_Sessions_Date ||
+    reservation?.Session_Date ||
+    null;
+  const d = raw ? new Date(raw) : null;
+  return d && !Number.isNaN(d.getTime()) ? d : null;
+}
+
+function cancelWindowHours(viewRow, reservation) {
+  for (const c of [viewRow?.BAR2_Primary_Config_Cancel_Hour_Window, reservation?.Cancel_Hour_Window]) {
+    const n = Number(c);
+    if (c !== null && c !== "" && Number.isFinite(n) && n >= 0) return n;
+  }
+  return null;
+}
+
+function receiptLine(t) {
+  const when = oneLine(t.Transaction_date || t.CreatedAt).slice(0, 10);
+  const card = [t.Card_brand, t.Card_number_masked].filter(Boolean).join(" ");
+  return [
+    `TXN ${t.TXN_ID ?? "?"}`,
+    when,
+    String(t.TxnType || ""),
+    money(t.Amount),
+    oneLine(t.Description || t.Charge_Type),
+    card,
+  ]
+    .filter(Boolean)
+    .join(" | ");
+}
+
+/**
+ * Builds Stripe dispute evidence from what we know about the booking.
+ * Pure: callers load the rows (see pages/api/dispute-evidence).
+ *
+ * @param {object} opts
+ *   reservation  BAR2_Reservations_SIGMA row
+ *   viewRow      SIGMA_VW_Res_Billing_Edit row (session start, cancel window, business unit)
+ *   txns         ledger rows for the IDKEY
+ *   now          for "session already happened"
+ * @returns {{ evidence: object, summary: object }}
+ */
+export function assembleDisputeEvidence({ reservation, viewRow = null, txns = [], now = new Date() }) {
+  const r = reservation || {};
+  const name = [r.First_Name, r.Last_Name].map(oneLine).filter(Boolean).join(" ");
+  const start = sessionStart(viewRow, r);
+  const windowHrs = cancelWindowHours(viewRow, r);
+  const businessName = oneLine(viewRow?.GEN_Business_Units_DBA || r.Units_DBA || r.Business_Unit);
+
+  const status = oneLine(r.Status);
+  const attended = status.toLowerCase() === "booked" && !!start && start.getTime() < now.getTime();
+
+  const product = [
+    oneLine(r.Sessions_Title) || oneLine(r.Item),
+    [oneLine(r.Item), oneLine(r.People_Text)].filter(Boolean).join(", "),
+    businessName && `at ${businessName}`,
+    r.Confirmation_Number != null && `confirmation #${r.Confirmation_Number}`,
+  ]
+    .filter(Boolean)
+    .join(" — ");
+
+  const policy = [
+    r.Cancelation_Policy
+      ? `The customer accepted the cancellation policy when booking (recorded answer: "${oneLine(r.Cancelation_Policy)}").`
+      : "",
+    windowHrs != null ? `Cancellations must be made at least ${windowHrs} hours before the session start.` : "",
+    r.Charge_Type ? `Charge type: ${oneLine(r.Charge_Type)}.` : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  const attendance = [
+    `Reservation status: ${status || "unknown"}.`,
+    start ? `Session start: ${start.toISOString()}.` : "",
+    attended ? "The session took place and the reservation was never cancelled." : "",
+    r.StatusChangedAt ? `Last status change: ${oneLine(r.StatusChangedAt)} (${oneLine(r.StatusChangedBy)}).` : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  const receipts = txns
+    .filter((t) => ["charge", "refund"].includes(String(t.TxnType || "").toLowerCase()))
+    .map(receiptLine);
+
+  const clip = (s) => String(s || "").slice(0, MAX_EVIDENCE_FIELD) || undefined;
+
+  const evidence = {
+    customer_name: clip(name),
+    customer_email_address: clip(oneLine(r.Email)),
+    product_description: clip(product),
+    service_date: start ? start.toISOString().slice(0, 10) : clip(oneLine(r.Session_Date).slice(0, 10)),
+    cancellation_policy_disclosure: clip(policy),
+    access_activity_log: clip(attendance),
+    uncategorized_text: clip(receipts.length ? `Receipts:\n${receipts.join("\n")}` : ""),
+  };
+
+  for (const k of Object.keys(evidence)) if (evidence[k] === undefined) delete evidence[k];
+
+  return {
+    evidence,
+    summary: {
+      idkey: r.IDKEY || null,
+      confirmation_number: r.Confirmation_Number ?? null,
+      status: status || null,
+      session_start: start ? start.toISOString() : null,
+      session_attended: attended,
+      cancel_window_hours: windowHrs,
+      policy_accepted: !!r.Cancelation_Policy,
+      receipts: receipts.length,
+    },
+  };
+}
@@ -0,0 +1,465 @@
+// lib/giftcards.js
+//
+// Gift cards / stored-value credit (SIGMA_BAR3_Gift_Cards).
+//
+// Purchase: /api/giftcard-purchase inserts a Pending card and sends the buyer to Stripe
+// Checkout (metadata purpose "gift_card"); the webhook activates it (Balance = Initial_Amount)
+// and emails the code. A card with a Business_Unit is only good at that venue.
+//
+// Redemption: redeemGiftCard debits the balance and records a TxnType "giftcard_redeem"
+// ledger row on the reservation, split over base / grat / tax / fee like the charge it pays
+// for. Whatever the card doesn't cover goes to Stripe as usual (/api/paystart Pay Now
+// totals, /api/charge-adjustment supplemental charges). When an unpaid reservation is
+// abandoned its redemptions are put back on the card (TxnType "giftcard_refund"); refunds
+// (lib/cancel-refund, lib/reschedule) put the card's share back the same way. lib/ledger
+// lists redemptions next to Stripe charges (getIdKeyBalance) so they're refunded in turn.
+//
+// The balance is only written with a conditional update (Code + the Balance just read), so
+// two redemptions racing for the same card can't both spend it.
+//
+// Env:
+//   CASPIO_GIFT_CARD_TABLE   default SIGMA_BAR3_Gift_Cards
+//   GIFT_CARD_MIN_AMOUNT     smallest card sold (default 10)
+//   GIFT_CARD_MAX_AMOUNT     largest card sold (default 500)
+
+import crypto from "crypto";
+import {
+  caspioQuery,
+  findOneByWhereInTable,
+  listRecordsByWhere,
+  updateRecordByWhere,
+  writeResilient,
+} from "./caspio";
+import { allocateRefund, componentFields, recordLedgerTxn } from "./ledger";
+import { sendCustomerEmail } from "./customer-email";
+
+export const GIFT_CARD_STATUS = Object.freeze({
+  PENDING: "Pending",
+  ACTIVE: "Active",
+  VOID: "Void",
+});
+
+export const GIFT_CARD_TXN_TYPES = Object.freeze({
+  REDEEM: "giftcard_redeem",
+  REFUND: "giftcard_refund",
+});
+
+const CODE_CHARS = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 16;
+const WRITE_ATTEMPTS = 3;
+
+export class GiftCardError extends Error {
+  constructor(message, { code = "INVALID_GIFT_CARD", status = 400 } = {}) {
+    super(message);
+    this.name = "GiftCardError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function giftCardTable() {
+  return process.env.CASPIO_GIFT_CARD_TABLE || "SIGMA_BAR3_Gift_Cards";
+}
+
+function txnTable() {
+  return process.env.CASPIO_TXN_TABLE || "SIGMA_BAR3_Transactions";
+}
+
+function envAmount(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const toCents = (v) => Math.round((Number(v) || 0) * 100);
+const toDollars = (c) => Number((c / 100).toFixed(2));
+
+export function giftCardAmountLimits() {
+  return { min: envAmount("GIFT_CARD_MIN_AMOUNT", 10), max: envAmount("GIFT_CARD_MAX_AMOUNT", 500) };
+}
+
+// "abcd efgh-jkmn pqrs" -> "ABCD-EFGH-JKMN-PQRS"
+export function normalizeGiftCardCode(code) {
+  const raw = String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return raw.match(/.{1,4}/g)?.join("-") || "";
+}
+
+// For anything a customer-facing listing shows: "**** 7Q2K"
+export function maskGiftCardCode(code) {
+  const raw = normalizeGiftCardCode(code).replace(/-/g, "");
+  return raw ? `**** ${raw.slice(-4)}` : "";
+}
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let out = "";
+  for (let i = 0; i < CODE_LENGTH; i++) out += CODE_CHARS[bytes[i] % CODE_CHARS.length];
+  return normalizeGiftCardCode(out);
+}
+
+// -------------------- Cards --------------------
+export async function getGiftCard(code) {
+  const wanted = normalizeGiftCardCode(code);
+  if (!wanted) return null;
+  return await findOneByWhereInTable(giftCardTable(), caspioQuery().eq("Code", wanted));
+}
+
+/**
+ * Pending card for a purchase about to go to Checkout. Throws GiftCardError for an amount
+ * outside the limits or a missing purchaser email. -> the inserted row
+ */
+export async function createGiftCard({
+  amount,
+  businessUnit = "",
+  purchaserName = "",
+  purchaserEmail,
+  recipientName = "",
+  recipientEmail = "",
+  message = "",
+  now = new Date(),
+}) {
+  const { min, max } = giftCardAmountLimits();
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new GiftCardError(`Gift cards are sold from $${min} to $${max}`, { code: "GIFT_CARD_AMOUNT" });
+  }
+  if (!oneLine(purchaserEmail)) throw new GiftCardError("Missing purchaser email");
+
+  const row = {
+    Code: generateCode(),
+    Business_Unit: oneLine(businessUnit) || null,
+    Initial_Amount: toDollars(toCents(value)),
+    Balance: 0,
+    Status: GIFT_CARD_STATUS.PENDING,
+    Purchaser_Name: oneLine(purchaserName),
+    Purchaser_Email: oneLine(purchaserEmail),
+    Recipient_Name: oneLine(recipientName),
+    Recipient_Email: oneLine(recipientEmail),
+    Message: String(message || "").trim().slice(0, 500),
+    CreatedAt: now.toISOString(),
+  };
+  await writeResilient(giftCardTable(), null, row);
+  return row;
+}
+
+// Best-effort writeback of the purchase's Checkout Session
+export async function attachGiftCardCheckout(code, checkoutSessionId) {
+  const where = caspioQuery().eq("Code", normalizeGiftCardCode(code)).toString();
+  await writeResilient(giftCardTable(), where, {
+    StripeCheckoutSessionId: checkoutSessionId,
+    UpdatedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Pending -> Active once the purchase is paid (webhook). Replays are no-ops.
+ * -> { activated: boolean, card }
+ */
+export async function activateGiftCard(code, { checkoutSessionId = null, paymentIntentId = null, paidAt = null } = {}) {
+  const card = await getGiftCard(code);
+  if (!card) {
+    throw new GiftCardError(`Gift card ${maskGiftCardCode(code)} not found`, { code: "NOT_FOUND", status: 404 });
+  }
+  if (card.Status !== GIFT_CARD_STATUS.PENDING) return { activated: false, card };
+
+  const fields = {
+    Status: GIFT_CARD_STATUS.ACTIVE,
+    Balance: toDollars(toCents(card.Initial_Amount)),
+    StripeCheckoutSessionId: checkoutSessionId,
+    StripePaymentIntentId: paymentIntentId,
+    PurchasedAt: paidAt || new Date().toISOString(),
+    UpdatedAt: new Date().toISOString(),
+  };
+  const where = caspioQuery().eq("Code", card.Code).eq("Status", GIFT_CARD_STATUS.PENDING).toString();
+  const out = await writeResilient(giftCardTable(), where, fields);
+  if (Number(out?.RecordsAffected ?? 1) !== 1) return { activated: false, card: await getGiftCard(code) };
+
+  return { activated: true, card: { ...card, ...fields } };
+}
+
+// The code goes to the recipient (or the buyer when there's none); email is optional
+export async function sendGiftCardEmail(card) {
+  return await sendCustomerEmail("gift_card", {
+    to: card.Recipient_Email || card.Purchaser_Email,
+    purchaser_email: card.Purchaser_Email || "",
+    purchaser_name: card.Purchaser_Name || "",
+    recipient_name: card.Recipient_Name || "",
+    message: card.Message || "",
+    business_unit: card.Business_Unit || "",
+    code: card.Code,
+    amount: toDollars(toCents(card.Initial_Amount)),
+  });
+}
+
+// Active, not empty, and good at this business unit (if the card is tied to one)
+export function assertRedeemable(card, { businessUnit } = {}) {
+  if (!card || card.Status === GIFT_CARD_STATUS.PENDING) {
+    throw new GiftCardError("Gift card not found", { code: "NOT_FOUND", status: 404 });
+  }
+  if (card.Status !== GIFT_CARD_STATUS.ACTIVE) {
+    throw new GiftCardError("This gift card is no longer valid", { code: "GIFT_CARD_INACTIVE" });
+  }
+  const bu = oneLine(card.Business_Unit);
+  if (bu && businessUnit != null && bu !== oneLine(businessUnit)) {
+    throw new GiftCardError(`This gift card can only be used at ${bu}`, { code: "GIFT_CARD_NOT_APPLICABLE" });
+  }
+  if (!(toCents(card.Balance) > 0)) {
+    throw new GiftCardError("This gift card has no balance left", { code: "GIFT_CARD_EMPTY" });
+  }
+}
+
+// Balance += deltaCents, only if nobody changed it since it was read. -> the new balance (dollars)
+async function adjustBalance(code, deltaCents, { businessUnit, requireRedeemable }) {
+  for (let attempt = 0; attempt < WRITE_ATTEMPTS; attempt++) {
+    const card = await getGiftCard(code);
+    if (requireRedeemable) assertRedeemable(card, { businessUnit });
+    else if (!card) throw new GiftCardError("Gift card not found", { code: "NOT_FOUND", status: 404 });
+
+    const next = toCents(card.Balance) + deltaCents;
+    if (next < 0) throw new GiftCardError("This gift card has no balance left", { code: "GIFT_CARD_EMPTY" });
+
+    const where = caspioQuery().eq("Code", card.Code).eq("Balance", Number(card.Balance)).toString();
+    const out = await updateRecordByWhere(giftCardTable(), where, {
+      Balance: toDollars(next),
+      UpdatedAt: new Date().toISOString(),
+    });
+    if (Number(out?.RecordsAffected ?? 1) === 1) return { card, balance: toDollars(next) };
+  }
+  throw new GiftCardError("The gift card is busy — please try again.", { code: "GIFT_CARD_CONFLICT", status: 409 });
+}
+
+// -------------------- Redemption --------------------
+/**
+ * Pays up to `amount` dollars of a reservation's charge from a gift card.
+ *
+ *   breakdown   { base, grat, tax, fee } of what is being paid (the redemption is split
+ *               over it pro rata)
+ *   rawEventId  idempotency key of this redemption: a replay returns the recorded row
+ *               without touching the balance again
+ *
+ * Throws GiftCardError. -> { amount, parts:{ base, grat, tax, fee }, balance, replayed }
+ */
+export async function redeemGiftCard({
+  code,
+  idkey,
+  businessUnit,
+  amount,
+  breakdown,
+  rawEventId,
+  chargeType = "Gift Card",
+  confirmationNumber = null,
+}) {
+  if (!rawEventId) throw new Error("redeemGiftCard requires a rawEventId");
+
+  const prior = await findOneByWhereInTable(txnTable(), caspioQuery().eq("RawEventId", String(rawEventId)));
+  if (prior) {
+    return {
+      amount: toDollars(toCents(prior.Amount)),
+      parts: partsOf(prior),
+      balance: null,
+      replayed: true,
+    };
+  }
+
+  const card = await getGiftCard(code);
+  assertRedeemable(card, { businessUnit });
+
+  const wantCents = Math.min(toCents(amount), toCents(card.Balance));
+  if (wantCents <= 0) throw new GiftCardError("Nothing to pay with this gift card", { code: "GIFT_CARD_EMPTY" });
+
+  const allocation = allocateRefund({ original: breakdown, amount: toDollars(wantCents) });
+  const { balance } = await adjustBalance(card.Code, -wantCents, { businessUnit, requireRedeemable: true });
+
+  const now = new Date().toISOString();
+  let recorded;
+  try {
+    recorded = await recordLedgerTxn({
+      IDKEY: String(idkey),
+      TxnType: GIFT_CARD_TXN_TYPES.REDEEM,
+      ...componentFields(allocation),
+      Currency: "usd",
+      Status: "succeeded",
+      Charge_Type: String(chargeType || "Gift Card").slice(0, 250),
+      Description: `Gift card ${maskGiftCardCode(card.Code)}`,
+      Gift_Card_Code: card.Code,
+      Confirmation_Number: confirmationNumber,
+      RawEventId: String(rawEventId),
+      Transaction_date: now,
+      CreatedAt: now,
+    });
+  } catch (e) {
+    // The ledger row is what ties the money to the reservation: without it, give it back
+    await giveBack(card.Code, wantCents);
+    throw e;
+  }
+
+  // A concurrent call with the same rawEventId got there first: that one is the redemption
+  if (recorded?.skipped) {
+    await giveBack(card.Code, wantCents);
+    return await redeemGiftCard({ code, idkey, businessUnit, amount, breakdown, rawEventId });
+  }
+
+  console.log("GIFT_CARD_REDEEMED:", String(idkey), maskGiftCardCode(card.Code), toDollars(wantCents));
+  const { amount: redeemed, ...parts } = allocation;
+  return { amount: redeemed, parts, balance, replayed: false };
+}
+
+async function giveBack(code, cents) {
+  await adjustBalance(code, cents, { requireRedeemable: false }).catch((e) =>
+    console.error("⚠️ GIFT_CARD_DEBIT_ROLLBACK_FAILED", maskGiftCardCode(code), e?.message || e)
+  );
+}
+
+function partsOf(row) {
+  return {
+    base: toDollars(toCents(row.Base_Amount)),
+    grat: toDollars(toCents(row.Auto_Gratuity)),
+    tax: toDollars(toCents(row.Tax)),
+    fee: toDollars(toCents(row.Fee)),
+  };
+}
+
+async function listGiftCardTxns(idkey) {
+  const where = caspioQuery()
+    .eq("IDKEY", String(idkey ?? ""))
+    .in("TxnType", Object.values(GIFT_CARD_TXN_TYPES));
+  return await listRecordsByWhere(txnTable(), where, Infinity);
+}
+
+// Redemption rows with what hasn't been put back yet: [{ row, left:{ base, grat, tax, fee } }] in cents
+function openRedemptions(rows) {
+  return rows
+    .filter((r) => r.TxnType === GIFT_CARD_TXN_TYPES.REDEEM)
+    .map((row) => {
+      const left = {};
+      for (const [k, v] of Object.entries(partsOf(row))) left[k] = toCents(v);
+      for (const r of rows) {
+        if (r.TxnType !== GIFT_CARD_TXN_TYPES.REFUND || String(r.ParentTxnId ?? "") !== String(row.TXN_ID)) continue;
+        for (const [k, v] of Object.entries(partsOf(r))) left[k] += toCents(v); // refunds are negative
+      }
+      for (const k of Object.keys(left)) left[k] = Math.max(0, left[k]);
+      return { row, left };
+    })
+    .filter(({ left }) => Object.values(left).some((c) => c > 0));
+}
+
+/**
+ * What gift cards currently pay of a reservation (redemptions minus what was put back).
+ *   codes     cards with a redemption on it that hasn't been put back
+ *   restored  how many redemptions were put back so far
+ * -> { amount, parts:{ base, grat, tax, fee }, codes, restored } in dollars
+ */
+export async function giftCardPaidForIdKey(idkey) {
+  const rows = await listGiftCardTxns(idkey);
+  const cents = { base: 0, grat: 0, tax: 0, fee: 0 };
+  for (const row of rows) {
+    const p = partsOf(row);
+    for (const k of Object.keys(cents)) cents[k] += toCents(p[k]);
+  }
+  const parts = {};
+  for (const k of Object.keys(cents)) parts[k] = toDollars(cents[k]);
+
+  return {
+    amount: toDollars(Object.values(cents).reduce((s, c) => s + c, 0)),
+    parts,
+    codes: [...new Set(openRedemptions(rows).map(({ row }) => normalizeGiftCardCode(row.Gift_Card_Code)))],
+    restored: rows.filter((r) => r.TxnType === GIFT_CARD_TXN_TYPES.REFUND).length,
+  };
+}
+
+/**
+ * Puts `split` ({ base, grat, tax, fee, amount }, e.g. from lib/ledger allocateRefund) of the
+ * redemption row `txnId` back on its card, with a TxnType "giftcard_refund" row under it.
+ * rawEventId makes it idempotent like redeemGiftCard. Throws GiftCardError.
+ * -> { amount, gift_card (masked), balance, replayed }
+ */
+export async function refundGiftCardRedemption({ idkey, txnId, split, rawEventId, note = "" }) {
+  if (!rawEventId) throw new Error("refundGiftCardRedemption requires a rawEventId");
+
+  const prior = await findOneByWhereInTable(txnTable(), caspioQuery().eq("RawEventId", String(rawEventId)));
+  if (prior) {
+    return {
+      amount: toDollars(-toCents(prior.Amount)),
+      gift_card: maskGiftCardCode(prior.Gift_Card_Code),
+      balance: null,
+      replayed: true,
+    };
+  }
+
+  const where = caspioQuery().eq("TXN_ID", txnId).eq("TxnType", GIFT_CARD_TXN_TYPES.REDEEM);
+  const redemption = await findOneByWhereInTable(txnTable(), where);
+  if (!redemption) {
+    throw new GiftCardError("Gift card redemption not found", { code: "NOT_FOUND", status: 404 });
+  }
+
+  const code = redemption.Gift_Card_Code;
+  const cents = toCents(split.amount);
+  if (cents <= 0) throw new GiftCardError("Nothing to put back on the gift card", { code: "GIFT_CARD_EMPTY" });
+
+  const { balance } = await adjustBalance(code, cents, { requireRedeemable: false });
+
+  const now = new Date().toISOString();
+  let recorded;
+  try {
+    recorded = await recordLedgerTxn({
+      IDKEY: String(idkey),
+      TxnType: GIFT_CARD_TXN_TYPES.REFUND,
+      ...componentFields(split, -1),
+      Currency: "usd",
+      Status: "succeeded",
+      Charge_Type: "Gift Card",
+      Description: [`Returned to gift card ${maskGiftCardCode(code)}`, note].filter(Boolean).join(" - ").slice(0, 500),
+      Gift_Card_Code: code,
+      ParentTxnId: redemption.TXN_ID ?? null,
+      RawEventId: String(rawEventId),
+      Transaction_date: now,
+      CreatedAt: now,
+    });
+  } catch (e) {
+    await takeBack(code, cents);
+    throw e;
+  }
+
+  if (recorded?.skipped) {
+    await takeBack(code, cents);
+    return await refundGiftCardRedemption({ idkey, txnId, split, rawEventId, note });
+  }
+
+  console.log("GIFT_CARD_REFUNDED:", String(idkey), maskGiftCardCode(code), toDollars(cents));
+  return { amount: toDollars(cents), gift_card: maskGiftCardCode(code), balance, replayed: false };
+}
+
+async function takeBack(code, cents) {
+  await adjustBalance(code, -cents, { requireRedeemable: false }).catch((e) =>
+    console.error("⚠️ GIFT_CARD_REFUND_ROLLBACK_FAILED", maskGiftCardCode(code), e?.message || e)
+  );
+}
+
+/**
+ * Puts a reservation's gift card redemptions back on their cards (an unpaid reservation
+ * that was abandoned): whatever of each redemption hasn't been refunded yet, once.
+ * -> { restored: [{ code, amount }] }
+ */
+export async function restoreGiftCardRedemptions(idkey, { by = "system" } = {}) {
+  const restored = [];
+  for (const { row, left } of openRedemptions(await listGiftCardTxns(idkey))) {
+    const split = {};
+    for (const [k, c] of Object.entries(left)) split[k] = toDollars(c);
+    split.amount = toDollars(Object.values(left).reduce((sum, c) => sum + c, 0));
+
+    const out = await refundGiftCardRedemption({
+      idkey,
+      txnId: row.TXN_ID,
+      split,
+      rawEventId: `${row.RawEventId}_restore`,
+      note: by,
+    });
+    if (!out.replayed) restored.push({ code: out.gift_card, amount: out.amount });
+  }
+
+  if (restored.length) console.log("GIFT_CARD_RESTORED:", String(idkey), restored);
+  return { restored };
+}
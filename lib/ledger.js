@@ -0,0 +1,454 @@
+// lib/ledger.js
+//
+// Ledger rules on top of SIGMA_BAR3_Transactions.
+//
+// Every money row splits its Amount into four components:
+//   base -> Base_Amount   grat -> Auto_Gratuity   tax -> Tax   fee -> Fee
+// and must balance: the components sum to Amount to the cent, all with the row's sign
+// (charge / dispute_reversal / giftcard_redeem >= 0, refund / dispute / giftcard_refund <= 0).
+// Rows go in through recordLedgerTxn, which refuses an unbalanced row instead of letting the
+// rollup drift.
+//
+// Partial refunds (and dispute withdrawals) are split with allocateRefund: pro rata over
+// what is still refundable per component, or exactly as instructed (/api/refund). An
+// instruction travels to the webhook in the Stripe refund's metadata (REFUND_METADATA_KEYS).
+//
+// Balance queries for the customer portal (getIdKeyBalance) and accounting
+// (getBusinessUnitBalance) are served by /api/ledger-balance.
+
+import {
+  caspioQuery,
+  insertTransactionIfMissingByRawEventId,
+  iterateRecordsByWhere,
+  listRecordsByWhere,
+} from "./caspio";
+
+export const LEDGER_COMPONENTS = Object.freeze({
+  base: "Base_Amount",
+  grat: "Auto_Gratuity",
+  tax: "Tax",
+  fee: "Fee",
+});
+
+const KEYS = Object.keys(LEDGER_COMPONENTS);
+
+// TxnType -> sign every component (and Amount) must carry. Other types ("failed", promo
+// "discount") record no money and aren't balance-checked or summed.
+const TXN_SIGNS = Object.freeze({
+  charge: 1,
+  refund: -1,
+  dispute: -1,
+  dispute_reversal: 1,
+  // stored value (lib/giftcards): paid from a gift card / put back on it
+  giftcard_redeem: 1,
+  giftcard_refund: -1,
+});
+
+// summarizeLedger buckets (everything else signed is a dispute)
+const CHARGED_TYPES = new Set(["charge", "giftcard_redeem"]);
+const REFUNDED_TYPES = new Set(["refund", "giftcard_refund"]);
+
+const IDKEY_CHUNK = 100; // IDKEYs per IN (...) when reading a business unit's ledger
+
+export class LedgerError extends Error {
+  constructor(message, { code = "LEDGER_ERROR", status = 400, details = null } = {}) {
+    super(message);
+    this.name = "LedgerError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function txnTable() {
+  return process.env.CASPIO_TXN_TABLE || "SIGMA_BAR3_Transactions";
+}
+
+function reservationsTable() {
+  return process.env.CASPIO_TABLE || "BAR2_Reservations_SIGMA";
+}
+
+function toCents(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(n * 100) : 0;
+}
+
+const toDollars = (cents) => Number((cents / 100).toFixed(2));
+
+const zero = () => ({ base: 0, grat: 0, tax: 0, fee: 0 });
+
+const sumOf = (parts) => KEYS.reduce((s, k) => s + parts[k], 0);
+
+// Cents -> dollars; `amount` is the components' sum unless the parts carry their own
+function dollarsOf(parts) {
+  const out = {};
+  for (const k of KEYS) out[k] = toDollars(parts[k]);
+  out.amount = toDollars(parts.amount ?? sumOf(parts));
+  return out;
+}
+
+// { base, grat, tax, fee } in dollars (parseBreakdown shape) -> non-negative cents
+function centsOf(breakdown) {
+  const out = zero();
+  for (const k of KEYS) out[k] = Math.max(0, toCents(breakdown?.[k]));
+  return out;
+}
+
+// Transaction row -> component cents (signed, as stored)
+function rowCents(row) {
+  const out = zero();
+  for (const [k, field] of Object.entries(LEDGER_COMPONENTS)) out[k] = toCents(row?.[field]);
+  return out;
+}
+
+const txnTypeOf = (row) => String(row?.TxnType || "").toLowerCase().trim();
+
+export function isLedgerTxnType(txnType) {
+  return Object.prototype.hasOwnProperty.call(TXN_SIGNS, String(txnType || "").toLowerCase().trim());
+}
+
+/**
+ * Balance check for one transaction row. Rows that don't move money ("failed", ...) pass.
+ * -> { ok, errors: [string] }
+ */
+export function validateTxnBalance(row) {
+  const txnType = txnTypeOf(row);
+  if (!isLedgerTxnType(txnType)) return { ok: true, errors: [] };
+
+  const errors = [];
+  const amountRaw = row?.Amount;
+  if (amountRaw === null || amountRaw === undefined || amountRaw === "" || !Number.isFinite(Number(amountRaw))) {
+    errors.push("Amount is missing");
+    return { ok: false, errors };
+  }
+
+  const parts = rowCents(row);
+  const amount = toCents(amountRaw);
+  const sign = TXN_SIGNS[txnType];
+
+  if (sumOf(parts) !== amount) {
+    errors.push(`components sum to ${toDollars(sumOf(parts))}, Amount is ${toDollars(amount)}`);
+  }
+  if (amount * sign < 0) errors.push(`Amount has the wrong sign for a ${txnType}`);
+  for (const [k, field] of Object.entries(LEDGER_COMPONENTS)) {
+    if (parts[k] * sign < 0) errors.push(`${field} has the wrong sign for a ${txnType}`);
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+export function assertTxnBalanced(row) {
+  const { ok, errors } = validateTxnBalance(row);
+  if (!ok) {
+    throw new LedgerError(`Unbalanced ${txnTypeOf(row)} transaction (${row?.RawEventId || "no event"}): ${errors.join("; ")}`, {
+      code: "UNBALANCED",
+      details: errors,
+    });
+  }
+}
+
+/**
+ * The only way money rows should reach SIGMA_BAR3_Transactions: balance check, then the
+ * idempotent insert.
+ */
+export async function recordLedgerTxn(txnPayload) {
+  assertTxnBalanced(txnPayload);
+  return await insertTransactionIfMissingByRawEventId(txnPayload);
+}
+
+// Largest-remainder split of `amount` cents in proportion to `weights` (never exceeds a weight)
+function prorate(amount, weights) {
+  const total = sumOf(weights);
+  const out = zero();
+  if (total <= 0 || amount <= 0) return out;
+
+  const shares = KEYS.map((k) => {
+    const exact = (amount * weights[k]) / total;
+    out[k] = Math.floor(exact);
+    return { k, rest: exact - out[k] };
+  });
+
+  let left = amount - sumOf(out);
+  shares.sort((a, b) => b.rest - a.rest);
+  for (const { k } of shares) {
+    if (left <= 0) break;
+    out[k] += 1;
+    left--;
+  }
+  return out;
+}
+
+/**
+ * Split a refund (or dispute withdrawal) of `amount` dollars across the four components.
+ *
+ *   original    what was charged, { base, grat, tax, fee } in dollars
+ *   refunded    what earlier refunds already took back (same shape, positive)
+ *   components  explicit instruction, e.g. { grat: 12 } — must sum to `amount` and fit in
+ *               what is left of each component
+ *
+ * Without instructions the amount is prorated over what is left. Money beyond the known
+ * breakdown (no metadata on the charge) lands in Fee, like parseBreakdown's fallback.
+ * -> { base, grat, tax, fee, amount } positive dollars
+ */
+export function allocateRefund({ original, refunded = null, amount, components = null } = {}) {
+  const total = toCents(amount);
+  if (total <= 0) throw new LedgerError("Refund amount must be positive", { code: "INVALID_AMOUNT" });
+
+  const charged = centsOf(original);
+  const taken = centsOf(refunded);
+  const remaining = zero();
+  for (const k of KEYS) remaining[k] = Math.max(0, charged[k] - taken[k]);
+
+  if (components) {
+    const asked = zero();
+    for (const [k, v] of Object.entries(components)) {
+      if (!KEYS.includes(k)) throw new LedgerError(`Unknown component "${k}"`, { code: "INVALID_COMPONENT" });
+      asked[k] = toCents(v);
+      if (asked[k] < 0) throw new LedgerError(`Refund of ${k} must not be negative`, { code: "INVALID_COMPONENT" });
+      if (asked[k] > remaining[k]) {
+        throw new LedgerError(`Refund of ${k} exceeds what is left of it ($${toDollars(remaining[k]).toFixed(2)})`, {
+          code: "EXCEEDS_COMPONENT",
+          details: { component: k, remaining: toDollars(remaining[k]) },
+        });
+      }
+    }
+    if (sumOf(asked) !== total) {
+      throw new LedgerError(
+        `Components sum to $${toDollars(sumOf(asked)).toFixed(2)}, refund is $${toDollars(total).toFixed(2)}`,
+        { code: "COMPONENTS_MISMATCH" }
+      );
+    }
+    return dollarsOf(asked);
+  }
+
+  const known = sumOf(remaining);
+  if (known >= total) return dollarsOf(prorate(total, remaining));
+
+  const out = { ...remaining };
+  out.fee += total - known;
+  return dollarsOf(out);
+}
+
+// Signed ledger row for a positive allocation: Base_Amount..Fee + Amount
+export function componentFields(allocation, sign = 1) {
+  const out = {};
+  for (const [k, field] of Object.entries(LEDGER_COMPONENTS)) out[field] = toDollars(sign * toCents(allocation[k]));
+  out.Amount = toDollars(sign * toCents(allocation.amount));
+  return out;
+}
+
+// ---- Explicit refund instructions (/api/refund -> refund metadata -> stripe-webhook) ----
+
+// Component -> Stripe refund metadata key (mirrors the base_amount/... breakdown keys)
+export const REFUND_METADATA_KEYS = Object.freeze({
+  base: "refund_base_amount",
+  grat: "refund_grat_amount",
+  tax: "refund_tax_amount",
+  fee: "refund_fee_amount",
+});
+
+// Named splits over what is left of a charge: `remaining` is { base, grat, tax, fee } dollars
+export const REFUND_PRESETS = Object.freeze({
+  gratuity_only: (remaining) => ({ grat: remaining.grat }),
+  all_but_fee: (remaining) => ({ base: remaining.base, grat: remaining.grat, tax: remaining.tax }),
+});
+
+const PRESET_ALIASES = {
+  gratuity: "gratuity_only",
+  grat_only: "gratuity_only",
+  except_fee: "all_but_fee",
+  all_except_fee: "all_but_fee",
+  everything_except_booking_fee: "all_but_fee",
+};
+
+export function refundPresetComponents(preset, remaining) {
+  const key = String(preset || "").toLowerCase().trim().replace(/[\s-]+/g, "_");
+  const fn = REFUND_PRESETS[PRESET_ALIASES[key] || key];
+  if (!fn) {
+    throw new LedgerError(`Unknown refund preset "${preset}" (use ${Object.keys(REFUND_PRESETS).join(" or ")})`, {
+      code: "INVALID_PRESET",
+    });
+  }
+  return fn(remaining);
+}
+
+export function refundMetadataFor(allocation) {
+  const out = {};
+  for (const [k, key] of Object.entries(REFUND_METADATA_KEYS)) out[key] = toDollars(toCents(allocation[k])).toFixed(2);
+  return out;
+}
+
+// -> { base, grat, tax, fee } dollars, or null when the refund carries no instruction
+export function refundComponentsFromMetadata(meta) {
+  const m = meta || {};
+  if (!Object.values(REFUND_METADATA_KEYS).some((key) => m[key] != null && m[key] !== "")) return null;
+  const out = {};
+  for (const [k, key] of Object.entries(REFUND_METADATA_KEYS)) out[k] = toDollars(toCents(m[key]));
+  return out;
+}
+
+/**
+ * The split a refund row is written with: the instruction in the refund's metadata when it
+ * adds up to the refunded amount (it was checked against the charge by /api/refund; a
+ * concurrent refund may since have used part of a component, which still doesn't change
+ * what the admin refunded), otherwise pro rata over what is left.
+ */
+export function refundAllocationFor({ original, refunded = null, amount, metadata = null }) {
+  const instructed = refundComponentsFromMetadata(metadata);
+  if (instructed) {
+    const asked = centsOf(instructed);
+    if (sumOf(asked) === toCents(amount)) return dollarsOf(asked);
+    console.warn("⚠️ REFUND_COMPONENTS_IGNORED (do not add up to the refund)", JSON.stringify(instructed), amount);
+  }
+  return allocateRefund({ original, refunded, amount });
+}
+
+/**
+ * What a Stripe charge can still give back, per component: its ledger charge row (else
+ * `fallback`, usually the PaymentIntent breakdown) minus the refund rows already written.
+ * `excludeRefundId` leaves out the refund being recorded (refund.updated replays).
+ */
+export async function refundableForCharge(chargeId, { fallback = null, excludeRefundId = null } = {}) {
+  const where = caspioQuery().eq("StripeChargeId", String(chargeId)).in("TxnType", ["charge", "refund"]);
+  const rows = chargeId ? await listRecordsByWhere(txnTable(), where, Infinity) : [];
+
+  const chargeTxn = rows.find((r) => txnTypeOf(r) === "charge") || null;
+  const charged = chargeTxn ? rowCents(chargeTxn) : centsOf(fallback);
+
+  const refunded = zero();
+  for (const r of rows) {
+    if (txnTypeOf(r) !== "refund") continue;
+    if (excludeRefundId && r.StripeRefundId === excludeRefundId) continue;
+    const parts = rowCents(r);
+    for (const k of KEYS) refunded[k] -= parts[k];
+  }
+
+  const remaining = zero();
+  for (const k of KEYS) remaining[k] = Math.max(0, charged[k] - refunded[k]);
+
+  return { chargeTxn, original: dollarsOf(charged), refunded: dollarsOf(refunded), remaining: dollarsOf(remaining) };
+}
+
+/**
+ * Totals over a set of transaction rows (positive dollars per bucket):
+ *   charged   charge rows (+ gift card redemptions)
+ *   refunded  refund rows (+ redemptions put back on the card)
+ *   disputed  held by disputes (withdrawn minus reinstated)
+ *   net       charged - refunded - disputed
+ * plus the rows that fail validateTxnBalance.
+ */
+export function summarizeLedger(rows) {
+  // amount: the rows' Amount column (differs from the parts only on unbalanced rows)
+  const charged = { ...zero(), amount: 0 };
+  const refunded = { ...zero(), amount: 0 };
+  const disputed = { ...zero(), amount: 0 };
+  const unbalanced = [];
+  let count = 0;
+
+  for (const row of rows || []) {
+    const txnType = txnTypeOf(row);
+    if (!isLedgerTxnType(txnType)) continue;
+    count++;
+
+    const check = validateTxnBalance(row);
+    if (!check.ok) {
+      unbalanced.push({
+        txn_id: row.TXN_ID ?? null,
+        idkey: row.IDKEY || null,
+        txn_type: txnType,
+        amount: row.Amount ?? null,
+        errors: check.errors,
+      });
+    }
+
+    const parts = rowCents(row);
+    const bucket = CHARGED_TYPES.has(txnType) ? charged : REFUNDED_TYPES.has(txnType) ? refunded : disputed;
+    const sign = CHARGED_TYPES.has(txnType) ? 1 : -1; // refunds/disputes are stored negative
+    for (const k of KEYS) bucket[k] += sign * parts[k];
+    bucket.amount += sign * toCents(row.Amount);
+  }
+
+  const net = { ...zero(), amount: 0 };
+  for (const k of [...KEYS, "amount"]) net[k] = charged[k] - refunded[k] - disputed[k];
+
+  return {
+    charged: dollarsOf(charged),
+    refunded: dollarsOf(refunded),
+    disputed: dollarsOf(disputed),
+    net: dollarsOf(net),
+    txn_count: count,
+    balanced: unbalanced.length === 0,
+    unbalanced,
+  };
+}
+
+// Refund rows that give back (part of) charge row `c`: Stripe refunds by StripeChargeId,
+// gift card refunds by ParentTxnId
+function refundsOf(c, rows) {
+  if (txnTypeOf(c) === "giftcard_redeem") {
+    return rows.filter((r) => txnTypeOf(r) === "giftcard_refund" && String(r.ParentTxnId ?? "") === String(c.TXN_ID));
+  }
+  if (!c.StripeChargeId) return [];
+  return rows.filter((r) => txnTypeOf(r) === "refund" && r.StripeChargeId === c.StripeChargeId);
+}
+
+/**
+ * One reservation: ledger totals plus, per charge, what is still refundable. Gift card
+ * redemptions are listed as charges too (txn_type "giftcard_redeem", no stripe_charge_id).
+ */
+export async function getIdKeyBalance(idkey) {
+  const where = caspioQuery().eq("IDKEY", String(idkey ?? ""));
+  const rows = await listRecordsByWhere(txnTable(), where, Infinity);
+
+  const charges = rows
+    .filter((r) => CHARGED_TYPES.has(txnTypeOf(r)))
+    .map((c) => {
+      const charged = rowCents(c);
+      const refunded = zero();
+      for (const r of refundsOf(c, rows)) {
+        const parts = rowCents(r);
+        for (const k of KEYS) refunded[k] -= parts[k];
+      }
+      const refundable = zero();
+      for (const k of KEYS) refundable[k] = Math.max(0, charged[k] - refunded[k]);
+
+      return {
+        txn_id: c.TXN_ID ?? null,
+        txn_type: txnTypeOf(c),
+        stripe_charge_id: c.StripeChargeId || null,
+        transaction_date: c.Transaction_date || null,
+        charged: dollarsOf(charged),
+        refunded: dollarsOf(refunded),
+        refundable: dollarsOf(refundable),
+      };
+    });
+
+  return { idkey: String(idkey), ...summarizeLedger(rows), charges };
+}
+
+/**
+ * One business unit (reservation Business_Unit), optionally limited to transactions dated
+ * in [from, to).
+ */
+export async function getBusinessUnitBalance(businessUnit, { from = null, to = null } = {}) {
+  const idkeys = [];
+  const resWhere = caspioQuery().eq("Business_Unit", String(businessUnit ?? ""));
+  for await (const r of iterateRecordsByWhere(reservationsTable(), resWhere, { select: ["IDKEY"] })) {
+    if (r.IDKEY) idkeys.push(String(r.IDKEY));
+  }
+
+  const rows = [];
+  for (let i = 0; i < idkeys.length; i += IDKEY_CHUNK) {
+    const q = caspioQuery().in("IDKEY", idkeys.slice(i, i + IDKEY_CHUNK));
+    if (from) q.gte("Transaction_date", String(from));
+    if (to) q.lt("Transaction_date", String(to));
+    rows.push(...(await listRecordsByWhere(txnTable(), q, Infinity)));
+  }
+
+  return {
+    business_unit: String(businessUnit),
+    range: { from: from || null, to: to || null },
+    reservations: idkeys.length,
+    ...summarizeLedger(rows),
+  };
+}
@@ -0,0 +1,92 @@
+// lib/payment-auth.js
+//
+// 3-D Secure recovery for off-session charges (charge-adjustment.js).
+//
+// When the card demands authentication, the PaymentIntent is kept as-is (same amount,
+// metadata breakdown and idem_key) and stamped on the reservation as
+// PendingAuthPaymentIntentId. The customer gets an email linking to
+// /api/payment-auth?idkey=..., which confirms that PaymentIntent with Stripe.js; the
+// payment_intent.succeeded webhook then logs the charge like any off-session charge and
+// clears the pending marker.
+
+import { updateReservationResilient, buildWhereForIdKey } from "./caspio";
+import { apiBaseUrl, sendCustomerEmail } from "./customer-email";
+
+const F_PENDING = "PendingAuthPaymentIntentId";
+const F_REQUESTED = "PaymentAuthRequestedAt";
+const F_EMAIL_SENT = "PaymentAuthEmailSentAt";
+
+// Stripe card error or PaymentIntent -> does the customer need to authenticate?
+export function isAuthenticationRequired(errOrPi) {
+  const code =
+    errOrPi?.code ||
+    errOrPi?.raw?.code ||
+    errOrPi?.last_payment_error?.code ||
+    errOrPi?.last_payment_error?.decline_code ||
+    null;
+  return code === "authentication_required" || errOrPi?.status === "requires_action";
+}
+
+export function paymentAuthUrl(idkey) {
+  return `${apiBaseUrl()}/api/payment-auth?idkey=${encodeURIComponent(idkey)}`;
+}
+
+export function pendingAuthPaymentIntentId(reservation) {
+  return String(reservation?.[F_PENDING] || "").trim() || null;
+}
+
+/**
+ * Marks `paymentIntent` as awaiting customer authentication and emails the link
+ * (once per PaymentIntent).
+ *
+ * @param {object} opts
+ *   idkey, paymentIntent (needs id, amount, metadata), reservation (row, for Email + dedupe)
+ * @returns {{ authUrl: string, email: { sent: boolean, skipped?: string } }}
+ */
+export async function requestPaymentAuthentication({ idkey, paymentIntent, reservation = null }) {
+  if (!idkey || !paymentIntent?.id) throw new Error("requestPaymentAuthentication requires idkey + paymentIntent");
+
+  const authUrl = paymentAuthUrl(idkey);
+  const where = buildWhereForIdKey(idkey);
+  const alreadyEmailed = pendingAuthPaymentIntentId(reservation) === paymentIntent.id && !!reservation?.[F_EMAIL_SENT];
+
+  if (pendingAuthPaymentIntentId(reservation) !== paymentIntent.id) {
+    await updateReservationResilient(where, {
+      [F_PENDING]: paymentIntent.id,
+      [F_REQUESTED]: new Date().toISOString(),
+      [F_EMAIL_SENT]: null,
+    });
+  }
+
+  if (alreadyEmailed) return { authUrl, email: { sent: false, skipped: "already_sent" } };
+
+  const md = paymentIntent.metadata || {};
+  let email;
+  try {
+    email = await sendCustomerEmail("authenticate_payment", {
+      to: reservation?.Email,
+      idkey: String(idkey),
+      res_id: reservation?.RES_ID || null,
+      first_name: reservation?.First_Name || "",
+      sessions_title: reservation?.Sessions_Title || "",
+      amount: typeof paymentIntent.amount === "number" ? Number((paymentIntent.amount / 100).toFixed(2)) : null,
+      currency: paymentIntent.currency || "usd",
+      description: md.Description || md.Charge_Type || "",
+      auth_url: authUrl,
+    });
+    if (email.sent) await updateReservationResilient(where, { [F_EMAIL_SENT]: new Date().toISOString() });
+  } catch (e) {
+    console.warn("⚠️ PAYMENT_AUTH_EMAIL_FAILED", idkey, e?.message || e);
+    email = { sent: false, skipped: "error" };
+  }
+
+  console.log("PAYMENT_AUTH_REQUESTED:", String(idkey), paymentIntent.id);
+  return { authUrl, email };
+}
+
+// Clears the pending marker once that PaymentIntent succeeded (no-op for any other PI)
+export async function clearPaymentAuthentication(idkey, paymentIntentId, reservation) {
+  if (!paymentIntentId || pendingAuthPaymentIntentId(reservation) !== paymentIntentId) return false;
+  await updateReservationResilient(buildWhereForIdKey(idkey), { [F_PENDING]: null });
+  return true;
+}
@@ -0,0 +1,183 @@
+// lib/promo.js
+//
+// Promo codes (SIGMA_BAR3_Promo_Codes): a percent or flat discount on a booking's base
+// price. A code can be limited to a Business_Unit and/or Price_Class, a Valid_From /
+// Valid_To window (checked when it's redeemed), a number of uses and first-time customers.
+//
+// Uses are counted like seats (lib/session-capacity): Booked reservations carrying the code
+// plus unexpired In Process holds, so an abandoned booking gives its use back. Like a hold,
+// a use is checked before the insert and verified after it (verifyPromoUse), so two
+// bookings racing for a code's last use can't both keep it.
+// "First time" means no Booked reservation under the same email yet.
+//
+// /api/reserve stores the code and its Discount_Amount on the reservation; lib/quote
+// prices gratuity and tax on the discounted base; /api/paystart shows the discount as a
+// Stripe coupon and the webhook records it as a TxnType='discount' row.
+//
+// Env:
+//   CASPIO_PROMO_TABLE   default SIGMA_BAR3_Promo_Codes
+
+import {
+  buildWhereForIdKey,
+  caspioQuery,
+  deleteRecordsByWhere,
+  findOneByWhereInTable,
+  getReservationByIdKey,
+  listRecordsByWhere,
+} from "./caspio";
+import { RESERVATION_STATUS } from "./reservation-status";
+
+export class PromoError extends Error {
+  constructor(message, { code = "INVALID_PROMO", status = 400 } = {}) {
+    super(message);
+    this.name = "PromoError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function promoTable() {
+  return process.env.CASPIO_PROMO_TABLE || "SIGMA_BAR3_Promo_Codes";
+}
+
+function reservationTable() {
+  return process.env.CASPIO_TABLE || "BAR2_Reservations_SIGMA";
+}
+
+function parseDate(raw) {
+  const s = oneLine(raw);
+  if (!s) return null;
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+const truthy = (v) => v === true || v === 1 || /^(1|true|yes)$/i.test(oneLine(v));
+
+export function normalizePromoCode(code) {
+  return oneLine(code).toUpperCase();
+}
+
+// null when the code has no usage limit
+function maxUsesOf(promo) {
+  const n = Number(promo?.Max_Uses);
+  return promo?.Max_Uses != null && promo.Max_Uses !== "" && Number.isFinite(n) ? n : null;
+}
+
+async function listPromoUses(code, { now }) {
+  const where = caspioQuery()
+    .eq("Promo_Code", normalizePromoCode(code))
+    .eq("Type", "Reservation")
+    .or(
+      (q) => q.eq("Status", RESERVATION_STATUS.BOOKED),
+      (q) => q.eq("Status", RESERVATION_STATUS.IN_PROCESS).gt("HoldExpiresAt", now)
+    );
+  return await listRecordsByWhere(reservationTable(), where, { limit: Infinity, select: ["PK_ID", "IDKEY"] });
+}
+
+// Booked reservations with the code + unexpired holds (optionally not counting one reservation)
+export async function countPromoUses(code, { excludeIdKey = null, now = new Date() } = {}) {
+  const rows = await listPromoUses(code, { now });
+  return rows.filter((r) => !excludeIdKey || String(r.IDKEY) !== String(excludeIdKey)).length;
+}
+
+export async function isFirstTimeCustomer(email) {
+  const where = caspioQuery()
+    .eq("Email", oneLine(email))
+    .eq("Type", "Reservation")
+    .eq("Status", RESERVATION_STATUS.BOOKED);
+  return !(await findOneByWhereInTable(reservationTable(), where, { select: ["IDKEY"] }));
+}
+
+// The promo row for `code` (normalized), whatever its status; null when there's none
+export async function findPromo(code) {
+  const wanted = normalizePromoCode(code);
+  if (!wanted) return null;
+  const promo = await findOneByWhereInTable(promoTable(), caspioQuery().eq("Code", wanted));
+  return promo ? { ...promo, Code: wanted } : null;
+}
+
+/**
+ * The promo row if `code` can be redeemed for this booking, else PromoError.
+ * excludeIdKey: the reservation being priced (its own hold isn't another use).
+ */
+export async function validatePromo(code, { businessUnit, priceClass, email, excludeIdKey = null, now = new Date() }) {
+  const wanted = normalizePromoCode(code);
+  if (!wanted) throw new PromoError("Missing promo code");
+
+  const promo = await findPromo(wanted);
+  if (!promo || !truthy(promo.Active)) {
+    throw new PromoError(`Promo code ${wanted} is not valid`, { code: "PROMO_NOT_FOUND" });
+  }
+
+  const bu = oneLine(promo.Business_Unit);
+  const cls = oneLine(promo.Price_Class);
+  if ((bu && bu !== oneLine(businessUnit)) || (cls && cls !== oneLine(priceClass))) {
+    throw new PromoError(`Promo code ${wanted} doesn't apply to this booking`, { code: "PROMO_NOT_APPLICABLE" });
+  }
+
+  const from = parseDate(promo.Valid_From);
+  const to = parseDate(promo.Valid_To);
+  if ((from && now < from) || (to && now > to)) {
+    throw new PromoError(`Promo code ${wanted} is not valid right now`, { code: "PROMO_EXPIRED" });
+  }
+
+  if (truthy(promo.First_Time_Only)) {
+    if (!oneLine(email)) throw new PromoError(`Promo code ${wanted} needs the guest's email`);
+    if (!(await isFirstTimeCustomer(email))) {
+      throw new PromoError(`Promo code ${wanted} is for first-time guests`, { code: "PROMO_FIRST_TIME_ONLY" });
+    }
+  }
+
+  const maxUses = maxUsesOf(promo);
+  if (maxUses != null && (await countPromoUses(wanted, { excludeIdKey, now })) >= maxUses) {
+    throw usedUp(wanted);
+  }
+
+  return promo;
+}
+
+function usedUp(code) {
+  return new PromoError(`Promo code ${code} has been used up`, { code: "PROMO_USED_UP", status: 409 });
+}
+
+/**
+ * Insert-then-verify for a reservation just inserted with `promo` (validatePromo's row).
+ * Counts only uses ahead of it (lower PK_ID); if the code was used up meanwhile, the
+ * reservation row is deleted and PromoError thrown.
+ */
+export async function verifyPromoUse(idkey, promo, { now = new Date() } = {}) {
+  const maxUses = maxUsesOf(promo);
+  if (maxUses == null) return;
+
+  const own = await getReservationByIdKey(idkey, { select: ["PK_ID", "IDKEY"] });
+  if (!own) throw new Error(`Reservation ${idkey} not found after insert`);
+
+  const ownPk = Number(own.PK_ID);
+  const ahead = (await listPromoUses(promo.Code, { now }))
+    .filter((r) => String(r.IDKEY) !== String(idkey))
+    .filter((r) => !Number.isFinite(ownPk) || Number(r.PK_ID) < ownPk).length;
+
+  if (ahead >= maxUses) {
+    await deleteRecordsByWhere(reservationTable(), buildWhereForIdKey(idkey)).catch((e) =>
+      console.error("⚠️ PROMO_USED_UP_CLEANUP_FAILED", idkey, e?.message || e)
+    );
+    throw usedUp(promo.Code);
+  }
+}
+
+// Dollars off `base`: percent rounded to the cent, flat capped at the base
+export function promoDiscount(promo, base) {
+  const baseCents = Math.max(0, Math.round((Number(base) || 0) * 100));
+  const value = Number(promo?.Discount_Value) || 0;
+  if (value <= 0) return 0;
+
+  const cents =
+    oneLine(promo.Discount_Type).toLowerCase() === "percent"
+      ? Math.round((baseCents * Math.min(value, 100)) / 100)
+      : Math.min(baseCents, Math.round(value * 100));
+  return Number((cents / 100).toFixed(2));
+}
@@ -0,0 +1,293 @@
+// lib/quote.js
+//
+// Server-side price quotes (pages/api/quote.js): the one place booking amounts are computed.
+//
+//   base  Units × Price — the pricing view row for the session's Price_Status /
+//         Price_Status_Sub with the package's C_Quant and Unit = Units
+//   grat  primary config Auto_Gratuity_SIGMA: 0.18 or 18 is a rate on base, more is flat
+//   tax   business unit Tax_Percentage on base + grat
+//
+// A promo code (lib/promo) comes off base first; grat and tax are computed on what's left.
+// An existing reservation is priced with its own Promo_Code.
+//
+// "Pay Now" charges base + grat + tax; any other Charge_Type charges the primary config's
+// booking fee (the rest is settled at the venue).
+//
+// A quote is a signed token (HMAC-SHA256 with QUOTE_SECRET, like chat-reserve's thread
+// tokens), so nothing is stored: /api/paystart charges exactly its amounts once it has
+// checked the signature, the expiry and that it was issued for that reservation.
+//
+// Env:
+//   QUOTE_SECRET          required to issue / accept quotes
+//   QUOTE_TTL_MINUTES     how long a quote is honored (default 60)
+
+import crypto from "crypto";
+import {
+  caspioQuery,
+  findOneByWhereInView,
+  getReservationByIdKey,
+  listViewRecordsByWhere,
+} from "./caspio";
+import { promoDiscount, validatePromo } from "./promo";
+
+const DEFAULT_TTL_MINUTES = 60;
+
+const V_BILL = "SIGMA_VW_Res_Billing_Edit";
+
+// Same names on the sessions view and the billing view (both join BAR2_Sessions -> primary config / BU)
+const V_SESSION_ID = "BAR2_Sessions_Session_ID";
+const V_PRICE_STATUS = "BAR2_Sessions_Price_Status";
+const V_PRICE_SUB = "BAR2_Sessions_Price_Status_Sub";
+const V_BU = "BAR2_Sessions_Business_Unit";
+const V_PRICE_CLASS = "BAR2_Sessions_Price_Class";
+const V_BOOKING_FEE = "BAR2_Primary_Config_BookingFee";
+const V_AUTO_GRAT = "BAR2_Primary_Config_Auto_Gratuity_SIGMA";
+const V_TAX_PCT = "GEN_Business_Units_Tax_Percentage";
+
+export class QuoteError extends Error {
+  constructor(message, { code = "INVALID_QUOTE", status = 400 } = {}) {
+    super(message);
+    this.name = "QuoteError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function sessionsView() {
+  return process.env.CASPIO_SESSIONS_VIEW || "SIGMA_VW_Active_Sessions_Manage";
+}
+
+function pricingView() {
+  return process.env.CASPIO_PRICING_VIEW || "SIGMA_VW_Pricing";
+}
+
+function billingView() {
+  return process.env.CASPIO_RES_BILLING_VIEW || V_BILL;
+}
+
+function secret() {
+  const v = String(process.env.QUOTE_SECRET || "");
+  if (!v) throw new Error("Missing env QUOTE_SECRET");
+  return v;
+}
+
+export function quoteTtlMs() {
+  const n = Number(process.env.QUOTE_TTL_MINUTES);
+  return (Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_MINUTES) * 60 * 1000;
+}
+
+const toCents = (v) => Math.round((Number(v) || 0) * 100);
+const toDollars = (c) => Number((c / 100).toFixed(2));
+
+export function isPayNow(chargeType) {
+  return oneLine(chargeType).toLowerCase() === "pay now";
+}
+
+// Tax_Percentage 5.5 (or a rate 0.055) -> 0.055
+export function taxRateFromPercent(raw) {
+  const n = Number(String(raw ?? "").trim().replace("%", ""));
+  if (!Number.isFinite(n) || n < 0) return 0;
+  return n > 1 ? n / 100 : n;
+}
+
+/**
+ * Pure: gratuity and tax on a base amount, in dollars.
+ * autoGrat: 0.18 or 18 is a rate, anything above 100 a flat amount. Tax applies to base + grat.
+ * -> { base, grat, tax, total }
+ */
+export function chargeComponents({ base, autoGrat = 0, taxRate = 0 }) {
+  const baseCents = toCents(base);
+  const g = Number(String(autoGrat ?? "").trim());
+
+  let gratCents = 0;
+  if (Number.isFinite(g) && g > 0) {
+    if (g <= 1) gratCents = Math.round(baseCents * g);
+    else if (g <= 100) gratCents = Math.round((baseCents * g) / 100);
+    else gratCents = toCents(g);
+  }
+
+  const taxCents = Math.round((baseCents + gratCents) * (Number(taxRate) || 0));
+
+  return {
+    base: toDollars(baseCents),
+    grat: toDollars(gratCents),
+    tax: toDollars(taxCents),
+    total: toDollars(baseCents + gratCents + taxCents),
+  };
+}
+
+// Pricing view row for a session + package (lowest Price_Status_Sub first when the session has none)
+export function pickPrice(rows, { sub, cQuant, units }) {
+  const match = rows
+    .filter((r) => Number(r.C_Quant) === Number(cQuant) && Number(r.Unit) === Number(units))
+    .filter((r) => !sub || String(r.Price_Status_Sub ?? "") === sub)
+    .sort((a, b) => String(a.Price_Status_Sub ?? "").localeCompare(String(b.Price_Status_Sub ?? "")));
+  const price = Number(match[0]?.Price);
+  return match.length && Number.isFinite(price) ? price : null;
+}
+
+async function sessionUnitPrice(session, { cQuant, units }) {
+  const priceStatus = oneLine(session[V_PRICE_STATUS]);
+  const rows = await listViewRecordsByWhere(pricingView(), caspioQuery().eq("Price_Status", priceStatus), Infinity);
+  return pickPrice(rows, { sub: oneLine(session[V_PRICE_SUB]), cQuant, units });
+}
+
+// Unit price a quote would use for a session + package (null when the session or price is missing)
+export async function unitPriceFor(sessionId, { cQuant = 1, units }) {
+  const session = await findOneByWhereInView(sessionsView(), caspioQuery().eq(V_SESSION_ID, oneLine(sessionId)));
+  return session ? await sessionUnitPrice(session, { cQuant: Number(cQuant) || 1, units: Number(units) }) : null;
+}
+
+/**
+ * Prices a package for a session, or for an existing reservation (its own session /
+ * package / Charge_Type / Promo_Code, read through the billing view; the quote is then
+ * bound to its IDKEY). Throws QuoteError or PromoError. -> the unsigned quote
+ */
+export async function buildQuote({
+  idkey = "",
+  sessionId = "",
+  cQuant = 1,
+  units,
+  chargeType,
+  promoCode = "",
+  email = "",
+  now = new Date(),
+}) {
+  let session;
+  let pkg;
+
+  if (oneLine(idkey)) {
+    const reservation = await getReservationByIdKey(oneLine(idkey));
+    if (!reservation) throw new QuoteError("Reservation not found", { code: "NOT_FOUND", status: 404 });
+
+    session = await findOneByWhereInView(billingView(), caspioQuery().eq("IDKEY", oneLine(idkey)));
+    pkg = {
+      sessionId: oneLine(reservation.Session_ID),
+      cQuant: Number(reservation.C_Quant) || 1,
+      units: Number(reservation.Units),
+      chargeType: oneLine(reservation.Charge_Type),
+      promoCode: oneLine(reservation.Promo_Code),
+      email: oneLine(reservation.Email),
+    };
+  } else {
+    if (!oneLine(sessionId)) throw new QuoteError("Missing session_id");
+    session = await findOneByWhereInView(sessionsView(), caspioQuery().eq(V_SESSION_ID, oneLine(sessionId)));
+    pkg = {
+      sessionId: oneLine(sessionId),
+      cQuant: Number(cQuant) || 1,
+      units: Number(units),
+      chargeType: oneLine(chargeType),
+      promoCode: oneLine(promoCode),
+      email: oneLine(email),
+    };
+  }
+
+  if (!session) throw new QuoteError("Session not found", { code: "SESSION_NOT_FOUND", status: 404 });
+  if (!Number.isInteger(pkg.units) || pkg.units <= 0) throw new QuoteError("Missing/invalid units");
+  if (!pkg.chargeType) throw new QuoteError("Missing charge_type");
+
+  const unitPrice = await sessionUnitPrice(session, { cQuant: pkg.cQuant, units: pkg.units });
+  if (unitPrice == null) {
+    throw new QuoteError(`No price for ${pkg.cQuant} × ${pkg.units} on this session`, { code: "NO_PRICE" });
+  }
+
+  const gross = toDollars(toCents(unitPrice * pkg.units));
+  const promo = pkg.promoCode
+    ? await validatePromo(pkg.promoCode, {
+        businessUnit: session[V_BU],
+        priceClass: session[V_PRICE_CLASS],
+        email: pkg.email,
+        excludeIdKey: oneLine(idkey) || null,
+        now,
+      })
+    : null;
+  const discount = promo ? promoDiscount(promo, gross) : 0;
+
+  const taxRate = taxRateFromPercent(session[V_TAX_PCT]);
+  const net = toDollars(toCents(gross) - toCents(discount));
+  const price = { ...chargeComponents({ base: net, autoGrat: session[V_AUTO_GRAT], taxRate }), discount };
+
+  // Hold-fee bookings keep the discount on the reservation; it's settled at the venue
+  const bookingFee = toDollars(toCents(session[V_BOOKING_FEE]));
+  const charge = isPayNow(pkg.chargeType)
+    ? { base: price.base, grat: price.grat, tax: price.tax, fee: 0, discount, total: price.total }
+    : { base: 0, grat: 0, tax: 0, fee: bookingFee, discount: 0, total: bookingFee };
+
+  if (!(charge.total > 0)) throw new QuoteError("Nothing to charge for this booking", { code: "NO_CHARGE" });
+
+  const issuedAt = now.getTime();
+  return {
+    v: 1,
+    qid: crypto.randomBytes(6).toString("hex"),
+    idkey: oneLine(idkey) || null,
+    session_id: pkg.sessionId,
+    c_quant: pkg.cQuant,
+    units: pkg.units,
+    charge_type: pkg.chargeType,
+    promo_code: promo ? promo.Code : null,
+    unit_price: unitPrice,
+    tax_rate: taxRate,
+    price,
+    charge,
+    iat: issuedAt,
+    exp: issuedAt + quoteTtlMs(),
+  };
+}
+
+// -------------------- Signing --------------------
+function b64u(buf) {
+  return Buffer.from(buf).toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
+function sign(payload) {
+  return b64u(crypto.createHmac("sha256", secret()).update(payload).digest());
+}
+
+// -> quote id (the token /api/paystart accepts)
+export function signQuote(quote) {
+  const payload = b64u(JSON.stringify(quote));
+  return `${payload}.${sign(payload)}`;
+}
+
+// Throws QuoteError (bad signature 400, expired 410)
+export function verifyQuote(token, { now = new Date() } = {}) {
+  const [payload = "", sig = ""] = oneLine(token).split(".");
+  const expected = sign(payload);
+  if (!payload || sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+    throw new QuoteError("Invalid quote");
+  }
+
+  let quote;
+  try {
+    quote = JSON.parse(Buffer.from(payload.replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("utf8"));
+  } catch {
+    throw new QuoteError("Invalid quote");
+  }
+
+  if (!(Number(quote?.exp) > now.getTime())) {
+    throw new QuoteError("This price quote has expired — please request a new one.", {
+      code: "QUOTE_EXPIRED",
+      status: 410,
+    });
+  }
+  return quote;
+}
+
+// The quote must have been issued for this reservation's session + package + Charge_Type
+// (and, when bound to one, its IDKEY) and priced with its promo code, so a quote taken
+// before a reschedule or a change of Units no longer pays for it
+export function assertQuoteMatches(quote, reservation, idkey) {
+  const mismatch =
+    (quote.idkey && quote.idkey !== oneLine(idkey)) ||
+    quote.session_id !== oneLine(reservation.Session_ID) ||
+    Number(quote.c_quant) !== (Number(reservation.C_Quant) || 1) ||
+    Number(quote.units) !== Number(reservation.Units) ||
+    oneLine(quote.charge_type).toLowerCase() !== oneLine(reservation.Charge_Type).toLowerCase() ||
+    oneLine(quote.promo_code).toUpperCase() !== oneLine(reservation.Promo_Code).toUpperCase();
+
+  if (mismatch) throw new QuoteError("Quote does not match this reservation", { code: "QUOTE_MISMATCH", status: 409 });
+}
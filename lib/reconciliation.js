@@ -0,0 +1,351 @@
+// lib/reconciliation.js
+//
+// Stripe -> Caspio reconciliation (nightly cron: /api/reconcile).
+//
+// Money can reach Stripe without a SIGMA_BAR3_Transactions row: a webhook outage, a row
+// that lost columns to ColumnNotFound, a connection error in charge-adjustment.js, ...
+// For a created-at window this lists Stripe charges and refunds, matches them to ledger
+// rows by PaymentIntent / Charge / Refund id, inserts what is missing (through
+// lib/ledger recordLedgerTxn, RawEventId "recon:<stripe id>"), flags amount
+// mismatches, re-rolls totals for the IDKEYs it touched and returns a discrepancy report.
+//
+// Env:
+//   RECONCILE_LOOKBACK_HOURS  window length when no `from` is given (default 48)
+//   RECONCILE_SETTLE_MINUTES  skip objects younger than this; the webhook may still be
+//                             on its way (default 15)
+//   RECONCILE_REPORT_EMAIL    send the report through the email hook when there are
+//                             discrepancies (lib/customer-email)
+
+import {
+  caspioQuery,
+  findOneByWhereInTable,
+  getReservationByIdKey,
+  rollupTotalsForIdKey,
+} from "./caspio";
+import { componentFields, recordLedgerTxn, refundableForCharge, refundAllocationFor } from "./ledger";
+import { paymentStatusForPurpose } from "./reservation-status";
+import {
+  cardFields,
+  dollarsFromCents,
+  getConfirmationNumberFromReservationRow,
+  getIdKeyFromMetadata,
+  n2,
+  parseBreakdown,
+  pickDescription,
+} from "./stripe-ledger";
+import { sendCustomerEmail } from "./customer-email";
+
+const DEFAULT_LOOKBACK_HOURS = 48;
+const DEFAULT_SETTLE_MINUTES = 15;
+const MAX_STRIPE_OBJECTS = 5000;
+
+// Refunds in these states never moved money
+const IGNORED_REFUND_STATUSES = new Set(["failed", "canceled"]);
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function txnTable() {
+  return process.env.CASPIO_TXN_TABLE || "SIGMA_BAR3_Transactions";
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function toDate(v) {
+  if (!v) return null;
+  const d = v instanceof Date ? v : new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+const unix = (d) => Math.floor(d.getTime() / 1000);
+const isoFromUnix = (t) => new Date((t || Math.floor(Date.now() / 1000)) * 1000).toISOString();
+
+/**
+ * Created-at window to reconcile: [from, to).
+ * Defaults: to = now - RECONCILE_SETTLE_MINUTES, from = to - RECONCILE_LOOKBACK_HOURS.
+ */
+export function reconcileWindow({ from, to, now = new Date() } = {}) {
+  const end = toDate(to) || new Date(now.getTime() - envNumber("RECONCILE_SETTLE_MINUTES", DEFAULT_SETTLE_MINUTES) * 60000);
+  const start = toDate(from) || new Date(end.getTime() - envNumber("RECONCILE_LOOKBACK_HOURS", DEFAULT_LOOKBACK_HOURS) * 3600000);
+  if (start >= end) {
+    const err = new Error("Reconcile window is empty (from must be before to)");
+    err.statusCode = 400;
+    throw err;
+  }
+  return { from: start, to: end };
+}
+
+async function findLedgerRow(txnType, ids) {
+  const pairs = ids.filter(([, v]) => v);
+  if (!pairs.length) return null;
+  const where = caspioQuery().or(
+    ...pairs.map(([field, value]) => (q) => q.eq("TxnType", txnType).eq(field, String(value)))
+  );
+  return await findOneByWhereInTable(txnTable(), where);
+}
+
+function chargeTxn({ idkey, charge, pi, reservation }) {
+  const md = pi?.metadata || charge?.metadata || {};
+  const breakdown = parseBreakdown(md, dollarsFromCents(charge.amount));
+  const chargeType = md.Charge_Type || reservation?.Charge_Type || "charge";
+
+  return {
+    IDKEY: String(idkey),
+    TxnType: "charge",
+
+    Base_Amount: breakdown.base,
+    Auto_Gratuity: breakdown.grat,
+    Tax: breakdown.tax,
+    Fee: breakdown.fee,
+    Amount: breakdown.amount,
+
+    Currency: charge.currency?.toLowerCase() || "usd",
+    PaymentStatus: paymentStatusForPurpose(md.purpose || md.Purpose || null),
+    Status: charge.status || "succeeded",
+
+    StripeCheckoutSessionId: null,
+    StripePaymentIntentId: pi?.id || null,
+    StripeChargeId: charge.id,
+    StripeCustomerId: charge.customer || null,
+    StripePaymentMethodId: charge.payment_method || null,
+
+    Charge_Type: String(chargeType).slice(0, 250),
+    Description: pickDescription(md, chargeType),
+
+    Confirmation_Number: getConfirmationNumberFromReservationRow(reservation),
+
+    ...cardFields(charge.payment_method_details?.card),
+
+    RawEventId: `recon:${charge.id}`,
+    Transaction_date: isoFromUnix(charge.created),
+    CreatedAt: new Date().toISOString(),
+  };
+}
+
+// `rb`: refundAllocationFor split of the refund (same as the webhook would have written)
+function refundTxn({ idkey, refund, rb, chargeId, pi, charge, reservation }) {
+  const chargeType = pi?.metadata?.Charge_Type || refund.metadata?.Charge_Type || "refund";
+
+  return {
+    IDKEY: String(idkey),
+    TxnType: "refund",
+
+    ...componentFields(rb, -1),
+
+    Currency: refund.currency?.toLowerCase() || "usd",
+    PaymentStatus: "Refunded",
+    Status: refund.status || "succeeded",
+
+    StripeCheckoutSessionId: null,
+    StripePaymentIntentId: pi?.id || null,
+    StripeChargeId: chargeId,
+    StripeRefundId: refund.id,
+    ParentStripeChargeId: chargeId,
+    StripeCustomerId: charge?.customer || null,
+
+    Charge_Type: chargeType,
+    Description: `Refund - ${chargeType}`,
+
+    Confirmation_Number: getConfirmationNumberFromReservationRow(reservation),
+
+    RawEventId: `recon:${refund.id}`,
+    Transaction_date: isoFromUnix(refund.created),
+    CreatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * @param {object} opts
+ *   stripe   Stripe client
+ *   from/to  window (Date | ISO); see reconcileWindow
+ *   dryRun   report only: no inserts, no rollups, no email
+ * @returns report { ok, dry_run, range, charges, refunds, discrepancies, rolled_up, email }
+ */
+export async function reconcileStripe({ stripe, from, to, dryRun = false, now = new Date() } = {}) {
+  if (!stripe) throw new Error("reconcileStripe requires a Stripe client");
+
+  const range = reconcileWindow({ from, to, now });
+  const created = { gte: unix(range.from), lt: unix(range.to) };
+
+  const report = {
+    ok: true,
+    dry_run: !!dryRun,
+    range: { from: range.from.toISOString(), to: range.to.toISOString() },
+    charges: { seen: 0, matched: 0, inserted: 0, skipped: 0 },
+    refunds: { seen: 0, matched: 0, inserted: 0, skipped: 0 },
+    discrepancies: [],
+    rolled_up: [],
+  };
+  const affected = new Set();
+
+  const pis = new Map();
+  async function getPaymentIntent(id) {
+    if (!id) return null;
+    const key = typeof id === "string" ? id : id.id;
+    if (!pis.has(key)) pis.set(key, await stripe.paymentIntents.retrieve(key).catch(() => null));
+    return pis.get(key);
+  }
+
+  const reservations = new Map();
+  async function getReservation(idkey) {
+    if (!reservations.has(idkey)) reservations.set(idkey, await getReservationByIdKey(idkey).catch(() => null));
+    return reservations.get(idkey);
+  }
+
+  async function repair(kind, section, discrepancy, payload) {
+    if (dryRun) {
+      report.discrepancies.push({ ...discrepancy, kind, action: "would_insert" });
+      return;
+    }
+    try {
+      const out = await recordLedgerTxn(payload);
+      if (out?.skipped) {
+        // Raced the webhook, or a row the id lookup couldn't see
+        report.discrepancies.push({ ...discrepancy, kind, action: "already_present", reason: out.reason });
+        return;
+      }
+      report[section].inserted++;
+      affected.add(payload.IDKEY);
+      report.discrepancies.push({ ...discrepancy, kind, action: "inserted" });
+    } catch (e) {
+      report.ok = false;
+      report.discrepancies.push({ ...discrepancy, kind, action: "insert_failed", error: e?.message || String(e) });
+    }
+  }
+
+  // ---- Charges ----
+  const charges = await stripe.charges.list({ created, limit: 100 }).autoPagingToArray({ limit: MAX_STRIPE_OBJECTS });
+
+  for (const charge of charges) {
+    if (charge.status !== "succeeded") {
+      report.charges.skipped++;
+      continue;
+    }
+    report.charges.seen++;
+
+    const pi = await getPaymentIntent(charge.payment_intent);
+    const idkey = getIdKeyFromMetadata(pi?.metadata) || getIdKeyFromMetadata(charge.metadata);
+    const stripeAmount = dollarsFromCents(charge.amount);
+    const base = { stripe_id: charge.id, payment_intent: pi?.id || null, idkey: idkey || null, stripe_amount: stripeAmount };
+
+    if (!idkey) {
+      report.discrepancies.push({ ...base, kind: "no_idkey", action: "ignored" });
+      continue;
+    }
+
+    const ledger = await findLedgerRow("charge", [
+      ["StripeChargeId", charge.id],
+      ["StripePaymentIntentId", pi?.id],
+    ]);
+
+    if (ledger) {
+      report.charges.matched++;
+      if (n2(ledger.Amount) !== n2(stripeAmount)) {
+        report.discrepancies.push({
+          ...base,
+          kind: "amount_mismatch",
+          action: "flagged",
+          txn_id: ledger.TXN_ID ?? null,
+          ledger_amount: n2(ledger.Amount),
+        });
+      }
+      continue;
+    }
+
+    await repair("missing_charge", "charges", base, chargeTxn({ idkey, charge, pi, reservation: await getReservation(idkey) }));
+  }
+
+  // ---- Refunds ----
+  const refunds = await stripe.refunds.list({ created, limit: 100 }).autoPagingToArray({ limit: MAX_STRIPE_OBJECTS });
+
+  for (const refund of refunds) {
+    if (IGNORED_REFUND_STATUSES.has(String(refund.status || ""))) {
+      report.refunds.skipped++;
+      continue;
+    }
+    report.refunds.seen++;
+
+    const chargeId = typeof refund.charge === "string" ? refund.charge : refund.charge?.id || null;
+    const charge = chargeId ? await stripe.charges.retrieve(chargeId).catch(() => null) : null;
+    const pi = await getPaymentIntent(refund.payment_intent || charge?.payment_intent);
+    const idkey = getIdKeyFromMetadata(pi?.metadata) || getIdKeyFromMetadata(refund.metadata);
+    const stripeAmount = dollarsFromCents(refund.amount);
+    const base = { stripe_id: refund.id, payment_intent: pi?.id || null, idkey: idkey || null, stripe_amount: -stripeAmount };
+
+    if (!idkey) {
+      report.discrepancies.push({ ...base, kind: "no_idkey", action: "ignored" });
+      continue;
+    }
+
+    const ledger = await findLedgerRow("refund", [["StripeRefundId", refund.id]]);
+
+    if (ledger) {
+      report.refunds.matched++;
+      if (n2(Math.abs(Number(ledger.Amount) || 0)) !== n2(stripeAmount)) {
+        report.discrepancies.push({
+          ...base,
+          kind: "amount_mismatch",
+          action: "flagged",
+          txn_id: ledger.TXN_ID ?? null,
+          ledger_amount: n2(ledger.Amount),
+        });
+      }
+      continue;
+    }
+
+    const { original, refunded } = await refundableForCharge(chargeId, {
+      fallback: parseBreakdown(pi?.metadata || {}, dollarsFromCents(charge?.amount ?? null)),
+      excludeRefundId: refund.id,
+    });
+    const rb = refundAllocationFor({ original, refunded, amount: stripeAmount, metadata: refund.metadata });
+
+    await repair(
+      "missing_refund",
+      "refunds",
+      base,
+      refundTxn({ idkey, refund, rb, chargeId, pi, charge, reservation: await getReservation(idkey) })
+    );
+  }
+
+  // ---- Totals for everything we inserted ----
+  for (const idkey of affected) {
+    try {
+      await rollupTotalsForIdKey(idkey);
+      report.rolled_up.push(idkey);
+    } catch (e) {
+      console.warn("⚠️ RECONCILE_ROLLUP_FAILED", idkey, e?.message || e);
+      report.ok = false;
+    }
+  }
+
+  console.log(
+    "RECONCILE_REPORT:",
+    JSON.stringify({ range: report.range, charges: report.charges, refunds: report.refunds, discrepancies: report.discrepancies.length })
+  );
+
+  report.email = await emailReport(report, { dryRun });
+  return report;
+}
+
+async function emailReport(report, { dryRun }) {
+  const to = oneLine(process.env.RECONCILE_REPORT_EMAIL);
+  const actionable = report.discrepancies.filter((d) => d.kind !== "no_idkey");
+  if (!to || dryRun || !actionable.length) return { sent: false, skipped: !to ? "not_configured" : "nothing_to_report" };
+
+  try {
+    return await sendCustomerEmail("reconciliation_report", {
+      to,
+      range: report.range,
+      charges: report.charges,
+      refunds: report.refunds,
+      discrepancies: actionable,
+    });
+  } catch (e) {
+    console.warn("⚠️ RECONCILE_REPORT_EMAIL_FAILED", e?.message || e);
+    return { sent: false, skipped: "error" };
+  }
+}
@@ -0,0 +1,534 @@
+// lib/reschedule.js
+//
+// Customer self-service date/time change (pages/api/customer-reschedule.js).
+//
+// Alternatives: active sessions on the sessions view with the reservation's Business_Unit
+// and Price_Status, starting outside their cancel window, with room for its C_Quant.
+//
+// Price: the pricing view row for the session's Price_Status / Price_Status_Sub with the
+// reservation's C_Quant and Units (the row lib/quote prices from). A session without a
+// matching row is not offered. Both sides are priced that way, the current session too,
+// never from the Unit_Price the booking page sent; a reservation whose own package has no
+// price can't be changed online. The reservation's promo code comes off each side (its
+// own terms, or the stored Discount_Amount once the code is gone). The difference is the
+// new side minus the current, gratuity and the reservation's Tax_Rate included, priced
+// like a quote (lib/quote chargeComponents).
+//
+// Settlement, only when the reservation prepaid its base (ledger net base > 0); otherwise
+// the new price is recorded and the balance is settled at the venue as before:
+//   costs more  off-session PaymentIntent on the saved card, before the move (no move if
+//               the card fails or needs 3-D Secure)
+//   costs less  refunds per component across the reservation's charges, after the move
+//               (a failure is reported; the move stands and staff refund by hand); what a
+//               gift card paid goes back on the card
+//
+// Every move writes a row to SIGMA_BAR3_Reservation_Changes (CASPIO_RESERVATION_CHANGES_TABLE).
+
+import {
+  caspioQuery,
+  findOneByWhereInTable,
+  findOneByWhereInView,
+  listViewRecordsByWhere,
+  updateReservationResilient,
+  buildWhereForIdKey,
+  writeResilient,
+  rollupTotalsForIdKey,
+} from "./caspio";
+import { allocateRefund, getIdKeyBalance, recordLedgerTxn, refundMetadataFor } from "./ledger";
+import { GIFT_CARD_TXN_TYPES, refundGiftCardRedemption } from "./giftcards";
+import { RESERVATION_STATUS, normalizeStatus } from "./reservation-status";
+import { assertCapacity, getSessionAvailability, unitsOf, withSessionLock } from "./session-capacity";
+import { isAuthenticationRequired } from "./payment-auth";
+import { chargeComponents, pickPrice } from "./quote";
+import { findPromo, promoDiscount } from "./promo";
+
+const V_BILL = "SIGMA_VW_Res_Billing_Edit";
+const VB_START = "BAR2_Sessions_Date_Start_Time";
+const VB_PRICE_STATUS = "BAR2_Sessions_Price_Status";
+const VB_PRICE_SUB = "BAR2_Sessions_Price_Status_Sub";
+const VB_CANCEL_HOUR_WIN = "BAR2_Primary_Config_Cancel_Hour_Window";
+
+const VS_SESSION_ID = "BAR2_Sessions_Session_ID";
+const VS_BU = "BAR2_Sessions_Business_Unit";
+const VS_DATE = "BAR2_Sessions_Date";
+const VS_START = "BAR2_Sessions_Date_Start_Time";
+const VS_TITLE = "BAR2_Sessions_Title";
+const VS_PRICE_STATUS = "BAR2_Sessions_Price_Status";
+const VS_PRICE_SUB = "BAR2_Sessions_Price_Status_Sub";
+const VS_PRICE_CLASS = "BAR2_Sessions_Price_Class";
+const VS_CANCEL_HOUR_WIN = "BAR2_Primary_Config_Cancel_Hour_Window";
+const VS_AUTO_GRAT = "BAR2_Primary_Config_Auto_Gratuity_SIGMA";
+
+const RESERVATION_FIELDS = [
+  "IDKEY", "RES_ID", "Type", "Status", "Business_Unit", "Session_ID", "Session_Date", "Sessions_Title",
+  "C_Quant", "Units", "Unit_Price", "Tax_Rate", "Confirmation_Number", "StripeCustomerId", "StripePaymentMethodId",
+  "Promo_Code", "Discount_Amount",
+];
+
+const CHANGED_BY = "customer-reschedule";
+
+export class RescheduleError extends Error {
+  constructor(message, { code = "RESCHEDULE_FAILED", status = 400 } = {}) {
+    super(message);
+    this.name = "RescheduleError";
+    this.code = code;
+    this.status = status; // HTTP status routes should answer with
+  }
+}
+
+function sessionsView() {
+  return process.env.CASPIO_SESSIONS_VIEW || "SIGMA_VW_Active_Sessions_Manage";
+}
+
+function pricingView() {
+  return process.env.CASPIO_PRICING_VIEW || "SIGMA_VW_Pricing";
+}
+
+function changesTable() {
+  return process.env.CASPIO_RESERVATION_CHANGES_TABLE || "SIGMA_BAR3_Reservation_Changes";
+}
+
+function parseDateAny(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  const d = new Date(/^\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}/.test(s) ? s.replace(" ", "T") : s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function hoursOr(v, fallback) {
+  const n = Number(v);
+  return v !== null && v !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+const toCents = (v) => Math.round(Number(v || 0) * 100);
+const toDollars = (c) => Number((c / 100).toFixed(2));
+
+/**
+ * Pure: what the move changes, signed dollars (negative = the customer gets money back):
+ * lib/quote's chargeComponents at the new price minus at the old, each net of its promo
+ * discount, so a flat gratuity cancels out and moving there and back nets to zero.
+ * -> { base, grat, tax, amount }
+ */
+export function priceDifference({
+  units,
+  fromUnitPrice,
+  toUnitPrice,
+  fromDiscount = 0,
+  toDiscount = 0,
+  autoGrat = 0,
+  taxRate = 0,
+}) {
+  const n = Number(units) || 0;
+  const net = (unitPrice, discount) => toDollars(n * toCents(unitPrice) - toCents(discount));
+  const from = chargeComponents({ base: net(fromUnitPrice, fromDiscount), autoGrat, taxRate });
+  const to = chargeComponents({ base: net(toUnitPrice, toDiscount), autoGrat, taxRate });
+  const delta = (k) => toDollars(toCents(to[k]) - toCents(from[k]));
+
+  return { base: delta("base"), grat: delta("grat"), tax: delta("tax"), amount: delta("total") };
+}
+
+// Units × unit price, what a promo discount is taken from
+function grossFor(reservation, unitPrice) {
+  return toDollars(toCents(unitPrice) * (Number(reservation.Units) || 0));
+}
+
+function sessionSummary(s) {
+  return {
+    session_id: s[VS_SESSION_ID],
+    date: String(s[VS_DATE] || "").slice(0, 10),
+    start: s[VS_START] || null,
+    title: s[VS_TITLE] || "",
+  };
+}
+
+/**
+ * Reservation + billing view row, checked for an online change:
+ * Booked, and its current session starts outside the cancel window.
+ * Also its current unit price (pricing view) and discountAt(gross), its promo discount.
+ */
+export async function loadRescheduleContext(idkey, { now = new Date() } = {}) {
+  const reservation = await findOneByWhereInTable(
+    process.env.CASPIO_TABLE || "BAR2_Reservations_SIGMA",
+    caspioQuery().eq("IDKEY", String(idkey)).eq("Type", "Reservation"),
+    { select: RESERVATION_FIELDS }
+  );
+  if (!reservation) throw new RescheduleError("Reservation not found", { code: "NOT_FOUND", status: 404 });
+
+  const billing = await findOneByWhereInView(V_BILL, caspioQuery().eq("IDKEY", String(idkey)), {
+    select: [VB_START, VB_PRICE_STATUS, VB_PRICE_SUB, VB_CANCEL_HOUR_WIN],
+  });
+  if (!billing) throw new RescheduleError("Reservation not found (billing view)", { code: "NOT_FOUND", status: 404 });
+
+  if (normalizeStatus(reservation.Status) !== RESERVATION_STATUS.BOOKED) {
+    throw new RescheduleError("Only booked reservations can be changed online.", { code: "NOT_BOOKED", status: 409 });
+  }
+
+  const startDt = parseDateAny(billing[VB_START]);
+  if (!startDt) {
+    throw new RescheduleError("Missing start time — cannot evaluate cancellation window.", {
+      code: "NO_START_TIME",
+      status: 403,
+    });
+  }
+
+  const winHours = hoursOr(billing[VB_CANCEL_HOUR_WIN], 0);
+  if (now.getTime() >= startDt.getTime() - winHours * 36e5) {
+    throw new RescheduleError(`Within ${winHours} hour cancellation window — please call.`, {
+      code: "WITHIN_CANCEL_WINDOW",
+      status: 403,
+    });
+  }
+
+  const prices = await listViewRecordsByWhere(
+    pricingView(),
+    caspioQuery().eq("Price_Status", String(billing[VB_PRICE_STATUS] || "").trim()),
+    Infinity
+  );
+  const unitPrice = pickPrice(prices, {
+    sub: String(billing[VB_PRICE_SUB] || "").trim(),
+    cQuant: reservation.C_Quant,
+    units: reservation.Units,
+  });
+  if (unitPrice == null) {
+    throw new RescheduleError("This booking can't be priced online — please call to change it.", {
+      code: "NO_PRICE",
+      status: 409,
+    });
+  }
+
+  const promo = reservation.Promo_Code ? await findPromo(reservation.Promo_Code) : null;
+  const storedDiscount = Number(reservation.Discount_Amount) || 0;
+  const discountAt = (gross) =>
+    promo ? promoDiscount(promo, gross) : toDollars(Math.min(toCents(storedDiscount), toCents(gross)));
+
+  return { idkey: String(idkey), reservation, billing, cancelWindowHours: winHours, unitPrice, discountAt };
+}
+
+/**
+ * Sessions the reservation can move to, soonest first, each with its availability and
+ * price difference.
+ */
+export async function listRescheduleOptions(ctx, { now = new Date(), sessionId = null } = {}) {
+  const { idkey, reservation, billing, unitPrice: fromUnitPrice, discountAt } = ctx;
+  const priceStatus = String(billing[VB_PRICE_STATUS] || "").trim();
+  if (!priceStatus) return [];
+
+  const where = caspioQuery().eq(VS_BU, reservation.Business_Unit).eq(VS_PRICE_STATUS, priceStatus);
+  if (sessionId) where.eq(VS_SESSION_ID, String(sessionId));
+
+  const sessions = await listViewRecordsByWhere(sessionsView(), where, { limit: Infinity, orderBy: VS_START });
+  const prices = await listViewRecordsByWhere(pricingView(), caspioQuery().eq("Price_Status", priceStatus), Infinity);
+
+  const units = unitsOf(reservation);
+  const options = [];
+
+  for (const s of sessions) {
+    if (String(s[VS_SESSION_ID]) === String(reservation.Session_ID)) continue;
+
+    const start = parseDateAny(s[VS_START]);
+    const winHours = hoursOr(s[VS_CANCEL_HOUR_WIN], 0);
+    if (!start || now.getTime() >= start.getTime() - winHours * 36e5) continue;
+
+    const unitPrice = pickPrice(prices, {
+      sub: String(s[VS_PRICE_SUB] || "").trim(),
+      cQuant: reservation.C_Quant,
+      units: reservation.Units,
+    });
+    if (unitPrice == null) continue;
+
+    const { capacity, available } = await getSessionAvailability(s[VS_SESSION_ID], { excludeIdKey: idkey, now });
+    if (available < units) continue;
+
+    options.push({
+      ...sessionSummary(s),
+      price_class: s[VS_PRICE_CLASS] || null,
+      capacity,
+      available: Number.isFinite(available) ? available : null,
+      unit_price: unitPrice,
+      difference: priceDifference({
+        units: reservation.Units,
+        fromUnitPrice,
+        toUnitPrice: unitPrice,
+        fromDiscount: discountAt(grossFor(reservation, fromUnitPrice)),
+        toDiscount: discountAt(grossFor(reservation, unitPrice)),
+        autoGrat: s[VS_AUTO_GRAT],
+        taxRate: reservation.Tax_Rate,
+      }),
+    });
+  }
+
+  return options;
+}
+
+// Off-session charge for a price increase. Throws RescheduleError (402) if the card can't pay.
+async function chargeDifference({ stripe, ctx, to, diff, idemKey }) {
+  const { idkey, reservation } = ctx;
+  const customer = String(reservation.StripeCustomerId || "").trim();
+  const paymentMethod = String(reservation.StripePaymentMethodId || "").trim();
+  if (!customer || !paymentMethod) {
+    throw new RescheduleError("No saved card on file — please call to change this booking.", {
+      code: "NO_PAYMENT_METHOD",
+      status: 402,
+    });
+  }
+
+  const description = `Reschedule to ${to.title} (${to.date})`.slice(0, 500);
+  let pi;
+  try {
+    pi = await stripe.paymentIntents.create(
+      {
+        amount: toCents(diff.amount),
+        currency: "usd",
+        customer,
+        payment_method: paymentMethod,
+        off_session: true,
+        confirm: true,
+        description,
+        metadata: {
+          IDKEY: idkey,
+          RES_ID: String(reservation.RES_ID || ""),
+          purpose: "reschedule",
+          Charge_Type: "Reschedule",
+          Description: description,
+          base_amount: String(diff.base),
+          grat_amount: String(diff.grat),
+          tax_amount: String(diff.tax),
+          fee_amount: "0",
+          total_amount: String(diff.amount),
+          source: "off_session",
+          idem_key: idemKey,
+        },
+        expand: ["latest_charge"],
+      },
+      { idempotencyKey: idemKey }
+    );
+  } catch (err) {
+    const requiresAction = isAuthenticationRequired(err);
+    throw new RescheduleError(
+      requiresAction
+        ? "Your bank needs to approve this charge — please call to change this booking."
+        : `Your saved card couldn't be charged (${err?.raw?.message || err?.message || "card error"}).`,
+      { code: requiresAction ? "REQUIRES_ACTION" : "PAYMENT_FAILED", status: 402 }
+    );
+  }
+
+  // Safety net: the payment_intent.succeeded webhook writes the same row (deduped by PI)
+  const latestCharge = typeof pi?.latest_charge === "string" ? pi.latest_charge : pi?.latest_charge?.id || null;
+  await recordLedgerTxn({
+    IDKEY: idkey,
+    TxnType: "charge",
+    Base_Amount: diff.base,
+    Auto_Gratuity: diff.grat,
+    Tax: diff.tax,
+    Fee: 0,
+    Amount: diff.amount,
+    Currency: "usd",
+    PaymentStatus: "Paid",
+    Status: pi?.status || "succeeded",
+    StripePaymentIntentId: pi?.id || null,
+    StripeChargeId: latestCharge,
+    StripeCustomerId: customer,
+    StripePaymentMethodId: paymentMethod,
+    Charge_Type: "Reschedule",
+    Description: description,
+    RawEventId: `pi_${pi?.id}`,
+    Transaction_date: new Date().toISOString(),
+    CreatedAt: new Date().toISOString(),
+  }).catch((e) => console.warn("⚠️ RESCHEDULE_TXN_INSERT_FAILED", e?.message || e));
+
+  return pi;
+}
+
+// Refunds a price decrease per component, charge by charge. Never throws.
+async function refundDifference({ stripe, ctx, balance, diff, idemPrefix }) {
+  const { idkey, reservation } = ctx;
+  const need = { base: toCents(-diff.base), grat: toCents(-diff.grat), tax: toCents(-diff.tax), fee: 0 };
+  const refunds = [];
+  const errors = [];
+
+  for (const c of balance.charges || []) {
+    const giftCard = c.txn_type === GIFT_CARD_TXN_TYPES.REDEEM;
+    if (!c.stripe_charge_id && !giftCard) continue;
+    if (need.base + need.grat + need.tax <= 0) break;
+
+    const components = {};
+    for (const k of ["base", "grat", "tax"]) components[k] = toDollars(Math.min(need[k], toCents(c.refundable[k])));
+    const cents = toCents(components.base) + toCents(components.grat) + toCents(components.tax);
+    if (cents <= 0) continue;
+
+    if (giftCard) {
+      try {
+        const split = allocateRefund({ original: c.refundable, amount: toDollars(cents), components });
+        const out = await refundGiftCardRedemption({
+          idkey,
+          txnId: c.txn_id,
+          split,
+          rawEventId: [idemPrefix, "giftcard", String(c.txn_id), String(cents)].join("_"),
+          note: "Customer reschedule (price difference)",
+        });
+        for (const k of ["base", "grat", "tax"]) need[k] -= toCents(split[k]);
+        refunds.push({ refund_id: null, gift_card: out.gift_card, amount: out.amount, status: "succeeded" });
+      } catch (e) {
+        console.warn("⚠️ RESCHEDULE_GIFT_CARD_REFUND_FAILED", idkey, c.txn_id, e?.message || e);
+        errors.push({ charge_id: `gift card txn ${c.txn_id}`, error: e?.message || String(e) });
+      }
+      continue;
+    }
+
+    try {
+      const split = allocateRefund({ original: c.refundable, amount: toDollars(cents), components });
+      const refund = await stripe.refunds.create(
+        {
+          charge: String(c.stripe_charge_id),
+          amount: cents,
+          reason: "requested_by_customer",
+          metadata: {
+            txn_id: String(c.txn_id ?? ""),
+            IDKEY: idkey,
+            Confirmation_Number: String(reservation.Confirmation_Number || ""),
+            note: "Customer reschedule (price difference)",
+            source: CHANGED_BY,
+            ...refundMetadataFor(split),
+          },
+        },
+        { idempotencyKey: [idemPrefix, String(c.stripe_charge_id), String(cents)].join("_") }
+      );
+
+      for (const k of ["base", "grat", "tax"]) need[k] -= toCents(split[k]);
+      refunds.push({
+        refund_id: refund.id,
+        charge_id: c.stripe_charge_id,
+        amount: Number((refund.amount / 100).toFixed(2)),
+        status: refund.status,
+      });
+    } catch (e) {
+      console.warn("⚠️ RESCHEDULE_REFUND_FAILED", idkey, c.stripe_charge_id, e?.message || e);
+      errors.push({ charge_id: c.stripe_charge_id, error: e?.message || String(e) });
+    }
+  }
+
+  return { refunds, errors };
+}
+
+async function writeAuditRow(row) {
+  try {
+    await writeResilient(changesTable(), null, row);
+  } catch (e) {
+    console.warn("⚠️ RESCHEDULE_AUDIT_WRITE_FAILED", row.IDKEY, e?.message || e);
+  }
+}
+
+/**
+ * Moves a reservation to `sessionId` and settles the price difference.
+ * Throws RescheduleError / SoldOutError before anything changed; after the move it
+ * only reports (settlement.status "refund_failed" / "partial_failure").
+ *
+ * -> { from, to, difference, settlement: { status, amount, payment_intent_id, refunds } }
+ *    settlement.status: "none" | "at_venue" | "charged" | "refunded" | "partial_failure" | "refund_failed"
+ */
+export async function rescheduleReservation({ stripe, idkey, sessionId, now = new Date() }) {
+  const ctx = await loadRescheduleContext(idkey, { now });
+  const { reservation } = ctx;
+
+  if (String(sessionId) === String(reservation.Session_ID)) {
+    throw new RescheduleError("The reservation is already booked for that session.", {
+      code: "SAME_SESSION",
+      status: 409,
+    });
+  }
+
+  const [option] = await listRescheduleOptions(ctx, { now, sessionId });
+  if (!option) {
+    throw new RescheduleError("That session isn't available for this reservation.", {
+      code: "SESSION_UNAVAILABLE",
+      status: 409,
+    });
+  }
+
+  const from = {
+    session_id: reservation.Session_ID,
+    date: String(reservation.Session_Date || "").slice(0, 10),
+    title: reservation.Sessions_Title || "",
+    unit_price: ctx.unitPrice,
+  };
+  const to = {
+    session_id: option.session_id,
+    date: option.date,
+    start: option.start,
+    title: option.title,
+    unit_price: option.unit_price,
+  };
+  const diff = option.difference;
+
+  // Caspio has no transactions: the lock serializes moves into the session within this instance
+  return await withSessionLock(to.session_id, async () => {
+    await assertCapacity(to.session_id, unitsOf(reservation), { excludeIdKey: idkey, now });
+
+    const balance = await getIdKeyBalance(idkey);
+    const prepaid = balance.net.base > 0;
+    const cents = toCents(diff.amount);
+    const idemPrefix = ["reschedule", idkey, from.session_id, to.session_id, String(balance.txn_count)].join("_");
+
+    const settlement = { status: "none", amount: 0, payment_intent_id: null, refunds: [] };
+    if (cents !== 0 && !prepaid) settlement.status = "at_venue";
+
+    if (cents > 0 && prepaid) {
+      const pi = await chargeDifference({ stripe, ctx, to, diff, idemKey: `${idemPrefix}_${cents}` });
+      Object.assign(settlement, { status: "charged", amount: diff.amount, payment_intent_id: pi?.id || null });
+    }
+
+    await updateReservationResilient(buildWhereForIdKey(idkey), {
+      Session_ID: to.session_id,
+      Session_Date: to.date,
+      Sessions_Title: to.title,
+      Unit_Price: String(to.unit_price),
+      ...(reservation.Promo_Code ? { Discount_Amount: ctx.discountAt(grossFor(reservation, to.unit_price)) } : {}),
+      ...(option.price_class ? { Price_Class: option.price_class } : {}),
+      UpdatedAt: new Date().toISOString(),
+    });
+
+    let errors = [];
+    if (cents < 0 && prepaid) {
+      const out = await refundDifference({ stripe, ctx, balance, diff, idemPrefix: `${idemPrefix}_refund` });
+      errors = out.errors;
+      settlement.refunds = out.refunds;
+      settlement.amount = Number(out.refunds.reduce((s, r) => s + r.amount, 0).toFixed(2));
+      settlement.status = out.refunds.length
+        ? errors.length
+          ? "partial_failure"
+          : "refunded"
+        : errors.length
+        ? "refund_failed"
+        : "none";
+    }
+
+    if (settlement.amount) {
+      await rollupTotalsForIdKey(idkey).catch((e) =>
+        console.warn("⚠️ ROLLUP_FAILED (non-blocking)", e?.message || e)
+      );
+    }
+
+    await writeAuditRow({
+      IDKEY: idkey,
+      ChangeType: "reschedule",
+      From_Session_ID: from.session_id,
+      From_Session_Date: from.date,
+      From_Sessions_Title: from.title,
+      From_Unit_Price: from.unit_price,
+      To_Session_ID: to.session_id,
+      To_Session_Date: to.date,
+      To_Sessions_Title: to.title,
+      To_Unit_Price: to.unit_price,
+      Price_Difference: diff.amount,
+      Settlement: settlement.status,
+      Settled_Amount: settlement.amount,
+      StripePaymentIntentId: settlement.payment_intent_id,
+      StripeRefundIds: settlement.refunds.map((r) => r.refund_id).filter(Boolean).join(",") || null,
+      ChangedBy: CHANGED_BY,
+      ChangedAt: new Date().toISOString(),
+      Notes: errors.length ? errors.map((e) => `${e.charge_id}: ${e.error}`).join("; ").slice(0, 500) : null,
+    });
+
+    return { from, to, difference: diff, settlement };
+  });
+}
@@ -0,0 +1,291 @@
+// lib/reservation-status.js
+//
+// Reservation lifecycle: the only place that decides which Status / PaymentStatus
+// values a BAR2_Reservations_SIGMA row may move to.
+//
+//   Status:         (new) -> In Process -> Booked -> Cancelled
+//                                  \_____________-> Cancelled      (Cancelled is terminal)
+//                                  \-> Abandoned -> In Process     (checkout expired; customer can resume)
+//
+//   PaymentStatus:  (none) -> PendingBookingFee -> PaidBookingFee -> Paid (supplemental charges)
+//                   paid states -> PartiallyRefunded / Refunded -> Paid (new charge)
+//                   unpaid states <-> PaymentFailed / RequiresAction (a failure never un-pays a paid row)
+//
+// Routes call transitionReservation() instead of writing Status/PaymentStatus directly.
+// Every applied change is appended to SIGMA_BAR3_Status_History (CASPIO_STATUS_HISTORY_TABLE),
+// one row per field that moved, never updated, so the full trail survives later changes.
+// The row itself only carries the latest one in StatusChangedAt + StatusChangedBy
+// (dropped automatically if those columns don't exist yet, see writeResilient).
+
+import {
+  caspioQuery,
+  getReservationByIdKey,
+  listRecordsByWhere,
+  updateReservationResilient,
+  buildWhereForIdKey,
+  writeResilient,
+} from "./caspio";
+
+export const RESERVATION_STATUS = Object.freeze({
+  IN_PROCESS: "In Process",
+  BOOKED: "Booked",
+  CANCELLED: "Cancelled",
+  ABANDONED: "Abandoned",
+});
+
+export const PAYMENT_STATUS = Object.freeze({
+  PENDING_BOOKING_FEE: "PendingBookingFee",
+  PAID_BOOKING_FEE: "PaidBookingFee",
+  PAID: "Paid",
+  PARTIALLY_REFUNDED: "PartiallyRefunded",
+  REFUNDED: "Refunded",
+  PAYMENT_FAILED: "PaymentFailed",
+  REQUIRES_ACTION: "RequiresAction",
+});
+
+const S = RESERVATION_STATUS;
+const P = PAYMENT_STATUS;
+
+// from -> allowed targets ("" = no value yet / legacy blank)
+const STATUS_TRANSITIONS = {
+  "": [S.IN_PROCESS, S.BOOKED, S.CANCELLED],
+  [S.IN_PROCESS]: [S.BOOKED, S.CANCELLED, S.ABANDONED],
+  [S.BOOKED]: [S.CANCELLED],
+  [S.ABANDONED]: [S.IN_PROCESS, S.BOOKED, S.CANCELLED],
+  [S.CANCELLED]: [],
+};
+
+const PAID_STATES = [P.PAID_BOOKING_FEE, P.PAID, P.PARTIALLY_REFUNDED, P.REFUNDED];
+
+const PAYMENT_TRANSITIONS = {
+  "": [P.PENDING_BOOKING_FEE, P.PAID_BOOKING_FEE, P.PAID, P.PAYMENT_FAILED, P.REQUIRES_ACTION],
+  [P.PENDING_BOOKING_FEE]: [P.PAID_BOOKING_FEE, P.PAID, P.PAYMENT_FAILED, P.REQUIRES_ACTION],
+  [P.PAYMENT_FAILED]: [P.PENDING_BOOKING_FEE, P.PAID_BOOKING_FEE, P.PAID, P.REQUIRES_ACTION],
+  [P.REQUIRES_ACTION]: [P.PENDING_BOOKING_FEE, P.PAID_BOOKING_FEE, P.PAID, P.PAYMENT_FAILED],
+  [P.PAID_BOOKING_FEE]: [P.PAID, P.PARTIALLY_REFUNDED, P.REFUNDED],
+  [P.PAID]: [P.PARTIALLY_REFUNDED, P.REFUNDED],
+  [P.PARTIALLY_REFUNDED]: [P.PAID, P.REFUNDED],
+  [P.REFUNDED]: [P.PAID],
+};
+
+export class ReservationTransitionError extends Error {
+  constructor(message, { field, from, to, idkey = null } = {}) {
+    super(message);
+    this.name = "ReservationTransitionError";
+    this.code = "ILLEGAL_TRANSITION";
+    this.status = 409; // HTTP status routes should answer with
+    this.field = field; // "Status" | "PaymentStatus"
+    this.from = from;
+    this.to = to;
+    this.idkey = idkey;
+  }
+}
+
+export class ReservationNotFoundError extends Error {
+  constructor(message = "Reservation not found", { idkey = null } = {}) {
+    super(message);
+    this.name = "ReservationNotFoundError";
+    this.code = "RESERVATION_NOT_FOUND";
+    this.status = 404;
+    this.idkey = idkey;
+  }
+}
+
+// Maps stored values onto the canonical spelling ("cancelled" -> "Cancelled").
+// Unknown values are returned trimmed so they can be reported, not silently rewritten.
+function canonical(value, known) {
+  const s = String(value ?? "").trim();
+  if (!s) return "";
+  return known.find((k) => k.toLowerCase() === s.toLowerCase()) || s;
+}
+
+export function normalizeStatus(value) {
+  return canonical(value, Object.values(S));
+}
+
+export function normalizePaymentStatus(value) {
+  return canonical(value, Object.values(P));
+}
+
+function allowed(table, from, to) {
+  if (from === to) return true;
+  // Legacy/unknown values predate the state machine: don't strand those rows
+  if (!(from in table)) return true;
+  return table[from].includes(to);
+}
+
+export function canTransitionStatus(from, to) {
+  return allowed(STATUS_TRANSITIONS, normalizeStatus(from), normalizeStatus(to));
+}
+
+export function canTransitionPaymentStatus(from, to, { status } = {}) {
+  const f = normalizePaymentStatus(from);
+  const t = normalizePaymentStatus(to);
+  // A cancelled reservation can settle/refund money already taken, but never start a new checkout
+  if (t === P.PENDING_BOOKING_FEE && f !== t && normalizeStatus(status) === S.CANCELLED) return false;
+  return allowed(PAYMENT_TRANSITIONS, f, t);
+}
+
+export function isPaid(paymentStatus) {
+  return PAID_STATES.includes(normalizePaymentStatus(paymentStatus));
+}
+
+// Stripe metadata.purpose -> PaymentStatus (used for both reservations and txn rows)
+export function paymentStatusForPurpose(purpose, fallback = P.PAID) {
+  const p = String(purpose || "").toLowerCase();
+  if (p === "booking_fee") return P.PAID_BOOKING_FEE;
+  return fallback;
+}
+
+// Targets for starting a booking-fee checkout: an abandoned reservation resumes (In Process)
+export function bookingFeeCheckoutTargets(current) {
+  const targets = { paymentStatus: P.PENDING_BOOKING_FEE };
+  if (normalizeStatus(current?.Status) === S.ABANDONED) targets.status = S.IN_PROCESS;
+  return targets;
+}
+
+/**
+ * Pure planning step: given the current row and the requested targets, returns
+ *   { changes: { Status?, PaymentStatus? }, transitions: [...], rejected: [...] }
+ * where each transition/rejection is { field, from, to }. No-op targets are omitted.
+ */
+export function planTransition(current, { status, paymentStatus } = {}) {
+  const fromStatus = normalizeStatus(current?.Status);
+  const fromPayment = normalizePaymentStatus(current?.PaymentStatus);
+
+  const changes = {};
+  const transitions = [];
+  const rejected = [];
+
+  if (status != null) {
+    const to = normalizeStatus(status);
+    if (to !== fromStatus) {
+      const t = { field: "Status", from: fromStatus || null, to };
+      if (canTransitionStatus(fromStatus, to)) {
+        changes.Status = to;
+        transitions.push(t);
+      } else {
+        rejected.push(t);
+      }
+    }
+  }
+
+  if (paymentStatus != null) {
+    const to = normalizePaymentStatus(paymentStatus);
+    if (to !== fromPayment) {
+      const t = { field: "PaymentStatus", from: fromPayment || null, to };
+      const effectiveStatus = changes.Status || fromStatus;
+      if (canTransitionPaymentStatus(fromPayment, to, { status: effectiveStatus })) {
+        changes.PaymentStatus = to;
+        transitions.push(t);
+      } else {
+        rejected.push(t);
+      }
+    }
+  }
+
+  return { changes, transitions, rejected };
+}
+
+/**
+ * Throws ReservationTransitionError if any requested change is illegal for `current`.
+ * Use before side effects (e.g. creating a Stripe session) to fail early.
+ */
+export function assertTransition(current, targets, { idkey = null } = {}) {
+  const plan = planTransition(current, targets);
+  const bad = plan.rejected[0];
+  if (bad) {
+    throw new ReservationTransitionError(
+      `Illegal ${bad.field} transition: ${bad.from || "(none)"} -> ${bad.to}`,
+      { ...bad, idkey }
+    );
+  }
+  return plan;
+}
+
+function historyTable() {
+  return process.env.CASPIO_STATUS_HISTORY_TABLE || "SIGMA_BAR3_Status_History";
+}
+
+// A history row that can't be written is logged; the reservation change already stands
+async function recordStatusHistory(idkey, transitions, { by, at }) {
+  for (const t of transitions) {
+    try {
+      await writeResilient(historyTable(), null, {
+        IDKEY: String(idkey),
+        Field: t.field,
+        From_Value: t.from || null,
+        To_Value: t.to,
+        ChangedBy: String(by).slice(0, 255),
+        ChangedAt: at,
+      });
+    } catch (e) {
+      const change = `${t.field} ${t.from || "(none)"} -> ${t.to}`;
+      console.warn("⚠️ STATUS_HISTORY_WRITE_FAILED", idkey, change, "by", by, e?.message || e);
+    }
+  }
+}
+
+/**
+ * One reservation's transitions, oldest first; `field` ("Status" | "PaymentStatus") narrows it.
+ * -> [{ IDKEY, Field, From_Value, To_Value, ChangedBy, ChangedAt }]
+ */
+export async function listStatusHistory(idkey, { field = null } = {}) {
+  const where = caspioQuery().eq("IDKEY", String(idkey));
+  if (field) where.eq("Field", field);
+  return await listRecordsByWhere(historyTable(), where, { limit: Infinity, orderBy: "PK_ID" });
+}
+
+/**
+ * Applies a Status/PaymentStatus change (plus any extra `fields`) to one reservation.
+ *
+ * @param {string} idkey
+ * @param {object} opts
+ *   status, paymentStatus  requested targets (omit to leave unchanged)
+ *   by                     who/what triggered it, e.g. "stripe-webhook:evt_123" (required)
+ *   fields                 other columns to write in the same update
+ *   current                row already loaded by the caller (needs Status + PaymentStatus)
+ *   where                  override the update where (default: IDKEY match)
+ *   onIllegal              "throw" (default) or "skip": drop illegal targets, still write `fields`
+ * @returns {{ ok, idkey, transitions, rejected, written }}
+ */
+export async function transitionReservation(
+  idkey,
+  { status, paymentStatus, by, fields = {}, current, where, onIllegal = "throw" } = {}
+) {
+  if (!idkey) throw new Error("transitionReservation requires an idkey");
+  if (!by) throw new Error("transitionReservation requires `by` (who/what triggered it)");
+
+  const row =
+    current !== undefined
+      ? current
+      : await getReservationByIdKey(idkey, { select: ["IDKEY", "Status", "PaymentStatus"] });
+  if (!row) throw new ReservationNotFoundError(undefined, { idkey });
+
+  const plan =
+    onIllegal === "skip"
+      ? planTransition(row, { status, paymentStatus })
+      : assertTransition(row, { status, paymentStatus }, { idkey });
+
+  for (const r of plan.rejected) {
+    console.warn("⚠️ RESERVATION_TRANSITION_SKIPPED:", idkey, r.field, `${r.from || "(none)"} -> ${r.to}`, "by", by);
+  }
+
+  // Callers must not sneak status fields past the state machine via `fields`
+  const { Status: _s, PaymentStatus: _p, ...rest } = fields;
+
+  const at = new Date().toISOString();
+  const payload = { ...rest, ...plan.changes };
+  if (plan.transitions.length) {
+    payload.StatusChangedAt = at;
+    payload.StatusChangedBy = String(by).slice(0, 255);
+  }
+
+  if (Object.keys(payload).length) {
+    await updateReservationResilient(where || buildWhereForIdKey(idkey), payload);
+  }
+
+  await recordStatusHistory(idkey, plan.transitions, { by, at });
+
+  return { ok: true, idkey, transitions: plan.transitions, rejected: plan.rejected, written: payload };
+}
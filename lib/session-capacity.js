@@ -0,0 +1,284 @@
+// lib/session-capacity.js
+//
+// Session capacity + time-boxed holds (prevents overbooking between /api/reserve and payment).
+//
+// Capacity: BAR2_Sessions_C_Quant on the sessions view (units, e.g. lanes/bays).
+// Consumers: reservation rows for the same Session_ID that are either
+//   - Booked, or
+//   - In Process with HoldExpiresAt in the future (an unpaid hold).
+// Each consumes its C_Quant (default 1). Cancelled rows and lapsed holds free capacity
+// automatically, so an abandoned Checkout releases its seats when the hold expires; the
+// Checkout Session itself is created with the same expiry (see paystart).
+//
+// Caspio has no transactions, so reserve uses insert-then-verify: the new row is inserted
+// as a hold, then the session's consumers are re-read in PK_ID order. If the rows ahead
+// of it (plus itself) exceed capacity, it lost the race and is removed. Concurrent
+// requests in the same instance are also serialized per session (withSessionLock).
+// A lapsed hold that paystart re-acquires is verified the same way, against every other
+// consumer of the session.
+//
+// Extensions are capped: a hold never runs past HoldStartedAt (reserve, waitlist offer or
+// re-acquire time) + RESERVATION_HOLD_MAX_MINUTES, so reopening Checkout can't keep seats forever.
+//
+// Env:
+//   RESERVATION_HOLD_MINUTES       default 35 (Stripe Checkout needs >= 30 minutes)
+//   RESERVATION_HOLD_MAX_MINUTES   default 120
+//   CASPIO_SESSIONS_VIEW       default SIGMA_VW_Active_Sessions_Manage
+
+import {
+  caspioQuery,
+  findOneByWhereInView,
+  listRecordsByWhere,
+  getReservationByIdKey,
+  updateReservationResilient,
+  deleteRecordsByWhere,
+  buildWhereForIdKey,
+} from "./caspio";
+import { RESERVATION_STATUS, normalizeStatus } from "./reservation-status";
+
+const DEFAULT_HOLD_MINUTES = 35;
+const DEFAULT_HOLD_MAX_MINUTES = 120;
+const CHECKOUT_MIN_EXPIRY_MS = 31 * 60 * 1000; // Stripe: expires_at >= now + 30 min
+
+const V_SESSION_ID = "BAR2_Sessions_Session_ID";
+const V_CAPACITY = "BAR2_Sessions_C_Quant";
+
+const F_PK = "PK_ID"; // Caspio autonumber: insertion order decides who wins a race
+const F_SESSION_ID = "Session_ID";
+const F_UNITS = "C_Quant";
+const F_HOLD = "HoldExpiresAt";
+const F_HOLD_STARTED = "HoldStartedAt";
+
+export class SoldOutError extends Error {
+  constructor(message = "This session is sold out — please pick another time.", {
+    sessionId = null,
+    requested = null,
+    available = null,
+  } = {}) {
+    super(message);
+    this.name = "SoldOutError";
+    this.code = "SOLD_OUT";
+    this.status = 409;
+    this.sessionId = sessionId;
+    this.requested = requested;
+    this.available = available;
+  }
+}
+
+// The hold reached RESERVATION_HOLD_MAX_MINUTES; the seats are released when it lapses
+export class HoldLimitError extends SoldOutError {
+  constructor(message = "These seats can't be held any longer — please try again once the hold is released.", {
+    sessionId = null,
+    holdExpiresAt = null,
+  } = {}) {
+    super(message, { sessionId });
+    this.name = "HoldLimitError";
+    this.code = "HOLD_LIMIT_REACHED";
+    this.holdExpiresAt = holdExpiresAt;
+  }
+}
+
+function reservationTable() {
+  return process.env.CASPIO_TABLE || "BAR2_Reservations_SIGMA";
+}
+
+function sessionsView() {
+  return process.env.CASPIO_SESSIONS_VIEW || "SIGMA_VW_Active_Sessions_Manage";
+}
+
+export function holdTtlMs() {
+  const n = Number(process.env.RESERVATION_HOLD_MINUTES);
+  return (Number.isFinite(n) && n > 0 ? n : DEFAULT_HOLD_MINUTES) * 60 * 1000;
+}
+
+export function holdMaxMs() {
+  const n = Number(process.env.RESERVATION_HOLD_MAX_MINUTES);
+  return (Number.isFinite(n) && n > 0 ? n : DEFAULT_HOLD_MAX_MINUTES) * 60 * 1000;
+}
+
+export function unitsOf(row) {
+  const n = Number(row?.[F_UNITS]);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+export function isHoldActive(row, now = new Date()) {
+  const t = Date.parse(String(row?.[F_HOLD] || ""));
+  return Number.isFinite(t) && t > now.getTime();
+}
+
+// -------------------- Per-session serialization (same instance) --------------------
+const LOCKS = new Map(); // sessionId -> tail promise
+
+export async function withSessionLock(sessionId, fn) {
+  const key = String(sessionId || "");
+  const prev = LOCKS.get(key) || Promise.resolve();
+
+  let release;
+  const mine = new Promise((r) => (release = r));
+  const tail = prev.then(() => mine);
+  LOCKS.set(key, tail);
+
+  await prev;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (LOCKS.get(key) === tail) LOCKS.delete(key);
+  }
+}
+
+// -------------------- Reads --------------------
+// Returns the session's capacity, or null when it can't be determined (not enforced).
+export async function getSessionCapacity(sessionId) {
+  const row = await findOneByWhereInView(sessionsView(), caspioQuery().eq(V_SESSION_ID, String(sessionId)), {
+    select: [V_SESSION_ID, V_CAPACITY],
+  });
+  const n = Number(row?.[V_CAPACITY]);
+  return Number.isFinite(n) && row?.[V_CAPACITY] !== null && row?.[V_CAPACITY] !== "" ? n : null;
+}
+
+// Booked rows + unexpired In Process holds for the session, oldest first
+export async function listSessionConsumers(sessionId, { now = new Date() } = {}) {
+  const where = caspioQuery()
+    .eq(F_SESSION_ID, String(sessionId))
+    .eq("Type", "Reservation")
+    .or(
+      (q) => q.eq("Status", RESERVATION_STATUS.BOOKED),
+      (q) => q.eq("Status", RESERVATION_STATUS.IN_PROCESS).gt(F_HOLD, now)
+    );
+
+  return await listRecordsByWhere(reservationTable(), where, {
+    limit: Infinity,
+    select: [F_PK, "IDKEY", "Status", F_UNITS, F_HOLD],
+    orderBy: F_PK,
+  });
+}
+
+/**
+ * Remaining capacity for a session, optionally ignoring one reservation (its own hold).
+ * @returns {{ capacity: number|null, used: number, available: number }}
+ */
+export async function getSessionAvailability(sessionId, { excludeIdKey = null, now = new Date() } = {}) {
+  const capacity = await getSessionCapacity(sessionId);
+  if (capacity == null) return { capacity: null, used: 0, available: Infinity };
+
+  const consumers = await listSessionConsumers(sessionId, { now });
+  const used = consumers
+    .filter((r) => !excludeIdKey || String(r.IDKEY) !== String(excludeIdKey))
+    .reduce((sum, r) => sum + unitsOf(r), 0);
+
+  return { capacity, used, available: Math.max(0, capacity - used) };
+}
+
+export async function assertCapacity(sessionId, requested, opts = {}) {
+  const a = await getSessionAvailability(sessionId, opts);
+  if (requested > a.available) {
+    throw new SoldOutError(undefined, { sessionId, requested, available: a.available });
+  }
+  return a;
+}
+
+// -------------------- Holds --------------------
+/**
+ * Insert-then-verify for a freshly inserted hold. Counts only rows ahead of it (lower
+ * PK_ID); if it doesn't fit, the reservation row is deleted and SoldOutError thrown.
+ */
+export async function verifyNewHold(idkey) {
+  const own = await getReservationByIdKey(idkey, { select: [F_PK, "IDKEY", F_SESSION_ID, F_UNITS] });
+  if (!own) throw new Error(`Reservation ${idkey} not found after insert`);
+
+  const sessionId = own[F_SESSION_ID];
+  const capacity = await getSessionCapacity(sessionId);
+  if (capacity == null) {
+    console.warn("⚠️ Capacity unknown for session (not enforced):", sessionId);
+    return { capacity: null, available: Infinity };
+  }
+
+  const ownPk = Number(own[F_PK]);
+  const consumers = await listSessionConsumers(sessionId);
+  const ahead = consumers
+    .filter((r) => String(r.IDKEY) !== String(idkey))
+    .filter((r) => !Number.isFinite(ownPk) || Number(r[F_PK]) < ownPk)
+    .reduce((sum, r) => sum + unitsOf(r), 0);
+
+  const requested = unitsOf(own);
+  if (ahead + requested > capacity) {
+    await deleteRecordsByWhere(reservationTable(), buildWhereForIdKey(idkey)).catch((e) =>
+      console.error("⚠️ SOLD_OUT_HOLD_CLEANUP_FAILED", idkey, e?.message || e)
+    );
+    throw new SoldOutError(undefined, { sessionId, requested, available: Math.max(0, capacity - ahead) });
+  }
+
+  return { capacity, available: capacity - ahead - requested };
+}
+
+// Re-acquired lapsed hold: every other consumer counts, whatever its PK_ID. On overflow the
+// hold is dropped again (two re-acquires racing for the last seats both lose; neither oversells).
+async function verifyReacquiredHold(idkey, sessionId, requested, { now }) {
+  const capacity = await getSessionCapacity(sessionId);
+  if (capacity == null) return;
+
+  const others = (await listSessionConsumers(sessionId, { now }))
+    .filter((r) => String(r.IDKEY) !== String(idkey))
+    .reduce((sum, r) => sum + unitsOf(r), 0);
+
+  if (others + requested > capacity) {
+    await updateReservationResilient(buildWhereForIdKey(idkey), { [F_HOLD]: null }).catch((e) =>
+      console.error("⚠️ SOLD_OUT_HOLD_CLEANUP_FAILED", idkey, e?.message || e)
+    );
+    throw new SoldOutError(undefined, { sessionId, requested, available: Math.max(0, capacity - others) });
+  }
+}
+
+/**
+ * Extends (or re-acquires) an In Process reservation's hold before payment.
+ * A lapsed hold is only re-acquired if capacity is still free (checked, written, then
+ * verified); otherwise SoldOutError. An active hold is extended up to HoldStartedAt +
+ * holdMaxMs(), never shortened; HoldLimitError when that leaves less than Stripe
+ * Checkout's 30-minute minimum.
+ *
+ * @param {object} reservation  row with IDKEY, Status, Session_ID, C_Quant, HoldExpiresAt, HoldStartedAt
+ * @returns {{ holdExpiresAt: Date|null, skipped?: string }}
+ */
+export async function refreshHold(reservation, { now = new Date() } = {}) {
+  const idkey = reservation?.IDKEY;
+  const status = normalizeStatus(reservation?.Status);
+
+  // Booked seats are already counted; nothing to hold
+  if (status === RESERVATION_STATUS.BOOKED) return { holdExpiresAt: null, skipped: "booked" };
+
+  const sessionId = reservation?.[F_SESSION_ID];
+  if (!sessionId) return { holdExpiresAt: null, skipped: "no_session" };
+
+  const wanted = now.getTime() + Math.max(holdTtlMs(), CHECKOUT_MIN_EXPIRY_MS);
+
+  if (!isHoldActive(reservation, now)) {
+    const requested = unitsOf(reservation);
+    await assertCapacity(sessionId, requested, { excludeIdKey: idkey, now });
+
+    const holdExpiresAt = new Date(wanted);
+    await updateReservationResilient(buildWhereForIdKey(idkey), {
+      [F_HOLD]: holdExpiresAt.toISOString(),
+      [F_HOLD_STARTED]: now.toISOString(),
+    });
+    await verifyReacquiredHold(idkey, sessionId, requested, { now });
+    return { holdExpiresAt };
+  }
+
+  const current = Date.parse(String(reservation[F_HOLD]));
+  const startedAt = Date.parse(String(reservation[F_HOLD_STARTED] || ""));
+  const started = Number.isFinite(startedAt) ? startedAt : now.getTime();
+  const expires = Math.max(current, Math.min(wanted, started + holdMaxMs()));
+
+  if (expires < now.getTime() + CHECKOUT_MIN_EXPIRY_MS) {
+    throw new HoldLimitError(undefined, { sessionId, holdExpiresAt: new Date(current) });
+  }
+
+  const holdExpiresAt = new Date(expires);
+  const fields = {};
+  if (expires !== current) fields[F_HOLD] = holdExpiresAt.toISOString();
+  if (!Number.isFinite(startedAt)) fields[F_HOLD_STARTED] = new Date(started).toISOString();
+  if (Object.keys(fields).length) await updateReservationResilient(buildWhereForIdKey(idkey), fields);
+
+  return { holdExpiresAt };
+}
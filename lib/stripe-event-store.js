@@ -0,0 +1,163 @@
+// lib/stripe-event-store.js
+//
+// Persistent store of verified Stripe webhook events (SIGMA_BAR3_Stripe_Events).
+//
+// stripe-webhook.js stores every event before handling it and records the outcome here;
+// /api/stripe-events lists failed events and replays them through the same handler.
+//
+// Row: EventId, Type, Livemode, Payload (event JSON), ProcessingStatus, Error, Attempts,
+//      StripeCreatedAt, ReceivedAt, LastAttemptAt, ProcessedAt, ProcessedBy
+//
+// The store is best-effort: if the table is missing or Caspio is down, the webhook still
+// processes the event (idempotency then falls back to RawEventId on the ledger rows).
+//
+// EventId must be a Unique field on the table: two deliveries of the same event can both
+// miss the lookup in storeStripeEvent, and the index is what stops the second insert.
+
+import { caspioQuery, findOneByWhereInTable, listRecordsByWhere, writeResilient } from "./caspio";
+
+export const EVENT_STATUS = Object.freeze({
+  RECEIVED: "received",
+  PROCESSING: "processing",
+  PROCESSED: "processed",
+  FAILED: "failed",
+});
+
+// Caspio Text(64000); bigger payloads are re-fetched from Stripe on replay
+const MAX_PAYLOAD_CHARS = 64000;
+
+// A "processing" row older than this is treated as crashed mid-way (safe to run again)
+const PROCESSING_STALE_MS = 5 * 60 * 1000;
+
+function eventsTable() {
+  return process.env.CASPIO_STRIPE_EVENTS_TABLE || "SIGMA_BAR3_Stripe_Events";
+}
+
+function whereEventId(eventId) {
+  return caspioQuery().eq("EventId", String(eventId));
+}
+
+export async function getStoredEvent(eventId) {
+  if (!eventId) return null;
+  return await findOneByWhereInTable(eventsTable(), whereEventId(eventId));
+}
+
+/**
+ * Inserts the event if it isn't stored yet. Returns the stored row (existing or new);
+ * an insert that loses the race to a concurrent delivery returns that delivery's row.
+ */
+export async function storeStripeEvent(event) {
+  if (!event?.id) throw new Error("storeStripeEvent requires an event with an id");
+
+  const existing = await getStoredEvent(event.id);
+  if (existing) return existing;
+
+  const json = JSON.stringify(event);
+  const row = {
+    EventId: String(event.id),
+    Type: String(event.type || ""),
+    Livemode: !!event.livemode,
+    Payload: json.length <= MAX_PAYLOAD_CHARS ? json : null,
+    ProcessingStatus: EVENT_STATUS.RECEIVED,
+    Error: null,
+    Attempts: 0,
+    StripeCreatedAt: event.created ? new Date(event.created * 1000).toISOString() : null,
+    ReceivedAt: new Date().toISOString(),
+  };
+
+  try {
+    await writeResilient(eventsTable(), null, row);
+  } catch (e) {
+    const raced = await getStoredEvent(event.id).catch(() => null);
+    if (raced) return raced;
+    throw e;
+  }
+  return row;
+}
+
+// Another delivery/replay is handling it right now
+export function isInProgress(row, now = Date.now()) {
+  if (String(row?.ProcessingStatus || "") !== EVENT_STATUS.PROCESSING) return false;
+  const started = Date.parse(row?.LastAttemptAt || "");
+  return Number.isFinite(started) && now - started < PROCESSING_STALE_MS;
+}
+
+// Already handled, or being handled
+export function isSettled(row, now = Date.now()) {
+  return String(row?.ProcessingStatus || "") === EVENT_STATUS.PROCESSED || isInProgress(row, now);
+}
+
+/**
+ * The stored event object; falls back to `stripe.events.retrieve` when the payload
+ * wasn't stored (too large) or doesn't parse.
+ */
+export async function loadStoredEvent(row, { stripe } = {}) {
+  try {
+    const event = row?.Payload ? JSON.parse(row.Payload) : null;
+    if (event?.id) return event;
+  } catch {
+    // fall through to Stripe
+  }
+  if (!stripe) throw new Error(`Stored event ${row?.EventId} has no payload`);
+  return await stripe.events.retrieve(String(row.EventId));
+}
+
+async function mark(eventId, fields) {
+  await writeResilient(eventsTable(), whereEventId(eventId), fields).catch((e) =>
+    console.warn("⚠️ EVENT_STORE_UPDATE_FAILED", String(eventId), e?.message || e)
+  );
+}
+
+/**
+ * Runs `handle(event)` and records the outcome on the stored row.
+ * `stored` is the row from storeStripeEvent/getStoredEvent (null = store unavailable).
+ *
+ * @returns {{ ok: true, result: any } | { ok: false, error: string }}
+ */
+export async function runStoredEvent(event, handle, { stored = null, by = "stripe-webhook" } = {}) {
+  const attempts = Number(stored?.Attempts || 0) + 1;
+
+  if (stored) {
+    await mark(event.id, {
+      ProcessingStatus: EVENT_STATUS.PROCESSING,
+      Attempts: attempts,
+      LastAttemptAt: new Date().toISOString(),
+    });
+  }
+
+  try {
+    const result = await handle(event);
+    if (stored) {
+      await mark(event.id, {
+        ProcessingStatus: EVENT_STATUS.PROCESSED,
+        Error: null,
+        ProcessedAt: new Date().toISOString(),
+        ProcessedBy: String(by).slice(0, 255),
+      });
+    }
+    return { ok: true, result };
+  } catch (err) {
+    const error = String(err?.message || err).slice(0, 1000);
+    console.error("❌ STRIPE_EVENT_FAILED", String(event.id), event.type, error);
+    if (stored) await mark(event.id, { ProcessingStatus: EVENT_STATUS.FAILED, Error: error });
+    return { ok: false, error };
+  }
+}
+
+/**
+ * Stored events, oldest first.
+ *   status: one of EVENT_STATUS, or "all"   (default "failed")
+ *   type:   exact Stripe event type
+ *   from/to: ReceivedAt bounds (ISO, inclusive)
+ */
+export async function listStoredEvents({ status = EVENT_STATUS.FAILED, type, from, to, limit = 50 } = {}) {
+  const q = caspioQuery();
+  if (status && status !== "all") q.eq("ProcessingStatus", String(status));
+  if (type) q.eq("Type", String(type));
+  if (from) q.gte("ReceivedAt", String(from));
+  if (to) q.lte("ReceivedAt", String(to));
+  if (q.isEmpty()) q.notNull("EventId");
+  q.orderBy("ReceivedAt", "ASC").orderBy("PK_ID", "ASC");
+
+  return await listRecordsByWhere(eventsTable(), q, limit);
+}
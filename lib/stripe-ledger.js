@@ -0,0 +1,84 @@
+// lib/stripe-ledger.js
+//
+// Stripe objects -> SIGMA_BAR3_Transactions amounts. Shared by stripe-webhook.js and the
+// reconciliation job (lib/reconciliation) so both write the same rows for the same money.
+
+export function dollarsFromCents(cents) {
+  return typeof cents === "number" ? Number((cents / 100).toFixed(2)) : null;
+}
+
+export function n2(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Number(n.toFixed(2)) : 0;
+}
+
+export function getIdKeyFromMetadata(meta) {
+  return meta?.IDKEY || meta?.reservation_id || meta?.idkey || meta?.IdKey || null;
+}
+
+export function getConfirmationNumberFromReservationRow(row) {
+  return row?.Confirmation_Number || row?.ConfirmationNumber || row?.CONFIRMATION_NUMBER || null;
+}
+
+/**
+ * Parse 4-part breakdown from Stripe metadata.
+ * Accepts BOTH:
+ *  - snake_case (base_amount, grat_amount, tax_amount, fee_amount)
+ *  - Caspio-style (Base_Amount, Auto_Gratuity, Tax, Fee)
+ *
+ * Fallback:
+ *  - If no breakdown found: treat entire totalAmountDollars as Fee (legacy behavior)
+ */
+export function parseBreakdown(meta, totalAmountDollars) {
+  const m = meta || {};
+  const baseRaw = m.base_amount ?? m.baseAmount ?? m.Base_Amount ?? m.base ?? m.Base ?? null;
+
+  const gratRaw =
+    m.grat_amount ??
+    m.gratAmount ??
+    m.Auto_Gratuity ??
+    m.auto_gratuity ??
+    m.grat ??
+    m.Gratuity ??
+    null;
+
+  const taxRaw = m.tax_amount ?? m.taxAmount ?? m.Tax ?? m.tax ?? null;
+  const feeRaw = m.fee_amount ?? m.feeAmount ?? m.Fee ?? m.fee ?? null;
+
+  const hasAny = baseRaw != null || gratRaw != null || taxRaw != null || feeRaw != null;
+
+  if (hasAny) {
+    const base = n2(baseRaw);
+    const grat = n2(gratRaw);
+    const tax = n2(taxRaw);
+    const fee = n2(feeRaw);
+    const amount = n2(base + grat + tax + fee);
+    return { base, grat, tax, fee, amount };
+  }
+
+  const total = n2(totalAmountDollars);
+  return { base: 0, grat: 0, tax: 0, fee: total, amount: total };
+}
+
+export function pickDescription(meta = {}, fallback = "") {
+  return String(
+    meta.Description ||
+    meta.description ||
+    meta.why ||
+    meta.Reason ||
+    meta.reason ||
+    meta.Sessions_Title ||
+    meta.People_Text ||
+    fallback ||
+    ""
+  ).slice(0, 500);
+}
+
+// Optional card columns (dropped by writeResilient where the table lacks them)
+export function cardFields(card) {
+  return {
+    Card_brand: card?.brand || null,
+    Card_number_masked: card?.last4 ? `**** **** **** ${card.last4}` : null,
+    Card_expiration: card?.exp_month && card?.exp_year ? `${card.exp_month}/${card.exp_year}` : null,
+  };
+}
@@ -0,0 +1,416 @@
+// lib/waitlist.js
+//
+// Waitlist for sold-out sessions (SIGMA_BAR3_Waitlist, see pages/api/waitlist.js).
+//
+//   waiting -> offered -> booked
+//                     \-> expired      (offer not paid in time; the next entry gets a turn)
+//   waiting -> cancelled               (removed by staff)
+//
+// Joining is only allowed while the session has no room for the party's C_Quant. The
+// booking details (item, price, booking fee, tax) are taken from the sessions and
+// pricing views at join time, so an offer can be turned into a reservation without
+// asking again.
+//
+// Promotion (promoteWaitlist, run by customer-cancel / customer-reschedule when seats
+// free up, and by staff): first in line whose C_Quant fits gets an In Process reservation
+// held until the offer expires (inserted + verified like /api/reserve, marked WaitlistId)
+// and an email linking to /api/paystart. Entries that don't fit are skipped, not dropped.
+// paystart refuses a waitlist reservation once its hold lapsed. sweepWaitlistOffers (cron,
+// pages/api/sweep-waitlist.js) marks lapsed offers expired, cancels their reservations and
+// promotes the next in line; any promotion does the same for its own session.
+//
+// The offer reservation's Charge_Type is the primary config's Charge_Type (taken at join
+// time like the price), "Booking Fee" when the config has none. The offer link carries no
+// quote; paystart prices a Pay Now offer from the reservation's session and package.
+//
+// Env:
+//   WAITLIST_OFFER_MINUTES      how long an offer holds the seats (default 120)
+//   CASPIO_WAITLIST_TABLE       default SIGMA_BAR3_Waitlist
+
+import {
+  caspioQuery,
+  findOneByWhereInTable,
+  findOneByWhereInView,
+  listRecordsByWhere,
+  listViewRecordsByWhere,
+  getReservationByIdKey,
+  getReservationByResId,
+  writeResilient,
+} from "./caspio";
+import { pickPrice } from "./quote";
+import { RESERVATION_STATUS, normalizeStatus, transitionReservation } from "./reservation-status";
+import { getSessionAvailability, isHoldActive, verifyNewHold, withSessionLock } from "./session-capacity";
+import { apiBaseUrl, sendCustomerEmail } from "./customer-email";
+
+export const WAITLIST_STATUS = Object.freeze({
+  WAITING: "waiting",
+  OFFERED: "offered",
+  BOOKED: "booked",
+  EXPIRED: "expired",
+  CANCELLED: "cancelled",
+});
+
+const DEFAULT_OFFER_MINUTES = 120;
+const DEFAULT_CHARGE_TYPE = "Booking Fee";
+
+const F_WAITLIST_ID = "WAITLIST_ID";
+const F_RES_WAITLIST_ID = "WaitlistId"; // on the reservation created for an offer
+
+const VS_SESSION_ID = "BAR2_Sessions_Session_ID";
+const VS_BU = "BAR2_Sessions_Business_Unit";
+const VS_DATE = "BAR2_Sessions_Date";
+const VS_TITLE = "BAR2_Sessions_Title";
+const VS_PRICE_STATUS = "BAR2_Sessions_Price_Status";
+const VS_PRICE_SUB = "BAR2_Sessions_Price_Status_Sub";
+const VS_PRICE_CLASS = "BAR2_Sessions_Price_Class";
+const VS_ITEM = "BAR2_Primary_Config_Primary_Name";
+const VS_BOOKING_FEE = "BAR2_Primary_Config_BookingFee";
+const VS_CHARGE_TYPE = "BAR2_Primary_Config_Charge_Type";
+const VS_TAX_PCT = "GEN_Business_Units_Tax_Percentage";
+
+export class WaitlistError extends Error {
+  constructor(message, { code = "WAITLIST_ERROR", status = 400 } = {}) {
+    super(message);
+    this.name = "WaitlistError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function waitlistTable() {
+  return process.env.CASPIO_WAITLIST_TABLE || "SIGMA_BAR3_Waitlist";
+}
+
+function reservationTable() {
+  return process.env.CASPIO_TABLE || "BAR2_Reservations_SIGMA";
+}
+
+function genId12() {
+  const chars = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+  let out = "";
+  for (let i = 0; i < 12; i++) out += chars[Math.floor(Math.random() * chars.length)];
+  return out;
+}
+
+function positiveInt(v, fallback = null) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+export function offerTtlMs() {
+  const n = Number(process.env.WAITLIST_OFFER_MINUTES);
+  return (Number.isFinite(n) && n > 0 ? n : DEFAULT_OFFER_MINUTES) * 60 * 1000;
+}
+
+export function waitlistOfferUrl(idkey) {
+  return `${apiBaseUrl()}/api/paystart?idkey=${encodeURIComponent(idkey)}`;
+}
+
+// A reservation created for a waitlist offer whose hold has lapsed (paystart refuses it)
+export function isExpiredWaitlistOffer(reservation, now = new Date()) {
+  return (
+    !!oneLine(reservation?.[F_RES_WAITLIST_ID]) &&
+    normalizeStatus(reservation?.Status) !== RESERVATION_STATUS.BOOKED &&
+    !isHoldActive(reservation, now)
+  );
+}
+
+function whereWaitlistId(waitlistId) {
+  return caspioQuery().eq(F_WAITLIST_ID, String(waitlistId));
+}
+
+async function updateEntry(waitlistId, fields) {
+  return await writeResilient(waitlistTable(), whereWaitlistId(waitlistId).toString(), {
+    ...fields,
+    UpdatedAt: new Date().toISOString(),
+  });
+}
+
+// Oldest first; `statuses` defaults to everything
+export async function listWaitlist(sessionId, { statuses = null } = {}) {
+  const where = caspioQuery().eq("Session_ID", String(sessionId));
+  if (statuses?.length) where.in("Status", statuses);
+  return await listRecordsByWhere(waitlistTable(), where, { limit: Infinity, orderBy: "PK_ID" });
+}
+
+async function priceFor(session, { cQuant, units }) {
+  const view = process.env.CASPIO_PRICING_VIEW || "SIGMA_VW_Pricing";
+  const rows = await listViewRecordsByWhere(view, caspioQuery().eq("Price_Status", session[VS_PRICE_STATUS]), Infinity);
+  return pickPrice(rows, { sub: oneLine(session[VS_PRICE_SUB]), cQuant, units });
+}
+
+/**
+ * Adds a party to a sold-out session's waitlist. Joining twice with the same email
+ * returns the existing entry.
+ *
+ * @param {object} input  session_id, party_size, c_quant (default 1), units (default 1),
+ *                        first_name, last_name, email, phone, notes
+ * @returns {{ entry, position, existing: boolean }}
+ */
+export async function joinWaitlist(input = {}) {
+  const sessionId = oneLine(input.session_id);
+  const partySize = positiveInt(input.party_size);
+  const cQuant = positiveInt(input.c_quant, 1);
+  const units = positiveInt(input.units, 1);
+  const contact = {
+    First_Name: oneLine(input.first_name),
+    Last_Name: oneLine(input.last_name),
+    Email: oneLine(input.email).toLowerCase(),
+    Phone_Number: oneLine(input.phone),
+  };
+
+  if (!sessionId) throw new WaitlistError("Missing session_id");
+  if (!partySize) throw new WaitlistError("party_size must be a positive whole number");
+  for (const [field, value] of Object.entries(contact)) {
+    if (!value) throw new WaitlistError(`Missing required field: ${field}`);
+  }
+
+  const view = process.env.CASPIO_SESSIONS_VIEW || "SIGMA_VW_Active_Sessions_Manage";
+  const session = await findOneByWhereInView(view, caspioQuery().eq(VS_SESSION_ID, sessionId));
+  if (!session) throw new WaitlistError("Session not found", { code: "NOT_FOUND", status: 404 });
+
+  const open = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED];
+  const queue = await listWaitlist(sessionId, { statuses: open });
+  const mine = queue.find((e) => String(e.Email || "").toLowerCase() === contact.Email);
+  if (mine) return { entry: mine, position: queue.indexOf(mine) + 1, existing: true };
+
+  const { available } = await getSessionAvailability(sessionId);
+  if (available >= cQuant) {
+    throw new WaitlistError("This session still has room — book it directly.", { code: "NOT_SOLD_OUT", status: 409 });
+  }
+
+  const unitPrice = await priceFor(session, { cQuant, units });
+  if (unitPrice == null) {
+    throw new WaitlistError("No price for that option on this session — please call.", { code: "NO_PRICE" });
+  }
+
+  const taxPct = Number(session[VS_TAX_PCT]);
+  const now = new Date().toISOString();
+  const entry = {
+    [F_WAITLIST_ID]: genId12(),
+    Session_ID: sessionId,
+    Business_Unit: oneLine(session[VS_BU]),
+    Session_Date: String(session[VS_DATE] || "").slice(0, 10),
+    Sessions_Title: oneLine(session[VS_TITLE]),
+    Item: oneLine(session[VS_ITEM]),
+    Price_Class: oneLine(session[VS_PRICE_CLASS]),
+    Party_Size: partySize,
+    C_Quant: cQuant,
+    Units: units,
+    Unit_Price: unitPrice,
+    BookingFeeAmount: Number(session[VS_BOOKING_FEE]) || 0,
+    Charge_Type: oneLine(session[VS_CHARGE_TYPE]) || DEFAULT_CHARGE_TYPE,
+    Tax_Rate: Number.isFinite(taxPct) ? Number((taxPct / 100).toFixed(4)) : null,
+    ...contact,
+    Cust_Notes: oneLine(input.notes).slice(0, 500),
+    Status: WAITLIST_STATUS.WAITING,
+    CreatedAt: now,
+    UpdatedAt: now,
+  };
+
+  await writeResilient(waitlistTable(), null, entry);
+  console.log("WAITLIST_JOINED:", sessionId, entry[F_WAITLIST_ID]);
+
+  const waiting = queue.filter((e) => e.Status === WAITLIST_STATUS.WAITING).length;
+  return { entry, position: waiting + 1, existing: false };
+}
+
+/**
+ * Settles offers that ran their course: paid -> booked; hold lapsed -> expired, and the
+ * unpaid reservation is cancelled so it can't be resumed later.
+ */
+async function settleOffers(entries, now) {
+  for (const e of entries) {
+    if (e.Status !== WAITLIST_STATUS.OFFERED || !e.OfferIdKey) continue;
+
+    const reservation = await getReservationByIdKey(e.OfferIdKey);
+    if (normalizeStatus(reservation?.Status) === RESERVATION_STATUS.BOOKED) {
+      await updateEntry(e[F_WAITLIST_ID], { Status: WAITLIST_STATUS.BOOKED });
+      e.Status = WAITLIST_STATUS.BOOKED;
+      continue;
+    }
+    if (reservation && !isExpiredWaitlistOffer(reservation, now)) continue;
+
+    if (reservation && normalizeStatus(reservation.Status) !== RESERVATION_STATUS.CANCELLED) {
+      await transitionReservation(e.OfferIdKey, {
+        status: RESERVATION_STATUS.CANCELLED,
+        by: "waitlist",
+        current: reservation,
+        fields: { HoldExpiresAt: null },
+      });
+    }
+    await updateEntry(e[F_WAITLIST_ID], { Status: WAITLIST_STATUS.EXPIRED });
+    e.Status = WAITLIST_STATUS.EXPIRED;
+    console.log("WAITLIST_OFFER_EXPIRED:", e.Session_ID, e[F_WAITLIST_ID]);
+  }
+}
+
+// In Process reservation holding the seats for the offer; null if it lost a race
+async function createOfferReservation(entry, holdExpiresAt) {
+  const resId = genId12();
+  await writeResilient(reservationTable(), null, {
+    Status: RESERVATION_STATUS.IN_PROCESS,
+    Type: "Reservation",
+    RES_ID: resId,
+    Business_Unit: entry.Business_Unit,
+    Session_Date: entry.Session_Date,
+    Session_ID: entry.Session_ID,
+    Item: entry.Item,
+    Price_Class: entry.Price_Class,
+    Sessions_Title: entry.Sessions_Title,
+    C_Quant: String(entry.C_Quant),
+    Units: String(entry.Units),
+    Unit_Price: String(entry.Unit_Price),
+    People_Text: `${entry.Party_Size} people`,
+    Charge_Type: oneLine(entry.Charge_Type) || DEFAULT_CHARGE_TYPE,
+    Cancelation_Policy: "Agreed",
+    First_Name: entry.First_Name,
+    Last_Name: entry.Last_Name,
+    Email: entry.Email,
+    Phone_Number: entry.Phone_Number,
+    Cust_Notes: entry.Cust_Notes || "",
+    BookingFeeAmount: entry.BookingFeeAmount,
+    Tax_Rate: entry.Tax_Rate,
+    HoldStartedAt: new Date().toISOString(),
+    HoldExpiresAt: holdExpiresAt.toISOString(),
+    [F_RES_WAITLIST_ID]: entry[F_WAITLIST_ID],
+  });
+
+  const row = await getReservationByResId(resId);
+  if (!row?.IDKEY) throw new Error(`Waitlist reservation ${resId} not found after insert`);
+  await verifyNewHold(row.IDKEY); // SoldOutError (row removed) if someone else took the seats
+  return String(row.IDKEY);
+}
+
+async function sendOfferEmail(entry, idkey, expiresAt) {
+  try {
+    const email = await sendCustomerEmail("waitlist_offer", {
+      to: entry.Email,
+      idkey,
+      waitlist_id: entry[F_WAITLIST_ID],
+      first_name: entry.First_Name || "",
+      business_unit: entry.Business_Unit || "",
+      sessions_title: entry.Sessions_Title || "",
+      session_date: entry.Session_Date || "",
+      people_text: `${entry.Party_Size} people`,
+      offer_url: waitlistOfferUrl(idkey),
+      offer_expires_at: expiresAt.toISOString(),
+    });
+    if (email.sent) await updateEntry(entry[F_WAITLIST_ID], { OfferEmailSentAt: new Date().toISOString() });
+    return email;
+  } catch (e) {
+    console.warn("⚠️ WAITLIST_OFFER_EMAIL_FAILED", entry[F_WAITLIST_ID], e?.message || e);
+    return { sent: false, skipped: "error" };
+  }
+}
+
+/**
+ * Offers freed seats to the waitlist, first come first served among entries that fit.
+ * @returns {{ session_id, available, offered:[{waitlist_id, idkey, offer_url, expires_at, email}], expired, booked }}
+ */
+export async function promoteWaitlist(sessionId, { now = new Date() } = {}) {
+  return await withSessionLock(sessionId, async () => {
+    const entries = await listWaitlist(sessionId, { statuses: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED] });
+    await settleOffers(entries, now);
+
+    let { available } = await getSessionAvailability(sessionId, { now });
+    const offered = [];
+
+    for (const e of entries) {
+      if (e.Status !== WAITLIST_STATUS.WAITING) continue;
+      const need = positiveInt(e.C_Quant, 1);
+      if (need > available) continue;
+
+      const expiresAt = new Date(now.getTime() + offerTtlMs());
+      let idkey;
+      try {
+        idkey = await createOfferReservation(e, expiresAt);
+      } catch (err) {
+        console.warn("⚠️ WAITLIST_OFFER_FAILED", e[F_WAITLIST_ID], err?.message || err);
+        break;
+      }
+
+      await updateEntry(e[F_WAITLIST_ID], {
+        Status: WAITLIST_STATUS.OFFERED,
+        OfferIdKey: idkey,
+        OfferedAt: now.toISOString(),
+        OfferExpiresAt: expiresAt.toISOString(),
+      });
+      available -= need;
+
+      const email = await sendOfferEmail(e, idkey, expiresAt);
+      console.log("WAITLIST_OFFERED:", String(sessionId), e[F_WAITLIST_ID], idkey);
+      offered.push({
+        waitlist_id: e[F_WAITLIST_ID],
+        idkey,
+        offer_url: waitlistOfferUrl(idkey),
+        expires_at: expiresAt.toISOString(),
+        email,
+      });
+    }
+
+    return {
+      session_id: String(sessionId),
+      available: Number.isFinite(available) ? available : null,
+      offered,
+      expired: entries.filter((e) => e.Status === WAITLIST_STATUS.EXPIRED).length,
+      booked: entries.filter((e) => e.Status === WAITLIST_STATUS.BOOKED).length,
+    };
+  });
+}
+
+/**
+ * Cron: expires offers whose time ran out and offers the seats to the next in line, one
+ * promoteWaitlist per session with a lapsed offer.
+ * @returns {{ ok, sessions:[{session_id, expired, offered, booked}], errors:[{session_id, error}] }}
+ */
+export async function sweepWaitlistOffers({ now = new Date() } = {}) {
+  const where = caspioQuery().eq("Status", WAITLIST_STATUS.OFFERED).lt("OfferExpiresAt", now);
+  const lapsed = await listRecordsByWhere(waitlistTable(), where, { limit: Infinity, orderBy: "PK_ID" });
+
+  const sessions = [];
+  const errors = [];
+  for (const sessionId of new Set(lapsed.map((e) => String(e.Session_ID)))) {
+    try {
+      const out = await promoteWaitlist(sessionId, { now });
+      sessions.push({
+        session_id: out.session_id,
+        expired: out.expired,
+        offered: out.offered.map((o) => o.waitlist_id),
+        booked: out.booked,
+      });
+    } catch (e) {
+      console.warn("⚠️ WAITLIST_SWEEP_FAILED", sessionId, e?.message || e);
+      errors.push({ session_id: sessionId, error: e?.message || String(e) });
+    }
+  }
+
+  console.log("WAITLIST_SWEEP:", `lapsed=${lapsed.length}`, `sessions=${sessions.length}`, `errors=${errors.length}`);
+  return { ok: errors.length === 0, sessions, errors };
+}
+
+// Removes a waiting/offered entry (staff); an outstanding offer's reservation is cancelled
+export async function cancelWaitlistEntry(waitlistId) {
+  const entry = await findOneByWhereInTable(waitlistTable(), whereWaitlistId(waitlistId));
+  if (!entry) throw new WaitlistError("Waitlist entry not found", { code: "NOT_FOUND", status: 404 });
+  if (![WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED].includes(entry.Status)) return entry;
+
+  if (entry.Status === WAITLIST_STATUS.OFFERED && entry.OfferIdKey) {
+    const reservation = await getReservationByIdKey(entry.OfferIdKey);
+    if (reservation && normalizeStatus(reservation.Status) === RESERVATION_STATUS.IN_PROCESS) {
+      await transitionReservation(entry.OfferIdKey, {
+        status: RESERVATION_STATUS.CANCELLED,
+        by: "waitlist",
+        current: reservation,
+        fields: { HoldExpiresAt: null },
+      });
+    }
+  }
+
+  await updateEntry(waitlistId, { Status: WAITLIST_STATUS.CANCELLED });
+  return { ...entry, Status: WAITLIST_STATUS.CANCELLED };
+}
@@ -0,0 +1,41 @@
+// pages/api/addons.js
+// ✅ Add-on catalog for a business unit (lib/addons): GET ?bu=BRC
+//    -> { ok, rows:[{ addon_id, name, description, price, max_qty }] }
+//    Pass the picks to /api/reserve as Addons:[{ addon_id, qty, price }].
+import { listAddonCatalog } from "../../lib/addons";
+
+function setCors(res, origin) {
+  const allowed = new Set([
+    "https://www.reservebarsandrec.com",
+    "https://reservebarsandrec.com",
+  ]);
+  const allowOrigin = allowed.has(origin) ? origin : "https://www.reservebarsandrec.com";
+  res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+export default async function handler(req, res) {
+  setCors(res, req.headers.origin);
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "GET") return res.status(405).json({ ok: false, error: "Method not allowed" });
+
+  try {
+    const bu = String(req.query.bu || req.query.Business_Unit || "").trim();
+    if (!bu) return res.status(400).json({ ok: false, error: "Missing bu" });
+
+    const rows = (await listAddonCatalog(bu)).map((r) => ({
+      addon_id: r.Addon_ID,
+      name: r.Name || r.Addon_ID,
+      description: r.Description || "",
+      price: Number(r.Price) || 0,
+      max_qty: r.Max_Qty == null || r.Max_Qty === "" ? null : Number(r.Max_Qty),
+    }));
+
+    return res.status(200).json({ ok: true, rows });
+  } catch (err) {
+    console.error("ADDONS_ERROR:", err?.message || err);
+    return res.status(500).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
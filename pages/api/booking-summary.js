@@ -4,7 +4,7 @@
 // GET /api/booking-summary?idkey=XXXX
 // Optional: &nocache=1
 
-import { caspioFetch, escapeWhereValue } from "../../lib/caspio";
+import { findOneByWhereInView, caspioQuery } from "../../lib/caspio";
 
 function setCors(req, res) {
   const allowed = new Set([
@@ -41,8 +41,7 @@ export default async function handler(req, res) {
       res.setHeader("Cache-Control", "s-maxage=15, stale-while-revalidate=60");
     }
 
-    const safe = escapeWhereValue(idkey);
-    const where = `IDKEY='${safe}'`;
+    const where = caspioQuery().eq("IDKEY", idkey);
 
     // ✅ Correct plural field names from SIGMA_VW_Res_Billing_Edit
     const select = [
@@ -54,16 +53,9 @@ export default async function handler(req, res) {
       "SIGMA_BAR3_TOTAL_RES_TAX_Amount",
       "SIGMA_BAR3_TOTAL_RES_After_Tax_Total",
       "SIGMA_BAR3_TOTAL_RES_Total_Charged_Amount",
-    ].join(",");
+    ];
 
-    const path =
-      `/rest/v2/views/SIGMA_VW_Res_Billing_Edit/records` +
-      `?q.where=${encodeURIComponent(where)}` +
-      `&q.limit=1` +
-      `&q.select=${encodeURIComponent(select)}`;
-
-    const json = await caspioFetch(path);
-    const row = json?.Result?.[0] || null;
+    const row = await findOneByWhereInView("SIGMA_VW_Res_Billing_Edit", where, { select });
 
     return res.status(200).json({ ok: true, row });
   } catch (e) {
@@ -1,5 +1,5 @@
 // pages/api/businesses.js
-import { listViewRecordsByWhere, escapeWhereValue } from "../../lib/caspio";
+import { listViewRecordsByWhere, caspioQuery } from "../../lib/caspio";
 
 function setCors(res, origin) {
   const allowed = new Set([
@@ -53,8 +53,8 @@ export default async function handler(req, res) {
     const V_BU = "BAR2_Sessions_Business_Unit";
     const V_DBA = "GEN_Business_Units_DBA";
 
-    const where = `${V_DATE}='${escapeWhereValue(date)}'`;
-    const rows = await listViewRecordsByWhere(view, where, 2000);
+    const where = caspioQuery().eq(V_DATE, date);
+    const rows = await listViewRecordsByWhere(view, where, { limit: Infinity, select: [V_BU, V_DBA] });
 
     const pairs = [];
     const seen = new Set();
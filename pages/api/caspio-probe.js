@@ -1,30 +1,35 @@
-import { getCaspioAccessToken } from "../../lib/caspio";
+import { caspioFetch } from "../../lib/caspio";
 
-async function fetchText(url, options) {
-  const resp = await fetch(url, options);
-  const text = await resp.text();
-  return { status: resp.status, text, headers: Object.fromEntries(resp.headers.entries()) };
+// Run one request with no retries and report status + body snippet instead of throwing
+async function probe(path, options) {
+  try {
+    const body = await caspioFetch(path, { ...options, retries: 0 });
+    const text = typeof body === "string" ? body : JSON.stringify(body);
+    return { status: 200, text };
+  } catch (e) {
+    const raw = e?.raw;
+    const text = typeof raw === "string" ? raw : raw ? JSON.stringify(raw) : String(e?.message || e);
+    return { status: e?.status ?? 0, text };
+  }
 }
 
 export default async function handler(req, res) {
   try {
-    const base = process.env.CASPIO_INTEGRATION_URL?.replace(/\/+$/, "");
     const table = process.env.CASPIO_TABLE;
-    if (!base) return res.status(500).json({ error: "Missing CASPIO_INTEGRATION_URL" });
     if (!table) return res.status(500).json({ error: "Missing CASPIO_TABLE" });
 
-    const token = await getCaspioAccessToken();
-    const headers = { Authorization: `Bearer ${token}`, "Content-Type": "application/json" };
-
     // Hit the exact same endpoint with GET vs PUT to see what Caspio supports
-    const getUrl = `${base}/rest/v2/tables/${encodeURIComponent(table)}/records?q.limit=1`;
-    const putUrl = `${base}/rest/v2/tables/${encodeURIComponent(table)}/records?q.where=IDKEY='B9Q9PN8L1M'`;
+    const getUrl = `/rest/v2/tables/${encodeURIComponent(table)}/records?q.limit=1`;
+    const putUrl = `/rest/v2/tables/${encodeURIComponent(table)}/records?q.where=IDKEY='B9Q9PN8L1M'`;
 
-    const getResp = await fetchText(getUrl, { method: "GET", headers: { Authorization: `Bearer ${token}` } });
-    const putResp = await fetchText(putUrl, { method: "PUT", headers, body: JSON.stringify({ __probe: "1" }) });
+    const getResp = await probe(getUrl, { method: "GET" });
+    const putResp = await probe(putUrl, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ __probe: "1" }),
+    });
 
     return res.status(200).json({
-      base,
       table,
       get: { url: getUrl, status: getResp.status, bodySnippet: getResp.text.slice(0, 200) },
       put: { url: putUrl, status: putResp.status, bodySnippet: putResp.text.slice(0, 200) },
@@ -1,4 +1,6 @@
 // pages/api/caspio-token.js
+import { CaspioError, getCaspioAccessToken, getCaspioAccessTokenExpiresAt } from "../../lib/caspio";
+
 export default async function handler(req, res) {
   // ---- CORS (set FIRST, even before any logic) ----
   const allowed = new Set([
@@ -20,85 +22,70 @@ export default async function handler(req, res) {
   if (req.method === "OPTIONS") return res.status(204).end();
 
   try {
-    const tokenUrl = process.env.CASPIO_TOKEN_URL;
+    const integrationUrl = process.env.CASPIO_INTEGRATION_URL;
     const clientId = process.env.CASPIO_CLIENT_ID;
     const clientSecret = process.env.CASPIO_CLIENT_SECRET;
 
-    if (!tokenUrl || !clientId || !clientSecret) {
+    if (!integrationUrl || !clientId || !clientSecret) {
       return res.status(500).json({
         ok: false,
         error: "CASPIO_ENV_MISSING",
         missing: {
-          CASPIO_TOKEN_URL: !tokenUrl,
+          CASPIO_INTEGRATION_URL: !integrationUrl,
           CASPIO_CLIENT_ID: !clientId,
           CASPIO_CLIENT_SECRET: !clientSecret,
         },
       });
     }
 
-    const body = new URLSearchParams();
-    body.set("grant_type", "client_credentials");
-    body.set("client_id", clientId);
-    body.set("client_secret", clientSecret);
+    // Shared token cache (lib/caspio) — no separate OAuth round-trip per call
+    let accessToken;
+    try {
+      accessToken = await getCaspioAccessToken();
+    } catch (err) {
+      if (!(err instanceof CaspioError)) throw err;
 
-    const upstream = await fetch(tokenUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
-    });
+      const preview =
+        typeof err.raw === "string" ? err.raw.slice(0, 400) : JSON.stringify(err.raw ?? null).slice(0, 400);
 
-    const ct = upstream.headers.get("content-type") || "";
-    const text = await upstream.text().catch(() => "");
+      if (err.status && err.status >= 300) {
+        return res.status(502).json({
+          ok: false,
+          error: "CASPIO_TOKEN_UPSTREAM_NOT_OK",
+          upstream_status: err.status,
+          upstream_body_preview: preview,
+        });
+      }
 
-    if (!upstream.ok) {
-      return res.status(502).json({
-        ok: false,
-        error: "CASPIO_TOKEN_UPSTREAM_NOT_OK",
-        upstream_status: upstream.status,
-        upstream_content_type: ct,
-        upstream_body_preview: text.slice(0, 400),
-      });
-    }
+      if (err.raw && typeof err.raw === "object") {
+        return res.status(502).json({
+          ok: false,
+          error: "CASPIO_TOKEN_MISSING_ACCESS_TOKEN",
+          upstream_json_preview: err.raw,
+        });
+      }
 
-    const looksJson = ct.includes("application/json") || text.trim().startsWith("{");
-    if (!looksJson) {
       const isMaint =
-        /down for maintenance/i.test(text) ||
-        /maintenance/i.test(text) ||
-        /caspio is down/i.test(text);
+        /down for maintenance/i.test(preview) ||
+        /maintenance/i.test(preview) ||
+        /caspio is down/i.test(preview);
 
       return res.status(503).json({
         ok: false,
         error: isMaint ? "CASPIO_MAINTENANCE" : "CASPIO_TOKEN_UPSTREAM_NOT_JSON",
-        token_url: tokenUrl,
-        upstream_status: upstream.status,
-        upstream_content_type: ct,
-        upstream_body_preview: text.slice(0, 400),
+        upstream_status: err.status,
+        upstream_body_preview: preview,
       });
     }
 
-    let json;
-    try {
-      json = JSON.parse(text);
-    } catch (e) {
-      return res.status(502).json({
-        ok: false,
-        error: "CASPIO_TOKEN_JSON_PARSE_FAILED",
-        upstream_content_type: ct,
-        upstream_body_preview: text.slice(0, 400),
-      });
-    }
+    const expiresAt = getCaspioAccessTokenExpiresAt();
 
-    if (!json?.access_token) {
-      return res.status(502).json({
-        ok: false,
-        error: "CASPIO_TOKEN_MISSING_ACCESS_TOKEN",
-        upstream_json_preview: json,
-      });
-    }
-
-    // ✅ Success
-    return res.status(200).json(json);
+    // ✅ Success (same shape as Caspio's /oauth/token response)
+    return res.status(200).json({
+      access_token: accessToken,
+      token_type: "bearer",
+      expires_in: Math.max(0, Math.floor((expiresAt - Date.now()) / 1000)),
+    });
   } catch (err) {
     // ✅ Important: still returns JSON with CORS headers already set
     return res.status(500).json({
@@ -4,6 +4,11 @@
 // - Keeps everything you already have
 // - ✅ Adds rollupTotalsForIdKey after successful safety-net inserts (normal + recovered paths)
 // - ✅ Adds resilient rollup wrapper (non-blocking, logs failures)
+// - ✅ 3-D Secure: when the card demands authentication, the PaymentIntent is kept and the
+//      customer is emailed a link to /api/payment-auth (lib/payment-auth) instead of failing
+// - ✅ Gratuity / tax via lib/quote (chargeComponents): tax is on base + gratuity, like bookings
+// - ✅ gift_card: the card pays what it can first (lib/giftcards, TxnType "giftcard_redeem");
+//      only the rest is charged. Fully covered -> { ok, mode:"gift_card" }, no Stripe call
 //
 
 import Stripe from "stripe";
@@ -14,6 +19,10 @@ import {
   insertTransactionIfMissingByRawEventId,
   rollupTotalsForIdKey, // ✅ ADDED
 } from "../../lib/caspio";
+import { recordLedgerTxn } from "../../lib/ledger";
+import { isAuthenticationRequired, requestPaymentAuthentication, paymentAuthUrl } from "../../lib/payment-auth";
+import { chargeComponents } from "../../lib/quote";
+import { GiftCardError, redeemGiftCard } from "../../lib/giftcards";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: "2024-06-20",
@@ -53,6 +62,10 @@ function safeStripeErrorMessage(err) {
   return err?.raw?.message || err?.message || "Stripe error";
 }
 
+function stripeDeclineCode(err) {
+  return err?.decline_code || err?.raw?.decline_code || err?.code || err?.raw?.code || null;
+}
+
 function looksLikeConnectionError(err, msg) {
   const m = String(msg || "");
   return (
@@ -101,7 +114,7 @@ async function safetyNetInsertCharge({
   description,
   piFull,
 }) {
-  await insertTransactionIfMissingByRawEventId({
+  await recordLedgerTxn({
     IDKEY: String(idkey),
     TxnType: "charge",
 
@@ -152,7 +165,8 @@ export default async function handler(req, res) {
     const idkey = oneLine(body.idkey);
     const type = oneLine(body.type || "Supplemental Fee") || "Supplemental Fee";
     const why = oneLine(body.why || "");
-    const base = round2(body.base_amount);
+    const giftCode = oneLine(body.gift_card);
+    let base = round2(body.base_amount);
     const taxRate = round2(body.tax_pct);
     const gratRate = round2(body.grat_pct);
 
@@ -172,13 +186,47 @@ export default async function handler(req, res) {
       reservation.resId ??
       "";
 
-    const taxAmount = round2(base * (taxRate / 100));
-    const gratAmount = round2(base * (gratRate / 100));
-    const totalAmount = round2(base + taxAmount + gratAmount);
-    const totalCents = Math.round(totalAmount * 100);
+    let {
+      grat: gratAmount,
+      tax: taxAmount,
+      total: totalAmount,
+    } = chargeComponents({ base, autoGrat: gratRate / 100, taxRate: taxRate / 100 });
 
     const formattedDescription = [type, why].filter(Boolean).join(" - ").slice(0, 500);
 
+    // Gift card first (replaying the same request doesn't debit the card again)
+    let giftCard = null;
+    if (giftCode) {
+      const redeemed = await redeemGiftCard({
+        code: giftCode,
+        idkey,
+        businessUnit: reservation.Business_Unit,
+        amount: totalAmount,
+        breakdown: { base, grat: gratAmount, tax: taxAmount, fee: 0 },
+        rawEventId: [
+          "giftcard_supp",
+          idkey,
+          Math.round(totalAmount * 100),
+          formattedDescription.slice(0, 60).replace(/\s+/g, "_"),
+          giftCode.toUpperCase().replace(/[^A-Z0-9]/g, "").slice(-4),
+        ].join("_").slice(0, 255),
+        chargeType: type,
+        confirmationNumber: reservation.Confirmation_Number || null,
+      });
+      giftCard = { amount: redeemed.amount, balance: redeemed.balance };
+
+      base = round2(base - redeemed.parts.base);
+      gratAmount = round2(gratAmount - redeemed.parts.grat);
+      taxAmount = round2(taxAmount - redeemed.parts.tax);
+      totalAmount = round2(base + gratAmount + taxAmount);
+
+      if (totalAmount <= 0) {
+        await safeRollup(idkey);
+        return json(res, 200, { ok: true, mode: "gift_card", amount: 0, gift_card: giftCard });
+      }
+    }
+    const totalCents = Math.round(totalAmount * 100);
+
     // touch reservation (optional)
     const where = buildWhereForIdKey(idkey);
     await updateReservationByWhere(where, { UpdatedAt: new Date().toISOString() }).catch(() => {});
@@ -247,11 +295,32 @@ export default async function handler(req, res) {
           payment_intent_id: pi?.id || null,
           status: pi?.status || "unknown",
           amount: totalAmount,
+          ...(giftCard ? { gift_card: giftCard } : {}),
           idem_key: idemKey,
         });
       } catch (err) {
         const msg = safeStripeErrorMessage(err);
 
+        // ✅ 3-D Secure: keep this PaymentIntent; the customer completes it on /api/payment-auth
+        const authPi = err?.payment_intent || err?.raw?.payment_intent || null;
+        if (authPi?.id && isAuthenticationRequired(err)) {
+          const auth = await requestPaymentAuthentication({ idkey, paymentIntent: authPi, reservation }).catch((e) => {
+            console.warn("⚠️ PAYMENT_AUTH_REQUEST_FAILED", e?.message || e);
+            return { authUrl: paymentAuthUrl(idkey), email: { sent: false, skipped: "error" } };
+          });
+
+          return json(res, 202, {
+            ok: false,
+            mode: "requires_action",
+            error: "The customer's bank requires them to authenticate this charge.",
+            payment_intent_id: authPi.id,
+            auth_url: auth.authUrl,
+            email_sent: !!auth.email?.sent,
+            amount: totalAmount,
+            idem_key: idemKey,
+          });
+        }
+
         // ✅ Recovery path for connection errors: search for PI by metadata.idem_key
         if (looksLikeConnectionError(err, msg)) {
           try {
@@ -290,6 +359,7 @@ export default async function handler(req, res) {
                 payment_intent_id: piFull?.id || null,
                 status: piFull?.status || "unknown",
                 amount: totalAmount,
+                ...(giftCard ? { gift_card: giftCard } : {}),
                 idem_key: idemKey,
               });
             }
@@ -298,7 +368,9 @@ export default async function handler(req, res) {
           }
         }
 
-        // Optional: log failure (does NOT roll up, since TxnType isn't charge/refund)
+        // Optional: log failure (does NOT roll up, since TxnType isn't charge/refund).
+        // Declines also arrive as payment_intent.payment_failed -> TxnType "failed" row.
+        const declineCode = stripeDeclineCode(err);
         await insertTransactionIfMissingByRawEventId({
           IDKEY: String(idkey),
           TxnType: "log",
@@ -307,18 +379,27 @@ export default async function handler(req, res) {
           PaymentStatus: "AdjustmentFailed",
           Status: "failed",
           StripeCheckoutSessionId: null,
-          StripePaymentIntentId: null,
+          StripePaymentIntentId: err?.raw?.payment_intent?.id || null,
           StripeChargeId: null,
           StripeCustomerId: String(stripeCustomerId),
           StripePaymentMethodId: String(stripePaymentMethodId),
           Charge_Type: type,
           Description: formattedDescription,
+          DeclineCode: declineCode,
+          FailureMessage: msg.slice(0, 500),
           RawEventId: `supp_fail_${idkey}_${totalCents}_${Date.now()}`,
           Transaction_date: new Date().toISOString(),
           CreatedAt: new Date().toISOString(),
         }).catch(() => {});
 
-        return json(res, 402, { ok: false, error: msg, idem_key: idemKey });
+        // A gift card share already redeemed stays applied; retrying the request won't redeem it twice
+        return json(res, 402, {
+          ok: false,
+          error: msg,
+          decline_code: declineCode,
+          idem_key: idemKey,
+          ...(giftCard ? { gift_card: giftCard } : {}),
+        });
       }
     }
 
@@ -370,8 +451,12 @@ export default async function handler(req, res) {
       checkout_url: session.url,
       session_id: session.id,
       amount: totalAmount,
+      ...(giftCard ? { gift_card: giftCard } : {}),
     });
   } catch (err) {
+    if (err instanceof GiftCardError) {
+      return json(res, err.status, { ok: false, code: err.code, error: err.message });
+    }
     const msg = err?.message || String(err || "Server error");
     console.error("CHARGE_ADJUSTMENT_FAILED", msg);
     return json(res, 500, { ok: false, error: msg });
@@ -12,7 +12,9 @@
 //    - AI only extracts hints (date/business/type/party size/charge type).
 //    - Final choices still come from /api/sessions + /api/pricing buttons.
 //
-// 3) **Tax fix**: when Pay Now, tax is calculated on (base + gratuity), per your request.
+// 3) **Server-side pricing**: amounts come from /api/quote (lib/quote — Pay Now tax is on
+//    base + gratuity, per your request) and paystart gets the signed quote_id, never a
+//    client-computed breakdown.
 //
 // Required env (Vercel):
 // - CHAT_THREAD_SECRET   (random long string)
@@ -24,8 +26,12 @@
 // This endpoint uses your existing middleware routes:
 //   GET  /api/sessions?date=YYYY-MM-DD&bu=optional
 //   GET  /api/pricing?price_status=...
-//   POST /api/reserve
+//   GET  /api/addons?bu=...          (optional add-ons step; skipped when the catalog is empty)
+//   POST /api/quote                  (signed amounts for the package + charge type)
+//   POST /api/reserve                (Addons are priced server-side; paystart charges them)
 //   (returns paystart URL)
+//   The time step also lists sold-out times as `waitlist` ({ time, session_id, sessions_title })
+//   for the widget's POST /api/waitlist form.
 
 // ----------------------------- imports -----------------------------
 import crypto from "crypto";
@@ -34,6 +40,8 @@ import crypto from "crypto";
 const BASE = process.env.MIDDLEWARE_BASE || "https://reservation-middleware2.vercel.app";
 const SESSIONS_URL = `${BASE}/api/sessions`;
 const PRICING_URL = `${BASE}/api/pricing`;
+const ADDONS_URL = `${BASE}/api/addons`;
+const QUOTE_URL = `${BASE}/api/quote`;
 const RESERVE_URL = `${BASE}/api/reserve`;
 const PAYSTART_URL = `${BASE}/api/paystart`;
 
@@ -164,14 +172,6 @@ function parseTaxPercentToRate(val, fallback = 0.055) {
   return n;
 }
 
-function parseAutoGrat(val) {
-  const n = Number(String(val ?? "").trim());
-  if (!Number.isFinite(n) || n < 0) return { type: "rate", rate: 0 };
-  if (n > 0 && n <= 1) return { type: "rate", rate: n };
-  if (n > 1 && n <= 100) return { type: "rate", rate: n / 100 };
-  return { type: "flat", amount: n };
-}
-
 function round2(n) {
   const x = Number(n);
   return Number.isFinite(x) ? Number(x.toFixed(2)) : 0;
@@ -183,34 +183,6 @@ function money(n) {
   return x.toLocaleString(undefined, { style: "currency", currency: "USD" });
 }
 
-// IMPORTANT: tax = taxRate * (base + gratuity) when Pay Now
-function computeAmounts({ units, unitPrice, taxRate, autoGratRaw, chargeType, bookingFee }) {
-  const u = Number(units);
-  const p = Number(unitPrice);
-  const base = (Number.isFinite(u) ? u : 0) * (Number.isFinite(p) ? p : 0);
-
-  const tr = Number.isFinite(Number(taxRate)) ? Number(taxRate) : 0.055;
-
-  const ag = parseAutoGrat(autoGratRaw);
-  const gratuity = ag.type === "flat" ? ag.amount : base * ag.rate;
-
-  let tax = 0;
-  if (chargeType === "Pay Now") {
-    tax = (base + gratuity) * tr;
-  }
-
-  let due = 0;
-  if (chargeType === "24 Hour Hold Fee") due = Number(bookingFee || 0);
-  if (chargeType === "Pay Now") due = base + gratuity + tax;
-
-  return {
-    base: round2(base),
-    gratuity: round2(gratuity),
-    tax: round2(tax),
-    dueToday: round2(due),
-  };
-}
-
 async function fetchJSON(url, opts = {}) {
   const ac = new AbortController();
   const t = setTimeout(() => ac.abort(), 15000);
@@ -344,6 +316,7 @@ function stepName(state) {
   if (!state.type) return "type";
   if (!state.time) return "time";
   if (!state.package) return "package";
+  if (!state.addonsDone) return "addons";
   if (!state.chargeType) return "chargeType";
   if (!state.policyAgreed) return "policy";
   if (!state.first || !state.last) return "name";
@@ -359,6 +332,8 @@ function summarize(state) {
   if (state.dba) bits.push(state.dba);
   if (state.time) bits.push(state.time);
   if (state.packageLabel) bits.push(state.packageLabel);
+  const addons = (state.addons || []).map((a) => `${a.qty} × ${a.name}`);
+  if (addons.length) bits.push(`+ ${addons.join(", ")}`);
   return bits.join(" • ");
 }
 
@@ -388,6 +363,10 @@ function newState() {
     cQuant: "",
     unitPrice: 0,
 
+    // add-ons: [{ addonId, name, price, qty }]
+    addons: [],
+    addonsDone: false,
+
     // payment + contact
     chargeType: "",
     policyAgreed: false,
@@ -491,6 +470,8 @@ export default async function handler(req, res) {
       state.units = "";
       state.cQuant = "";
       state.unitPrice = 0;
+      state.addons = [];
+      state.addonsDone = false;
     };
 
     const resetDownstreamFromType = () => {
@@ -543,6 +524,17 @@ export default async function handler(req, res) {
       state.unitPrice = Number(act.unitPrice || 0) || 0;
     }
 
+    if (act?.kind === "addAddon") {
+      const addons = Array.isArray(state.addons) ? state.addons : [];
+      const id = oneLine(act.addonId);
+      const hit = addons.find((a) => a.addonId === id);
+      if (hit) hit.qty += 1;
+      else if (id) addons.push({ addonId: id, name: oneLine(act.name), price: Number(act.price || 0) || 0, qty: 1 });
+      state.addons = addons;
+    }
+
+    if (act?.kind === "addonsDone") state.addonsDone = true;
+
     if (act?.kind === "setChargeType") state.chargeType = oneLine(act.chargeType);
     if (act?.kind === "agreePolicy") state.policyAgreed = true;
     if (act?.kind === "setNotes") state.notes = oneLine(act.notes);
@@ -645,6 +637,15 @@ export default async function handler(req, res) {
         .sort((a, b) => a.time.localeCompare(b.time));
 
       reply = `Which start time for **${state.type}** on ${state.date}?`;
+
+      // Sold-out times aren't bookable here, but the widget can offer POST /api/waitlist for them
+      const waitlist = times
+        .filter((x) => x.soldOut)
+        .map((x) => ({ time: x.time, session_id: x.sessionId, sessions_title: x.sessionsTitle }));
+      if (waitlist.length) {
+        reply += `\n\nSold out: ${waitlist.map((w) => w.time).join(", ")} — you can join the waitlist for those.`;
+      }
+
       choices = times
         .filter((x) => !x.soldOut)
         .slice(0, 14)
@@ -663,7 +664,7 @@ export default async function handler(req, res) {
         );
 
       const threadToken = encodeThread(state);
-      return json(res, 200, { ok: true, threadToken, reply, choices, next });
+      return json(res, 200, { ok: true, threadToken, reply, choices, next, waitlist });
     }
 
     // Step: package
@@ -712,6 +713,33 @@ export default async function handler(req, res) {
       }
     }
 
+    // Step: add-ons (each click adds one; prices are re-checked by /api/reserve)
+    if (next === "addons") {
+      const cat = await fetchJSON(`${ADDONS_URL}?bu=${encodeURIComponent(state.bu)}`);
+      const items = (cat?.rows || []).filter((r) => oneLine(r.addon_id) && Number(r.price) > 0);
+
+      if (!items.length) {
+        state.addonsDone = true;
+        next = stepName(state);
+      } else {
+        const picked = (state.addons || []).map((a) => `${a.qty} × ${a.name}`);
+        reply = picked.length
+          ? `Added so far: ${picked.join(", ")}. Anything else?`
+          : "Want to add anything to your booking?";
+        choices = items.slice(0, 10).map((r) =>
+          btn(`${r.name} — ${money(r.price)}`, {
+            kind: "addAddon",
+            addonId: r.addon_id,
+            name: r.name,
+            price: r.price,
+          })
+        );
+        choices.push(btn(picked.length ? "Done with add-ons" : "No add-ons", { kind: "addonsDone" }));
+        const threadToken = encodeThread(state);
+        return json(res, 200, { ok: true, threadToken, reply, choices, next });
+      }
+    }
+
     // Step: charge type
     if (next === "chargeType") {
       reply = "Payment choice?";
@@ -753,16 +781,21 @@ export default async function handler(req, res) {
 
     // Step: confirm -> create reservation + return pay url
     if (next === "confirm") {
-      const amounts = computeAmounts({
-        units: state.units,
-        unitPrice: state.unitPrice,
-        taxRate: state.taxRate,
-        autoGratRaw: state.autoGratRaw,
-        chargeType: state.chargeType,
-        bookingFee: state.bookingFee,
+      // Priced server-side; paystart charges exactly this (signed) quote
+      const quoted = await fetchJSON(QUOTE_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          session_id: state.sessionId,
+          c_quant: state.cQuant,
+          units: state.units,
+          charge_type: state.chargeType,
+        }),
       });
+      if (!quoted?.ok || !quoted?.quote_id) throw new Error("Could not price this booking.");
 
-      if (!(amounts.dueToday > 0)) throw new Error("Due today must be > 0.");
+      const charge = quoted.quote.charge;
+      const amounts = { base: charge.base, gratuity: charge.grat, tax: charge.tax, dueToday: charge.total };
 
       const peopleText = state.units ? `${state.units} people` : "";
 
@@ -791,6 +824,8 @@ export default async function handler(req, res) {
         BookingFeeAmount: amounts.dueToday,
 
         Tax_Rate: Number.isFinite(Number(state.taxRate)) ? Number(state.taxRate) : 0.055,
+
+        Addons: (state.addons || []).map((a) => ({ addon_id: a.addonId, qty: a.qty, price: a.price })),
       };
 
       const created = await fetchJSON(RESERVE_URL, {
@@ -803,27 +838,20 @@ export default async function handler(req, res) {
 
       const idkey = created.idkey;
 
+      // Add-ons are charged on top of the breakdown by paystart (plus tax at the reservation rate)
+      const addonsSubtotal = Number(created.addons_subtotal || 0) || 0;
+      const addonsDue = round2(addonsSubtotal + addonsSubtotal * reserveBody.Tax_Rate);
+
       const params = new URLSearchParams();
       params.set("idkey", idkey);
-
-      if (state.chargeType === "Pay Now") {
-        params.set("base_amount", String(amounts.base.toFixed(2)));
-        params.set("tax_amount", String(amounts.tax.toFixed(2)));
-        params.set("auto_gratuity", String(amounts.gratuity.toFixed(2)));
-        params.set("fee_amount", "0");
-      } else {
-        params.set("base_amount", "0");
-        params.set("tax_amount", "0");
-        params.set("auto_gratuity", "0");
-        params.set("fee_amount", String(Number(state.bookingFee || 0).toFixed(2)));
-      }
+      params.set("quote_id", quoted.quote_id);
 
       const payUrl = `${PAYSTART_URL}?${params.toString()}`;
 
       reply =
         `Perfect. Here’s what I’m booking:\n` +
         `• ${summarize(state)}\n` +
-        `• Due today: ${money(amounts.dueToday)}\n\n` +
+        `• Due today: ${money(amounts.dueToday + addonsDue)}\n\n` +
         `Tap “Proceed to payment” to complete it.`;
 
       choices = [{ label: "Proceed to payment", href: payUrl }];
@@ -837,7 +865,7 @@ export default async function handler(req, res) {
         reply,
         choices,
         next: "done",
-        state: { ...state, amounts, idkey },
+        state: { ...state, amounts: { ...amounts, addons: addonsDue }, idkey },
       });
     }
 
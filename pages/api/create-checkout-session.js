@@ -1,5 +1,13 @@
 import Stripe from "stripe";
-import { getReservationByIdKey, updateReservationByWhere, buildWhereForIdKey } from "../../lib/caspio";
+import { getReservationByIdKey } from "../../lib/caspio";
+import {
+  assertTransition,
+  bookingFeeCheckoutTargets,
+  transitionReservation,
+  ReservationNotFoundError,
+  ReservationTransitionError,
+} from "../../lib/reservation-status";
+import { SoldOutError, refreshHold, withSessionLock } from "../../lib/session-capacity";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
 
@@ -37,6 +45,17 @@ export default async function handler(req, res) {
     if (!idkey) return res.status(400).json({ error: "Missing idkey" });
 
     const reservation = await getReservationByIdKey(idkey);
+    if (!reservation) return res.status(404).json({ error: "Reservation not found" });
+
+    // Already paid / cancelled reservations can't start a new booking-fee checkout
+    const targets = bookingFeeCheckoutTargets(reservation);
+    assertTransition(reservation, targets, { idkey });
+
+    // Hold seats while Checkout is open (same rules as /api/paystart)
+    const { holdExpiresAt } = await withSessionLock(reservation.Session_ID, () =>
+      refreshHold({ ...reservation, IDKEY: reservation.IDKEY || idkey })
+    );
+    const expiresAt = holdExpiresAt ? Math.floor(holdExpiresAt.getTime() / 1000) : null;
 
     const customerEmail = reservation.Email;
     const bookingFeeAmount = Number(reservation.BookingFeeAmount);
@@ -70,6 +89,9 @@ export default async function handler(req, res) {
       shortHash(productName),
       shortHash(sessionsTitle),
       shortHash(peopleText),
+      ...(expiresAt ? [expiresAt] : []),
+      // resuming an abandoned reservation is a new attempt, never a replay of the expired session
+      ...(targets.status ? ["R", shortHash(reservation.StatusChangedAt)] : []),
     ].join("_");
 
     const session = await stripe.checkout.sessions.create(
@@ -96,15 +118,17 @@ export default async function handler(req, res) {
 
         success_url: `${process.env.SITE_BASE_URL}/barresv5custmanage?idkey=${encodeURIComponent(idkey)}`,
         cancel_url: `${process.env.SITE_BASE_URL}/barresv5cancelled?idkey=${encodeURIComponent(idkey)}`,
+        ...(expiresAt ? { expires_at: expiresAt } : {}),
       },
       { idempotencyKey: idemKey }
     );
 
     // Optional "pending" writeback
-    const where = buildWhereForIdKey(idkey);
-    await updateReservationByWhere(where, {
-      PaymentStatus: "PendingBookingFee",
-      StripeCheckoutSessionId: session.id,
+    await transitionReservation(idkey, {
+      ...targets,
+      by: "create-checkout-session",
+      current: reservation,
+      fields: { StripeCheckoutSessionId: session.id },
     });
 
     return res.status(200).json({
@@ -113,6 +137,12 @@ export default async function handler(req, res) {
       sessionId: session.id,
     });
   } catch (err) {
+    if (err instanceof SoldOutError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    if (err instanceof ReservationTransitionError || err instanceof ReservationNotFoundError) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
     console.error(err);
     return res.status(500).json({ error: err.message || "Server error" });
   }
@@ -1,6 +1,10 @@
 // pages/api/customer-cancel-eligibility.js
+//
+// ✅ Eligible reservations also report the refund a cancellation would issue now
+//    (lib/cancel-refund): refund: { policy, percent, amount, within_refund_window, source }
 
-import { getReservationByIdKey } from "../../lib/caspio";
+import { getReservationByIdKey, getResBillingEditViewRowByIdKey } from "../../lib/caspio";
+import { quoteCancelRefund } from "../../lib/cancel-refund";
 
 /**
  * Tiny in-memory cache per lambda instance (best-effort).
@@ -127,7 +131,16 @@ export default async function handler(req, res) {
     const cached = getCached(cacheKey);
     if (cached) return res.status(200).json(cached);
 
-    const reservation = await getReservationByIdKey(idkey);
+    const reservationRow = await getReservationByIdKey(idkey);
+
+    // Billing view adds the session start, cancel window and refund policy (best-effort)
+    const billing = reservationRow
+      ? await getResBillingEditViewRowByIdKey(idkey).catch((e) => {
+          console.warn("⚠️ ELIGIBILITY_BILLING_VIEW_FAILED", e?.message || e);
+          return null;
+        })
+      : null;
+    const reservation = reservationRow ? { ...reservationRow, ...(billing || {}) } : null;
 
     if (!reservation) {
       const payload = { ok: true, eligible: false, reason: "NOT_FOUND" };
@@ -142,6 +155,9 @@ export default async function handler(req, res) {
 
     if (status === "cancelled") {
       const payload = { ok: true, eligible: false, reason: "ALREADY_CANCELLED" };
+      if (reservation.CancelRefundStatus != null) {
+        payload.refund = { amount: Number(reservation.CancelRefundAmount) || 0, status: reservation.CancelRefundStatus };
+      }
       setCached(cacheKey, payload);
       return res.status(200).json(payload);
     }
@@ -208,6 +224,22 @@ export default async function handler(req, res) {
       startTime: startTimeRaw,
     };
 
+    if (eligible) {
+      const plan = await quoteCancelRefund(idkey, { billing, hoursUntilStart }).catch((e) => {
+        console.warn("⚠️ ELIGIBILITY_REFUND_QUOTE_FAILED", e?.message || e);
+        return null;
+      });
+      payload.refund = plan
+        ? {
+            policy: plan.policy,
+            percent: plan.percent,
+            amount: plan.amount,
+            within_refund_window: plan.within_refund_window,
+            source: plan.source,
+          }
+        : null;
+    }
+
     setCached(cacheKey, payload);
     return res.status(200).json(payload);
   } catch (err) {
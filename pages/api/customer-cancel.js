@@ -9,13 +9,36 @@
 // Behavior:
 // - Blocks Pay Now
 // - Blocks within cancel window (hours) before start time
-// - Blocks if already cancelled
-// - If eligible: sets BAR2_Reservations_SIGMA.Status = "Cancelled"
-
-import { getCaspioAccessToken } from "../../lib/caspio"; // <-- if you have this helper
-// If you DON'T have getCaspioAccessToken, swap this import to your existing token helper.
-
-const CASPIO_BASE = "https://c0gfs257.caspio.com/rest/v2";
+// - Already cancelled: reports the stored refund; if this endpoint cancelled it and the refund
+//   never got stamped or failed outright, issues it again (same plan, same idempotency keys)
+// - If eligible: sets BAR2_Reservations_SIGMA.Status = "Cancelled" (via lib/reservation-status)
+// - ✅ Refunds what the refund policy allows (lib/cancel-refund) and returns it:
+//     { ok, cancelled, refund: { policy, amount, status, refunds:[{refund_id, charge_id, amount}] } }
+// - ✅ Offers the freed seats to the session's waitlist (lib/waitlist, best-effort)
+
+import Stripe from "stripe";
+import {
+  findOneByWhereInTable,
+  findOneByWhereInView,
+  caspioQuery,
+} from "../../lib/caspio";
+import {
+  RESERVATION_STATUS,
+  normalizeStatus,
+  transitionReservation,
+  listStatusHistory,
+  ReservationNotFoundError,
+  ReservationTransitionError,
+} from "../../lib/reservation-status";
+import { REFUND_POLICY_VIEW_FIELDS, issueCancelRefund, quoteCancelRefund } from "../../lib/cancel-refund";
+import { promoteWaitlist } from "../../lib/waitlist";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+const CANCELLED_BY = "customer-cancel";
+
+// Stored refund outcomes worth another attempt (null: cancelled but never refunded)
+const RETRY_REFUND_STATUSES = new Set([null, "failed"]);
 
 const ALLOWED_ORIGINS = new Set([
   "https://reservebarsandrec.com",
@@ -34,10 +57,6 @@ function setCors(req, res) {
   res.setHeader("Access-Control-Allow-Headers", "Content-Type");
 }
 
-function escWhereValue(s) {
-  return String(s || "").replace(/'/g, "''");
-}
-
 function parseDateAny(raw) {
   const s = String(raw || "").trim();
   if (!s) return null;
@@ -58,27 +77,14 @@ function parseDateAny(raw) {
   return Number.isNaN(d.getTime()) ? null : d;
 }
 
-async function caspioFetchJson(path, token, options = {}) {
-  const r = await fetch(`${CASPIO_BASE}${path}`, {
-    ...options,
-    headers: {
-      Authorization: `Bearer ${token}`,
-      ...(options.headers || {}),
-    },
-  });
-
-  const text = await r.text();
-  let j = {};
-  try {
-    j = text ? JSON.parse(text) : {};
-  } catch {}
-
-  if (!r.ok) {
-    const msg = j?.Message || j?.error_description || j?.error || text || String(r.status);
-    throw new Error(String(msg).slice(0, 500));
-  }
-
-  return j;
+function refundBody(plan, issued) {
+  return {
+    policy: plan.policy,
+    within_refund_window: plan.within_refund_window,
+    amount: issued.amount,
+    status: issued.status,
+    refunds: issued.refunds,
+  };
 }
 
 export default async function handler(req, res) {
@@ -92,60 +98,71 @@ export default async function handler(req, res) {
     const idkey = String(body.idkey || "").trim();
     if (!idkey) return res.status(400).json({ ok: false, error: "Missing idkey" });
 
-    // 1) Get Caspio token server-side
-    const token =
-      typeof getCaspioAccessToken === "function"
-        ? await getCaspioAccessToken()
-        : null;
-
-    if (!token) {
-      // If your helper is named differently, replace the import & logic above.
-      return res.status(500).json({ ok: false, error: "Server token helper not configured" });
-    }
-
-    // 2) Fetch billing view fields needed for eligibility
+    // 1) Fetch billing view fields needed for eligibility
     const V_BILL = "SIGMA_VW_Res_Billing_Edit";
     const VB_IDKEY = "IDKEY";
     const VB_CHARGE_TYPE = "BAR2_Reservations_SIGMA_Charge_Type";
     const VB_CANCEL_HOUR_WIN = "BAR2_Primary_Config_Cancel_Hour_Window";
     const VB_DATE_START_TIME = "BAR2_Sessions_Date_Start_Time";
 
-    const whereBill = `${VB_IDKEY}='${escWhereValue(idkey)}'`;
-    const selectBill = [VB_CHARGE_TYPE, VB_CANCEL_HOUR_WIN, VB_DATE_START_TIME].join(",");
-    const billPath =
-      `/views/${V_BILL}/records` +
-      `?q.where=${encodeURIComponent(whereBill)}` +
-      `&q.limit=1` +
-      `&q.select=${encodeURIComponent(selectBill)}`;
-
-    const billJ = await caspioFetchJson(billPath, token);
-    const billing = billJ.Result?.[0];
+    const whereBill = caspioQuery().eq(VB_IDKEY, idkey);
+    const billing = await findOneByWhereInView(V_BILL, whereBill, {
+      select: [VB_CHARGE_TYPE, VB_CANCEL_HOUR_WIN, VB_DATE_START_TIME, ...REFUND_POLICY_VIEW_FIELDS],
+    });
     if (!billing) return res.status(404).json({ ok: false, error: "Reservation not found (billing view)" });
 
-    // 3) Fetch reservation row fields needed for status checks + update WHERE
+    // 2) Fetch reservation row fields needed for status checks + update WHERE
     const T_RES = "BAR2_Reservations_SIGMA";
     const F_IDKEY = "IDKEY";
     const F_TYPE = "Type";
     const TYPE_RESERVATION = "Reservation";
     const F_RES_STATUS = "Status";
+    const F_PAY_STATUS = "PaymentStatus";
+    const F_CONFIRMATION = "Confirmation_Number";
+    const F_SESSION_ID = "Session_ID";
+    const F_REFUND_AMOUNT = "CancelRefundAmount";
+    const F_REFUND_STATUS = "CancelRefundStatus";
 
-    const whereRes =
-      `${F_IDKEY}='${escWhereValue(idkey)}' AND ${F_TYPE}='${escWhereValue(TYPE_RESERVATION)}'`;
+    const whereRes = caspioQuery().eq(F_IDKEY, idkey).eq(F_TYPE, TYPE_RESERVATION).toString();
 
-    const resPath =
-      `/tables/${T_RES}/records` +
-      `?q.where=${encodeURIComponent(whereRes)}` +
-      `&q.limit=1` +
-      `&q.select=${encodeURIComponent(F_RES_STATUS)}`;
-
-    const resJ = await caspioFetchJson(resPath, token);
-    const reservation = resJ.Result?.[0];
+    const reservation = await findOneByWhereInTable(T_RES, whereRes, {
+      select: [F_RES_STATUS, F_PAY_STATUS, F_CONFIRMATION, F_SESSION_ID, F_REFUND_AMOUNT, F_REFUND_STATUS],
+    });
     if (!reservation) return res.status(404).json({ ok: false, error: "Reservation not found" });
 
-    // 4) Eligibility
-    const status = String(reservation?.[F_RES_STATUS] || "").trim().toLowerCase();
-    if (status === "cancelled") {
-      return res.status(200).json({ ok: true, cancelled: true, message: "Already cancelled." });
+    const startDt = parseDateAny(billing?.[VB_DATE_START_TIME]);
+
+    // 3) Eligibility
+    if (normalizeStatus(reservation?.[F_RES_STATUS]) === RESERVATION_STATUS.CANCELLED) {
+      const retryable = RETRY_REFUND_STATUSES.has(reservation?.[F_REFUND_STATUS] ?? null);
+      const cancellation = retryable
+        ? (await listStatusHistory(idkey, { field: "Status" }))
+            .filter((h) => normalizeStatus(h.To_Value) === RESERVATION_STATUS.CANCELLED)
+            .pop()
+        : null;
+      const cancelledAt = parseDateAny(cancellation?.ChangedAt);
+      const retryRefund = cancellation?.ChangedBy === CANCELLED_BY && startDt && cancelledAt;
+
+      // Cancelled here but the refund went missing or failed: planned as of the cancellation
+      if (retryRefund) {
+        const plan = await quoteCancelRefund(idkey, {
+          billing,
+          hoursUntilStart: (startDt.getTime() - cancelledAt.getTime()) / 36e5,
+        });
+        const issued = await issueCancelRefund({ stripe, idkey, plan, reservation });
+        return res.status(200).json({
+          ok: true,
+          cancelled: true,
+          message: "Already cancelled.",
+          refund: refundBody(plan, issued),
+        });
+      }
+
+      const refund =
+        reservation?.[F_REFUND_STATUS] != null
+          ? { amount: Number(reservation[F_REFUND_AMOUNT]) || 0, status: reservation[F_REFUND_STATUS] }
+          : null;
+      return res.status(200).json({ ok: true, cancelled: true, message: "Already cancelled.", refund });
     }
 
     const chargeType = String(billing?.[VB_CHARGE_TYPE] || "").trim().toLowerCase();
@@ -153,7 +170,6 @@ export default async function handler(req, res) {
       return res.status(403).json({ ok: false, error: "Paid in advance — cannot cancel online." });
     }
 
-    const startDt = parseDateAny(billing?.[VB_DATE_START_TIME]);
     if (!startDt) {
       return res.status(403).json({ ok: false, error: "Missing start time — cannot evaluate cancellation window." });
     }
@@ -170,17 +186,40 @@ export default async function handler(req, res) {
       });
     }
 
+    // 4) Refund owed under the policy (quoted before the status flips)
+    const plan = await quoteCancelRefund(idkey, {
+      billing,
+      hoursUntilStart: (startDt.getTime() - now.getTime()) / 36e5,
+    });
+
     // 5) Perform cancellation
-    const putPath = `/tables/${T_RES}/records?q.where=${encodeURIComponent(whereRes)}`;
-    await caspioFetchJson(putPath, token, {
-      method: "PUT",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ [F_RES_STATUS]: "Cancelled" }),
+    await transitionReservation(idkey, {
+      status: RESERVATION_STATUS.CANCELLED,
+      by: CANCELLED_BY,
+      current: reservation,
+      where: whereRes,
     });
 
-    return res.status(200).json({ ok: true, cancelled: true });
+    // 6) Refund (a failure is reported, the cancellation stands)
+    const issued = await issueCancelRefund({ stripe, idkey, plan, reservation });
+
+    // 7) Freed seats go to the waitlist (never fails the cancellation)
+    if (reservation?.[F_SESSION_ID]) {
+      await promoteWaitlist(reservation[F_SESSION_ID]).catch((e) =>
+        console.warn("⚠️ WAITLIST_PROMOTE_FAILED", reservation[F_SESSION_ID], e?.message || e)
+      );
+    }
+
+    return res.status(200).json({
+      ok: true,
+      cancelled: true,
+      refund: refundBody(plan, issued),
+    });
 
   } catch (e) {
+    if (e instanceof ReservationTransitionError || e instanceof ReservationNotFoundError) {
+      return res.status(e.status).json({ ok: false, error: e.message, code: e.code });
+    }
     console.error("customer-cancel error:", e);
     return res.status(500).json({ ok: false, error: e?.message || "Server error" });
   }
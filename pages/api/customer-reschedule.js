@@ -0,0 +1,93 @@
+// pages/api/customer-reschedule.js
+//
+// Customer-facing date/time change (lib/reschedule)
+// - Browser never receives Caspio token
+// - Same eligibility as customer-cancel: Booked, outside the cancel window
+//
+// GET  ?idkey=...                        -> { ok, current, cancelWindowHours, options:[{ session_id, date, start,
+//                                            title, available, unit_price, difference:{base, grat, tax, amount} }] }
+// POST { idkey: "...", session_id: "..." } -> { ok, rescheduled, from, to, difference,
+//                                              settlement:{ status, amount, payment_intent_id, refunds } }
+//
+// The price difference is charged to / refunded on the saved card when the booking was
+// prepaid; every change is recorded in SIGMA_BAR3_Reservation_Changes.
+// Seats freed in the old session are offered to its waitlist (lib/waitlist).
+
+import Stripe from "stripe";
+import {
+  RescheduleError,
+  listRescheduleOptions,
+  loadRescheduleContext,
+  rescheduleReservation,
+} from "../../lib/reschedule";
+import { SoldOutError } from "../../lib/session-capacity";
+import { promoteWaitlist } from "../../lib/waitlist";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+const ALLOWED_ORIGINS = new Set([
+  "https://reservebarsandrec.com",
+  "https://www.reservebarsandrec.com",
+]);
+
+function setCors(req, res) {
+  const origin = req.headers.origin || "";
+  const allowOrigin = ALLOWED_ORIGINS.has(origin)
+    ? origin
+    : "https://www.reservebarsandrec.com";
+
+  res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  try {
+    if (req.method === "GET") {
+      const idkey = String(req.query?.idkey || "").trim();
+      if (!idkey) return res.status(400).json({ ok: false, error: "Missing idkey" });
+
+      const ctx = await loadRescheduleContext(idkey);
+      const options = await listRescheduleOptions(ctx);
+
+      return res.status(200).json({
+        ok: true,
+        idkey,
+        current: {
+          session_id: ctx.reservation.Session_ID,
+          date: String(ctx.reservation.Session_Date || "").slice(0, 10),
+          title: ctx.reservation.Sessions_Title || "",
+          unit_price: ctx.unitPrice,
+        },
+        cancelWindowHours: ctx.cancelWindowHours,
+        options,
+      });
+    }
+
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const idkey = String(body.idkey || "").trim();
+    const sessionId = String(body.session_id || body.Session_ID || "").trim();
+    if (!idkey) return res.status(400).json({ ok: false, error: "Missing idkey" });
+    if (!sessionId) return res.status(400).json({ ok: false, error: "Missing session_id" });
+
+    const out = await rescheduleReservation({ stripe, idkey, sessionId });
+    await promoteWaitlist(out.from.session_id).catch((e) =>
+      console.warn("⚠️ WAITLIST_PROMOTE_FAILED", out.from.session_id, e?.message || e)
+    );
+    return res.status(200).json({ ok: true, rescheduled: true, ...out });
+  } catch (e) {
+    if (e instanceof RescheduleError || e instanceof SoldOutError) {
+      return res.status(e.status).json({ ok: false, error: e.message, code: e.code });
+    }
+    console.error("customer-reschedule error:", e);
+    return res.status(500).json({ ok: false, error: e?.message || "Server error" });
+  }
+}
@@ -7,27 +7,7 @@
 //
 // Delete this after debugging.
 
-import { getCaspioAccessToken } from "../../lib/caspio";
-
-function normalizeBase(url) {
-  return String(url).replace(/\/+$/, "");
-}
-
-function caspioIntegrationBaseUrl() {
-  const integration = process.env.CASPIO_INTEGRATION_URL;
-  if (integration) return normalizeBase(integration);
-  const acct = process.env.CASPIO_ACCOUNT;
-  if (!acct) throw new Error("Missing CASPIO_INTEGRATION_URL (or CASPIO_ACCOUNT fallback)");
-  return `https://${acct}.caspio.com`;
-}
-
-async function fetchJson(url, options) {
-  const resp = await fetch(url, options);
-  const text = await resp.text();
-  let json = null;
-  try { json = text ? JSON.parse(text) : null; } catch {}
-  return { resp, text, json };
-}
+import { caspioFetch } from "../../lib/caspio";
 
 export default async function handler(req, res) {
   if (req.method !== "GET") return res.status(405).json({ ok: false, error: "Method not allowed" });
@@ -35,27 +15,22 @@ export default async function handler(req, res) {
   const contains = String(req.query?.contains || "").toLowerCase();
 
   try {
-    const token = await getCaspioAccessToken();
-    const base = caspioIntegrationBaseUrl();
-
     // Try v2 then v3 (your other endpoints use both)
-const candidates = [
-  `${base}/rest/v2/tables`,
-  `${base}/rest/v3/tables`,
-  `${base}/rest/v2/views`,  // ✅ NEW
-  `${base}/rest/v3/views`,  // ✅ NEW
-];
+    const candidates = [
+      "/rest/v2/tables",
+      "/rest/v3/tables",
+      "/rest/v2/views", // ✅ NEW
+      "/rest/v3/views", // ✅ NEW
+    ];
 
     let lastErr = null;
 
     for (const url of candidates) {
-      const { resp, text, json } = await fetchJson(url, {
-        method: "GET",
-        headers: { Authorization: `Bearer ${token}` },
-      });
-
-      if (!resp.ok) {
-        lastErr = { url, status: resp.status, text };
+      let json;
+      try {
+        json = await caspioFetch(url, { retries: 0 });
+      } catch (e) {
+        lastErr = { url, status: e?.status ?? null, text: String(e?.message || e) };
         continue;
       }
 
@@ -0,0 +1,151 @@
+// pages/api/dispute-evidence.js
+//
+// Admin endpoint: assembles chargeback evidence for a disputed reservation and (optionally)
+// submits it to Stripe.
+//
+// Headers:
+//   x-admin-key: <ADMIN_API_KEY>   (lib/admin-auth)
+//
+// GET  /api/dispute-evidence?dispute_id=dp_...   (or ?idkey=... -> the reservation's DisputeId)
+//   -> { ok, dispute, evidence, summary }   (preview; nothing is sent)
+//
+// POST /api/dispute-evidence
+// Body (JSON):
+//   { dispute_id | idkey, evidence: { ...overrides } (optional), submit: true|false }
+//   -> pushes the evidence to the dispute; submit=true finalizes it (Stripe allows one submission)
+//
+// Evidence comes from the reservation row, the billing view (session start, cancel window)
+// and the transaction ledger (receipts) — see lib/disputes assembleDisputeEvidence.
+//
+// Also responds to OPTIONS for CORS preflight.
+
+import Stripe from "stripe";
+import {
+  getReservationByIdKey,
+  getResBillingEditViewRowByIdKey,
+  listTransactionsByIdKey,
+} from "../../lib/caspio";
+import { assembleDisputeEvidence, disputeChargeId, findOriginalChargeTxn } from "../../lib/disputes";
+import { ADMIN_KEY_HEADER, requireAdminKey } from "../../lib/admin-auth";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+// ---- CORS ----
+function setCors(req, res) {
+  const allowed = new Set([
+    "https://reservebarsandrec.com",
+    "https://www.reservebarsandrec.com",
+  ]);
+
+  const origin = req.headers.origin;
+  const allowOrigin = allowed.has(origin) ? origin : "https://www.reservebarsandrec.com";
+
+  res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", `Content-Type, ${ADMIN_KEY_HEADER}`);
+  res.setHeader("Access-Control-Max-Age", "86400");
+}
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function disputeSummary(dp) {
+  return {
+    id: dp.id,
+    status: dp.status,
+    reason: dp.reason,
+    amount: typeof dp.amount === "number" ? Number((dp.amount / 100).toFixed(2)) : null,
+    currency: dp.currency || "usd",
+    charge: disputeChargeId(dp),
+    evidence_due_by: dp.evidence_details?.due_by
+      ? new Date(dp.evidence_details.due_by * 1000).toISOString()
+      : null,
+    submission_count: dp.evidence_details?.submission_count ?? 0,
+  };
+}
+
+// dispute_id wins; otherwise the reservation's DisputeId
+async function loadDisputeContext({ disputeId, idkey }) {
+  let reservation = idkey ? await getReservationByIdKey(idkey) : null;
+  if (idkey && !reservation) return { status: 404, error: "Reservation not found" };
+
+  const id = disputeId || oneLine(reservation?.DisputeId);
+  if (!id) return { status: 404, error: "No dispute recorded for this reservation" };
+
+  const dispute = await stripe.disputes.retrieve(id);
+
+  if (!reservation) {
+    const txn = await findOriginalChargeTxn(disputeChargeId(dispute)).catch(() => null);
+    if (txn?.IDKEY) reservation = await getReservationByIdKey(txn.IDKEY);
+  }
+  if (!reservation) return { status: 404, error: "No reservation found for this dispute" };
+
+  const key = String(reservation.IDKEY);
+  const [viewRow, txns] = await Promise.all([
+    getResBillingEditViewRowByIdKey(key).catch(() => null),
+    listTransactionsByIdKey(key).catch(() => []),
+  ]);
+
+  return { dispute, reservation, ...assembleDisputeEvidence({ reservation, viewRow, txns }) };
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).send("Method not allowed");
+
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) return res.status(500).json({ ok: false, error: "Missing STRIPE_SECRET_KEY" });
+    if (!requireAdminKey(req, res)) return;
+
+    const input =
+      req.method === "GET"
+        ? req.query || {}
+        : typeof req.body === "string"
+          ? JSON.parse(req.body)
+          : req.body || {};
+
+    const disputeId = oneLine(input.dispute_id);
+    const idkey = oneLine(input.idkey || input.IDKEY);
+    if (!disputeId && !idkey) return res.status(400).json({ ok: false, error: "Missing dispute_id or idkey" });
+
+    const ctx = await loadDisputeContext({ disputeId, idkey });
+    if (ctx.error) return res.status(ctx.status).json({ ok: false, error: ctx.error });
+
+    const overrides = input.evidence && typeof input.evidence === "object" ? input.evidence : {};
+    const evidence = { ...ctx.evidence, ...overrides };
+
+    if (req.method === "GET") {
+      return res.status(200).json({
+        ok: true,
+        idkey: String(ctx.reservation.IDKEY),
+        dispute: disputeSummary(ctx.dispute),
+        evidence,
+        summary: ctx.summary,
+      });
+    }
+
+    const submit = input.submit === true || String(input.submit).toLowerCase() === "true";
+    const updated = await stripe.disputes.update(ctx.dispute.id, {
+      evidence,
+      submit,
+      metadata: { IDKEY: String(ctx.reservation.IDKEY) },
+    });
+
+    console.log("DISPUTE_EVIDENCE_SAVED:", ctx.dispute.id, "SUBMITTED:", submit);
+
+    return res.status(200).json({
+      ok: true,
+      submitted: submit,
+      idkey: String(ctx.reservation.IDKEY),
+      dispute: disputeSummary(updated),
+      evidence,
+    });
+  } catch (err) {
+    console.error("DISPUTE_EVIDENCE_FAILED:", err?.message || err);
+    return res.status(err?.statusCode === 404 ? 404 : 500).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
@@ -0,0 +1,49 @@
+// pages/api/giftcard-balance.js
+// ✅ Gift card balance lookup (lib/giftcards) for the booking page's "apply a gift card" box
+//
+// GET ?code=XXXX-XXXX-XXXX-XXXX
+//   -> { ok, masked_code: "**** XXXX", status, balance, business_unit }
+// Unknown (or not yet paid for) -> 404
+
+import { GIFT_CARD_STATUS, getGiftCard, maskGiftCardCode } from "../../lib/giftcards";
+
+function setCors(res, origin) {
+  const allowed = new Set([
+    "https://www.reservebarsandrec.com",
+    "https://reservebarsandrec.com",
+  ]);
+  const allowOrigin = allowed.has(origin) ? origin : "https://www.reservebarsandrec.com";
+  res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+export default async function handler(req, res) {
+  setCors(res, req.headers.origin);
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "GET") return res.status(405).json({ ok: false, error: "Method not allowed" });
+
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const code = String(req.query.code || req.query.gift_card || "").trim();
+    if (!code) return res.status(400).json({ ok: false, error: "Missing code" });
+
+    const card = await getGiftCard(code);
+    if (!card || card.Status === GIFT_CARD_STATUS.PENDING) {
+      return res.status(404).json({ ok: false, code: "NOT_FOUND", error: "Gift card not found" });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      masked_code: maskGiftCardCode(card.Code),
+      status: card.Status,
+      balance: Number(Number(card.Balance || 0).toFixed(2)),
+      business_unit: card.Business_Unit || null,
+    });
+  } catch (err) {
+    console.error("GIFT_CARD_BALANCE_FAILED:", err?.message || err);
+    return res.status(500).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
@@ -0,0 +1,102 @@
+// pages/api/giftcard-purchase.js
+// ✅ Gift card purchase through Stripe Checkout (lib/giftcards)
+//
+// POST { amount, business_unit?, purchaser_name?, purchaser_email, recipient_name?,
+//        recipient_email?, message? }
+//   -> { ok, url, session_id, amount }   (send the buyer to `url`)
+//
+// A Pending card is inserted first; checkout.session.completed (metadata purpose "gift_card")
+// activates it with the full balance and emails the code to the recipient (or the buyer).
+// business_unit limits the card to that venue; without one it's good everywhere.
+
+import Stripe from "stripe";
+import { GiftCardError, attachGiftCardCheckout, createGiftCard } from "../../lib/giftcards";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+function setCors(res, origin) {
+  const allowed = new Set([
+    "https://www.reservebarsandrec.com",
+    "https://reservebarsandrec.com",
+  ]);
+  const allowOrigin = allowed.has(origin) ? origin : "https://www.reservebarsandrec.com";
+  res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+export default async function handler(req, res) {
+  setCors(res, req.headers.origin);
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "POST") return res.status(405).json({ ok: false, error: "Method not allowed" });
+
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) return res.status(500).json({ ok: false, error: "Missing STRIPE_SECRET_KEY" });
+    if (!process.env.SITE_BASE_URL) return res.status(500).json({ ok: false, error: "Missing SITE_BASE_URL" });
+
+    const b = typeof req.body === "string" ? JSON.parse(req.body) : req.body || {};
+
+    const card = await createGiftCard({
+      amount: b.amount,
+      businessUnit: b.business_unit || b.Business_Unit,
+      purchaserName: b.purchaser_name,
+      purchaserEmail: b.purchaser_email || b.email,
+      recipientName: b.recipient_name,
+      recipientEmail: b.recipient_email,
+      message: b.message,
+    });
+
+    const unitAmount = Math.round(Number(card.Initial_Amount) * 100);
+    const metadata = {
+      purpose: "gift_card",
+      source: "checkout",
+      gift_card_code: card.Code,
+      Business_Unit: card.Business_Unit || "",
+    };
+
+    const base = String(process.env.SITE_BASE_URL).replace(/\/+$/, "");
+    const session = await stripe.checkout.sessions.create(
+      {
+        mode: "payment",
+        customer_email: card.Purchaser_Email,
+        line_items: [
+          {
+            quantity: 1,
+            price_data: {
+              currency: "usd",
+              product_data: {
+                name: card.Business_Unit ? `${card.Business_Unit} Gift Card` : "Gift Card",
+                description: oneLine(card.Recipient_Name) ? `For ${oneLine(card.Recipient_Name)}` : undefined,
+              },
+              unit_amount: unitAmount,
+            },
+          },
+        ],
+        payment_intent_data: { metadata },
+        metadata,
+        success_url: `${base}/giftcard-success.html?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${base}/giftcard-cancelled.html`,
+      },
+      { idempotencyKey: ["GIFT", card.Code, unitAmount].join("_") }
+    );
+
+    await attachGiftCardCheckout(card.Code, session.id).catch((e) =>
+      console.warn("Caspio gift card checkout writeback skipped/failed:", e?.message || e)
+    );
+
+    return res.status(200).json({ ok: true, url: session.url, session_id: session.id, amount: card.Initial_Amount });
+  } catch (err) {
+    if (err instanceof GiftCardError) {
+      return res.status(err.status).json({ ok: false, code: err.code, error: err.message });
+    }
+    console.error("GIFT_CARD_PURCHASE_FAILED:", err?.message || err);
+    return res.status(500).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
@@ -0,0 +1,81 @@
+// pages/api/ledger-balance.js
+//
+// Ledger balances (lib/ledger) for the customer portal and accounting.
+//
+// GET /api/ledger-balance?idkey=...
+//   Customer portal (same access as /api/txns): charged / refunded / disputed / net per
+//   component, plus what each charge can still refund.
+//   -> { ok, idkey, charged, refunded, disputed, net, txn_count, balanced, unbalanced, charges }
+//
+// GET /api/ledger-balance?business_unit=BRC[&from=ISO&to=ISO]
+// Headers:
+//   x-admin-key: <ADMIN_API_KEY>   (lib/admin-auth)
+//   Accounting: totals over the unit's reservations, transactions dated in [from, to).
+//   -> { ok, business_unit, range, reservations, charged, refunded, disputed, net, txn_count,
+//        balanced, unbalanced:[{txn_id, idkey, txn_type, amount, errors}] }
+//
+// Amounts are dollars; every bucket is { base, grat, tax, fee, amount }.
+
+import { getBusinessUnitBalance, getIdKeyBalance } from "../../lib/ledger";
+import { ADMIN_KEY_HEADER, requireAdminKey } from "../../lib/admin-auth";
+
+function setCors(req, res) {
+  const allowed = [
+    "https://reservebarsandrec.com",
+    "https://www.reservebarsandrec.com",
+  ];
+
+  const origin = req.headers.origin;
+  const allowOrigin = allowed.includes(origin) ? origin : allowed[0];
+
+  res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", `Content-Type, ${ADMIN_KEY_HEADER}`);
+}
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function toIso(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return res.status(405).json({ ok: false, error: "Method not allowed" });
+
+  try {
+    const q = req.query || {};
+    const idkey = oneLine(q.idkey || q.IDKEY || q.IdKey);
+    const businessUnit = oneLine(q.business_unit || q.Business_Unit);
+
+    res.setHeader("Cache-Control", "no-store");
+
+    if (idkey) {
+      const balance = await getIdKeyBalance(idkey);
+      if (!balance.txn_count) return res.status(404).json({ ok: false, error: "No transactions for this idkey" });
+      return res.status(200).json({ ok: true, ...balance });
+    }
+
+    if (!businessUnit) return res.status(400).json({ ok: false, error: "Missing idkey or business_unit" });
+
+    if (!requireAdminKey(req, res)) return;
+
+    const from = toIso(q.from);
+    const to = toIso(q.to);
+    if (from === undefined || to === undefined) return res.status(400).json({ ok: false, error: "Invalid from/to" });
+    if (from && to && from >= to) return res.status(400).json({ ok: false, error: "from must be before to" });
+
+    const balance = await getBusinessUnitBalance(businessUnit, { from, to });
+    return res.status(200).json({ ok: true, ...balance });
+  } catch (err) {
+    console.error("LEDGER_BALANCE_FAILED", err?.message || err);
+    return res.status(500).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
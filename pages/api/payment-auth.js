@@ -0,0 +1,175 @@
+// pages/api/payment-auth.js
+//
+// Customer-facing 3-D Secure recovery for off-session charges (see lib/payment-auth).
+//
+// GET /api/payment-auth?idkey=...              -> "Authenticate your payment" page (Stripe.js)
+// GET /api/payment-auth?idkey=...&format=json  -> { ok, client_secret, payment_method, amount, ... }
+//
+// The page confirms the reservation's pending PaymentIntent (PendingAuthPaymentIntentId)
+// with stripe.confirmCardPayment; the payment_intent.succeeded webhook logs the charge.
+//
+// Env: STRIPE_PUBLISHABLE_KEY (page), SITE_BASE_URL (link back to the manage page)
+
+import Stripe from "stripe";
+import { getReservationByIdKey } from "../../lib/caspio";
+import { pendingAuthPaymentIntentId } from "../../lib/payment-auth";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function json(res, status, payload) {
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(status).send(JSON.stringify(payload));
+}
+
+function getIdKeyFromMetadata(meta) {
+  return meta?.IDKEY || meta?.reservation_id || meta?.idkey || meta?.IdKey || null;
+}
+
+async function loadPendingAuth(idkey) {
+  const reservation = await getReservationByIdKey(idkey);
+  if (!reservation) return { status: 404, body: { ok: false, error: "Reservation not found" } };
+
+  const piId = pendingAuthPaymentIntentId(reservation);
+  if (!piId) return { status: 404, body: { ok: false, error: "No payment is waiting for authentication." } };
+
+  const pi = await stripe.paymentIntents.retrieve(piId);
+
+  // Never hand out a client secret for a PaymentIntent that belongs to another reservation
+  if (String(getIdKeyFromMetadata(pi?.metadata) || "") !== idkey) {
+    return { status: 404, body: { ok: false, error: "No payment is waiting for authentication." } };
+  }
+
+  const md = pi.metadata || {};
+  const summary = {
+    payment_intent_id: pi.id,
+    status: pi.status,
+    amount: Number((Number(pi.amount || 0) / 100).toFixed(2)),
+    currency: pi.currency || "usd",
+    description: md.Description || md.Charge_Type || "",
+  };
+
+  if (pi.status === "succeeded" || pi.status === "processing") {
+    return { status: 200, body: { ok: true, already_paid: true, ...summary } };
+  }
+  if (pi.status === "canceled") {
+    return { status: 410, body: { ok: false, error: "This payment request was cancelled.", ...summary } };
+  }
+
+  return {
+    status: 200,
+    body: {
+      ok: true,
+      ...summary,
+      client_secret: pi.client_secret,
+      payment_method: typeof pi.payment_method === "string" ? pi.payment_method : pi.payment_method?.id || null,
+      publishable_key: process.env.STRIPE_PUBLISHABLE_KEY,
+    },
+  };
+}
+
+function renderPage(idkey) {
+  const base = String(process.env.SITE_BASE_URL || "").replace(/\/+$/, "");
+  const manageUrl = `${base}/barresv5custmanage.html?idkey=${encodeURIComponent(idkey)}`;
+  const dataUrl = `/api/payment-auth?idkey=${encodeURIComponent(idkey)}&format=json`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Authenticate your payment</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <script src="https://js.stripe.com/v3/"></script>
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+      font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; background: #fff; color:#111; }
+    .box { max-width: 420px; text-align: center; padding: 24px; }
+    .title { font-size: 20px; font-weight: 700; }
+    .sub { margin-top: 8px; opacity: .7; white-space: pre-line; }
+    .amount { margin-top: 16px; font-size: 28px; font-weight: 700; }
+    .btn { margin-top: 20px; padding: 12px 20px; border: 0; border-radius: 8px; background: #111; color: #fff;
+      font-size: 16px; cursor: pointer; }
+    .btn[disabled] { opacity: .5; cursor: default; }
+    .hidden { display: none; }
+  </style>
+</head>
+<body>
+  <div class="box">
+    <div class="title" id="title">Authenticate your payment</div>
+    <div class="sub" id="sub">Loading…</div>
+    <div class="amount hidden" id="amount"></div>
+    <button class="btn hidden" id="payBtn" type="button">Authenticate &amp; pay</button>
+    <div class="sub"><a href=${JSON.stringify(manageUrl)}>Back to your reservation</a></div>
+  </div>
+  <script>
+    (async function () {
+      var title = document.getElementById("title");
+      var sub = document.getElementById("sub");
+      var amount = document.getElementById("amount");
+      var payBtn = document.getElementById("payBtn");
+
+      function done(t, s) { title.textContent = t; sub.textContent = s; payBtn.classList.add("hidden"); }
+
+      var data;
+      try {
+        data = await (await fetch(${JSON.stringify(dataUrl)}, { cache: "no-store" })).json();
+      } catch (e) {
+        return done("Something went wrong", "Please try again in a moment.");
+      }
+
+      if (!data.ok) return done("Nothing to authenticate", data.error || "This link is no longer valid.");
+      if (data.already_paid) return done("All set ✅", "This payment has already been completed.");
+
+      sub.textContent = (data.description ? data.description + "\\n" : "") +
+        "Your bank needs you to confirm this charge.";
+      amount.textContent = "$" + Number(data.amount).toFixed(2);
+      amount.classList.remove("hidden");
+      payBtn.classList.remove("hidden");
+
+      var stripe = Stripe(data.publishable_key);
+      payBtn.addEventListener("click", async function () {
+        payBtn.disabled = true;
+        sub.textContent = "Waiting for your bank…";
+        var result = await stripe.confirmCardPayment(data.client_secret, { payment_method: data.payment_method });
+        if (result.error) {
+          sub.textContent = result.error.message || "Authentication failed. Please try again.";
+          payBtn.disabled = false;
+          return;
+        }
+        done("Payment complete ✅", "Thank you! Your payment has been received.");
+      });
+    })();
+  </script>
+</body>
+</html>`;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).send("Method not allowed");
+
+  const idkey = oneLine(req.query.idkey || req.query.IDKEY || req.query.IdKey);
+  const wantsJson = oneLine(req.query.format).toLowerCase() === "json";
+
+  if (!wantsJson) {
+    if (!idkey) return res.status(400).send("Missing idkey");
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).send(renderPage(idkey));
+  }
+
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) return json(res, 500, { ok: false, error: "Missing STRIPE_SECRET_KEY" });
+    if (!process.env.STRIPE_PUBLISHABLE_KEY) return json(res, 500, { ok: false, error: "Missing STRIPE_PUBLISHABLE_KEY" });
+    if (!idkey) return json(res, 400, { ok: false, error: "Missing idkey" });
+
+    const out = await loadPendingAuth(idkey);
+    return json(res, out.status, out.body);
+  } catch (err) {
+    console.error("PAYMENT_AUTH_FAILED:", err?.message || err);
+    return json(res, 500, { ok: false, error: err?.message || "Server error" });
+  }
+}
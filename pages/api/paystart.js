@@ -12,13 +12,53 @@
 // ✅ setup_future_usage=off_session so PM can be reused later
 //
 // ✅ Adds 4-part breakdown metadata for ledger (Base/Grat/Tax/Fee)
+//
+// - Capacity hold: extends the reservation's hold up to its cap, or re-acquires a lapsed one
+//   while seats are free (else 409). Checkout expires with the hold; a still-open Checkout
+//   Session is reused
+// - Abandoned reservations (expired checkout) resume here with Status back to In Process;
+//   "finish your booking" emails link to this route
+// - Waitlist offers (lib/waitlist) link here too; once the offer's hold has lapsed the seats
+//   belong to the next in line and the link answers 410
+// - Add-ons (Type='addon' rows under the RES_ID) are their own line items plus a tax line,
+//   folded into base_amount / tax_amount so the ledger breakdown still sums to the charge
+// - Amounts come from a signed quote (&quote_id=..., /api/quote + lib/quote) issued for this
+//   reservation. Without one a Pay Now reservation is quoted here from its stored session and
+//   package (waitlist offers, resumed checkouts); other charge types pay the booking fee.
+//   Breakdown query params are ignored
+// - A quote's promo discount is a one-off Stripe coupon on the Checkout Session;
+//   promo_code / discount_amount metadata let the webhook ledger it
+// - &gift_card=CODE (Pay Now quotes only): the card pays what it can (lib/giftcards) and
+//   Checkout charges the rest; fully covered bookings skip Stripe
 
 import Stripe from "stripe";
 import {
   getReservationByIdKey,
   updateReservationByWhere,
   buildWhereForIdKey,
+  rollupTotalsForIdKey,
 } from "../../lib/caspio";
+import {
+  RESERVATION_STATUS,
+  assertTransition,
+  bookingFeeCheckoutTargets,
+  paymentStatusForPurpose,
+  transitionReservation,
+  ReservationNotFoundError,
+  ReservationTransitionError,
+} from "../../lib/reservation-status";
+import { SoldOutError, refreshHold, withSessionLock } from "../../lib/session-capacity";
+import { isExpiredWaitlistOffer } from "../../lib/waitlist";
+import { addonCharge, listAddonRows } from "../../lib/addons";
+import { QuoteError, assertQuoteMatches, buildQuote, isPayNow, verifyQuote } from "../../lib/quote";
+import { PromoError } from "../../lib/promo";
+import {
+  GiftCardError,
+  giftCardPaidForIdKey,
+  maskGiftCardCode,
+  normalizeGiftCardCode,
+  redeemGiftCard,
+} from "../../lib/giftcards";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
 
@@ -39,6 +79,45 @@ function shortHash(input) {
   return h.toString(16);
 }
 
+const COMPONENTS = ["base", "grat", "tax", "fee"];
+
+// "Redirecting to secure payment…" page that forwards to `url`
+function sendRedirectPage(res, url) {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+
+  return res.status(200).send(`<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Redirecting to secure payment…</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+      font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; background: #fff; color:#111; }
+    .box { text-align: center; padding: 24px; }
+    .title { font-size: 20px; font-weight: 700; }
+    .sub { margin-top: 8px; opacity: .7; }
+    .spinner { width: 36px; height: 36px; margin: 20px auto 0; border: 3px solid rgba(0,0,0,.15);
+      border-top-color: rgba(0,0,0,.6); border-radius: 50%; animation: spin .8s linear infinite; }
+    @keyframes spin { to { transform: rotate(360deg); } }
+  </style>
+</head>
+<body>
+  <div class="box">
+    <div class="title">Redirecting to secure payment…</div>
+    <div class="sub">This usually takes just a moment.</div>
+    <div class="spinner"></div>
+  </div>
+  <script>
+    setTimeout(function () {
+      window.location.replace(${JSON.stringify(url)});
+    }, 250);
+  </script>
+</body>
+</html>`);
+}
+
 export default async function handler(req, res) {
   if (req.method !== "GET") return res.status(405).send("Method not allowed");
 
@@ -51,6 +130,39 @@ export default async function handler(req, res) {
 
     // 1) Pull reservation data
     const reservation = await getReservationByIdKey(idkey);
+    if (!reservation) return res.status(404).send("Reservation not found");
+
+    if (isExpiredWaitlistOffer(reservation)) {
+      return res.status(410).send("This waitlist offer has expired — the spot was offered to the next guest.");
+    }
+
+    // Refuse before touching Stripe if the booking fee can't be (re)started
+    // (already paid, or the reservation was cancelled); abandoned ones resume
+    const targets = bookingFeeCheckoutTargets(reservation);
+    assertTransition(reservation, targets, { idkey });
+
+    // Quote checked before the hold is touched (bad / expired / someone else's quote -> 4xx).
+    // Links without one (waitlist offers, "finish your booking" emails): Pay Now is priced
+    // here from the reservation's stored session + package; other charge types pay the fee
+    const quoteId = oneLine(req.query.quote_id || req.query.quote);
+    const quote = quoteId
+      ? verifyQuote(quoteId)
+      : isPayNow(reservation.Charge_Type)
+      ? await buildQuote({ idkey })
+      : null;
+    if (quoteId) assertQuoteMatches(quote, reservation, idkey);
+    // Stripe / gift card keys: a signed quote's id; a quote priced here is keyed by its amounts
+    const quoteKey = quoteId ? shortHash(quote.qid) : "";
+
+    const giftCode = oneLine(req.query.gift_card || req.query.giftcard);
+    if (giftCode && !(quote && isPayNow(quote.charge_type) && Number(quote.charge?.base) > 0)) {
+      throw new GiftCardError("Gift cards can be applied to Pay Now bookings", { code: "GIFT_CARD_NOT_APPLICABLE" });
+    }
+
+    // Hold seats for the length of Checkout (SoldOutError if a lapsed hold can't be re-acquired)
+    const { holdExpiresAt } = await withSessionLock(reservation.Session_ID, () =>
+      refreshHold({ ...reservation, IDKEY: reservation.IDKEY || idkey })
+    );
 
     const customerEmail = oneLine(reservation.Email);
     const bookingFeeAmount = Number(reservation.BookingFeeAmount);
@@ -68,31 +180,81 @@ export default async function handler(req, res) {
       return res.status(400).send("Missing/invalid BookingFeeAmount on reservation");
     }
 
-    // ---- 4-part breakdown (optional query params; defaults fee-only = booking fee) ----
-    const q = req.query || {};
-    let baseAmt = num2(q.base_amount);
-    let gratAmt = num2(q.grat_amount ?? q.auto_gratuity);
-    let taxAmt = num2(q.tax_amount);
-    let feeAmt = num2(q.fee_amount);
-
-    const anyBreakdown = baseAmt != null || gratAmt != null || taxAmt != null || feeAmt != null;
-
-    if (!anyBreakdown) {
-      baseAmt = 0;
-      gratAmt = 0;
-      taxAmt = 0;
-      feeAmt = Number(bookingFeeAmount);
-    }
+    // ---- 4-part breakdown (signed quote for this reservation; defaults fee-only = booking fee) ----
+    const baseAmt = quote ? num2(quote.charge?.base) : 0;
+    const gratAmt = quote ? num2(quote.charge?.grat) : 0;
+    const taxAmt = quote ? num2(quote.charge?.tax) : 0;
+    const feeAmt = quote ? num2(quote.charge?.fee) : Number(bookingFeeAmount);
+    const discountAmt = quote ? num2(quote.charge?.discount) || 0 : 0;
+    const promoCode = discountAmt > 0 ? oneLine(quote.promo_code || reservation.Promo_Code) : "";
 
-    const totalChargeAmount = Number(
+    const breakdownAmount = Number(
       ((baseAmt ?? 0) + (gratAmt ?? 0) + (taxAmt ?? 0) + (feeAmt ?? 0)).toFixed(2)
     );
 
+    // ---- Add-ons: one line item each + tax at the reservation's rate ----
+    const addon = addonCharge(await listAddonRows(resId), reservation.Tax_Rate);
+    const addonAmt = addon.subtotalCents / 100;
+    const addonTaxAmt = addon.taxCents / 100;
+
+    // Booking line before the discount; the coupon takes it back off
+    const discountCents = Math.round(discountAmt * 100);
+    const unitAmount = Math.round(breakdownAmount * 100) + discountCents;
+    const amountTotal = unitAmount - discountCents + addon.subtotalCents + addon.taxCents;
+    const totalChargeAmount = amountTotal / 100;
+
     if (!totalChargeAmount || totalChargeAmount <= 0) {
       return res.status(400).send("Missing/invalid total charge amount");
     }
 
-    const unitAmount = Math.round(totalChargeAmount * 100);
+    // ---- Gift cards: earlier redemptions count as paid; a new card pays what it can of the rest ----
+    const fullCents = {
+      base: Math.round(((baseAmt ?? 0) + addonAmt) * 100),
+      grat: Math.round((gratAmt ?? 0) * 100),
+      tax: Math.round(((taxAmt ?? 0) + addonTaxAmt) * 100),
+      fee: Math.round((feeAmt ?? 0) * 100),
+    };
+    const giftPaid = await giftCardPaidForIdKey(idkey);
+    const leftAfter = (paid) => {
+      const out = {};
+      for (const k of COMPONENTS) out[k] = Math.max(0, fullCents[k] - Math.round(paid.parts[k] * 100));
+      return out;
+    };
+
+    const cardCents = leftAfter(giftPaid);
+    const owed = COMPONENTS.reduce((sum, k) => sum + cardCents[k], 0);
+    // A card already redeemed on this reservation (and not put back) is part of giftPaid
+    const alreadyRedeemed = !!giftCode && giftPaid.codes.includes(normalizeGiftCardCode(giftCode));
+    if (giftCode && owed > 0 && !alreadyRedeemed) {
+      const left = {};
+      for (const k of COMPONENTS) left[k] = cardCents[k] / 100;
+      const redeemed = await redeemGiftCard({
+        code: giftCode,
+        idkey,
+        businessUnit: reservation.Business_Unit,
+        amount: owed / 100,
+        breakdown: left,
+        // card + reservation + quote; a resumed reservation whose redemptions were put back
+        // redeems again under a new key
+        rawEventId: [
+          "giftcard",
+          idkey,
+          shortHash(normalizeGiftCardCode(giftCode)),
+          quoteKey || "noquote",
+          `r${giftPaid.restored}`,
+        ].join("_"),
+        chargeType: chargeTypeRaw || "Pay Now",
+        confirmationNumber: reservation.Confirmation_Number || null,
+      });
+      if (!redeemed.replayed) {
+        for (const k of COMPONENTS) cardCents[k] = Math.max(0, cardCents[k] - Math.round(redeemed.parts[k] * 100));
+      }
+    }
+
+    const chargeCents = COMPONENTS.reduce((sum, k) => sum + cardCents[k], 0);
+    const giftCents = amountTotal - chargeCents;
+
+    const addonSummary = addon.lines.map((l) => `${l.addon_id || l.name}x${l.qty}`).join(",").slice(0, 500);
     const displayChargeType = chargeTypeRaw || "Booking Fee";
 
     const belowAmountText = [sessionsTitle, peopleText].filter(Boolean).join("  |  ").slice(0, 500);
@@ -107,21 +269,38 @@ export default async function handler(req, res) {
       Sessions_Title: sessionsTitle || "",
       People_Text: peopleText || "",
 
-      // 4-part breakdown for webhook -> SIGMA_BAR3_Transactions
-      base_amount: String(baseAmt ?? 0),
-      grat_amount: String(gratAmt ?? 0),
-      tax_amount: String(taxAmt ?? 0),
-      fee_amount: String(feeAmt ?? 0),
-      total_amount: String(totalChargeAmount),
+      // 4-part breakdown for webhook -> SIGMA_BAR3_Transactions (the card's share, net of gift cards)
+      base_amount: String(num2(cardCents.base / 100)),
+      grat_amount: String(num2(cardCents.grat / 100)),
+      tax_amount: String(num2(cardCents.tax / 100)),
+      fee_amount: String(num2(cardCents.fee / 100)),
+      total_amount: String(num2(chargeCents / 100)),
+      ...(quote ? { quote_id: String(quote.qid || "") } : {}),
+      ...(discountCents > 0 ? { promo_code: promoCode, discount_amount: String(discountAmt) } : {}),
+      ...(giftCents > 0 ? { gift_card_amount: String(num2(giftCents / 100)) } : {}),
+      ...(giftCode ? { gift_card: maskGiftCardCode(giftCode) } : {}),
+
+      ...(addon.lines.length
+        ? { addon_amount: String(addonAmt), addon_tax_amount: String(addonTaxAmt), addons: addonSummary }
+        : {}),
     };
 
+    const expiresAt = holdExpiresAt ? Math.floor(holdExpiresAt.getTime() / 1000) : null;
+
     const idemKey = [
       "RES",
       String(idkey),
-      unitAmount,
+      chargeCents,
       shortHash(displayChargeType),
       shortHash(belowAmountText),
       shortHash(resId || ""),
+      ...(quoteKey ? ["Q", quoteKey] : []),
+      ...(addonSummary ? ["A", shortHash(addonSummary)] : []),
+      ...(giftCents > 0 ? ["G", giftCents] : []),
+      // new hold window -> new session params -> must be a new idempotency key
+      ...(expiresAt ? [expiresAt] : []),
+      // resuming an abandoned reservation is a new attempt, never a replay of the expired session
+      ...(targets.status ? ["R", shortHash(reservation.StatusChangedAt)] : []),
     ].join("_").slice(0, 255);
 
     const base = String(process.env.SITE_BASE_URL).replace(/\/+$/, "");
@@ -135,6 +314,28 @@ export default async function handler(req, res) {
       `${base}/barresv5cancelled.html?idkey=${encodedIdKey}` +
       (resId ? `&res_id=${encodeURIComponent(resId)}` : "");
 
+    // Paid in full by gift card: booked now, nothing to send to Stripe
+    if (chargeCents === 0) {
+      const paidAt = new Date().toISOString();
+      await transitionReservation(idkey, {
+        status: RESERVATION_STATUS.BOOKED,
+        paymentStatus: paymentStatusForPurpose("booking_fee"),
+        by: "paystart:gift_card",
+        current: reservation,
+        fields: {
+          BookingFeePaidAt: paidAt,
+          Payment_processor: "Gift card",
+          Payment_service: "Gift card",
+          Transaction_date: paidAt,
+          ...(resId ? { RES_ID: resId } : {}),
+        },
+      });
+      await rollupTotalsForIdKey(String(idkey)).catch((e) =>
+        console.warn("⚠️ ROLLUP_FAILED (non-blocking)", e?.message || e)
+      );
+      return sendRedirectPage(res, successUrl);
+    }
+
     // 2) Ensure Stripe Customer exists (prefer saved)
     let stripeCustomerId =
       reservation?.StripeCustomerId ||
@@ -158,89 +359,136 @@ export default async function handler(req, res) {
       }
     }
 
-    // 3) Create Checkout Session (idempotent)
-    const session = await stripe.checkout.sessions.create(
-      {
-        mode: "payment",
-        customer: stripeCustomerId,
-        client_reference_id: String(idkey),
-
-        line_items: [
-          {
-            quantity: 1,
-            price_data: {
-              currency: "usd",
-              product_data: {
-                name: displayChargeType,
-                description: belowAmountText || undefined,
+    // 3) Reuse the reservation's open Checkout Session (same amount), else create one (idempotent)
+    let session = null;
+    const existingSessionId = oneLine(reservation.StripeCheckoutSessionId);
+    if (existingSessionId) {
+      const existing = await stripe.checkout.sessions.retrieve(existingSessionId).catch(() => null);
+      if (existing?.status === "open" && existing?.amount_total === chargeCents && existing?.url) {
+        session = existing;
+      }
+    }
+
+    if (!session) {
+      // One-off coupon for this quote's discount + what gift cards paid (idempotent per quote)
+      const couponCents = discountCents + giftCents;
+      const couponName = [discountCents > 0 ? `Promo ${promoCode}` : "", giftCents > 0 ? "Gift card" : ""]
+        .filter(Boolean)
+        .join(" + ");
+      const coupon =
+        couponCents > 0
+          ? await stripe.coupons.create(
+              {
+                amount_off: couponCents,
+                currency: "usd",
+                duration: "once",
+                max_redemptions: 1,
+                name: couponName.slice(0, 40),
+                metadata: { IDKEY: String(idkey), RES_ID: resId || "", promo_code: promoCode },
               },
-              unit_amount: unitAmount,
-            },
+              {
+                idempotencyKey: [
+                  "COUPON",
+                  String(idkey),
+                  quoteKey || "noquote",
+                  discountCents,
+                  giftCents,
+                ].join("_"),
+              }
+            )
+          : null;
+
+      session = await stripe.checkout.sessions.create(
+        {
+          mode: "payment",
+          customer: stripeCustomerId,
+          client_reference_id: String(idkey),
+
+          line_items: [
+            ...(unitAmount > 0
+              ? [
+                  {
+                    quantity: 1,
+                    price_data: {
+                      currency: "usd",
+                      product_data: {
+                        name: displayChargeType,
+                        description: belowAmountText || undefined,
+                      },
+                      unit_amount: unitAmount,
+                    },
+                  },
+                ]
+              : []),
+            ...addon.lines.map((l) => ({
+              quantity: l.qty,
+              price_data: { currency: "usd", product_data: { name: l.name }, unit_amount: l.unitCents },
+            })),
+            ...(addon.taxCents > 0
+              ? [
+                  {
+                    quantity: 1,
+                    price_data: {
+                      currency: "usd",
+                      product_data: { name: "Tax (add-ons)" },
+                      unit_amount: addon.taxCents,
+                    },
+                  },
+                ]
+              : []),
+          ],
+          ...(coupon ? { discounts: [{ coupon: coupon.id }] } : {}),
+
+          payment_intent_data: {
+            setup_future_usage: "off_session",
+            metadata: sharedMetadata,
           },
-        ],
-
-        payment_intent_data: {
-          setup_future_usage: "off_session",
           metadata: sharedMetadata,
-        },
-        metadata: sharedMetadata,
 
-        success_url: successUrl,
-        cancel_url: cancelUrl,
-      },
-      { idempotencyKey: idemKey }
-    );
+          success_url: successUrl,
+          cancel_url: cancelUrl,
+          ...(expiresAt ? { expires_at: expiresAt } : {}),
+        },
+        { idempotencyKey: idemKey }
+      );
+    }
 
     // 4) Pending writeback (best-effort)
     try {
-      const where = buildWhereForIdKey(idkey);
-      await updateReservationByWhere(where, {
-        PaymentStatus: "PendingBookingFee",
-        StripeCheckoutSessionId: session.id,
-        ...(resId ? { RES_ID: resId } : {}),
+      await transitionReservation(idkey, {
+        ...targets,
+        by: "paystart",
+        current: reservation,
+        fields: {
+          StripeCheckoutSessionId: session.id,
+          ...(resId ? { RES_ID: resId } : {}),
+        },
       });
     } catch (e) {
       console.warn("Caspio pending writeback skipped/failed:", e?.message || e);
     }
 
     // 5) Redirect HTML
-    res.setHeader("Content-Type", "text/html; charset=utf-8");
-    res.setHeader("Cache-Control", "no-store");
-
-    return res.status(200).send(`<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8" />
-  <title>Redirecting to secure payment…</title>
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <style>
-    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
-      font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; background: #fff; color:#111; }
-    .box { text-align: center; padding: 24px; }
-    .title { font-size: 20px; font-weight: 700; }
-    .sub { margin-top: 8px; opacity: .7; }
-    .spinner { width: 36px; height: 36px; margin: 20px auto 0; border: 3px solid rgba(0,0,0,.15);
-      border-top-color: rgba(0,0,0,.6); border-radius: 50%; animation: spin .8s linear infinite; }
-    @keyframes spin { to { transform: rotate(360deg); } }
-  </style>
-</head>
-<body>
-  <div class="box">
-    <div class="title">Redirecting to secure payment…</div>
-    <div class="sub">This usually takes just a moment.</div>
-    <div class="spinner"></div>
-  </div>
-  <script>
-    setTimeout(function () {
-      window.location.replace(${JSON.stringify(session.url)});
-    }, 250);
-  </script>
-</body>
-</html>`);
+    return sendRedirectPage(res, session.url);
   } catch (err) {
-    console.error(err);
     res.setHeader("Content-Type", "text/plain; charset=utf-8");
     res.setHeader("Cache-Control", "no-store");
+
+    if (
+      err instanceof SoldOutError ||
+      err instanceof QuoteError ||
+      err instanceof PromoError ||
+      err instanceof GiftCardError ||
+      err instanceof ReservationNotFoundError
+    ) {
+      return res.status(err.status).send(err.message);
+    }
+
+    if (err instanceof ReservationTransitionError) {
+      return res.status(err.status).send(`Booking fee cannot be started for this reservation (${err.message})`);
+    }
+
+    console.error(err);
     return res.status(500).send(err?.message || "Server error");
   }
 }
@@ -1,6 +1,6 @@
 // pages/api/pricing.js (DROP-IN REPLACEMENT ✅)
 // ✅ Backwards compatible query params: price_status | Price_Status | priceStatus | ps
-import { listViewRecordsByWhere, escapeWhereValue } from "../../lib/caspio";
+import { listViewRecordsByWhere, caspioQuery } from "../../lib/caspio";
 
 function setCors(res, origin) {
   const allowed = new Set([
@@ -56,8 +56,8 @@ export default async function handler(req, res) {
     }
 
     const view = process.env.CASPIO_PRICING_VIEW || "SIGMA_VW_Pricing";
-    const where = `Price_Status='${escapeWhereValue(priceStatus)}'`;
-    const rows = await listViewRecordsByWhere(view, where, 1000);
+    const where = caspioQuery().eq("Price_Status", priceStatus);
+    const rows = await listViewRecordsByWhere(view, where, Infinity);
 
     rows.sort((a, b) => {
       const as = String(a.Price_Status_Sub ?? "");
@@ -0,0 +1,76 @@
+// pages/api/quote.js
+// ✅ Signed price quote (lib/quote) — the amounts /api/paystart charges
+//
+// GET|POST ?idkey=...                                         (an existing reservation)
+//      or  ?session_id=...&c_quant=1&units=2&charge_type=Pay Now  (before reserving)
+//          [&promo_code=SAVE10&email=...]                      (email: first-time-only codes)
+//   -> { ok, quote_id, expires_at, quote:{ idkey, session_id, c_quant, units, charge_type, promo_code,
+//        unit_price, tax_rate, price:{ base, grat, tax, total, discount },
+//        charge:{ base, grat, tax, fee, discount, total } } }
+//
+// ✅ Promo codes (lib/promo): a code that doesn't apply -> 4xx { code: PROMO_* }
+//
+// Pay with /api/paystart?idkey=...&quote_id=... (add-ons are added there on top of `charge`).
+import { QuoteError, buildQuote, signQuote } from "../../lib/quote";
+import { PromoError } from "../../lib/promo";
+
+function setCors(res, origin) {
+  const allowed = new Set([
+    "https://www.reservebarsandrec.com",
+    "https://reservebarsandrec.com",
+  ]);
+  const allowOrigin = allowed.has(origin) ? origin : "https://www.reservebarsandrec.com";
+  res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+export default async function handler(req, res) {
+  setCors(res, req.headers.origin);
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const body = req.method === "POST" ? (typeof req.body === "string" ? JSON.parse(req.body) : req.body || {}) : {};
+    const p = { ...(req.query || {}), ...body };
+
+    const quote = await buildQuote({
+      idkey: p.idkey || p.IDKEY,
+      sessionId: p.session_id || p.Session_ID,
+      cQuant: p.c_quant ?? p.C_Quant,
+      units: p.units ?? p.Units,
+      chargeType: p.charge_type || p.Charge_Type,
+      promoCode: p.promo_code || p.Promo_Code,
+      email: p.email || p.Email,
+    });
+
+    return res.status(200).json({
+      ok: true,
+      quote_id: signQuote(quote),
+      expires_at: new Date(quote.exp).toISOString(),
+      quote: {
+        idkey: quote.idkey,
+        session_id: quote.session_id,
+        c_quant: quote.c_quant,
+        units: quote.units,
+        charge_type: quote.charge_type,
+        promo_code: quote.promo_code,
+        unit_price: quote.unit_price,
+        tax_rate: quote.tax_rate,
+        price: quote.price,
+        charge: quote.charge,
+      },
+    });
+  } catch (err) {
+    if (err instanceof QuoteError || err instanceof PromoError) {
+      return res.status(err.status).json({ ok: false, code: err.code, error: err.message });
+    }
+    console.error("QUOTE_ERROR:", err?.message || err);
+    return res.status(500).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
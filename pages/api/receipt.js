@@ -4,7 +4,7 @@
 // Looks up a transaction by TXN_ID (stored as text in Caspio).
 // Includes CORS for reservebarsandrec.com.
 
-import { findOneByWhereInTable, escapeWhereValue } from "../../lib/caspio";
+import { findOneByWhereInTable, caspioQuery } from "../../lib/caspio";
 
 function setCors(req, res) {
   const allowed = [
@@ -34,7 +34,7 @@ export default async function handler(req, res) {
 
     // TXN_ID is NVARCHAR in Caspio, so ALWAYS quote it.
     const table = process.env.CASPIO_TXN_TABLE || "SIGMA_BAR3_Transactions";
-    const where = `TXN_ID='${escapeWhereValue(txnId)}'`;
+    const where = caspioQuery().eq("TXN_ID", txnId);
 
     const row = await findOneByWhereInTable(table, where);
     if (!row) return res.status(404).send("Transaction not found");
@@ -0,0 +1,46 @@
+// pages/api/reconcile.js
+//
+// Cron: nightly Stripe -> Caspio reconciliation (see lib/reconciliation).
+//
+// GET|POST /api/reconcile[?from=ISO&to=ISO&dry_run=1]
+// Headers:
+//   Authorization: Bearer <CRON_SECRET>   (Vercel Cron sends this automatically)
+//
+// Returns the discrepancy report:
+//   { ok, dry_run, range, charges, refunds, discrepancies:[{kind, action, stripe_id, idkey, ...}],
+//     rolled_up:[idkey], email }
+
+import Stripe from "stripe";
+import { reconcileStripe } from "../../lib/reconciliation";
+import { requireCronSecret } from "../../lib/admin-auth";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function isTruthy(v) {
+  return ["1", "true", "yes"].includes(oneLine(v).toLowerCase());
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).send("Method not allowed");
+
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) return res.status(500).json({ ok: false, error: "Missing STRIPE_SECRET_KEY" });
+    if (!requireCronSecret(req, res)) return;
+
+    const q = req.query || {};
+    const out = await reconcileStripe({
+      stripe,
+      from: oneLine(q.from) || undefined,
+      to: oneLine(q.to) || undefined,
+      dryRun: isTruthy(q.dry_run),
+    });
+    return res.status(200).json(out);
+  } catch (err) {
+    console.error("RECONCILE_FAILED:", err?.message || err);
+    return res.status(err?.statusCode === 400 ? 400 : 500).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
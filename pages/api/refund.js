@@ -4,20 +4,34 @@
 //
 // POST /api/refund
 // Headers:
-//   x-refund-key: <ADMIN_REFUND_KEY>
+//   x-admin-key: <ADMIN_API_KEY>   (lib/admin-auth)
 // Body (JSON):
 //   { txn_id: "12345", amount: 12.34 (optional; blank = full), reason: "note" (optional) }
+//   Per component instead of (or along with a matching) amount:
+//   { txn_id, components: { base, grat, tax, fee } }        dollars; omitted = 0
+//   { txn_id, preset: "gratuity_only" | "all_but_fee" }     what is left of those components
 //
 // This route:
 //  1) Looks up the original transaction by TXN_ID in SIGMA_BAR3_Transactions
-//  2) Creates a Stripe refund (full/partial)
+//  2) Creates a Stripe refund (full/partial). Component refunds are checked against what that
+//     charge still has per component (lib/ledger) and the split rides along in the refund
+//     metadata (refund_base_amount, ...) so the webhook writes exactly those components
 //  3) DOES NOT insert a refund transaction row anymore
 //     -> Stripe webhook (refund.created/refund.updated) writes the negative txn + triggers rollup
 //
 // Also responds to OPTIONS for CORS preflight.
 
 import Stripe from "stripe";
-import { findOneByWhereInTable, escapeWhereValue } from "../../lib/caspio";
+import { findOneByWhereInTable, caspioQuery } from "../../lib/caspio";
+import { ADMIN_KEY_HEADER, adminKeyDenial } from "../../lib/admin-auth";
+import {
+  LedgerError,
+  allocateRefund,
+  refundableForCharge,
+  refundMetadataFor,
+  refundPresetComponents,
+} from "../../lib/ledger";
+import { parseBreakdown } from "../../lib/stripe-ledger";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
 
@@ -34,7 +48,7 @@ function setCors(req, res) {
   res.setHeader("Access-Control-Allow-Origin", allowOrigin);
   res.setHeader("Vary", "Origin");
   res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, x-refund-key");
+  res.setHeader("Access-Control-Allow-Headers", `Content-Type, ${ADMIN_KEY_HEADER}`);
   res.setHeader("Access-Control-Max-Age", "86400");
 }
 
@@ -53,6 +67,13 @@ function centsToDollars(cents) {
   return typeof cents === "number" ? Number((cents / 100).toFixed(2)) : null;
 }
 
+// Admin-entered components: accepts base/grat/tax/fee and the breakdown aliases (base_amount,
+// Auto_Gratuity, ...); anything not given is 0
+function componentsFromBody(input) {
+  const { base, grat, tax, fee } = parseBreakdown(input, 0);
+  return { base, grat, tax, fee };
+}
+
 export default async function handler(req, res) {
   setCors(req, res);
 
@@ -61,12 +82,9 @@ export default async function handler(req, res) {
 
   try {
     if (!process.env.STRIPE_SECRET_KEY) return res.status(500).send("Missing STRIPE_SECRET_KEY");
-    if (!process.env.ADMIN_REFUND_KEY) return res.status(500).send("Missing ADMIN_REFUND_KEY");
 
-    const adminKey = String(req.headers["x-refund-key"] || "");
-    if (!adminKey || adminKey !== process.env.ADMIN_REFUND_KEY) {
-      return res.status(401).send("Unauthorized");
-    }
+    const denied = adminKeyDenial(req);
+    if (denied) return res.status(denied.status).send(denied.error);
 
     const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
     const txnId = oneLine(body.txn_id);
@@ -77,7 +95,7 @@ export default async function handler(req, res) {
 
     // 1) Look up original transaction (by TXN_ID) in the TXN table
     const txnTable = process.env.CASPIO_TXN_TABLE || "SIGMA_BAR3_Transactions";
-    const where = `TXN_ID='${escapeWhereValue(txnId)}'`;
+    const where = caspioQuery().eq("TXN_ID", txnId);
     const orig = await findOneByWhereInTable(txnTable, where);
 
     if (!orig) return res.status(404).send("Transaction not found");
@@ -113,7 +131,39 @@ export default async function handler(req, res) {
 
     const remainingCents = Math.max(0, chargeAmountCents - alreadyRefundedCents);
 
-    const refundCents = amountCents == null ? remainingCents : amountCents;
+    // Per-component refund: validate against what this charge still has of each component
+    let split = null;
+    if (body.components || body.preset) {
+      if (origType !== "charge") return res.status(400).send("Component refunds need a charge transaction");
+
+      const { original, refunded, remaining } = await refundableForCharge(charge.id, {
+        fallback: { base: orig.Base_Amount, grat: orig.Auto_Gratuity, tax: orig.Tax, fee: orig.Fee },
+      });
+
+      try {
+        const components = body.preset
+          ? refundPresetComponents(body.preset, remaining)
+          : componentsFromBody(body.components);
+        const componentCents = Object.values(components).reduce((s, v) => s + Math.round(Number(v || 0) * 100), 0);
+        if (componentCents <= 0) {
+          return res
+            .status(400)
+            .send(body.preset ? "Nothing left to refund in those components" : "No component amounts given");
+        }
+
+        split = allocateRefund({
+          original,
+          refunded,
+          amount: centsToDollars(amountCents ?? componentCents),
+          components,
+        });
+      } catch (e) {
+        if (e instanceof LedgerError) return res.status(e.status).send(e.message);
+        throw e;
+      }
+    }
+
+    const refundCents = split ? Math.round(split.amount * 100) : amountCents == null ? remainingCents : amountCents;
 
     if (!refundCents || refundCents <= 0) return res.status(400).send("Nothing left to refund");
     if (refundCents > remainingCents) {
@@ -122,8 +172,16 @@ export default async function handler(req, res) {
         .send(`Refund exceeds remaining refundable. Remaining: $${centsToDollars(remainingCents)}`);
     }
 
-    // Idempotency: same txn + same cents + same charge
-    const idemKey = ["refund", String(txnId), String(charge.id), String(refundCents)].join("_").slice(0, 255);
+    // Idempotency: same txn + same cents + same charge (+ same split)
+    const idemKey = [
+      "refund",
+      String(txnId),
+      String(charge.id),
+      String(refundCents),
+      ...(split ? [split.base, split.grat, split.tax, split.fee].map(String) : []),
+    ]
+      .join("_")
+      .slice(0, 255);
 
     // 3) Create the refund in Stripe
     const refund = await stripe.refunds.create(
@@ -136,6 +194,7 @@ export default async function handler(req, res) {
           IDKEY: String(orig.IDKEY || ""),
           Confirmation_Number: String(orig.Confirmation_Number || ""),
           note: reason.slice(0, 450),
+          ...(split ? refundMetadataFor(split) : {}),
         },
       },
       { idempotencyKey: idemKey }
@@ -145,6 +204,7 @@ export default async function handler(req, res) {
     // We DO NOT insert a refund txn row here.
     // The Stripe webhook (refund.created/refund.updated) will:
     // - insert the negative Base_Amount / Auto_Gratuity / Tax / Fee + Amount row
+    //   (exactly `split` when given, else pro rata)
     // - roll up into SIGMA_BAR3_TOTAL_RES
 
     res.setHeader("Content-Type", "application/json; charset=utf-8");
@@ -155,6 +215,7 @@ export default async function handler(req, res) {
       remaining_refundable: centsToDollars(remainingCents - refundCents),
       charge_id: charge.id,
       status: refund.status,
+      components: split,
     });
   } catch (err) {
     console.error("REFUND_FAILED", err?.message || err);
@@ -7,7 +7,7 @@
 // ✅ CORS for reservebarsandrec + weebly editors
 //
 
-import { caspioFetch, escapeWhereValue } from "../../lib/caspio";
+import { findOneByWhereInView, caspioQuery } from "../../lib/caspio";
 
 export default async function handler(req, res) {
   // ---------- CORS ----------
@@ -37,8 +37,7 @@ export default async function handler(req, res) {
     const idkey = String(req.query.idkey || req.query.IDKEY || "").trim();
     if (!idkey) return res.status(400).json({ ok: false, error: "Missing idkey" });
 
-    const safe = escapeWhereValue(idkey);
-    const where = `IDKEY='${safe}'`;
+    const where = caspioQuery().eq("IDKEY", idkey);
 
     // ✅ Must match your view columns
     const select = [
@@ -51,16 +50,9 @@ export default async function handler(req, res) {
       "SIGMA_BAR3_TOTAL_RES_TAX_Amount",
       "SIGMA_BAR3_TOTAL_RES_After_Tax_Total",
       "SIGMA_BAR3_TOTAL_RES_Total_Charged_Amount",
-    ].join(",");
+    ];
 
-    const path =
-      `/rest/v2/views/${encodeURIComponent("SIGMA_VW_Res_Billing_Edit")}/records` +
-      `?q.where=${encodeURIComponent(where)}` +
-      `&q.limit=1` +
-      `&q.select=${encodeURIComponent(select)}`;
-
-    const json = await caspioFetch(path);
-    const row = json?.Result?.[0] || null;
+    const row = await findOneByWhereInView("SIGMA_VW_Res_Billing_Edit", where, { select });
 
     if (!row) {
       return res.status(404).json({ ok: false, error: "Not found" });
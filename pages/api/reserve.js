@@ -3,9 +3,39 @@
 // Inserts reservation into Caspio BAR2_Reservations_SIGMA.
 // Returns IDKEY via insert response or lookup by RES_ID.
 //
+// ✅ Capacity: the row is inserted as a time-boxed hold (HoldExpiresAt) and verified
+//    against the session's capacity (lib/session-capacity). Full sessions answer
+//    409 { ok:false, code:"SOLD_OUT" } and nothing is left behind.
+//
+// ✅ Add-ons: optional Addons: [{ addon_id, qty, price? }] are priced from the catalog view
+//    (lib/addons; a stale client price answers 409 ADDON_PRICE_MISMATCH) and inserted as
+//    Type='addon' rows sharing the RES_ID. /api/paystart charges them with the reservation.
+//
+// ✅ Promo codes: optional Promo_Code is validated (lib/promo; 4xx { code: PROMO_* } when it
+//    doesn't apply) and stored with its Discount_Amount on Units × the pricing view's price
+//    (lib/quote, not the body's Unit_Price). A limited code's use is verified after the
+//    insert like the hold. /api/quote prices the reservation with it.
+//
 // Uses lib/caspio.js for token + REST logic (v3/v2 fallback, etc).
 
-import { insertRecord, getReservationByResId } from "../../lib/caspio";
+import {
+  writeResilient,
+  getReservationByResId,
+  deleteRecordsByWhere,
+  caspioQuery,
+} from "../../lib/caspio";
+import { AddonError, addonRowsFor, resolveAddons } from "../../lib/addons";
+import { PromoError, promoDiscount, validatePromo, verifyPromoUse } from "../../lib/promo";
+import { unitPriceFor } from "../../lib/quote";
+import { RESERVATION_STATUS } from "../../lib/reservation-status";
+import {
+  SoldOutError,
+  assertCapacity,
+  holdTtlMs,
+  unitsOf,
+  verifyNewHold,
+  withSessionLock,
+} from "../../lib/session-capacity";
 
 export const config = { api: { bodyParser: true } };
 
@@ -98,7 +128,7 @@ export default async function handler(req, res) {
     const taxRate = toFiniteNumber(b.Tax_Rate);
 
     const payload = {
-      Status: "In Process",
+      Status: RESERVATION_STATUS.IN_PROCESS,
       Type: "Reservation",
       RES_ID,
 
@@ -163,17 +193,53 @@ export default async function handler(req, res) {
     const tr = Number(payload.Tax_Rate);
     if (!Number.isFinite(tr) || tr < 0) throw new Error("Tax_Rate must be a valid number >= 0");
 
-    const insertJson = await insertRecord(table, payload);
+    // Priced before anything is written, so a bad add-on leaves no reservation behind
+    const addons = await resolveAddons(payload.Business_Unit, b.Addons ?? b.addons);
 
-    // Try IDKEY from insert response
-    let idkey = pickIdKeyFromInsertResponse(insertJson);
-
-    // Fallback lookup by RES_ID
-    if (!idkey) {
-      const row = await getReservationByResId(RES_ID);
-      idkey = row?.IDKEY ? String(row.IDKEY) : null;
+    const promoCode = oneLine(b.Promo_Code ?? b.promo_code);
+    let promo = null;
+    if (promoCode) {
+      promo = await validatePromo(promoCode, {
+        businessUnit: payload.Business_Unit,
+        priceClass: payload.Price_Class,
+        email: payload.Email,
+      });
+      const unitPrice = await unitPriceFor(payload.Session_ID, { cQuant: payload.C_Quant, units: payload.Units });
+      if (unitPrice == null) {
+        throw new PromoError(`Promo code ${promo.Code} can't be applied: no price for this package`, {
+          code: "NO_PRICE",
+        });
+      }
+      payload.Promo_Code = promo.Code;
+      payload.Discount_Amount = promoDiscount(promo, Number(payload.Units) * unitPrice);
     }
 
+    // Unpaid hold: released automatically if payment doesn't complete in time
+    payload.HoldStartedAt = new Date().toISOString();
+    payload.HoldExpiresAt = new Date(Date.parse(payload.HoldStartedAt) + holdTtlMs()).toISOString();
+
+    const idkey = await withSessionLock(payload.Session_ID, async () => {
+      // Fast path: don't insert at all when the session is already full
+      await assertCapacity(payload.Session_ID, unitsOf(payload));
+
+      const insertJson = await writeResilient(table, null, payload);
+
+      // Try IDKEY from insert response
+      let id = pickIdKeyFromInsertResponse(insertJson);
+
+      // Fallback lookup by RES_ID
+      if (!id) {
+        const row = await getReservationByResId(RES_ID);
+        id = row?.IDKEY ? String(row.IDKEY) : null;
+      }
+
+      // Lost a race with a concurrent booking -> row removed, SoldOutError
+      if (id) await verifyNewHold(id);
+      // ... or for a promo code's last use -> row removed, PromoError
+      if (id && promo) await verifyPromoUse(id, promo);
+      return id;
+    });
+
     if (!idkey) {
       return res.status(200).json({
         ok: false,
@@ -182,8 +248,38 @@ export default async function handler(req, res) {
       });
     }
 
-    return res.status(200).json({ ok: true, idkey, res_id: RES_ID });
+    if (addons.lines.length) {
+      try {
+        for (const row of addonRowsFor(payload, addons.lines)) await writeResilient(table, null, row);
+      } catch (e) {
+        // Don't leave a reservation that would be charged without the add-ons the guest picked
+        await deleteRecordsByWhere(table, caspioQuery().eq("RES_ID", RES_ID).toString()).catch((e2) =>
+          console.error("⚠️ ADDON_INSERT_CLEANUP_FAILED", RES_ID, e2?.message || e2)
+        );
+        throw e;
+      }
+    }
+
+    return res.status(200).json({
+      ok: true,
+      idkey,
+      res_id: RES_ID,
+      hold_expires_at: payload.HoldExpiresAt,
+      ...(addons.lines.length ? { addons: addons.lines, addons_subtotal: addons.subtotal } : {}),
+      ...(payload.Promo_Code ? { promo_code: payload.Promo_Code, discount_amount: payload.Discount_Amount } : {}),
+    });
   } catch (err) {
+    if (err instanceof AddonError || err instanceof PromoError) {
+      return res.status(err.status).json({ ok: false, code: err.code, error: err.message });
+    }
+    if (err instanceof SoldOutError) {
+      return res.status(err.status).json({
+        ok: false,
+        code: err.code,
+        error: err.message,
+        available: err.available,
+      });
+    }
     console.error("RESERVE_FAILED:", err?.message || err);
     return res.status(500).json({ ok: false, error: err?.message || "Server error" });
   }
@@ -1,5 +1,5 @@
 // pages/api/sessions.js
-import { listViewRecordsByWhere, escapeWhereValue } from "../../lib/caspio";
+import { listViewRecordsByWhere, caspioQuery } from "../../lib/caspio";
 
 function setCors(res, origin) {
   const allowed = new Set([
@@ -50,11 +50,11 @@ async function fetchSessionsFromCaspio(date, bu) {
   const V_DATE = "BAR2_Sessions_Date";
   const V_BU = "BAR2_Sessions_Business_Unit";
 
-  let where = `${V_DATE}='${escapeWhereValue(date)}'`;
-  if (bu) where += ` AND ${V_BU}='${escapeWhereValue(bu)}'`;
+  const where = caspioQuery().eq(V_DATE, date);
+  if (bu) where.eq(V_BU, bu);
 
-  // Pull rows (UI expects full session rows; we can trim later if you want)
-  const rows = await listViewRecordsByWhere(view, where, 2000);
+  // Pull ALL rows (paged) so availability is never computed from a partial set
+  const rows = await listViewRecordsByWhere(view, where, Infinity);
   return rows || [];
 }
 
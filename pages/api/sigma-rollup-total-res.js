@@ -18,6 +18,15 @@
  *   based on fields from SIGMA_VW_Res_Billing_Edit
  */
 
+import {
+  listRecordsByWhere,
+  findOneByWhereInTable,
+  findOneByWhereInView,
+  deleteRecordsByWhere,
+  writeResilient,
+  caspioQuery,
+} from "../../lib/caspio";
+
 const SOURCE_TABLE = "BAR2_Reservations_SIGMA";
 const ROLLUP_TABLE = "SIGMA_BAR3_TOTAL_RES";
 const BILLING_VIEW = "SIGMA_VW_Res_Billing_Edit"; // ✅ uses IDKEY
@@ -60,9 +69,6 @@ function setCached(resId, result) {
 }
 
 // ---------- helpers ----------
-function escWhereValue(v) {
-  return String(v ?? "").replace(/'/g, "''");
-}
 function toNum(x) {
   const n = Number(x);
   return Number.isFinite(n) ? n : 0;
@@ -203,86 +209,7 @@ function normalizeWebhook(payload) {
   };
 }
 
-// ---------- Caspio REST helpers ----------
-let tokenCache = { token: null, exp: 0 };
-const nowSec = () => Math.floor(Date.now() / 1000);
-
-async function getCaspioToken() {
-  if (tokenCache.token && tokenCache.exp > nowSec() + 30) return tokenCache.token;
-
-  const base = process.env.CASPIO_BASE_URL;
-  const tokenUrl = process.env.CASPIO_AUTH_TOKEN_URL || `${base}/oauth/token`;
-
-  const body = new URLSearchParams({
-    grant_type: "client_credentials",
-    client_id: process.env.CASPIO_CLIENT_ID,
-    client_secret: process.env.CASPIO_CLIENT_SECRET,
-  });
-
-  const resp = await fetch(tokenUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body,
-  });
-
-  if (!resp.ok) throw new Error(`Token error ${resp.status}: ${await resp.text()}`);
-
-  const json = await resp.json();
-  tokenCache.token = json.access_token;
-  tokenCache.exp = nowSec() + (json.expires_in || 3600);
-  return tokenCache.token;
-}
-
-async function caspioFetch(path, { method = "GET", body } = {}) {
-  const token = await getCaspioToken();
-  const base = process.env.CASPIO_BASE_URL;
-  const url = `${base}${path}`;
-
-  const resp = await fetch(url, {
-    method,
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-      Accept: "application/json",
-    },
-    body: body ? JSON.stringify(body) : undefined,
-  });
-
-  const text = await resp.text();
-  if (!resp.ok) {
-    throw new Error(`Caspio ${method} failed ${resp.status}: ${text}`);
-  }
-
-  if (!text) return null;
-  try {
-    return JSON.parse(text);
-  } catch {
-    return { raw: text };
-  }
-}
-
-async function caspioWriteResilient(path, method, bodyObj) {
-  try {
-    return await caspioFetch(path, { method, body: bodyObj });
-  } catch (err) {
-    const msg = String(err?.message || "");
-    if (!/ColumnNotFound/i.test(msg) && !/do not exist/i.test(msg)) throw err;
-
-    // Parse "...field(s) do not exist: 'A', 'B'..."
-    const missing = [];
-    for (const m of msg.matchAll(/'([^']+)'/g)) missing.push(m[1]);
-    if (!missing.length) throw err;
-
-    const trimmed = { ...bodyObj };
-    for (const f of missing) delete trimmed[f];
-
-    if (Object.keys(trimmed).length === 0) throw err;
-
-    console.warn("⚠️ ColumnNotFound. Retrying without fields:", missing);
-    return await caspioFetch(path, { method, body: trimmed });
-  }
-}
-
+// ---------- Caspio REST helpers (lib/caspio) ----------
 function pickFirst(obj, keys) {
   for (const k of keys) {
     const v = obj?.[k];
@@ -305,25 +232,19 @@ function parseTaxToRate(val) {
 }
 
 async function getAllSourceRowsForResId(resId) {
-  const where = `${RES_ID_FIELD}='${escWhereValue(resId)}'`;
-  const url = `/rest/v2/tables/${SOURCE_TABLE}/records?q.where=${encodeURIComponent(where)}&q.limit=1000`;
-  const resp = await caspioFetch(url);
-  return resp?.Result || [];
+  const where = caspioQuery().eq(RES_ID_FIELD, String(resId));
+  return await listRecordsByWhere(SOURCE_TABLE, where, Infinity);
 }
 
 async function getRollupRow(resId) {
-  const where = `${ROLLUP_KEY_FIELD}='${escWhereValue(resId)}'`;
-  const url = `/rest/v2/tables/${ROLLUP_TABLE}/records?q.where=${encodeURIComponent(where)}&q.limit=1`;
-  const resp = await caspioFetch(url);
-  return (resp?.Result || [])[0] || null;
+  const where = caspioQuery().eq(ROLLUP_KEY_FIELD, String(resId));
+  return await findOneByWhereInTable(ROLLUP_TABLE, where);
 }
 
 async function getBillingViewRowByIdKey(idkey) {
   if (!idkey) return null;
-  const where = `IDKEY='${escWhereValue(idkey)}'`;
-  const url = `/rest/v2/views/${BILLING_VIEW}/records?q.where=${encodeURIComponent(where)}&q.limit=1`;
-  const resp = await caspioFetch(url);
-  return (resp?.Result || [])[0] || null;
+  const where = caspioQuery().eq("IDKEY", String(idkey));
+  return await findOneByWhereInView(BILLING_VIEW, where);
 }
 
 // ---------- handler ----------
@@ -406,14 +327,11 @@ export default async function handler(req, res) {
 
       // 2) If nothing remains, delete rollup if exists
       const existing = await getRollupRow(RES_ID);
-      const rollupWhere = `${ROLLUP_KEY_FIELD}='${escWhereValue(RES_ID)}'`;
+      const rollupWhere = caspioQuery().eq(ROLLUP_KEY_FIELD, String(RES_ID)).toString();
 
       if (rows.length === 0) {
         if (existing) {
-          await caspioFetch(
-            `/rest/v2/tables/${ROLLUP_TABLE}/records?q.where=${encodeURIComponent(rollupWhere)}`,
-            { method: "DELETE" }
-          );
+          await deleteRecordsByWhere(ROLLUP_TABLE, rollupWhere);
         }
         return {
           ok: true,
@@ -499,13 +417,10 @@ export default async function handler(req, res) {
           }
 
           if (Object.keys(reservationUpdatePayload).length) {
-            const where = `IDKEY='${escWhereValue(String(IDKEY))}'`;
-            const path =
-              `/rest/v2/tables/${SOURCE_TABLE}/records?q.where=` +
-              encodeURIComponent(where);
+            const where = caspioQuery().eq("IDKEY", String(IDKEY)).toString();
 
             try {
-              await caspioWriteResilient(path, "PUT", reservationUpdatePayload);
+              await writeResilient(SOURCE_TABLE, where, reservationUpdatePayload);
             } catch (e) {
               console.warn("⚠️ Reservation enrichment write failed (non-blocking):", e?.message || e);
             }
@@ -529,11 +444,7 @@ export default async function handler(req, res) {
       };
 
       if (existing) {
-        await caspioWriteResilient(
-          `/rest/v2/tables/${ROLLUP_TABLE}/records?q.where=${encodeURIComponent(rollupWhere)}`,
-          "PUT",
-          upsertBody
-        );
+        await writeResilient(ROLLUP_TABLE, rollupWhere, upsertBody);
         return {
           ok: true,
           action: "updated",
@@ -552,7 +463,7 @@ export default async function handler(req, res) {
           },
         };
       } else {
-        await caspioWriteResilient(`/rest/v2/tables/${ROLLUP_TABLE}/records`, "POST", upsertBody);
+        await writeResilient(ROLLUP_TABLE, null, upsertBody);
         return {
           ok: true,
           action: "inserted",
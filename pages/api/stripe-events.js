@@ -0,0 +1,177 @@
+// pages/api/stripe-events.js
+//
+// Admin endpoint for the stored Stripe webhook events (lib/stripe-event-store).
+//
+// Headers:
+//   x-admin-key: <ADMIN_API_KEY>   (lib/admin-auth)
+//
+// GET /api/stripe-events?status=failed&type=&from=&to=&limit=
+//   -> { ok, events: [{ event_id, type, status, attempts, error, received_at, ... }] }
+//   status: received | processing | processed | failed | all   (default failed)
+//
+// POST /api/stripe-events
+// Body (JSON), one of:
+//   { event_id: "evt_..." }                       replay one event (any status)
+//   { event_ids: ["evt_...", ...] }               replay these
+//   { from, to, status, type, limit }             replay a ReceivedAt range (default status=failed)
+//   -> { ok, replayed, failed, results: [{ event_id, type, ok, error?, result? }] }
+//
+// Replays run one at a time, oldest first, through the webhook's own processStripeEvent.
+// Handlers are idempotent (RawEventId / Stripe-id dedupe), so replaying a processed
+// event is safe.
+//
+// Also responds to OPTIONS for CORS preflight.
+
+import Stripe from "stripe";
+import {
+  EVENT_STATUS,
+  getStoredEvent,
+  isInProgress,
+  listStoredEvents,
+  loadStoredEvent,
+  runStoredEvent,
+} from "../../lib/stripe-event-store";
+import { ADMIN_KEY_HEADER, requireAdminKey } from "../../lib/admin-auth";
+import { processStripeEvent } from "./stripe-webhook";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+const MAX_LIMIT = 100;
+
+// ---- CORS ----
+function setCors(req, res) {
+  const allowed = new Set([
+    "https://reservebarsandrec.com",
+    "https://www.reservebarsandrec.com",
+  ]);
+
+  const origin = req.headers.origin;
+  const allowOrigin = allowed.has(origin) ? origin : "https://www.reservebarsandrec.com";
+
+  res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", `Content-Type, ${ADMIN_KEY_HEADER}`);
+  res.setHeader("Access-Control-Max-Age", "86400");
+}
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function parseLimit(v, fallback) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, MAX_LIMIT) : fallback;
+}
+
+function parseStatus(v) {
+  const s = oneLine(v).toLowerCase() || EVENT_STATUS.FAILED;
+  return s === "all" || Object.values(EVENT_STATUS).includes(s) ? s : null;
+}
+
+function summarize(row) {
+  return {
+    event_id: row.EventId,
+    type: row.Type,
+    status: row.ProcessingStatus,
+    attempts: Number(row.Attempts || 0),
+    error: row.Error || null,
+    received_at: row.ReceivedAt || null,
+    last_attempt_at: row.LastAttemptAt || null,
+    processed_at: row.ProcessedAt || null,
+  };
+}
+
+async function replayRow(row, by) {
+  const base = { event_id: row.EventId, type: row.Type };
+
+  // Don't race a delivery that is running right now
+  if (isInProgress(row)) return { ...base, ok: false, error: "in_progress" };
+
+  let event;
+  try {
+    event = await loadStoredEvent(row, { stripe });
+  } catch (err) {
+    return { ...base, ok: false, error: err?.message || "Unable to load event" };
+  }
+
+  const out = await runStoredEvent(event, processStripeEvent, { stored: row, by });
+  return out.ok ? { ...base, ok: true, result: out.result } : { ...base, ok: false, error: out.error };
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(204).end();
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).send("Method not allowed");
+
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) return res.status(500).json({ ok: false, error: "Missing STRIPE_SECRET_KEY" });
+    if (!requireAdminKey(req, res)) return;
+
+    if (req.method === "GET") {
+      const q = req.query || {};
+      const status = parseStatus(q.status);
+      if (!status) return res.status(400).json({ ok: false, error: "Invalid status" });
+
+      const rows = await listStoredEvents({
+        status,
+        type: oneLine(q.type) || undefined,
+        from: oneLine(q.from) || undefined,
+        to: oneLine(q.to) || undefined,
+        limit: parseLimit(q.limit, 50),
+      });
+
+      return res.status(200).json({ ok: true, count: rows.length, events: rows.map(summarize) });
+    }
+
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const ids = [
+      ...(Array.isArray(body.event_ids) ? body.event_ids : []),
+      ...(body.event_id ? [body.event_id] : []),
+    ]
+      .map(oneLine)
+      .filter(Boolean);
+
+    let rows;
+    if (ids.length) {
+      if (ids.length > MAX_LIMIT) return res.status(400).json({ ok: false, error: `At most ${MAX_LIMIT} event_ids` });
+
+      rows = [];
+      for (const id of ids) {
+        const row = await getStoredEvent(id);
+        if (!row) return res.status(404).json({ ok: false, error: `Event not stored: ${id}` });
+        rows.push(row);
+      }
+    } else {
+      const status = parseStatus(body.status);
+      if (!status) return res.status(400).json({ ok: false, error: "Invalid status" });
+
+      const from = oneLine(body.from);
+      const to = oneLine(body.to);
+      if (!from && !to && status === "all") {
+        return res.status(400).json({ ok: false, error: "Replaying every event needs a from/to range" });
+      }
+
+      rows = await listStoredEvents({
+        status,
+        type: oneLine(body.type) || undefined,
+        from: from || undefined,
+        to: to || undefined,
+        limit: parseLimit(body.limit, 25),
+      });
+    }
+
+    const by = `stripe-events:replay:${new Date().toISOString()}`;
+    const results = [];
+    for (const row of rows) results.push(await replayRow(row, by));
+
+    const failed = results.filter((r) => !r.ok).length;
+    console.log("STRIPE_EVENTS_REPLAYED:", results.length, "FAILED:", failed);
+
+    return res.status(200).json({ ok: failed === 0, replayed: results.length - failed, failed, results });
+  } catch (err) {
+    console.error("STRIPE_EVENTS_FAILED:", err?.message || err);
+    return res.status(500).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
@@ -4,19 +4,75 @@
 // - "one transaction per successful checkout" behavior
 // - Off-session PI logging gated by metadata.source === "off_session"
 // - Rolls up totals
-//
-// FIXES:
-// ✅ Resilient transaction insert (ColumnNotFound -> drop fields -> retry)
-// ✅ PaymentStatus set by metadata.purpose (booking_fee vs supplemental)
-// ✅ Better Description selection from metadata
+// - Transaction inserts drop the columns Caspio rejects and retry (lib/caspio writeResilient)
+// - PaymentStatus set by metadata.purpose (booking_fee vs supplemental)
+// - Description picked from metadata
+// - Status/PaymentStatus go through lib/reservation-status, so a late
+//   checkout.session.completed can't resurrect a Cancelled reservation
+// - checkout.session.expired releases the abandoned reservation (lib/abandoned-reservations)
+// - payment_intent.payment_failed / requires_action and charge.failed write a "failed" row with
+//   the decline code and stamp the reservation (PaymentStatus only while nothing is paid)
+// - Off-session charges that need 3-D Secure email a /api/payment-auth link; the later
+//   payment_intent.succeeded clears the pending marker (lib/payment-auth)
+// - charge.dispute.*: "dispute" (funds withdrawn) and "dispute_reversal" (won) rows tied to the
+//   disputed charge, Dispute* fields on the reservation (lib/disputes)
+// - Every verified event is stored first with its processing status (lib/stripe-event-store);
+//   failed ones are replayed from /api/stripe-events
+// - Ledger rows go through lib/ledger: refunds and disputes are split pro rata over what the
+//   charge still has, and an unbalanced row fails the event
+// - Component refunds from /api/refund are written with the split from their metadata
+// - Promo discounts get a "discount" row next to the charge (negative Base_Amount); no money
+//   moves, so the rollup keeps it out of the charged totals
+// - Gift card purchases (metadata purpose "gift_card") activate the card and email its code
+//   (lib/giftcards)
 
 import Stripe from "stripe";
 import {
-  updateReservationByWhere,
-  insertTransactionIfMissingByRawEventId,
   getReservationByIdKey,
   rollupTotalsForIdKey,
+  updateReservationResilient,
+  buildWhereForIdKey,
 } from "../../lib/caspio";
+import {
+  RESERVATION_STATUS,
+  PAYMENT_STATUS,
+  isPaid,
+  paymentStatusForPurpose,
+  transitionReservation,
+} from "../../lib/reservation-status";
+import { releaseAbandonedReservation } from "../../lib/abandoned-reservations";
+import {
+  isAuthenticationRequired,
+  requestPaymentAuthentication,
+  clearPaymentAuthentication,
+} from "../../lib/payment-auth";
+import {
+  DISPUTE_TXN_TYPES,
+  disputeChargeId,
+  disputeFlagFields,
+  disputeWithdrawsFunds,
+  findOriginalChargeTxn,
+  isDisputeClosed,
+  updateDisputeTxnStatus,
+} from "../../lib/disputes";
+import { storeStripeEvent, isSettled, runStoredEvent } from "../../lib/stripe-event-store";
+import { activateGiftCard, maskGiftCardCode, sendGiftCardEmail } from "../../lib/giftcards";
+import {
+  dollarsFromCents,
+  n2,
+  getIdKeyFromMetadata,
+  getConfirmationNumberFromReservationRow,
+  parseBreakdown,
+  pickDescription,
+  cardFields,
+} from "../../lib/stripe-ledger";
+import {
+  allocateRefund,
+  componentFields,
+  recordLedgerTxn,
+  refundableForCharge,
+  refundAllocationFor,
+} from "../../lib/ledger";
 
 export const config = { api: { bodyParser: false } };
 
@@ -30,484 +86,693 @@ async function buffer(readable) {
   return Buffer.concat(chunks);
 }
 
-function escapeWhereValue(v) {
-  return String(v ?? "").replaceAll("'", "''");
-}
-
-function dollarsFromCents(cents) {
-  return typeof cents === "number" ? Number((cents / 100).toFixed(2)) : null;
-}
-
-function n2(v) {
-  const n = Number(v);
-  return Number.isFinite(n) ? Number(n.toFixed(2)) : 0;
+// Why a payment didn't go through: PI.last_payment_error first, then the charge's outcome
+function describeFailure(pi, charge) {
+  const lpe = pi?.last_payment_error || null;
+  const code = lpe?.code || charge?.failure_code || null;
+  return {
+    code,
+    declineCode: lpe?.decline_code || charge?.outcome?.reason || code,
+    message: String(
+      lpe?.message || charge?.failure_message || charge?.outcome?.seller_message || ""
+    ).slice(0, 500),
+  };
 }
 
-/**
- * If Caspio responds with ColumnNotFound / "do not exist", drop those fields and retry once.
- */
-async function updateReservationResilient(where, payload) {
+// Ledger rows must land (balanced): rethrow so the stored event is marked failed (and replayable)
+async function insertTxn(txnPayload) {
   try {
-    return await updateReservationByWhere(where, payload);
-  } catch (err) {
-    const msg = String(err?.message || "");
-    if (!/ColumnNotFound/i.test(msg) && !/do not exist/i.test(msg)) throw err;
-
-    const after = msg.split("do not exist:")[1] || "";
-    const missing = [];
-    for (const m of after.matchAll(/'([^']+)'/g)) missing.push(m[1]);
-    if (!missing.length) throw err;
-
-    const trimmed = { ...payload };
-    for (const f of missing) delete trimmed[f];
-    if (Object.keys(trimmed).length === 0) throw err;
-
-    console.warn("⚠️ Reservation ColumnNotFound. Retrying without fields:", missing);
-    return await updateReservationByWhere(where, trimmed);
+    return await recordLedgerTxn(txnPayload);
+  } catch (e) {
+    console.error("⚠️ TXN_INSERT_FAILED", e?.message || e);
+    throw e;
   }
 }
 
-/**
- * ✅ NEW: Resilient TXN insert wrapper (same ColumnNotFound retry pattern).
- * This prevents “success but no row” when your TXN table lacks certain columns.
- */
-async function insertTxnResilient(txnPayload) {
+async function safeRollup(idkey) {
   try {
-    return await insertTransactionIfMissingByRawEventId(txnPayload);
-  } catch (err) {
-    const msg = String(err?.message || "");
-    if (!/ColumnNotFound/i.test(msg) && !/do not exist/i.test(msg)) throw err;
-
-    const after = msg.split("do not exist:")[1] || "";
-    const missing = [];
-    for (const m of after.matchAll(/'([^']+)'/g)) missing.push(m[1]);
-    if (!missing.length) throw err;
-
-    const trimmed = { ...txnPayload };
-    for (const f of missing) delete trimmed[f];
-    if (Object.keys(trimmed).length === 0) throw err;
-
-    console.warn("⚠️ TXN ColumnNotFound. Retrying without fields:", missing);
-    return await insertTransactionIfMissingByRawEventId(trimmed);
+    await rollupTotalsForIdKey(String(idkey));
+    console.log("ROLLUP_OK:", String(idkey));
+  } catch (e) {
+    console.warn("⚠️ ROLLUP_FAILED (non-blocking)", e?.message || e);
   }
 }
 
-function getIdKeyFromMetadata(meta) {
-  return meta?.IDKEY || meta?.reservation_id || meta?.idkey || meta?.IdKey || null;
-}
-
-function getConfirmationNumberFromReservationRow(row) {
-  return row?.Confirmation_Number || row?.ConfirmationNumber || row?.CONFIRMATION_NUMBER || null;
-}
-
 /**
- * Parse 4-part breakdown from Stripe metadata.
- * Accepts BOTH:
- *  - snake_case (base_amount, grat_amount, tax_amount, fee_amount)
- *  - Caspio-style (Base_Amount, Auto_Gratuity, Tax, Fee)
- *
- * Fallback:
- *  - If no breakdown found: treat entire totalAmountDollars as Fee (legacy behavior)
+ * Handles one verified Stripe event and returns the JSON the webhook answers with.
+ * Shared with the admin replay route (/api/stripe-events). Throws when a ledger write
+ * fails, so the stored event is marked failed and can be replayed.
  */
-function parseBreakdown(meta, totalAmountDollars) {
-  const m = meta || {};
-  const baseRaw = m.base_amount ?? m.baseAmount ?? m.Base_Amount ?? m.base ?? m.Base ?? null;
-
-  const gratRaw =
-    m.grat_amount ??
-    m.gratAmount ??
-    m.Auto_Gratuity ??
-    m.auto_gratuity ??
-    m.grat ??
-    m.Gratuity ??
-    null;
-
-  const taxRaw = m.tax_amount ?? m.taxAmount ?? m.Tax ?? m.tax ?? null;
-  const feeRaw = m.fee_amount ?? m.feeAmount ?? m.Fee ?? m.fee ?? null;
-
-  const hasAny = baseRaw != null || gratRaw != null || taxRaw != null || feeRaw != null;
-
-  if (hasAny) {
-    const base = n2(baseRaw);
-    const grat = n2(gratRaw);
-    const tax = n2(taxRaw);
-    const fee = n2(feeRaw);
-    const amount = n2(base + grat + tax + fee);
-    return { base, grat, tax, fee, amount };
+export async function processStripeEvent(event) {
+  let reservationCache = null;
+
+  async function getReservationCached(idkey) {
+    if (reservationCache && reservationCache.IDKEY === idkey) return reservationCache;
+    const row = await getReservationByIdKey(idkey).catch(() => null);
+    reservationCache = row ? { ...row, IDKEY: idkey } : { IDKEY: idkey };
+    return row;
   }
 
-  const total = n2(totalAmountDollars);
-  return { base: 0, grat: 0, tax: 0, fee: total, amount: total };
-}
-
-function pickDescription(meta = {}, fallback = "") {
-  return String(
-    meta.Description ||
-    meta.description ||
-    meta.why ||
-    meta.Reason ||
-    meta.reason ||
-    meta.Sessions_Title ||
-    meta.People_Text ||
-    fallback ||
-    ""
-  ).slice(0, 500);
-}
+  // ------------------------------------------------------------
+  // 1) CHECKOUT COMPLETED  (source for checkout payments)
+  // ------------------------------------------------------------
+  if (event.type === "checkout.session.completed") {
+    const session = event.data.object;
+
+    if (session?.metadata?.purpose === "gift_card") {
+      const paymentIntentId =
+        typeof session.payment_intent === "string" ? session.payment_intent : session.payment_intent?.id || null;
+      const { activated, card } = await activateGiftCard(session.metadata.gift_card_code, {
+        checkoutSessionId: session.id,
+        paymentIntentId,
+        paidAt: new Date((session.created || Math.floor(Date.now() / 1000)) * 1000).toISOString(),
+      });
+      console.log("GIFT_CARD_PURCHASED:", maskGiftCardCode(card.Code), activated ? "activated" : "already active");
 
-function paymentStatusFromPurpose(purpose, defaultPaid = "Paid") {
-  const p = String(purpose || "").toLowerCase();
-  if (p === "booking_fee") return "PaidBookingFee";
-  return defaultPaid;
-}
+      if (activated) {
+        await sendGiftCardEmail(card).catch((e) => console.warn("⚠️ GIFT_CARD_EMAIL_FAILED", e?.message || e));
+      }
+      return { received: true };
+    }
 
-async function safeRollup(idkey) {
-  try {
-    await rollupTotalsForIdKey(String(idkey));
-    console.log("ROLLUP_OK:", String(idkey));
-  } catch (e) {
-    console.warn("⚠️ ROLLUP_FAILED (non-blocking)", e?.message || e);
-  }
-}
+    const idkey = getIdKeyFromMetadata(session?.metadata);
+    if (!idkey) return { received: true };
 
-export default async function handler(req, res) {
-  if (req.method !== "POST") return res.status(405).send("Method not allowed");
+    console.log("CHECKOUT_COMPLETED_IDKEY:", String(idkey));
 
-  const sig = req.headers["stripe-signature"];
-  let event;
+    const fullSession = await stripe.checkout.sessions.retrieve(session.id, {
+      expand: ["customer", "payment_intent"],
+    });
 
-  try {
-    const rawBody = await buffer(req);
-    event = stripe.webhooks.constructEvent(rawBody, sig, process.env.STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.error("❌ Stripe signature verification failed:", err?.message || err);
-    return res.status(400).send(`Webhook Error: ${err?.message || "bad signature"}`);
-  }
+    let paymentIntent = fullSession.payment_intent;
+    if (typeof paymentIntent === "string") {
+      paymentIntent = await stripe.paymentIntents.retrieve(paymentIntent, {
+        expand: ["payment_method", "charges.data.payment_method_details"],
+      });
+    }
 
-  console.log("STRIPE_EVENT:", event?.type, "EVENT_ID:", event?.id);
+    const charge = paymentIntent?.charges?.data?.[0];
+    const card =
+      charge?.payment_method_details?.card ||
+      (typeof paymentIntent?.payment_method !== "string" ? paymentIntent?.payment_method?.card : null);
+
+    const amountDollars = dollarsFromCents(paymentIntent?.amount_received ?? paymentIntent?.amount ?? null);
+    const currency = paymentIntent?.currency?.toLowerCase() || "usd";
+
+    const paidAtUnix =
+      charge?.created || paymentIntent?.created || fullSession.created || Math.floor(Date.now() / 1000);
+    const paidAtIso = new Date(paidAtUnix * 1000).toISOString();
+
+    const stripeCustomerId =
+      typeof fullSession.customer === "string" ? fullSession.customer : fullSession.customer?.id || null;
+
+    const stripePaymentMethodId =
+      typeof paymentIntent?.payment_method === "string"
+        ? paymentIntent.payment_method
+        : paymentIntent?.payment_method?.id || charge?.payment_method || null;
+
+    // Update reservation record (best-effort)
+    const mdSession = fullSession?.metadata || session?.metadata || {};
+    const metaChargeType = mdSession?.Charge_Type || null;
+
+    const purpose = mdSession?.purpose || mdSession?.Purpose || null;
+    const paymentStatus = paymentStatusForPurpose(purpose);
+
+    const payload = {
+      BookingFeePaidAt: paidAtIso,
+      StripeCheckoutSessionId: fullSession.id,
+      StripePaymentIntentId: paymentIntent?.id || null,
+      StripeCustomerId: stripeCustomerId,
+      StripePaymentMethodId: stripePaymentMethodId,
+      Payment_processor: "Stripe",
+      Mode: fullSession.livemode ? "live" : "test",
+      Payment_service: "Checkout",
+      ...cardFields(card),
+      Transaction_ID: paymentIntent?.id || null,
+      Transaction_date: paidAtIso,
+    };
+
+    // Carry optional metadata fields
+    if (metaChargeType) payload.Charge_Type = metaChargeType;
+    if (mdSession?.Sessions_Title) payload.Sessions_Title = mdSession.Sessions_Title;
+    if (mdSession?.People_Text) payload.People_Text = mdSession.People_Text;
+
+    // Reservation row: current Status/PaymentStatus + Confirmation_Number fallback
+    const reservationRow = await getReservationCached(idkey);
+    const confirmationNumber = getConfirmationNumberFromReservationRow(reservationRow);
+
+    // Cancelled stays Cancelled (payment is still recorded; refunds are handled separately)
+    await transitionReservation(idkey, {
+      status: RESERVATION_STATUS.BOOKED,
+      paymentStatus,
+      by: `stripe-webhook:${event.type}:${event.id}`,
+      fields: payload,
+      ...(reservationRow ? { current: reservationRow } : {}),
+      onIllegal: "skip",
+    }).catch((e) => console.error("⚠️ RESERVATION_UPDATE_FAILED", e?.message || e));
+
+    const breakdown = parseBreakdown(mdSession, amountDollars);
+
+    const chargeType =
+      metaChargeType ||
+      mdSession?.Charge_Type ||
+      reservationRow?.Charge_Type ||
+      String(purpose || "checkout_charge");
+
+    const description = pickDescription(mdSession, chargeType);
+
+    const txnPayload = {
+      IDKEY: String(idkey),
+      TxnType: "charge",
+
+      Base_Amount: breakdown.base,
+      Auto_Gratuity: breakdown.grat,
+      Tax: breakdown.tax,
+      Fee: breakdown.fee,
+      Amount: breakdown.amount,
+
+      Currency: currency,
+      PaymentStatus: paymentStatus,
+      Status: paymentIntent?.status || "succeeded",
+
+      StripeCheckoutSessionId: fullSession.id,
+      StripePaymentIntentId: paymentIntent?.id || null,
+      StripeChargeId: charge?.id || null,
+      StripeCustomerId: stripeCustomerId,
+      StripePaymentMethodId: stripePaymentMethodId,
+
+      Charge_Type: String(chargeType).slice(0, 250),
+      Description: description,
+
+      Confirmation_Number: confirmationNumber,
+
+      // optional card fields (will be dropped if columns don't exist)
+      ...cardFields(card),
+
+      RawEventId: String(event.id),
+      Transaction_date: paidAtIso,
+      CreatedAt: new Date().toISOString(),
+    };
+
+    await insertTxn(txnPayload);
+
+    const discount = n2(mdSession?.discount_amount) || 0;
+    if (discount > 0) {
+      const promoCode = String(mdSession?.promo_code || "").trim();
+      await insertTxn({
+        IDKEY: String(idkey),
+        TxnType: "discount",
+        Base_Amount: -discount,
+        Auto_Gratuity: 0,
+        Tax: 0,
+        Fee: 0,
+        Amount: -discount,
+        Currency: currency,
+        Status: "applied",
+        StripeCheckoutSessionId: fullSession.id,
+        StripePaymentIntentId: paymentIntent?.id || null,
+        StripeChargeId: charge?.id || null,
+        Charge_Type: `Promo ${promoCode}`.trim().slice(0, 250),
+        Description: `Promo code ${promoCode}`.trim(),
+        Promo_Code: promoCode || null,
+        Confirmation_Number: confirmationNumber,
+        RawEventId: `${event.id}_discount`,
+        Transaction_date: paidAtIso,
+        CreatedAt: new Date().toISOString(),
+      });
+    }
 
-  try {
-    let reservationCache = null;
+    await safeRollup(idkey);
 
-    async function getReservationCached(idkey) {
-      if (reservationCache && reservationCache.IDKEY === idkey) return reservationCache;
-      const row = await getReservationByIdKey(idkey).catch(() => null);
-      reservationCache = row ? { ...row, IDKEY: idkey } : { IDKEY: idkey };
-      return row;
-    }
+    return { received: true };
+  }
 
-    // ------------------------------------------------------------
-    // 1) CHECKOUT COMPLETED  (source for checkout payments)
-    // ------------------------------------------------------------
-    if (event.type === "checkout.session.completed") {
-      const session = event.data.object;
+  // ------------------------------------------------------------
+  // 1b) CHECKOUT EXPIRED → release the abandoned reservation
+  // ------------------------------------------------------------
+  if (event.type === "checkout.session.expired") {
+    const session = event.data.object;
 
-      const idkey = getIdKeyFromMetadata(session?.metadata);
-      if (!idkey) return res.status(200).json({ received: true });
+    const idkey = getIdKeyFromMetadata(session?.metadata) || session?.client_reference_id || null;
+    if (!idkey) return { received: true };
 
-      console.log("CHECKOUT_COMPLETED_IDKEY:", String(idkey));
+    const reservationRow = await getReservationCached(idkey);
 
-      const fullSession = await stripe.checkout.sessions.retrieve(session.id, {
-        expand: ["customer", "payment_intent"],
-      });
+    // Only the reservation's current Checkout Session counts (paystart may have replaced it)
+    const currentSessionId = String(reservationRow?.StripeCheckoutSessionId || "").trim();
+    if (!reservationRow || currentSessionId !== session.id) {
+      console.log("CHECKOUT_EXPIRED_SKIPPED:", String(idkey), "not the current session");
+      return { received: true, skipped: "not_current_session" };
+    }
 
-      let paymentIntent = fullSession.payment_intent;
-      if (typeof paymentIntent === "string") {
-        paymentIntent = await stripe.paymentIntents.retrieve(paymentIntent, {
-          expand: ["payment_method", "charges.data.payment_method_details"],
-        });
-      }
+    const out = await releaseAbandonedReservation(
+      { ...reservationRow, IDKEY: String(idkey) },
+      { by: `stripe-webhook:${event.type}:${event.id}`, reason: "checkout_expired" }
+    );
+    if (!out.released) console.log("CHECKOUT_EXPIRED_SKIPPED:", String(idkey), out.skipped);
 
-      const charge = paymentIntent?.charges?.data?.[0];
-      const card =
-        charge?.payment_method_details?.card ||
-        (typeof paymentIntent?.payment_method !== "string" ? paymentIntent?.payment_method?.card : null);
+    return { received: true };
+  }
 
-      const amountDollars = dollarsFromCents(paymentIntent?.amount_received ?? paymentIntent?.amount ?? null);
-      const currency = paymentIntent?.currency?.toLowerCase() || "usd";
+  // ------------------------------------------------------------
+  // 2) PAYMENT INTENT SUCCEEDED (ONLY for off-session charge tool)
+  // ------------------------------------------------------------
+  if (event.type === "payment_intent.succeeded") {
+    const pi = event.data.object;
 
-      const paidAtUnix =
-        charge?.created || paymentIntent?.created || fullSession.created || Math.floor(Date.now() / 1000);
-      const paidAtIso = new Date(paidAtUnix * 1000).toISOString();
+    const source = String(pi?.metadata?.source || "").toLowerCase();
+    if (source !== "off_session" && source !== "off-session") {
+      console.log("PI_SUCCEEDED_SKIPPED_SOURCE:", source || "(missing)");
+      return { received: true, skipped: "not_off_session" };
+    }
 
-      const stripeCustomerId =
-        typeof fullSession.customer === "string" ? fullSession.customer : fullSession.customer?.id || null;
+    const idkey = getIdKeyFromMetadata(pi?.metadata);
+    if (!idkey) return { received: true };
 
-      const stripePaymentMethodId =
-        typeof paymentIntent?.payment_method === "string"
-          ? paymentIntent.payment_method
-          : paymentIntent?.payment_method?.id || charge?.payment_method || null;
+    console.log("PI_SUCCEEDED_OFFSESSION_IDKEY:", String(idkey));
 
-      const where = `IDKEY='${escapeWhereValue(idkey)}'`;
+    const piFull = await stripe.paymentIntents.retrieve(pi.id, {
+      expand: ["payment_method", "charges.data.payment_method_details"],
+    });
 
-      // Update reservation record (best-effort)
-      const mdSession = fullSession?.metadata || session?.metadata || {};
-      const metaChargeType = mdSession?.Charge_Type || null;
+    const charge = piFull?.charges?.data?.[0];
+    const card =
+      charge?.payment_method_details?.card ||
+      (typeof piFull?.payment_method !== "string" ? piFull?.payment_method?.card : null);
 
-      const payload = {
-        BookingFeePaidAt: paidAtIso,
-        StripeCheckoutSessionId: fullSession.id,
-        StripePaymentIntentId: paymentIntent?.id || null,
-        StripeCustomerId: stripeCustomerId,
-        StripePaymentMethodId: stripePaymentMethodId,
-        Payment_processor: "Stripe",
-        Mode: fullSession.livemode ? "live" : "test",
-        Status: "Booked",
-        Payment_service: "Checkout",
-        Card_brand: card?.brand || null,
-        Card_number_masked: card?.last4 ? `**** **** **** ${card.last4}` : null,
-        Card_expiration: card?.exp_month && card?.exp_year ? `${card.exp_month}/${card.exp_year}` : null,
-        Transaction_ID: paymentIntent?.id || null,
-        Transaction_date: paidAtIso,
-      };
+    const amountDollars = dollarsFromCents(piFull?.amount_received ?? piFull?.amount ?? null);
+    const currency = piFull?.currency?.toLowerCase() || "usd";
+    const createdIso = new Date((piFull?.created || Math.floor(Date.now() / 1000)) * 1000).toISOString();
 
-      // Carry optional metadata fields
-      if (metaChargeType) payload.Charge_Type = metaChargeType;
-      if (mdSession?.Sessions_Title) payload.Sessions_Title = mdSession.Sessions_Title;
-      if (mdSession?.People_Text) payload.People_Text = mdSession.People_Text;
+    const stripeCustomerId = piFull?.customer || null;
+    const stripePaymentMethodId =
+      typeof piFull?.payment_method === "string"
+        ? piFull.payment_method
+        : piFull?.payment_method?.id || charge?.payment_method || null;
 
-      await updateReservationResilient(where, payload);
+    const reservationRow = await getReservationCached(idkey);
+    const confirmationNumber = getConfirmationNumberFromReservationRow(reservationRow);
 
-      // Reservation row for Confirmation_Number fallback
-      const reservationRow = await getReservationCached(idkey);
-      const confirmationNumber = getConfirmationNumberFromReservationRow(reservationRow);
+    const md = piFull?.metadata || {};
+    const breakdown = parseBreakdown(md, amountDollars);
 
-      const breakdown = parseBreakdown(mdSession, amountDollars);
+    const purpose = md?.purpose || md?.Purpose || null;
+    const paymentStatus = paymentStatusForPurpose(purpose);
 
-      const purpose = mdSession?.purpose || mdSession?.Purpose || null;
-      const paymentStatus = paymentStatusFromPurpose(purpose, "Paid");
+    const chargeType = md?.Charge_Type || "supplemental_charge";
+    const description = pickDescription(md, chargeType);
 
-      const chargeType =
-        metaChargeType ||
-        mdSession?.Charge_Type ||
-        reservationRow?.Charge_Type ||
-        String(purpose || "checkout_charge");
+    const txnPayload = {
+      IDKEY: String(idkey),
+      TxnType: "charge",
 
-      const description = pickDescription(mdSession, chargeType);
+      Base_Amount: breakdown.base,
+      Auto_Gratuity: breakdown.grat,
+      Tax: breakdown.tax,
+      Fee: breakdown.fee,
+      Amount: breakdown.amount,
 
-      const txnPayload = {
-        IDKEY: String(idkey),
-        TxnType: "charge",
+      Currency: currency,
+      PaymentStatus: paymentStatus,
+      Status: piFull?.status || "succeeded",
 
-        Base_Amount: breakdown.base,
-        Auto_Gratuity: breakdown.grat,
-        Tax: breakdown.tax,
-        Fee: breakdown.fee,
-        Amount: breakdown.amount,
+      StripeCheckoutSessionId: null,
+      StripePaymentIntentId: piFull?.id || null,
+      StripeChargeId: charge?.id || null,
+      StripeCustomerId: stripeCustomerId,
+      StripePaymentMethodId: stripePaymentMethodId,
 
-        Currency: currency,
-        PaymentStatus: paymentStatus,
-        Status: paymentIntent?.status || "succeeded",
+      Charge_Type: String(chargeType).slice(0, 250),
+      Description: description,
 
-        StripeCheckoutSessionId: fullSession.id,
-        StripePaymentIntentId: paymentIntent?.id || null,
-        StripeChargeId: charge?.id || null,
-        StripeCustomerId: stripeCustomerId,
-        StripePaymentMethodId: stripePaymentMethodId,
+      Confirmation_Number: confirmationNumber,
 
-        Charge_Type: String(chargeType).slice(0, 250),
-        Description: description,
+      // optional card fields (will be dropped if columns don't exist)
+      ...cardFields(card),
 
-        Confirmation_Number: confirmationNumber,
+      RawEventId: String(event.id),
+      Transaction_date: createdIso,
+      CreatedAt: new Date().toISOString(),
+    };
 
-        // optional card fields (will be dropped if columns don't exist)
-        Card_brand: card?.brand || null,
-        Card_number_masked: card?.last4 ? `**** **** **** ${card.last4}` : null,
-        Card_expiration: card?.exp_month && card?.exp_year ? `${card.exp_month}/${card.exp_year}` : null,
+    await insertTxn(txnPayload);
 
-        RawEventId: String(event.id),
-        Transaction_date: paidAtIso,
-        CreatedAt: new Date().toISOString(),
-      };
+    // Customer finished 3-D Secure on /api/payment-auth
+    await clearPaymentAuthentication(idkey, piFull?.id, reservationRow).catch((e) =>
+      console.warn("⚠️ PAYMENT_AUTH_CLEAR_FAILED", e?.message || e)
+    );
 
-      await insertTxnResilient(txnPayload).catch((e) =>
-        console.error("⚠️ TXN_INSERT_FAILED", e?.message || e)
-      );
+    await safeRollup(idkey);
 
-      await safeRollup(idkey);
+    return { received: true };
+  }
 
-      return res.status(200).json({ received: true });
+  // ------------------------------------------------------------
+  // 2b) PAYMENT FAILED / REQUIRES ACTION → TxnType "failed" row + decline code
+  // ------------------------------------------------------------
+  if (
+    event.type === "payment_intent.payment_failed" ||
+    event.type === "payment_intent.requires_action" ||
+    event.type === "charge.failed"
+  ) {
+    const obj = event.data.object;
+    const requiresAction = event.type === "payment_intent.requires_action";
+
+    // Customers on Checkout complete 3DS right there; only off-session charges get stuck
+    const source = String(obj?.metadata?.source || "").toLowerCase();
+    if (requiresAction && source !== "off_session" && source !== "off-session") {
+      console.log("PI_REQUIRES_ACTION_SKIPPED_SOURCE:", source || "(missing)");
+      return { received: true, skipped: "not_off_session" };
     }
 
-    // ------------------------------------------------------------
-    // 2) PAYMENT INTENT SUCCEEDED (ONLY for off-session charge tool)
-    // ------------------------------------------------------------
-    if (event.type === "payment_intent.succeeded") {
-      const pi = event.data.object;
-
-      const source = String(pi?.metadata?.source || "").toLowerCase();
-      if (source !== "off_session" && source !== "off-session") {
-        console.log("PI_SUCCEEDED_SKIPPED_SOURCE:", source || "(missing)");
-        return res.status(200).json({ received: true, skipped: "not_off_session" });
+    let pi = null;
+    let charge = null;
+    if (event.type === "charge.failed") {
+      charge = obj;
+      if (charge?.payment_intent) {
+        pi = await stripe.paymentIntents.retrieve(charge.payment_intent).catch(() => null);
       }
+    } else {
+      pi = obj;
+    }
 
-      const idkey = getIdKeyFromMetadata(pi?.metadata);
-      if (!idkey) return res.status(200).json({ received: true });
+    const idkey = getIdKeyFromMetadata(pi?.metadata) || getIdKeyFromMetadata(charge?.metadata);
+    if (!idkey) return { received: true };
+
+    const failure = describeFailure(pi, charge);
+    if (requiresAction && !failure.declineCode) failure.declineCode = "authentication_required";
+    console.log("PAYMENT_FAILURE_IDKEY:", String(idkey), event.type, failure.declineCode || "(no code)");
+
+    const md = pi?.metadata || charge?.metadata || {};
+    const purpose = md?.purpose || md?.Purpose || null;
+    const chargeType = md?.Charge_Type || String(purpose || "payment");
+
+    const amountDollars = dollarsFromCents(pi?.amount ?? charge?.amount ?? null);
+    const breakdown = parseBreakdown(md, amountDollars);
+    const currency = (pi?.currency || charge?.currency || "usd").toLowerCase();
+    const createdIso = new Date(
+      (charge?.created || pi?.created || Math.floor(Date.now() / 1000)) * 1000
+    ).toISOString();
+
+    const latestCharge = typeof pi?.latest_charge === "string" ? pi.latest_charge : pi?.latest_charge?.id;
+    const chargeId = charge?.id || pi?.last_payment_error?.charge || latestCharge || null;
+    const paymentMethodId =
+      charge?.payment_method ||
+      pi?.last_payment_error?.payment_method?.id ||
+      (typeof pi?.payment_method === "string" ? pi.payment_method : pi?.payment_method?.id) ||
+      null;
+    const card = charge?.payment_method_details?.card || pi?.last_payment_error?.payment_method?.card || null;
+
+    const paymentStatus = requiresAction ? PAYMENT_STATUS.REQUIRES_ACTION : PAYMENT_STATUS.PAYMENT_FAILED;
+
+    const reservationRow = await getReservationCached(idkey);
+    const confirmationNumber = getConfirmationNumberFromReservationRow(reservationRow);
+
+    // A failed supplemental charge doesn't un-pay the booking: PaymentStatus is only
+    // stamped while nothing has been collected, the failure fields always are
+    await transitionReservation(idkey, {
+      paymentStatus: isPaid(reservationRow?.PaymentStatus) ? undefined : paymentStatus,
+      by: `stripe-webhook:${event.type}:${event.id}`,
+      fields: {
+        PaymentFailedAt: createdIso,
+        PaymentFailureCode: failure.declineCode,
+        PaymentFailureMessage: failure.message || null,
+      },
+      ...(reservationRow ? { current: reservationRow } : {}),
+      onIllegal: "skip",
+    }).catch((e) => console.error("⚠️ RESERVATION_UPDATE_FAILED", e?.message || e));
+
+    const label = requiresAction ? "Requires action" : "Payment failed";
+
+    const txnPayload = {
+      IDKEY: String(idkey),
+      TxnType: "failed",
+
+      // Attempted amounts (rollups only count charge/refund rows)
+      Base_Amount: breakdown.base,
+      Auto_Gratuity: breakdown.grat,
+      Tax: breakdown.tax,
+      Fee: breakdown.fee,
+      Amount: breakdown.amount,
+
+      Currency: currency,
+      PaymentStatus: paymentStatus,
+      Status: requiresAction ? "requires_action" : charge?.status || "failed",
+
+      StripeCheckoutSessionId: null,
+      StripePaymentIntentId: pi?.id || charge?.payment_intent || null,
+      StripeChargeId: chargeId,
+      StripeCustomerId: pi?.customer || charge?.customer || null,
+      StripePaymentMethodId: paymentMethodId,
+
+      Charge_Type: String(chargeType).slice(0, 250),
+      Description: [label, pickDescription(md, chargeType), failure.message]
+        .filter(Boolean)
+        .join(" - ")
+        .slice(0, 500),
+
+      DeclineCode: failure.declineCode,
+      FailureMessage: failure.message || null,
+
+      Confirmation_Number: confirmationNumber,
+
+      ...cardFields(card),
+
+      RawEventId: String(event.id),
+      Transaction_date: createdIso,
+      CreatedAt: new Date().toISOString(),
+    };
+
+    await insertTxn(txnPayload);
+
+    // Off-session charge blocked by 3-D Secure: ask the customer to authenticate (once per PI)
+    const piSource = String(pi?.metadata?.source || "").toLowerCase();
+    if (pi?.id && (piSource === "off_session" || piSource === "off-session") && isAuthenticationRequired(pi)) {
+      await requestPaymentAuthentication({ idkey, paymentIntent: pi, reservation: reservationRow }).catch((e) =>
+        console.warn("⚠️ PAYMENT_AUTH_REQUEST_FAILED", e?.message || e)
+      );
+    }
 
-      console.log("PI_SUCCEEDED_OFFSESSION_IDKEY:", String(idkey));
+    return { received: true };
+  }
 
-      const piFull = await stripe.paymentIntents.retrieve(pi.id, {
-        expand: ["payment_method", "charges.data.payment_method_details"],
-      });
+  // ------------------------------------------------------------
+  // 3) REFUNDS (create/update) → insert negative txn rows
+  // ------------------------------------------------------------
+  if (event.type === "refund.created" || event.type === "refund.updated") {
+    const refund = event.data.object;
 
-      const charge = piFull?.charges?.data?.[0];
-      const card =
-        charge?.payment_method_details?.card ||
-        (typeof piFull?.payment_method !== "string" ? piFull?.payment_method?.card : null);
+    const chargeId = refund?.charge || null;
+    if (!chargeId) return { received: true };
 
-      const amountDollars = dollarsFromCents(piFull?.amount_received ?? piFull?.amount ?? null);
-      const currency = piFull?.currency?.toLowerCase() || "usd";
-      const createdIso = new Date((piFull?.created || Math.floor(Date.now() / 1000)) * 1000).toISOString();
+    const charge = await stripe.charges.retrieve(chargeId);
+    const paymentIntentId = charge?.payment_intent || null;
 
-      const stripeCustomerId = piFull?.customer || null;
-      const stripePaymentMethodId =
-        typeof piFull?.payment_method === "string"
-          ? piFull.payment_method
-          : piFull?.payment_method?.id || charge?.payment_method || null;
+    let pi = null;
+    if (paymentIntentId) {
+      pi = await stripe.paymentIntents.retrieve(paymentIntentId).catch(() => null);
+    }
 
-      const reservationRow = await getReservationCached(idkey);
-      const confirmationNumber = getConfirmationNumberFromReservationRow(reservationRow);
+    const idkey = getIdKeyFromMetadata(pi?.metadata) || getIdKeyFromMetadata(refund?.metadata);
+    if (!idkey) return { received: true };
 
-      const md = piFull?.metadata || {};
-      const breakdown = parseBreakdown(md, amountDollars);
+    console.log("REFUND_EVENT_IDKEY:", String(idkey), "REFUND_ID:", refund?.id);
 
-      const purpose = md?.purpose || md?.Purpose || null;
-      const paymentStatus = paymentStatusFromPurpose(purpose, "Paid");
+    const amountDollars = dollarsFromCents(refund?.amount ?? null);
+    const currency = refund?.currency?.toLowerCase() || "usd";
+    const createdIso = new Date((refund?.created || Math.floor(Date.now() / 1000)) * 1000).toISOString();
 
-      const chargeType = md?.Charge_Type || "supplemental_charge";
-      const description = pickDescription(md, chargeType);
+    const chargeType = pi?.metadata?.Charge_Type || refund?.metadata?.Charge_Type || "refund";
+    const description = `Refund - ${chargeType}`;
 
-      const txnPayload = {
-        IDKEY: String(idkey),
-        TxnType: "charge",
+    const reservationRow = await getReservationCached(idkey);
+    const confirmationNumber = getConfirmationNumberFromReservationRow(reservationRow);
 
-        Base_Amount: breakdown.base,
-        Auto_Gratuity: breakdown.grat,
-        Tax: breakdown.tax,
-        Fee: breakdown.fee,
-        Amount: breakdown.amount,
+    if (typeof amountDollars !== "number" || amountDollars <= 0) return { received: true };
 
-        Currency: currency,
-        PaymentStatus: paymentStatus,
-        Status: piFull?.status || "succeeded",
+    // As instructed by /api/refund (refund metadata), else pro rata over what this charge
+    // still has per component (earlier partial refunds count)
+    const { original, refunded } = await refundableForCharge(chargeId, {
+      fallback: parseBreakdown(pi?.metadata || {}, dollarsFromCents(charge?.amount ?? null)),
+      excludeRefundId: refund?.id || null,
+    });
+    const rb = refundAllocationFor({ original, refunded, amount: amountDollars, metadata: refund?.metadata });
 
-        StripeCheckoutSessionId: null,
-        StripePaymentIntentId: piFull?.id || null,
-        StripeChargeId: charge?.id || null,
-        StripeCustomerId: stripeCustomerId,
-        StripePaymentMethodId: stripePaymentMethodId,
+    const txnPayload = {
+      IDKEY: String(idkey),
+      TxnType: "refund",
 
-        Charge_Type: String(chargeType).slice(0, 250),
-        Description: description,
+      ...componentFields(rb, -1),
 
-        Confirmation_Number: confirmationNumber,
+      Currency: currency,
+      PaymentStatus: "Refunded",
+      Status: refund?.status || "succeeded",
 
-        // optional card fields (will be dropped if columns don't exist)
-        Card_brand: card?.brand || null,
-        Card_number_masked: card?.last4 ? `**** **** **** ${card.last4}` : null,
-        Card_expiration: card?.exp_month && card?.exp_year ? `${card.exp_month}/${card.exp_year}` : null,
+      StripeCheckoutSessionId: null,
+      StripePaymentIntentId: paymentIntentId || null,
+      StripeChargeId: chargeId,
+      StripeRefundId: refund?.id || null,
+      ParentStripeChargeId: chargeId,
+      StripeCustomerId: charge?.customer || null,
 
-        RawEventId: String(event.id),
-        Transaction_date: createdIso,
-        CreatedAt: new Date().toISOString(),
-      };
+      Charge_Type: chargeType,
+      Description: description,
 
-      await insertTxnResilient(txnPayload).catch((e) =>
-        console.error("⚠️ TXN_INSERT_FAILED", e?.message || e)
-      );
+      Confirmation_Number: confirmationNumber,
 
-      await safeRollup(idkey);
+      RawEventId: String(event.id),
+      Transaction_date: createdIso,
+      CreatedAt: new Date().toISOString(),
+    };
 
-      return res.status(200).json({ received: true });
-    }
+    await insertTxn(txnPayload);
 
-    // ------------------------------------------------------------
-    // 3) REFUNDS (create/update) → insert negative txn rows
-    // ------------------------------------------------------------
-    if (event.type === "refund.created" || event.type === "refund.updated") {
-      const refund = event.data.object;
+    await safeRollup(idkey);
 
-      const chargeId = refund?.charge || null;
-      if (!chargeId) return res.status(200).json({ received: true });
+    return { received: true };
+  }
 
-      const charge = await stripe.charges.retrieve(chargeId);
-      const paymentIntentId = charge?.payment_intent || null;
+  // ------------------------------------------------------------
+  // 4) DISPUTES → "dispute" / "dispute_reversal" txn rows + reservation flag
+  // ------------------------------------------------------------
+  if (
+    event.type === "charge.dispute.created" ||
+    event.type === "charge.dispute.updated" ||
+    event.type === "charge.dispute.closed"
+  ) {
+    const dispute = event.data.object;
 
-      let pi = null;
-      if (paymentIntentId) {
-        pi = await stripe.paymentIntents.retrieve(paymentIntentId).catch(() => null);
-      }
+    const chargeId = disputeChargeId(dispute);
+    if (!chargeId) return { received: true };
 
-      const idkey = getIdKeyFromMetadata(pi?.metadata) || getIdKeyFromMetadata(refund?.metadata);
-      if (!idkey) return res.status(200).json({ received: true });
+    const originalTxn = await findOriginalChargeTxn(chargeId).catch(() => null);
 
-      console.log("REFUND_EVENT_IDKEY:", String(idkey), "REFUND_ID:", refund?.id);
+    const charge = await stripe.charges.retrieve(chargeId).catch(() => null);
+    const paymentIntentId =
+      dispute?.payment_intent || charge?.payment_intent || originalTxn?.StripePaymentIntentId || null;
 
-      const amountDollars = dollarsFromCents(refund?.amount ?? null);
-      const currency = refund?.currency?.toLowerCase() || "usd";
-      const createdIso = new Date((refund?.created || Math.floor(Date.now() / 1000)) * 1000).toISOString();
+    let pi = null;
+    if (paymentIntentId) {
+      pi = await stripe.paymentIntents.retrieve(paymentIntentId).catch(() => null);
+    }
 
-      const chargeType = pi?.metadata?.Charge_Type || refund?.metadata?.Charge_Type || "refund";
-      const description = `Refund - ${chargeType}`;
+    const idkey = originalTxn?.IDKEY || getIdKeyFromMetadata(pi?.metadata);
+    if (!idkey) return { received: true };
 
-      const reservationRow = await getReservationCached(idkey);
-      const confirmationNumber = getConfirmationNumberFromReservationRow(reservationRow);
+    console.log("DISPUTE_EVENT_IDKEY:", String(idkey), "DISPUTE_ID:", dispute?.id, "STATUS:", dispute?.status);
 
-      const original = parseBreakdown(pi?.metadata || {}, null);
-      const refundTotal = n2(amountDollars);
-      const originalTotal = n2(original.amount);
-      const ratio = originalTotal > 0 ? Math.min(1, refundTotal / originalTotal) : 1;
+    const reservationRow = await getReservationCached(idkey);
 
-      const rb = {
-        base: n2(original.base * ratio),
-        grat: n2(original.grat * ratio),
-        tax: n2(original.tax * ratio),
-        fee: n2(original.fee * ratio),
-      };
+    // A late "created" must not reopen a dispute the reservation already shows as closed
+    const staleFlag =
+      reservationRow?.DisputeId === dispute?.id &&
+      isDisputeClosed(reservationRow?.DisputeStatus) &&
+      !isDisputeClosed(dispute?.status);
 
-      const txnPayload = {
-        IDKEY: String(idkey),
-        TxnType: "refund",
+    if (!staleFlag) {
+      await updateReservationResilient(buildWhereForIdKey(idkey), disputeFlagFields(dispute)).catch((e) =>
+        console.warn("⚠️ DISPUTE_FLAG_FAILED", e?.message || e)
+      );
+    }
+    const confirmationNumber = getConfirmationNumberFromReservationRow(reservationRow);
+
+    const amountDollars = n2(dollarsFromCents(dispute?.amount ?? null));
+    const db =
+      amountDollars > 0
+        ? allocateRefund({
+            original: originalTxn
+              ? { base: originalTxn.Base_Amount, grat: originalTxn.Auto_Gratuity, tax: originalTxn.Tax, fee: originalTxn.Fee }
+              : parseBreakdown(pi?.metadata || {}, amountDollars),
+            amount: amountDollars,
+          })
+        : null;
+
+    const chargeType = pi?.metadata?.Charge_Type || originalTxn?.Charge_Type || "dispute";
+    const reason = String(dispute?.reason || "general").replace(/_/g, " ");
+
+    // sign: -1 withdrawn, +1 reinstated. RawEventId is per dispute + direction (not the
+    // event id) so created/closed arriving out of order or twice still write each row once.
+    const disputeTxn = (txnType, sign, description) => ({
+      IDKEY: String(idkey),
+      TxnType: txnType,
+
+      ...componentFields(db, sign),
+
+      Currency: dispute?.currency?.toLowerCase() || "usd",
+      PaymentStatus: "Disputed",
+      Status: dispute?.status || "",
+
+      StripeCheckoutSessionId: null,
+      StripePaymentIntentId: paymentIntentId || null,
+      StripeChargeId: chargeId,
+      StripeDisputeId: dispute?.id || null,
+      ParentStripeChargeId: chargeId,
+      ParentTxnId: originalTxn?.TXN_ID ?? null,
+      StripeCustomerId: charge?.customer || null,
+
+      Charge_Type: chargeType,
+      Description: `${description} - ${reason}`.slice(0, 500),
+
+      Confirmation_Number: confirmationNumber,
+
+      RawEventId: `${dispute?.id}:${txnType}`,
+      Transaction_date: new Date((dispute?.created || Math.floor(Date.now() / 1000)) * 1000).toISOString(),
+      CreatedAt: new Date().toISOString(),
+    });
+
+    // Inquiries (warning_*) hold no funds; everything else withdrew the amount when opened
+    if (db && disputeWithdrawsFunds(dispute)) {
+      await insertTxn(disputeTxn(DISPUTE_TXN_TYPES.WITHDRAWN, -1, "Dispute"));
+
+      if (dispute?.status === "won") {
+        await insertTxn(disputeTxn(DISPUTE_TXN_TYPES.REINSTATED, 1, "Dispute won"));
+      }
+    }
 
-        Base_Amount: -Math.abs(rb.base),
-        Auto_Gratuity: -Math.abs(rb.grat),
-        Tax: -Math.abs(rb.tax),
-        Fee: -Math.abs(rb.fee),
-        Amount: typeof amountDollars === "number" ? -Math.abs(refundTotal) : null,
+    if (event.type !== "charge.dispute.created" && !staleFlag) {
+      await updateDisputeTxnStatus(dispute.id, dispute.status).catch((e) =>
+        console.warn("⚠️ DISPUTE_TXN_STATUS_FAILED", e?.message || e)
+      );
+    }
 
-        Currency: currency,
-        PaymentStatus: "Refunded",
-        Status: refund?.status || "succeeded",
+    await safeRollup(idkey);
 
-        StripeCheckoutSessionId: null,
-        StripePaymentIntentId: paymentIntentId || null,
-        StripeChargeId: chargeId,
-        StripeRefundId: refund?.id || null,
-        ParentStripeChargeId: chargeId,
-        StripeCustomerId: charge?.customer || null,
+    return { received: true };
+  }
 
-        Charge_Type: chargeType,
-        Description: description,
+  return { received: true };
+}
 
-        Confirmation_Number: confirmationNumber,
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).send("Method not allowed");
 
-        RawEventId: String(event.id),
-        Transaction_date: createdIso,
-        CreatedAt: new Date().toISOString(),
-      };
+  const sig = req.headers["stripe-signature"];
+  let event;
 
-      await insertTxnResilient(txnPayload).catch((e) =>
-        console.error("⚠️ TXN_INSERT_FAILED", e?.message || e)
-      );
+  try {
+    const rawBody = await buffer(req);
+    event = stripe.webhooks.constructEvent(rawBody, sig, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    console.error("❌ Stripe signature verification failed:", err?.message || err);
+    return res.status(400).send(`Webhook Error: ${err?.message || "bad signature"}`);
+  }
 
-      await safeRollup(idkey);
+  console.log("STRIPE_EVENT:", event?.type, "EVENT_ID:", event?.id);
 
-      return res.status(200).json({ received: true });
-    }
+  // Store first, then process; the stored row records the outcome (lib/stripe-event-store)
+  const stored = await storeStripeEvent(event).catch((e) => {
+    console.warn("⚠️ EVENT_STORE_UNAVAILABLE (processing anyway)", e?.message || e);
+    return null;
+  });
 
-    return res.status(200).json({ received: true });
-  } catch (err) {
-    // Still returning 200 to avoid Stripe retries, but now you'll see the true error in logs.
-    console.error("❌ WEBHOOK_FAILED", err?.message || err);
-    return res.status(200).json({ received: true });
+  if (stored && isSettled(stored)) {
+    console.log("STRIPE_EVENT_ALREADY_HANDLED:", event.id, stored.ProcessingStatus);
+    return res.status(200).json({ received: true, duplicate: true });
   }
+
+  const out = await runStoredEvent(event, processStripeEvent, { stored });
+
+  // Still returning 200 on failure to avoid Stripe retries; failed events are replayed
+  // from /api/stripe-events.
+  return res.status(200).json(out.ok ? out.result : { received: true });
 }
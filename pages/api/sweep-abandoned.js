@@ -0,0 +1,44 @@
+// pages/api/sweep-abandoned.js
+//
+// Cron: releases abandoned "In Process" reservations (see lib/abandoned-reservations).
+//
+// GET|POST /api/sweep-abandoned[?dry_run=1&limit=100]
+// Headers:
+//   Authorization: Bearer <CRON_SECRET>   (Vercel Cron sends this automatically)
+//
+// Returns { ok, scanned, released:[{idkey, reason, email}], skipped:[{idkey, reason}], errors }
+
+import Stripe from "stripe";
+import { sweepAbandonedReservations } from "../../lib/abandoned-reservations";
+import { requireCronSecret } from "../../lib/admin-auth";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+const MAX_LIMIT = 500;
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function isTruthy(v) {
+  return ["1", "true", "yes"].includes(oneLine(v).toLowerCase());
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).send("Method not allowed");
+
+  try {
+    if (!process.env.STRIPE_SECRET_KEY) return res.status(500).json({ ok: false, error: "Missing STRIPE_SECRET_KEY" });
+    if (!requireCronSecret(req, res)) return;
+
+    const q = req.query || {};
+    const n = Number(q.limit);
+    const limit = Number.isFinite(n) && n > 0 ? Math.min(Math.floor(n), MAX_LIMIT) : 100;
+
+    const out = await sweepAbandonedReservations({ stripe, limit, dryRun: isTruthy(q.dry_run) });
+    return res.status(200).json(out);
+  } catch (err) {
+    console.error("ABANDON_SWEEP_FAILED:", err?.message || err);
+    return res.status(500).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
@@ -0,0 +1,27 @@
+// pages/api/sweep-waitlist.js
+//
+// Cron: expires waitlist offers nobody paid in time and offers the seats to the next in
+// line (see lib/waitlist sweepWaitlistOffers).
+//
+// GET|POST /api/sweep-waitlist
+// Headers:
+//   Authorization: Bearer <CRON_SECRET>   (Vercel Cron sends this automatically)
+//
+// Returns { ok, sessions:[{session_id, expired, offered, booked}], errors }
+
+import { sweepWaitlistOffers } from "../../lib/waitlist";
+import { requireCronSecret } from "../../lib/admin-auth";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).send("Method not allowed");
+
+  try {
+    if (!requireCronSecret(req, res)) return;
+
+    const out = await sweepWaitlistOffers();
+    return res.status(200).json(out);
+  } catch (err) {
+    console.error("WAITLIST_SWEEP_FAILED:", err?.message || err);
+    return res.status(500).json({ ok: false, error: err?.message || "Server error" });
+  }
+}
@@ -3,8 +3,12 @@
 // Customer portal -> /api/txns?idkey=...
 // Returns transaction history for the given IDKEY.
 // Includes CORS so it can be called from reservebarsandrec.com (Weebly).
+//
+// ✅ Gift card rows (giftcard_redeem / giftcard_refund, lib/giftcards) are listed with the
+//    card code masked: the full code spends the balance.
 
 import { listTransactionsByIdKey } from "../../lib/caspio";
+import { maskGiftCardCode } from "../../lib/giftcards";
 
 function setCors(req, res) {
   const allowed = [
@@ -31,7 +35,9 @@ export default async function handler(req, res) {
     const idkey = req.query.idkey || req.query.IDKEY || req.query.IdKey;
     if (!idkey) return res.status(400).send("Missing idkey");
 
-    const txns = await listTransactionsByIdKey(String(idkey), 500);
+    const txns = (await listTransactionsByIdKey(String(idkey))).map((t) =>
+      t.Gift_Card_Code ? { ...t, Gift_Card_Code: maskGiftCardCode(t.Gift_Card_Code) } : t
+    );
 
     // newest first
     txns.sort((a, b) => {
@@ -0,0 +1,124 @@
+// pages/api/waitlist.js
+//
+// Waitlist for sold-out sessions (lib/waitlist).
+//
+// POST { session_id, party_size, c_quant?, units?, first_name, last_name, email, phone, notes? }
+//   Customer joins (only while the session is full).
+//   -> { ok, waitlist_id, status, position, existing }
+//
+// Staff (header x-admin-key: <ADMIN_API_KEY>, lib/admin-auth):
+//   GET  ?session_id=...                      -> { ok, session_id, available, entries:[...] }
+//   POST { action: "promote", session_id }    -> offers free seats now (also runs on cancellation)
+//   POST { action: "cancel", waitlist_id }    -> removes an entry (its open offer is withdrawn)
+
+import {
+  WaitlistError,
+  cancelWaitlistEntry,
+  joinWaitlist,
+  listWaitlist,
+  promoteWaitlist,
+} from "../../lib/waitlist";
+import { getSessionAvailability } from "../../lib/session-capacity";
+import { ADMIN_KEY_HEADER, requireAdminKey } from "../../lib/admin-auth";
+
+const ALLOWED_ORIGINS = new Set([
+  "https://reservebarsandrec.com",
+  "https://www.reservebarsandrec.com",
+]);
+
+function setCors(req, res) {
+  const origin = req.headers.origin || "";
+  const allowOrigin = ALLOWED_ORIGINS.has(origin)
+    ? origin
+    : "https://www.reservebarsandrec.com";
+
+  res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", `Content-Type, ${ADMIN_KEY_HEADER}`);
+}
+
+function oneLine(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function entryView(e) {
+  return {
+    waitlist_id: e.WAITLIST_ID,
+    status: e.Status,
+    party_size: Number(e.Party_Size) || null,
+    c_quant: Number(e.C_Quant) || 1,
+    name: [e.First_Name, e.Last_Name].filter(Boolean).join(" "),
+    email: e.Email || "",
+    phone: e.Phone_Number || "",
+    notes: e.Cust_Notes || "",
+    joined_at: e.CreatedAt || null,
+    offer_idkey: e.OfferIdKey || null,
+    offered_at: e.OfferedAt || null,
+    offer_expires_at: e.OfferExpiresAt || null,
+  };
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ ok: false, error: "Method not allowed" });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    if (req.method === "GET") {
+      if (!requireAdminKey(req, res)) return;
+
+      const sessionId = oneLine(req.query?.session_id || req.query?.Session_ID);
+      if (!sessionId) return res.status(400).json({ ok: false, error: "Missing session_id" });
+
+      const entries = await listWaitlist(sessionId);
+      const { available } = await getSessionAvailability(sessionId);
+      return res.status(200).json({
+        ok: true,
+        session_id: sessionId,
+        available: Number.isFinite(available) ? available : null,
+        entries: entries.map(entryView),
+      });
+    }
+
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const action = oneLine(body.action).toLowerCase();
+
+    if (action === "promote") {
+      if (!requireAdminKey(req, res)) return;
+      const sessionId = oneLine(body.session_id);
+      if (!sessionId) return res.status(400).json({ ok: false, error: "Missing session_id" });
+      return res.status(200).json({ ok: true, ...(await promoteWaitlist(sessionId)) });
+    }
+
+    if (action === "cancel") {
+      if (!requireAdminKey(req, res)) return;
+      const waitlistId = oneLine(body.waitlist_id);
+      if (!waitlistId) return res.status(400).json({ ok: false, error: "Missing waitlist_id" });
+      const entry = await cancelWaitlistEntry(waitlistId);
+      return res.status(200).json({ ok: true, entry: entryView(entry) });
+    }
+
+    if (action) return res.status(400).json({ ok: false, error: `Unknown action "${action}"` });
+
+    const { entry, position, existing } = await joinWaitlist(body);
+    return res.status(existing ? 200 : 201).json({
+      ok: true,
+      waitlist_id: entry.WAITLIST_ID,
+      status: entry.Status,
+      position,
+      existing,
+    });
+  } catch (e) {
+    if (e instanceof WaitlistError) {
+      return res.status(e.status).json({ ok: false, error: e.message, code: e.code });
+    }
+    console.error("waitlist error:", e);
+    return res.status(500).json({ ok: false, error: e?.message || "Server error" });
+  }
+}
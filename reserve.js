@@ -3,11 +3,22 @@
 // Creates a NEW reservation record in BAR2_Reservations_SIGMA
 // - Status = "In Process" (pre-payment)
 // - Type   = "Reservation"
-// Returns { ok, idkey, res_id }.
+// - HoldExpiresAt = unpaid capacity hold; 409 SOLD_OUT when the session is full
+// Returns { ok, idkey, res_id, hold_expires_at }.
 // Front-end then redirects to /api/paystart?idkey=...
 
-const CASPIO_BASE = "https://c0gfs257.caspio.com/rest/v2";
-const TABLE = "BAR2_Reservations_SIGMA";
+import { writeResilient } from "./lib/caspio";
+import { RESERVATION_STATUS } from "./lib/reservation-status";
+import {
+  SoldOutError,
+  assertCapacity,
+  holdTtlMs,
+  unitsOf,
+  verifyNewHold,
+  withSessionLock,
+} from "./lib/session-capacity";
+
+const TABLE = process.env.CASPIO_TABLE || "BAR2_Reservations_SIGMA";
 
 function setCors(res, origin) {
   const allowed = process.env.ALLOWED_ORIGIN || "https://reservebarsandrec.com";
@@ -41,72 +52,6 @@ function normalizePhone(v) {
   return plus + digits;
 }
 
-async function fetchJson(url, opts = {}) {
-  const r = await fetch(url, opts);
-  const text = await r.text();
-  let j = {};
-  try { j = text ? JSON.parse(text) : {}; } catch {}
-  if (!r.ok) {
-    const msg = j?.Message || j?.error_description || j?.error || text || `${r.status}`;
-    throw new Error(oneLine(msg).slice(0, 500));
-  }
-  return j;
-}
-
-async function getCaspioToken() {
-  // Uses Client Credentials flow
-  if (!process.env.CASPIO_CLIENT_ID) throw new Error("Missing CASPIO_CLIENT_ID");
-  if (!process.env.CASPIO_CLIENT_SECRET) throw new Error("Missing CASPIO_CLIENT_SECRET");
-
-  const tokenUrl = "https://c0gfs257.caspio.com/oauth/token";
-  const params = new URLSearchParams();
-  params.set("grant_type", "client_credentials");
-  params.set("client_id", process.env.CASPIO_CLIENT_ID);
-  params.set("client_secret", process.env.CASPIO_CLIENT_SECRET);
-
-  const j = await fetchJson(tokenUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    body: params.toString(),
-  });
-
-  if (!j.access_token) throw new Error("Token response missing access_token.");
-  return j.access_token;
-}
-
-async function caspioPost(path, token, body) {
-  return await fetchJson(`${CASPIO_BASE}${path}`, {
-    method: "POST",
-    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-}
-
-/**
- * If Caspio returns ColumnNotFound, drop those fields and retry once.
- * (Same spirit as your webhook resilient updater.)
- */
-async function caspioPostResilient(path, token, body) {
-  try {
-    return await caspioPost(path, token, body);
-  } catch (err) {
-    const msg = String(err?.message || "");
-    if (!/ColumnNotFound/i.test(msg) && !/do not exist/i.test(msg)) throw err;
-
-    const after = msg.split("do not exist:")[1] || "";
-    const missing = [];
-    for (const m of after.matchAll(/'([^']+)'/g)) missing.push(m[1]);
-    if (!missing.length) throw err;
-
-    const trimmed = { ...body };
-    for (const f of missing) delete trimmed[f];
-    if (Object.keys(trimmed).length === 0) throw err;
-
-    console.warn("⚠️ Caspio ColumnNotFound on INSERT. Retrying without fields:", missing);
-    return await caspioPost(path, token, trimmed);
-  }
-}
-
 export default async function handler(req, res) {
   setCors(res, req.headers.origin);
 
@@ -170,7 +115,7 @@ export default async function handler(req, res) {
     const payload = {
       IDKEY: idkey,
       Type: "Reservation",
-      Status: "In Process",
+      Status: RESERVATION_STATUS.IN_PROCESS,
 
       // session/package mapping
       Business_Unit,
@@ -195,10 +140,18 @@ export default async function handler(req, res) {
       // stripe helpers
       People_Text,
       BookingFeeAmount,
+
+      // unpaid hold (lib/session-capacity)
+      HoldExpiresAt: new Date(Date.now() + holdTtlMs()).toISOString(),
     };
 
-    const token = await getCaspioToken();
-    const created = await caspioPostResilient(`/tables/${TABLE}/records`, token, payload);
+    // ColumnNotFound -> drop fields -> retry (lib/caspio writeResilient)
+    const created = await withSessionLock(Session_ID, async () => {
+      await assertCapacity(Session_ID, unitsOf(payload));
+      const out = await writeResilient(TABLE, null, payload);
+      await verifyNewHold(idkey);
+      return out;
+    });
 
     const res_id =
       created?.Result?.RES_ID ??
@@ -206,8 +159,11 @@ export default async function handler(req, res) {
       created?.Result?.PK_ID ??
       null;
 
-    return res.status(200).json({ ok: true, idkey, res_id });
+    return res.status(200).json({ ok: true, idkey, res_id, hold_expires_at: payload.HoldExpiresAt });
   } catch (e) {
+    if (e instanceof SoldOutError) {
+      return res.status(e.status).json({ code: e.code, error: e.message, available: e.available });
+    }
     console.error(e);
     return res.status(500).json({ error: oneLine(e?.message || "Reserve failed") });
   }
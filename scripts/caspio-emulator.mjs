@@ -0,0 +1,31 @@
+// scripts/caspio-emulator.mjs
+//
+// Runs the local Caspio emulator over HTTP so `next dev` can use it instead of a live account:
+//
+//   npm run caspio:emulator -- --port 4010 --fixtures fixtures/caspio
+//   CASPIO_INTEGRATION_URL=http://127.0.0.1:4010 CASPIO_CLIENT_ID=local CASPIO_CLIENT_SECRET=local npm run dev
+//
+// State is in memory only; restart the process to reload the fixtures.
+
+import path from "path";
+import { createCaspioEmulator, loadCaspioFixtures } from "../lib/caspio-emulator.js";
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const port = Number(arg("port", process.env.CASPIO_EMULATOR_PORT || 4010));
+const host = arg("host", "127.0.0.1");
+const fixturesDir = path.resolve(arg("fixtures", path.join(process.cwd(), "fixtures", "caspio")));
+
+const emulator = createCaspioEmulator({
+  fixtures: loadCaspioFixtures(fixturesDir),
+  baseUrl: `http://${host}:${port}`,
+});
+
+await emulator.listen(port, host);
+
+console.log(`✅ Caspio emulator listening on ${emulator.baseUrl}`);
+console.log(`   fixtures: ${fixturesDir}`);
+console.log(`   export CASPIO_INTEGRATION_URL=${emulator.baseUrl}`);
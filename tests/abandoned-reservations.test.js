@@ -0,0 +1,252 @@
+// tests/abandoned-reservations.test.js
+//
+// Abandoned checkouts: checkout.session.expired + the /api/sweep-abandoned cron release
+// the reservation, free its seats, optionally email a resume link, and /api/paystart
+// picks the booking back up.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { stripeState, resetFakeStripe, completeCheckoutSession, expireCheckoutSession } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { RESERVE_BODY as LANE_BOOKING, bookingHelpers, deliver } from "./helpers/booking";
+
+import reserve from "../pages/api/reserve";
+import paystart from "../pages/api/paystart";
+import sweepAbandoned from "../pages/api/sweep-abandoned";
+import { releaseAbandonedReservation } from "../lib/abandoned-reservations";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+const MAIL_HOOK = "http://mail.test/hook";
+const CRON_AUTH = { authorization: "Bearer cron_test_secret" };
+
+// Two of these fill S-1003 (capacity 2); the resume link is mailed to this guest
+const RESERVE_BODY = {
+  ...LANE_BOOKING,
+  Session_ID: "S-1003",
+  Sessions_Title: "VIP Lanes",
+  Units: "4",
+  Unit_Price: "80",
+  First_Name: "Abby",
+  Last_Name: "Guest",
+  Email: "abby@example.com",
+};
+
+const { rowFor, startedReservation } = bookingHelpers(caspio);
+const ageSession = (id, minutes) => (stripeState.sessions.get(id).created -= minutes * 60);
+
+let mails;
+
+async function reserveAndStart() {
+  const idkey = await startedReservation({ body: RESERVE_BODY, breakdown: null });
+  const sessionId = rowFor(idkey).StripeCheckoutSessionId;
+  expect(sessionId).toBeTruthy();
+  return { idkey, sessionId };
+}
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+
+  process.env.CRON_SECRET = "cron_test_secret";
+  process.env.API_BASE_URL = "https://api.example.test";
+
+  mails = [];
+  const passthrough = globalThis.fetch;
+  jest.spyOn(globalThis, "fetch").mockImplementation(async (input, init) => {
+    if (String(input) !== MAIL_HOOK) return passthrough(input, init);
+    mails.push(JSON.parse(init.body));
+    return new Response("ok", { status: 200 });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  for (const k of ["CRON_SECRET", "API_BASE_URL", "ABANDONED_REMINDER_EMAIL", "CUSTOMER_EMAIL_WEBHOOK_URL"]) {
+    delete process.env[k];
+  }
+});
+
+describe("checkout.session.expired", () => {
+  test("abandons the reservation, clears the session and frees its seats", async () => {
+    const { idkey, sessionId } = await reserveAndStart();
+
+    const hook = await deliver(expireCheckoutSession(sessionId));
+    expect(hook.statusCode).toBe(200);
+
+    expect(rowFor(idkey)).toMatchObject({
+      Status: "Abandoned",
+      StripeCheckoutSessionId: null,
+      HoldExpiresAt: null,
+      StatusChangedBy: expect.stringMatching(/^stripe-webhook:checkout\.session\.expired:/),
+    });
+
+    // Both lanes are free again
+    const a = await callApi(reserve, { method: "POST", body: RESERVE_BODY });
+    const b = await callApi(reserve, { method: "POST", body: RESERVE_BODY });
+    expect([a.body.ok, b.body.ok]).toEqual([true, true]);
+  });
+
+  test("ignores an expired session that is no longer the reservation's current one", async () => {
+    const { idkey, sessionId } = await reserveAndStart();
+    rowFor(idkey).StripeCheckoutSessionId = "cs_test_newer";
+
+    const hook = await deliver(expireCheckoutSession(sessionId));
+
+    expect(hook.body).toEqual({ received: true, skipped: "not_current_session" });
+    expect(rowFor(idkey).Status).toBe("In Process");
+  });
+
+  test("emails a finish-your-booking link once when reminders are enabled", async () => {
+    process.env.ABANDONED_REMINDER_EMAIL = "1";
+    process.env.CUSTOMER_EMAIL_WEBHOOK_URL = MAIL_HOOK;
+
+    const { idkey, sessionId } = await reserveAndStart();
+    await deliver(expireCheckoutSession(sessionId));
+
+    expect(mails).toEqual([
+      expect.objectContaining({
+        template: "finish_booking",
+        to: "abby@example.com",
+        idkey,
+        resume_url: `https://api.example.test/api/paystart?idkey=${idkey}`,
+      }),
+    ]);
+    expect(rowFor(idkey).FinishBookingEmailSentAt).toEqual(expect.any(String));
+
+    // Resumed and abandoned again: no second email
+    await callApi(paystart, { query: { idkey } });
+    await deliver(expireCheckoutSession(rowFor(idkey).StripeCheckoutSessionId));
+    expect(rowFor(idkey).Status).toBe("Abandoned");
+    expect(mails).toHaveLength(1);
+  });
+
+  test("paystart resumes an abandoned reservation with a fresh checkout", async () => {
+    const { idkey, sessionId } = await reserveAndStart();
+    await deliver(expireCheckoutSession(sessionId));
+
+    const resumed = await callApi(paystart, { query: { idkey } });
+    expect(resumed.statusCode).toBe(200);
+
+    const row = rowFor(idkey);
+    expect(row).toMatchObject({ Status: "In Process", PaymentStatus: "PendingBookingFee", StatusChangedBy: "paystart" });
+    expect(row.StripeCheckoutSessionId).not.toBe(sessionId);
+    expect(Date.parse(row.HoldExpiresAt)).toBeGreaterThan(Date.now());
+
+    await deliver(completeCheckoutSession(row.StripeCheckoutSessionId));
+    expect(rowFor(idkey).Status).toBe("Booked");
+  });
+
+  test("paystart can't resume once the seats were taken", async () => {
+    const { idkey, sessionId } = await reserveAndStart();
+    await deliver(expireCheckoutSession(sessionId));
+
+    await callApi(reserve, { method: "POST", body: RESERVE_BODY });
+    await callApi(reserve, { method: "POST", body: RESERVE_BODY });
+
+    const resumed = await callApi(paystart, { query: { idkey } });
+    expect(resumed.statusCode).toBe(409);
+    expect(rowFor(idkey).Status).toBe("Abandoned");
+  });
+});
+
+describe("/api/sweep-abandoned", () => {
+  test("requires the cron secret", async () => {
+    const out = await callApi(sweepAbandoned, { headers: { authorization: "Bearer nope" } });
+    expect(out.statusCode).toBe(401);
+    expect((await callApi(sweepAbandoned, {})).statusCode).toBe(401);
+
+    delete process.env.CRON_SECRET;
+    const unset = await callApi(sweepAbandoned, { headers: CRON_AUTH });
+    expect(unset.statusCode).toBe(500);
+    expect(unset.body.error).toBe("Missing CRON_SECRET");
+  });
+
+  test("expires stale open checkouts and releases them; leaves recent and paid ones", async () => {
+    const stale = await reserveAndStart();
+    const recent = await reserveAndStart();
+
+    // Both holds lapsed; only `stale` has had its Checkout open past the cutoff
+    for (const { idkey } of [stale, recent]) rowFor(idkey).HoldExpiresAt = "2000-01-01T00:00:00";
+    ageSession(stale.sessionId, 120);
+
+    const out = await callApi(sweepAbandoned, { headers: CRON_AUTH });
+
+    expect(out.statusCode).toBe(200);
+    expect(out.body).toMatchObject({
+      ok: true,
+      released: [{ idkey: stale.idkey, reason: "checkout_stale" }],
+      skipped: [{ idkey: recent.idkey, reason: "recent" }],
+    });
+    expect(stripeState.sessions.get(stale.sessionId).status).toBe("expired");
+    expect(rowFor(stale.idkey)).toMatchObject({ Status: "Abandoned", StatusChangedBy: "sweep-abandoned" });
+    expect(rowFor(recent.idkey).Status).toBe("In Process");
+  });
+
+  test("skips a checkout that was paid but not yet booked by the webhook", async () => {
+    const { idkey, sessionId } = await reserveAndStart();
+    rowFor(idkey).HoldExpiresAt = "2000-01-01T00:00:00";
+    completeCheckoutSession(sessionId); // webhook not delivered yet
+
+    const out = await callApi(sweepAbandoned, { headers: CRON_AUTH });
+
+    expect(out.body.skipped).toEqual([{ idkey, reason: "checkout_complete" }]);
+    expect(rowFor(idkey).Status).toBe("In Process");
+  });
+
+  test("releases old reservations that never reached checkout; dry_run changes nothing", async () => {
+    const reserved = await callApi(reserve, { method: "POST", body: RESERVE_BODY });
+    const { idkey } = reserved.body;
+    rowFor(idkey).HoldExpiresAt = "2000-01-01T00:00:00";
+
+    const dry = await callApi(sweepAbandoned, { headers: CRON_AUTH, query: { dry_run: "1" } });
+    expect(dry.body.released).toEqual([{ idkey, reason: "no_checkout", dryRun: true }]);
+    expect(rowFor(idkey).Status).toBe("In Process");
+
+    const out = await callApi(sweepAbandoned, { headers: CRON_AUTH });
+    expect(out.body.released).toEqual([expect.objectContaining({ idkey, reason: "no_checkout" })]);
+    expect(rowFor(idkey).Status).toBe("Abandoned");
+  });
+
+  test("pages past rows it has to skip; undatable rows and waitlist offers are not candidates", async () => {
+    // Oldest first: two lapsed holds whose checkout is still recent fill the first page
+    const recent = [await reserveAndStart(), await reserveAndStart()];
+    for (const { idkey } of recent) rowFor(idkey).HoldExpiresAt = "2000-01-01T00:00:00";
+
+    const legacy = (await callApi(reserve, { method: "POST", body: RESERVE_BODY })).body.idkey;
+    Object.assign(rowFor(legacy), { HoldExpiresAt: null, StatusChangedAt: null, UpdatedAt: null });
+
+    const offer = (await callApi(reserve, { method: "POST", body: RESERVE_BODY })).body.idkey;
+    Object.assign(rowFor(offer), { HoldExpiresAt: "2000-01-01T00:00:00", WaitlistId: "WL0000000001" });
+
+    const old = (await callApi(reserve, { method: "POST", body: RESERVE_BODY })).body.idkey;
+    rowFor(old).HoldExpiresAt = "2000-01-01T00:00:00";
+
+    const out = await callApi(sweepAbandoned, { headers: CRON_AUTH, query: { limit: "2" } });
+
+    expect(out.body).toMatchObject({
+      scanned: 3,
+      released: [expect.objectContaining({ idkey: old, reason: "no_checkout" })],
+      skipped: recent.map(({ idkey }) => ({ idkey, reason: "recent" })),
+    });
+    expect([rowFor(legacy).Status, rowFor(offer).Status]).toEqual(["In Process", "In Process"]);
+  });
+
+  test("a waitlist offer released by an expired checkout gets no finish-your-booking email", async () => {
+    process.env.ABANDONED_REMINDER_EMAIL = "1";
+    process.env.CUSTOMER_EMAIL_WEBHOOK_URL = MAIL_HOOK;
+    const { idkey } = await reserveAndStart();
+    rowFor(idkey).WaitlistId = "WL0000000001";
+
+    const out = await releaseAbandonedReservation(rowFor(idkey), { by: "test" });
+
+    expect(out).toMatchObject({ released: true, email: { sent: false, skipped: "waitlist_offer" } });
+    expect(mails).toEqual([]);
+  });
+});
@@ -0,0 +1,137 @@
+// tests/addons.test.js
+//
+// Add-ons: /api/reserve prices them from the catalog view and stores Type='addon' rows
+// under the reservation's RES_ID; /api/paystart charges them as their own line items and
+// folds them into the ledger breakdown.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { stripeState, resetFakeStripe, completeCheckoutSession } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { RESERVE_BODY as LANE_BOOKING, bookingHelpers, deliver } from "./helpers/booking";
+
+import reserve from "../pages/api/reserve";
+import paystart from "../pages/api/paystart";
+import addons from "../pages/api/addons";
+import { getSessionAvailability } from "../lib/session-capacity";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+const RESERVE_BODY = { ...LANE_BOOKING, Units: "4", People_Text: "4 people" };
+
+const ADDONS = [
+  { addon_id: "ADD-SHOES", qty: 3, price: 5 },
+  { addon_id: "ADD-PIZZA", qty: 1, price: 22.5 },
+  { addon_id: "ADD-SHOES", qty: 1 },
+];
+
+const rowsFor = (resId) => caspio.rows("BAR2_Reservations_SIGMA").filter((r) => r.RES_ID === resId);
+const { rowFor } = bookingHelpers(caspio);
+const checkoutCreates = () => stripeState.calls.filter((c) => c.method === "checkout.sessions.create");
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("add-ons", () => {
+  test("the catalog lists a business unit's active add-ons", async () => {
+    const out = await callApi(addons, { query: { bu: "BRC" } });
+
+    expect(out.statusCode).toBe(200);
+    expect(out.body.rows).toEqual([
+      { addon_id: "ADD-PIZZA", name: "Large Pizza", description: "One topping", price: 22.5, max_qty: 6 },
+      { addon_id: "ADD-SHOES", name: "Shoe Rental", description: "Per pair", price: 5, max_qty: 20 },
+    ]);
+  });
+
+  test("reserve stores priced addon rows under the reservation's RES_ID", async () => {
+    const before = await getSessionAvailability("S-1001");
+    const out = await callApi(reserve, { method: "POST", body: { ...RESERVE_BODY, Addons: ADDONS } });
+
+    expect(out.statusCode).toBe(200);
+    expect(out.body).toMatchObject({ ok: true, addons_subtotal: 42.5 });
+    expect(out.body.addons).toEqual([
+      { addon_id: "ADD-SHOES", name: "Shoe Rental", qty: 4, unit_price: 5, total: 20 },
+      { addon_id: "ADD-PIZZA", name: "Large Pizza", qty: 1, unit_price: 22.5, total: 22.5 },
+    ]);
+
+    const rows = rowsFor(out.body.res_id);
+    expect(rows.map((r) => r.Type)).toEqual(["Reservation", "addon", "addon"]);
+    expect(rows[1]).toMatchObject({
+      Addon_ID: "ADD-SHOES",
+      Item: "Shoe Rental",
+      Units: "4",
+      Unit_Price: "5",
+      Total: 20,
+      Session_ID: "S-1001",
+    });
+    expect(rows[0].IDKEY).toBe(out.body.idkey);
+
+    // Only the reservation itself (C_Quant 1) takes capacity
+    expect((await getSessionAvailability("S-1001")).available).toBe(before.available - 1);
+  });
+
+  test("unknown, inactive, over-limit or stale-priced add-ons are refused before anything is written", async () => {
+    const attempt = (list) => callApi(reserve, { method: "POST", body: { ...RESERVE_BODY, Addons: list } });
+    const count = caspio.rows("BAR2_Reservations_SIGMA").length;
+
+    expect((await attempt([{ addon_id: "ADD-NOPE", qty: 1 }])).body).toMatchObject({ code: "UNKNOWN_ADDON" });
+    expect((await attempt([{ addon_id: "ADD-PITCHER", qty: 1 }])).body).toMatchObject({ code: "UNKNOWN_ADDON" });
+    expect((await attempt([{ addon_id: "ADD-TARGET", qty: 1 }])).body).toMatchObject({ code: "UNKNOWN_ADDON" });
+    expect((await attempt([{ addon_id: "ADD-PIZZA", qty: 7 }])).body).toMatchObject({ code: "ADDON_QTY" });
+    expect((await attempt([{ addon_id: "ADD-SHOES", qty: 0 }])).statusCode).toBe(400);
+
+    const stale = await attempt([{ addon_id: "ADD-PIZZA", qty: 1, price: 19.99 }]);
+    expect(stale).toMatchObject({ statusCode: 409, body: { ok: false, code: "ADDON_PRICE_MISMATCH" } });
+
+    expect(caspio.rows("BAR2_Reservations_SIGMA")).toHaveLength(count);
+  });
+
+  test("paystart charges add-ons as line items and books them as base + tax", async () => {
+    const reserved = await callApi(reserve, { method: "POST", body: { ...RESERVE_BODY, Addons: ADDONS } });
+    const { idkey } = reserved.body;
+
+    const started = await callApi(paystart, { query: { idkey } });
+    expect(started.statusCode).toBe(200);
+
+    const [{ args }] = checkoutCreates();
+    const lineItems = args.params.line_items;
+    expect(lineItems.map((li) => [li.price_data.product_data.name, li.quantity, li.price_data.unit_amount]))
+      .toEqual([
+        ["Booking Fee", 1, 1000],
+        ["Shoe Rental", 4, 500],
+        ["Large Pizza", 1, 2250],
+        ["Tax (add-ons)", 1, 234],
+      ]);
+
+    const sessionId = rowFor(idkey).StripeCheckoutSessionId;
+    const session = stripeState.sessions.get(sessionId);
+    expect(session.amount_total).toBe(5484);
+    expect(session.metadata).toMatchObject({
+      base_amount: "42.5",
+      tax_amount: "2.34",
+      fee_amount: "10",
+      total_amount: "54.84",
+      addon_amount: "42.5",
+      addon_tax_amount: "2.34",
+      addons: "ADD-SHOESx4,ADD-PIZZAx1",
+    });
+
+    // Reopening the link reuses the open session
+    await callApi(paystart, { query: { idkey } });
+    expect(checkoutCreates()).toHaveLength(1);
+
+    await deliver(completeCheckoutSession(sessionId));
+    const txn = caspio.rows("SIGMA_BAR3_Transactions").find((t) => t.IDKEY === idkey && t.TxnType === "charge");
+    expect(txn).toMatchObject({ Amount: 54.84, Base_Amount: 42.5, Tax: 2.34, Fee: 10 });
+  });
+});
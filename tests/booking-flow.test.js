@@ -0,0 +1,233 @@
+// tests/booking-flow.test.js
+//
+// End-to-end booking: /api/reserve -> /api/paystart -> signed checkout.session.completed
+// -> /api/stripe-webhook -> /api/txns + /api/reservation-totals, against the Caspio
+// emulator and the fake Stripe account; every status change lands in the status history.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { stripeState, resetFakeStripe, completeCheckoutSession, signEvent } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { quoteFor } from "./helpers/quote";
+import { RESERVE_BODY as LANE_BOOKING, BREAKDOWN, bookingHelpers, deliver } from "./helpers/booking";
+
+import reserve from "../pages/api/reserve";
+import paystart from "../pages/api/paystart";
+import stripeWebhook from "../pages/api/stripe-webhook";
+import txns from "../pages/api/txns";
+import reservationTotals from "../pages/api/reservation-totals";
+import customerCancel from "../pages/api/customer-cancel";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+const RESERVE_BODY = { ...LANE_BOOKING, People_Text: "6 people" };
+
+const { rowFor, txnRows } = bookingHelpers(caspio);
+
+async function reserveAndStartPayment() {
+  const reserved = await callApi(reserve, { method: "POST", body: RESERVE_BODY });
+  expect(reserved.statusCode).toBe(200);
+  expect(reserved.body.ok).toBe(true);
+
+  const { idkey } = reserved.body;
+  const started = await callApi(paystart, { query: { idkey, quote_id: quoteFor(rowFor(idkey), BREAKDOWN) } });
+  expect(started.statusCode).toBe(200);
+
+  const sessionId = rowFor(idkey).StripeCheckoutSessionId;
+  return { idkey, resId: reserved.body.res_id, sessionId, html: started.body };
+}
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("booking flow", () => {
+  test("reserve inserts an In Process reservation and returns its IDKEY", async () => {
+    const out = await callApi(reserve, { method: "POST", body: RESERVE_BODY });
+
+    expect(out.body).toEqual({
+      ok: true,
+      idkey: expect.any(String),
+      res_id: expect.any(String),
+      hold_expires_at: expect.any(String),
+    });
+
+    const row = rowFor(out.body.idkey);
+    expect(row).toMatchObject({
+      RES_ID: out.body.res_id,
+      Type: "Reservation",
+      Status: "In Process",
+      Session_ID: "S-1001",
+      Tax_Rate: 0.055,
+    });
+    expect(row.Confirmation_Number).toEqual(expect.any(Number));
+  });
+
+  test("reserve rejects a missing required field without writing", async () => {
+    const before = caspio.rows("BAR2_Reservations_SIGMA").length;
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const out = await callApi(reserve, { method: "POST", body: { ...RESERVE_BODY, Email: "" } });
+
+    expect(out.statusCode).toBe(500);
+    expect(out.body).toEqual({ ok: false, error: "Missing required field: Email" });
+    expect(caspio.rows("BAR2_Reservations_SIGMA")).toHaveLength(before);
+  });
+
+  test("paystart creates a customer + checkout session and marks the booking fee pending", async () => {
+    const { idkey, resId, sessionId, html } = await reserveAndStartPayment();
+
+    const session = stripeState.sessions.get(sessionId);
+    expect(session.amount_total).toBe(7330);
+    expect(session.metadata).toMatchObject({
+      IDKEY: idkey,
+      RES_ID: resId,
+      purpose: "booking_fee",
+      base_amount: "60",
+      tax_amount: "3.3",
+      fee_amount: "10",
+      total_amount: "73.3",
+    });
+    expect(html).toContain(session.url);
+
+    expect(rowFor(idkey)).toMatchObject({
+      Status: "In Process",
+      PaymentStatus: "PendingBookingFee",
+      StripeCheckoutSessionId: sessionId,
+      StripeCustomerId: session.customer,
+    });
+  });
+
+  test("paystart replays the same checkout session for the same booking", async () => {
+    const { idkey, sessionId } = await reserveAndStartPayment();
+
+    await callApi(paystart, { query: { idkey, quote_id: quoteFor(rowFor(idkey), BREAKDOWN) } });
+
+    expect(stripeState.sessions.size).toBe(1);
+    expect(rowFor(idkey).StripeCheckoutSessionId).toBe(sessionId);
+  });
+
+  test("checkout.session.completed books the reservation, records the charge and rolls up totals", async () => {
+    const { idkey, sessionId } = await reserveAndStartPayment();
+    const event = completeCheckoutSession(sessionId);
+
+    const hook = await deliver(event);
+    expect(hook.statusCode).toBe(200);
+    expect(hook.body).toEqual({ received: true });
+
+    const paymentIntentId = stripeState.sessions.get(sessionId).payment_intent;
+    expect(rowFor(idkey)).toMatchObject({
+      Status: "Booked",
+      PaymentStatus: "PaidBookingFee",
+      StatusChangedBy: `stripe-webhook:checkout.session.completed:${event.id}`,
+      StripePaymentIntentId: paymentIntentId,
+      Card_brand: "visa",
+      Card_number_masked: "**** **** **** 4242",
+      Card_expiration: "12/2034",
+      Mode: "test",
+    });
+
+    const listed = await callApi(txns, { query: { idkey } });
+    expect(listed.statusCode).toBe(200);
+    expect(listed.body.txns).toHaveLength(1);
+    expect(listed.body.txns[0]).toMatchObject({
+      TxnType: "charge",
+      Base_Amount: 60,
+      Auto_Gratuity: 0,
+      Tax: 3.3,
+      Fee: 10,
+      Amount: 73.3,
+      PaymentStatus: "PaidBookingFee",
+      StripePaymentIntentId: paymentIntentId,
+      RawEventId: event.id,
+      Confirmation_Number: rowFor(idkey).Confirmation_Number,
+    });
+
+    const totals = await callApi(reservationTotals, { query: { idkey } });
+    expect(totals.statusCode).toBe(200);
+    expect(totals.body.row).toMatchObject({
+      IDKEY: idkey,
+      BAR2_Sessions_Title: "Friday Night Bowling",
+      SIGMA_BAR3_TOTAL_RES_Total_Charged_Amount: 73.3,
+    });
+  });
+
+  test("replayed and duplicate webhook deliveries write the charge once", async () => {
+    const { idkey, sessionId } = await reserveAndStartPayment();
+    const event = completeCheckoutSession(sessionId);
+
+    // Same event delivered twice (Stripe retry)
+    await deliver(event);
+    await deliver(event);
+
+    // Distinct event id for the same payment (e.g. resent from the dashboard)
+    await deliver({ ...event, id: `${event.id}_resend` });
+
+    expect(txnRows(idkey)).toHaveLength(1);
+
+    const totals = caspio.rows("SIGMA_BAR3_TOTAL_RES").filter((r) => r.IDKEY === idkey);
+    expect(totals).toHaveLength(1);
+    expect(totals[0].Total_Charged_Amount).toBe(73.3);
+  });
+
+  test("a webhook with a bad signature is rejected and changes nothing", async () => {
+    const { idkey, sessionId } = await reserveAndStartPayment();
+    const event = completeCheckoutSession(sessionId);
+    const { rawBody, headers } = signEvent(event, "whsec_wrong_secret");
+
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const hook = await callApi(stripeWebhook, { method: "POST", rawBody, headers });
+
+    expect(hook.statusCode).toBe(400);
+    expect(rowFor(idkey).Status).toBe("In Process");
+    expect(txnRows(idkey)).toHaveLength(0);
+  });
+
+  test("a late checkout.session.completed does not resurrect a cancelled reservation", async () => {
+    const { idkey, sessionId } = await reserveAndStartPayment();
+
+    const cancelled = await callApi(customerCancel, { method: "POST", body: { idkey } });
+    expect(cancelled.body).toEqual({
+      ok: true,
+      cancelled: true,
+      refund: { policy: "none", within_refund_window: false, amount: 0, status: "none", refunds: [] },
+    });
+    expect(rowFor(idkey)).toMatchObject({ Status: "Cancelled", StatusChangedBy: "customer-cancel" });
+
+    const hook = await deliver(completeCheckoutSession(sessionId));
+    expect(hook.statusCode).toBe(200);
+
+    // Money taken is still recorded, but the reservation stays cancelled
+    expect(rowFor(idkey)).toMatchObject({ Status: "Cancelled", PaymentStatus: "PaidBookingFee" });
+    expect(txnRows(idkey)).toHaveLength(1);
+
+    // The webhook's change is the row's latest; the history keeps every one
+    expect(rowFor(idkey).StatusChangedBy).toMatch(/^stripe-webhook:/);
+    const history = caspio.rows("SIGMA_BAR3_Status_History").filter((h) => h.IDKEY === idkey);
+    expect(history.map((h) => [h.Field, h.From_Value, h.To_Value, h.ChangedBy.split(":")[0]])).toEqual([
+      ["PaymentStatus", null, "PendingBookingFee", "paystart"],
+      ["Status", "In Process", "Cancelled", "customer-cancel"],
+      ["PaymentStatus", "PendingBookingFee", "PaidBookingFee", "stripe-webhook"],
+    ]);
+    expect(history.every((h) => !Number.isNaN(Date.parse(h.ChangedAt)))).toBe(true);
+  });
+
+  test("paystart refuses to start a second booking-fee checkout once paid", async () => {
+    const { idkey, sessionId } = await reserveAndStartPayment();
+    await deliver(completeCheckoutSession(sessionId));
+
+    const again = await callApi(paystart, { query: { idkey, quote_id: quoteFor(rowFor(idkey), BREAKDOWN) } });
+
+    expect(again.statusCode).toBe(409);
+    expect(again.body).toMatch(/PaidBookingFee -> PendingBookingFee/);
+    expect(stripeState.sessions.size).toBe(1);
+  });
+});
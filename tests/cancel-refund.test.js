@@ -0,0 +1,195 @@
+// tests/cancel-refund.test.js
+//
+// Customer cancellation refunds what the primary config / business unit policy allows,
+// once, and the eligibility check quotes the same amount. A refund that went missing or
+// failed is issued when the customer cancels again.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import Stripe from "stripe";
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { resetFakeStripe, stripeState, buildEvent } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { bookingHelpers, deliver } from "./helpers/booking";
+import { issueCancelRefund, quoteCancelRefund, resolveRefundPolicy } from "../lib/cancel-refund";
+import { transitionReservation } from "../lib/reservation-status";
+
+import customerCancel from "../pages/api/customer-cancel";
+import cancelEligibility from "../pages/api/customer-cancel-eligibility";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+const stripe = new Stripe("sk_test_fake");
+
+const { rowFor, txnRows, paidReservation } = bookingHelpers(caspio);
+const lanesConfig = () => caspio.rows("BAR2_Primary_Config").find((r) => r.Primary_ID === "P-LANES");
+const brcUnit = () => caspio.rows("GEN_Business_Units").find((r) => r.Business_Unit === "BRC");
+const refundCalls = () => stripeState.calls.filter((c) => c.method === "refunds.create");
+
+const cancel = (idkey) => callApi(customerCancel, { method: "POST", body: { idkey } });
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  for (const k of ["CANCEL_REFUND_POLICY", "CANCEL_REFUND_PERCENT", "CANCEL_REFUND_WINDOW_HOURS"]) delete process.env[k];
+});
+
+describe("refund on customer cancellation", () => {
+  test("fee_retained: quoted by eligibility, refunded on cancel and written per component", async () => {
+    lanesConfig().Refund_Policy = "fee_retained";
+    const idkey = await paidReservation();
+
+    const elig = await callApi(cancelEligibility, { query: { idkey } });
+    expect(elig.body).toMatchObject({
+      eligible: true,
+      cancelWindowHours: 24,
+      refund: { policy: "fee_retained", amount: 63.3, within_refund_window: false, source: "primary_config" },
+    });
+
+    const out = await cancel(idkey);
+
+    expect(out.body).toEqual({
+      ok: true,
+      cancelled: true,
+      refund: {
+        policy: "fee_retained",
+        within_refund_window: false,
+        amount: 63.3,
+        status: "refunded",
+        refunds: [expect.objectContaining({ amount: 63.3, status: "succeeded" })],
+      },
+    });
+    expect(rowFor(idkey)).toMatchObject({
+      Status: "Cancelled",
+      CancelRefundPolicy: "fee_retained",
+      CancelRefundAmount: 63.3,
+      CancelRefundStatus: "refunded",
+    });
+
+    const refund = stripeState.refunds.get(out.body.refund.refunds[0].refund_id);
+    expect(refund.metadata).toMatchObject({ IDKEY: idkey, source: "customer-cancel", refund_fee_amount: "0.00" });
+
+    await deliver(buildEvent("refund.created", refund));
+    expect(txnRows(idkey, "refund").map((t) => [t.Base_Amount, t.Auto_Gratuity, t.Tax, t.Fee, t.Amount])).toEqual([
+      [-60, 0, -3.3, 0, -63.3],
+    ]);
+
+    // Cancelling again reports the same refund and refunds nothing more
+    const again = await cancel(idkey);
+    expect(again.body).toMatchObject({ cancelled: true, refund: { amount: 63.3, status: "refunded" } });
+    expect(refundCalls()).toHaveLength(1);
+  });
+
+  test("the business unit policy applies when the primary config has none", async () => {
+    Object.assign(brcUnit(), { Refund_Policy: "partial", Refund_Percent: 50 });
+    const idkey = await paidReservation();
+
+    const out = await cancel(idkey);
+
+    expect(out.body.refund).toMatchObject({ policy: "partial", amount: 36.65, status: "refunded" });
+    expect(refundCalls()[0].args.params).toMatchObject({ amount: 3665 });
+  });
+
+  test("nothing is refunded inside the refund window", async () => {
+    process.env.CANCEL_REFUND_POLICY = "full";
+    process.env.CANCEL_REFUND_WINDOW_HOURS = "1000000";
+    const idkey = await paidReservation();
+
+    const out = await cancel(idkey);
+
+    expect(out.body.refund).toMatchObject({ policy: "full", within_refund_window: true, amount: 0, status: "none" });
+    expect(rowFor(idkey).Status).toBe("Cancelled");
+    expect(refundCalls()).toHaveLength(0);
+  });
+
+  test("a Stripe failure leaves the cancellation in place and is reported", async () => {
+    process.env.CANCEL_REFUND_POLICY = "full";
+    const idkey = await paidReservation();
+    stripeState.charges.clear();
+
+    const out = await cancel(idkey);
+
+    expect(out.body).toMatchObject({ ok: true, cancelled: true, refund: { amount: 0, status: "failed" } });
+    expect(rowFor(idkey)).toMatchObject({ Status: "Cancelled", CancelRefundStatus: "failed" });
+  });
+
+  test("cancelling again issues a refund that went missing, once", async () => {
+    process.env.CANCEL_REFUND_POLICY = "full";
+    const idkey = await paidReservation();
+    const charges = new Map(stripeState.charges);
+    stripeState.charges.clear();
+
+    await cancel(idkey);
+    // As if the process died between the status change and the refund being stamped
+    Object.assign(rowFor(idkey), { CancelRefundPolicy: null, CancelRefundAmount: null, CancelRefundStatus: null });
+    for (const [id, ch] of charges) stripeState.charges.set(id, ch);
+
+    const retried = await cancel(idkey);
+    expect(retried.body).toMatchObject({
+      ok: true,
+      cancelled: true,
+      message: "Already cancelled.",
+      refund: { policy: "full", amount: 73.3, status: "refunded" },
+    });
+    expect(rowFor(idkey)).toMatchObject({ CancelRefundAmount: 73.3, CancelRefundStatus: "refunded" });
+
+    const again = await cancel(idkey);
+    expect(again.body.refund).toEqual({ amount: 73.3, status: "refunded" });
+    expect(stripeState.refunds.size).toBe(1);
+  });
+
+  test("a failed refund is retried under the same idempotency key; staff cancellations are left alone", async () => {
+    process.env.CANCEL_REFUND_POLICY = "full";
+    const idkey = await paidReservation();
+    // The refund request never reaches Stripe
+    jest.spyOn(stripeState.idempotency, "has").mockImplementationOnce(() => {
+      throw new Error("connect ETIMEDOUT");
+    });
+
+    const failed = await cancel(idkey);
+    expect(failed.body.refund).toMatchObject({ status: "failed" });
+
+    const retried = await cancel(idkey);
+    expect(retried.body.refund).toMatchObject({ amount: 73.3, status: "refunded" });
+    const keys = refundCalls().map((c) => c.args.opts.idempotencyKey);
+    expect(keys).toHaveLength(2);
+    expect(new Set(keys).size).toBe(1);
+
+    const other = await paidReservation();
+    await transitionReservation(other, { status: "Cancelled", by: "staff" });
+    const byStaff = await cancel(other);
+    expect(byStaff.body).toMatchObject({ cancelled: true, refund: null });
+    expect(stripeState.refunds.size).toBe(1);
+  });
+
+  test("issuing the same plan twice refunds once", async () => {
+    process.env.CANCEL_REFUND_POLICY = "full";
+    const idkey = await paidReservation();
+    const plan = await quoteCancelRefund(idkey, { billing: null, hoursUntilStart: 100 });
+
+    const first = await issueCancelRefund({ stripe, idkey, plan, reservation: rowFor(idkey) });
+    const second = await issueCancelRefund({ stripe, idkey, plan, reservation: rowFor(idkey) });
+
+    expect(first).toMatchObject({ status: "refunded", amount: 73.3 });
+    expect(second).toMatchObject({ status: "none", amount: 0, refunds: [] });
+    expect(stripeState.refunds.size).toBe(1);
+    expect([...stripeState.charges.values()][0].amount_refunded).toBe(7330);
+  });
+
+  test("resolveRefundPolicy: primary config, then business unit, then env", () => {
+    expect(resolveRefundPolicy({ BAR2_Primary_Config_Refund_Policy: "Full Refund", GEN_Business_Units_Refund_Policy: "none" }))
+      .toMatchObject({ policy: "full", source: "primary_config" });
+    expect(resolveRefundPolicy({ GEN_Business_Units_Refund_Policy: "retain fee", GEN_Business_Units_Refund_Window_Hours: 48 }))
+      .toEqual({ policy: "fee_retained", percent: null, refund_window_hours: 48, source: "business_unit" });
+    expect(resolveRefundPolicy({ BAR2_Primary_Config_Refund_Policy: "whatever" })).toMatchObject({ policy: "none" });
+    expect(resolveRefundPolicy(null)).toEqual({ policy: "none", percent: null, refund_window_hours: null, source: "default" });
+  });
+});
@@ -0,0 +1,327 @@
+// tests/caspio.test.js
+//
+// lib/caspio against a scripted fetch: the caspioQuery builder, paging, writeResilient dropping
+// the columns Caspio rejects, and caspioFetch retrying / refreshing its token.
+
+import {
+  CaspioError,
+  caspioFetch,
+  caspioQuery,
+  clearCaspioAccessToken,
+  listRecordsByWhere,
+  listViewRecordsByWhere,
+  writeResilient,
+} from "../lib/caspio";
+
+const RECORDS = "http://caspio.test/rest/v2/tables/T_Test/records";
+
+let calls;
+let replies;
+let tokens;
+
+const json = (status, body) =>
+  new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+
+const columnNotFound = (...fields) =>
+  json(400, {
+    Code: "ColumnNotFound",
+    Message: `Cannot perform operation because the following field(s) do not exist: ${fields
+      .map((f) => `'${f}'`)
+      .join(", ")}`,
+  });
+
+// Record requests answered in order from `replies`; the token endpoint always succeeds
+function reply(...responses) {
+  replies.push(...responses);
+}
+
+const sentBodies = () => calls.filter((c) => c.url.startsWith(RECORDS)).map((c) => JSON.parse(c.init.body));
+
+beforeEach(() => {
+  clearCaspioAccessToken();
+  calls = [];
+  replies = [];
+  tokens = 0;
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(globalThis, "fetch").mockImplementation(async (input, init = {}) => {
+    const url = String(input);
+    if (url === "http://caspio.test/oauth/token") {
+      return json(200, { access_token: `tok_${++tokens}`, expires_in: 3600 });
+    }
+    calls.push({ url, init });
+    const next = replies.shift();
+    if (!next) throw new Error(`unexpected request: ${init.method || "GET"} ${url}`);
+    return typeof next === "function" ? next() : next;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  process.env.CASPIO_MAX_RETRIES = "0"; // tests/setup-env.js
+  delete process.env.CASPIO_RETRY_BASE_MS;
+  delete process.env.CASPIO_RETRY_MAX_DELAY_MS;
+});
+
+describe("caspioQuery", () => {
+  test("quotes and escapes values by type", () => {
+    const where = caspioQuery()
+      .eq("Last_Name", "O'Brien")
+      .eq("Units", 6)
+      .eq("Active", true)
+      .ne("Promo", false)
+      .gte("Session_Date", new Date("2030-06-01T20:00:00.000Z"))
+      .eq("Note", "it's ''quoted''");
+
+    expect(where.toString()).toBe(
+      "Last_Name='O''Brien' AND Units=6 AND Active=1 AND Promo<>0 AND Session_Date>='2030-06-01T20:00:00' " +
+        "AND Note='it''s ''''quoted'''''"
+    );
+  });
+
+  test("rejects field names and values that can't be expressed safely", () => {
+    expect(() => caspioQuery().eq("IDKEY' OR '1'='1", "x")).toThrow("Invalid Caspio field name");
+    expect(() => caspioQuery().eq("Units", NaN)).toThrow("Invalid number");
+    expect(() => caspioQuery().lt("HoldExpiresAt", new Date("nope"))).toThrow("Invalid Date");
+  });
+
+  test("null comparisons, IN, BETWEEN and LIKE", () => {
+    expect(caspioQuery().eq("Status", null).ne("IDKEY", undefined).toString()).toBe(
+      "Status IS NULL AND IDKEY IS NOT NULL"
+    );
+    expect(caspioQuery().isNull("A").notNull("B").toString()).toBe("A IS NULL AND B IS NOT NULL");
+    expect(caspioQuery().in("Status", ["Booked", null, "In Process"]).toString()).toBe(
+      "Status IN ('Booked','In Process')"
+    );
+    expect(caspioQuery().in("Status", []).toString()).toBe("1=0");
+    expect(caspioQuery().between("Amount", 5, 10.5).like("Email", "%@example.com").toString()).toBe(
+      "Amount BETWEEN 5 AND 10.5 AND Email LIKE '%@example.com'"
+    );
+  });
+
+  test("or / and groups are parenthesized; empty and single groups collapse", () => {
+    const where = caspioQuery()
+      .eq("Type", "Reservation")
+      .or((q) => q.eq("Status", "Booked").gt("Units", 1), (q) => q.isNull("Status"), "PK_ID=7")
+      .and((q) => q, (q) => q.notNull("Email"));
+
+    expect(where.toString()).toBe(
+      "Type='Reservation' AND ((Status='Booked' AND Units>1) OR (Status IS NULL) OR (PK_ID=7)) AND Email IS NOT NULL"
+    );
+    expect(caspioQuery().or(() => caspioQuery(), "").toString()).toBe("");
+  });
+
+  test("isEmpty is true until a condition is added", () => {
+    const q = caspioQuery().select("IDKEY").orderBy("PK_ID").limit(5);
+    expect(q.isEmpty()).toBe(true);
+    expect(caspioQuery().or((g) => g).isEmpty()).toBe(true);
+    expect(q.notNull("IDKEY").isEmpty()).toBe(false);
+  });
+
+  test("select, chained orderBy and limit reach the request", async () => {
+    reply(json(200, { Result: [{ IDKEY: "K1" }, { IDKEY: "K2" }] }));
+
+    const where = caspioQuery()
+      .notNull("IDKEY")
+      .select("IDKEY", ["Status"])
+      .orderBy("Session_Date", "desc")
+      .orderBy("PK_ID")
+      .limit(2);
+    const rows = await listRecordsByWhere("T_Test", where);
+
+    expect(rows).toHaveLength(2);
+    const url = new URL(calls[0].url);
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      "q.where": "IDKEY IS NOT NULL",
+      "q.select": "IDKEY,Status",
+      "q.orderBy": "Session_Date DESC,PK_ID ASC",
+      "q.pageNumber": "1",
+      "q.pageSize": "5",
+    });
+  });
+});
+
+describe("paging", () => {
+  const params = (c) => Object.fromEntries(new URL(c.url).searchParams);
+  const keys = (from, n) => Array.from({ length: n }, (_, i) => ({ IDKEY: `K${from + i}` }));
+
+  test("table reads without an orderBy walk the pages in PK_ID order", async () => {
+    reply(json(200, { Result: keys(1, 5) }), json(200, { Result: keys(6, 2) }));
+
+    const rows = await listRecordsByWhere("T_Test", "IDKEY IS NOT NULL", { limit: Infinity, pageSize: 5 });
+
+    expect(rows.map((r) => r.IDKEY)).toEqual(["K1", "K2", "K3", "K4", "K5", "K6", "K7"]);
+    expect(calls.map(params)).toEqual([
+      { "q.where": "IDKEY IS NOT NULL", "q.orderBy": "PK_ID", "q.pageNumber": "1", "q.pageSize": "5" },
+      { "q.where": "IDKEY IS NOT NULL", "q.orderBy": "PK_ID", "q.pageNumber": "2", "q.pageSize": "5" },
+    ]);
+  });
+
+  test("a table without PK_ID is read unordered from then on", async () => {
+    reply(columnNotFound("PK_ID"), json(200, { Result: keys(1, 1) }), json(200, { Result: keys(2, 1) }));
+
+    expect(await listRecordsByWhere("T_No_Pk", "IDKEY IS NOT NULL")).toEqual([{ IDKEY: "K1" }]);
+    expect(await listRecordsByWhere("T_No_Pk", "IDKEY IS NOT NULL")).toEqual([{ IDKEY: "K2" }]);
+
+    expect(calls.map((c) => params(c)["q.orderBy"])).toEqual(["PK_ID", undefined, undefined]);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test("views and grouped reads get no default order", async () => {
+    reply(json(200, { Result: [] }), json(200, { Result: [] }));
+
+    await listViewRecordsByWhere("V_Test", "IDKEY IS NOT NULL");
+    await listRecordsByWhere("T_Test", "IDKEY IS NOT NULL", { select: "Status", groupBy: "Status" });
+
+    expect(calls.map((c) => params(c)["q.orderBy"])).toEqual([undefined, undefined]);
+  });
+});
+
+describe("writeResilient", () => {
+  test("drops the columns Caspio rejects and writes the rest", async () => {
+    reply(columnNotFound("Legacy_A", "Legacy_B"), columnNotFound("Legacy_C"), json(201, {}));
+
+    await writeResilient("T_Test", null, { Name: "x", Legacy_A: 1, Legacy_B: 2, Legacy_C: 3 });
+
+    expect(sentBodies()).toEqual([
+      { Name: "x", Legacy_A: 1, Legacy_B: 2, Legacy_C: 3 },
+      { Name: "x", Legacy_C: 3 },
+      { Name: "x" },
+    ]);
+    expect(calls.map((c) => c.init.method)).toEqual(["POST", "POST", "POST"]);
+  });
+
+  test("updates go to the where clause with PUT", async () => {
+    reply(columnNotFound("Gone"), json(200, { RecordsAffected: 1 }));
+
+    await writeResilient("T_Test", "IDKEY='K1'", { Status: "Booked", Gone: "y" });
+
+    expect(calls.map((c) => [c.init.method, c.url])).toEqual([
+      ["PUT", `${RECORDS}?q.where=${encodeURIComponent("IDKEY='K1'")}`],
+      ["PUT", `${RECORDS}?q.where=${encodeURIComponent("IDKEY='K1'")}`],
+    ]);
+    expect(sentBodies()[1]).toEqual({ Status: "Booked" });
+  });
+
+  test("gives up after maxRounds retries", async () => {
+    reply(columnNotFound("A"), columnNotFound("B"), columnNotFound("C"));
+
+    const err = await writeResilient("T_Test", null, { Name: "x", A: 1, B: 2, C: 3 }, { maxRounds: 2 }).catch(
+      (e) => e
+    );
+
+    expect(err).toBeInstanceOf(CaspioError);
+    expect(err).toMatchObject({ status: 400, code: "ColumnNotFound", missingFields: ["C"] });
+    expect(sentBodies()).toHaveLength(3);
+  });
+
+  test("rethrows ColumnNotFound for fields it didn't send, or when nothing would be left", async () => {
+    reply(columnNotFound("Other"));
+    await expect(writeResilient("T_Test", null, { Name: "x" })).rejects.toMatchObject({ missingFields: ["Other"] });
+
+    reply(columnNotFound("Name"));
+    await expect(writeResilient("T_Test", null, { Name: "x" })).rejects.toMatchObject({ missingFields: ["Name"] });
+
+    expect(sentBodies()).toEqual([{ Name: "x" }, { Name: "x" }]);
+  });
+
+  test("any other error is thrown unchanged, without a retry", async () => {
+    reply(json(400, { Code: "IncorrectQueryParameter", Message: "Bad where clause" }));
+    const bad = await writeResilient("T_Test", "IDKEY='K1'", { Status: "Booked" }).catch((e) => e);
+    expect(bad).toBeInstanceOf(CaspioError);
+    expect(bad).toMatchObject({ status: 400, code: "IncorrectQueryParameter", missingFields: [], method: "PUT" });
+    expect(bad.isColumnNotFound).toBe(false);
+
+    const boom = new TypeError("socket hang up");
+    reply(() => {
+      throw boom;
+    });
+    const net = await writeResilient("T_Test", null, { Name: "x" }).catch((e) => e);
+    expect(net).toMatchObject({ code: "NetworkError", status: 0, cause: boom });
+
+    expect(calls).toHaveLength(2);
+  });
+});
+
+describe("caspioFetch", () => {
+  const PATH = "/rest/v2/tables/T_Test/records";
+  const ok = () => json(200, { Result: [] });
+
+  beforeEach(() => {
+    process.env.CASPIO_MAX_RETRIES = "2";
+    process.env.CASPIO_RETRY_BASE_MS = "0";
+  });
+
+  test.each([408, 429, 500, 502, 503, 504])("retries a GET answered %p", async (status) => {
+    reply(json(status, {}), json(status, {}), ok());
+
+    await expect(caspioFetch(PATH)).resolves.toEqual({ Result: [] });
+    expect(calls).toHaveLength(3);
+  });
+
+  test("stops after CASPIO_MAX_RETRIES retries; a `retries` option overrides it", async () => {
+    reply(json(503, {}), json(503, {}), json(503, {}), ok());
+    await expect(caspioFetch(PATH)).rejects.toMatchObject({ status: 503, attempts: 3 });
+    expect(calls).toHaveLength(3);
+
+    replies = [];
+    reply(json(503, {}), ok());
+    await expect(caspioFetch(PATH, { retries: 0 })).rejects.toMatchObject({ status: 503, attempts: 1 });
+  });
+
+  test("network errors are retried like 5xx", async () => {
+    reply(() => {
+      throw new TypeError("fetch failed");
+    }, ok());
+
+    await expect(caspioFetch(PATH)).resolves.toEqual({ Result: [] });
+    expect(calls).toHaveLength(2);
+  });
+
+  test("other 4xx are not retried", async () => {
+    reply(json(404, { Code: "TableNotFound", Message: "no such table" }));
+
+    await expect(caspioFetch(PATH)).rejects.toMatchObject({ status: 404, code: "TableNotFound", attempts: 1 });
+    expect(calls).toHaveLength(1);
+  });
+
+  test("a POST is not retried (it could insert twice) unless asked; a PUT is", async () => {
+    reply(json(503, {}), ok());
+    await expect(caspioFetch(PATH, { method: "POST", body: "{}" })).rejects.toMatchObject({ status: 503 });
+    expect(calls).toHaveLength(1);
+
+    replies = [];
+    reply(json(503, {}), ok());
+    await caspioFetch(PATH, { method: "POST", body: "{}", retryNonIdempotent: true });
+    expect(calls).toHaveLength(3);
+
+    replies = [];
+    reply(json(503, {}), ok());
+    await caspioFetch(PATH, { method: "PUT", body: "{}" });
+    expect(calls.map((c) => c.init.method)).toEqual(["POST", "POST", "POST", "PUT", "PUT"]);
+  });
+
+  test("a Retry-After longer than the max delay fails instead of waiting", async () => {
+    process.env.CASPIO_RETRY_MAX_DELAY_MS = "1000";
+    reply(new Response("slow down", { status: 429, headers: { "retry-after": "30" } }), ok());
+
+    await expect(caspioFetch(PATH)).rejects.toMatchObject({ status: 429 });
+    expect(calls).toHaveLength(1);
+  });
+
+  test("a 401 refreshes the token and replays once, for any verb", async () => {
+    reply(json(401, { Code: "Unauthorized" }), json(201, {}));
+
+    await caspioFetch(PATH, { method: "POST", body: "{}" });
+
+    expect(tokens).toBe(2);
+    expect(calls.map((c) => c.init.headers.Authorization)).toEqual(["Bearer tok_1", "Bearer tok_2"]);
+  });
+
+  test("a second 401 is thrown rather than refreshed again", async () => {
+    reply(json(401, {}), json(401, {}), ok());
+
+    await expect(caspioFetch(PATH)).rejects.toMatchObject({ status: 401 });
+    expect(tokens).toBe(2);
+    expect(calls).toHaveLength(2);
+  });
+});
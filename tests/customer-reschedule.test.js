@@ -0,0 +1,200 @@
+// tests/customer-reschedule.test.js
+//
+// Customer reschedule: alternatives with room and a price difference, the move itself, the
+// difference charged or refunded on the saved card, and an audit row per change.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { resetFakeStripe, stripeState, buildEvent } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { RESERVE_BODY as LANE_BOOKING, BREAKDOWN, bookingHelpers, deliver } from "./helpers/booking";
+import { priceDifference } from "../lib/reschedule";
+
+import customerReschedule from "../pages/api/customer-reschedule";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+// One lane for an hour at the Standard price (SIGMA_VW_Pricing: Lanes / C_Quant 1 / Unit 1)
+const RESERVE_BODY = { ...LANE_BOOKING, Units: "1" };
+
+const { rowFor, txnRows, paidReservation } = bookingHelpers(caspio);
+const changeRows = (idkey) => caspio.rows("SIGMA_BAR3_Reservation_Changes").filter((r) => r.IDKEY === idkey);
+const parts = (t) => [t.Base_Amount, t.Auto_Gratuity, t.Tax, t.Fee, t.Amount];
+const lanesConfig = () => caspio.rows("BAR2_Primary_Config").find((r) => r.Primary_ID === "P-LANES");
+const bookedReservation = (breakdown = BREAKDOWN) => paidReservation({ body: RESERVE_BODY, breakdown });
+
+const options = (idkey) => callApi(customerReschedule, { query: { idkey } });
+const move = (idkey, session_id) => callApi(customerReschedule, { method: "POST", body: { idkey, session_id } });
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("customer reschedule", () => {
+  test("lists same-kind sessions with room, soonest first, priced from the pricing view", async () => {
+    const idkey = await bookedReservation();
+
+    const out = await options(idkey);
+
+    expect(out.statusCode).toBe(200);
+    expect(out.body.current).toEqual({
+      session_id: "S-1001",
+      date: "2030-06-01",
+      title: "Friday Night Bowling",
+      unit_price: 60,
+    });
+    expect(out.body.options.map((o) => [o.session_id, o.unit_price, o.difference.amount])).toEqual([
+      ["S-1003", 60, 0],
+      ["S-1002", 60, 0],
+      ["S-1004", 75, 15.83],
+    ]);
+    expect(out.body.options[2]).toMatchObject({
+      date: "2030-06-02",
+      title: "Sunday Bowling",
+      capacity: 8,
+      available: 8,
+      difference: { base: 15, grat: 0, tax: 0.83, amount: 15.83 },
+    });
+  });
+
+  test("a dearer session is charged to the saved card, a cheaper one refunded, each audited", async () => {
+    const idkey = await bookedReservation();
+
+    const up = await move(idkey, "S-1004");
+
+    expect(up.body).toMatchObject({
+      ok: true,
+      rescheduled: true,
+      from: { session_id: "S-1001", unit_price: 60 },
+      to: { session_id: "S-1004", date: "2030-06-02", unit_price: 75 },
+      settlement: { status: "charged", amount: 15.83 },
+    });
+    expect(rowFor(idkey)).toMatchObject({
+      Session_ID: "S-1004",
+      Session_Date: "2030-06-02",
+      Sessions_Title: "Sunday Bowling",
+      Unit_Price: "75",
+    });
+
+    const pi = stripeState.paymentIntents.get(up.body.settlement.payment_intent_id);
+    expect(pi).toMatchObject({
+      amount: 1583,
+      customer: rowFor(idkey).StripeCustomerId,
+      metadata: { purpose: "reschedule", base_amount: "15", tax_amount: "0.83" },
+    });
+    expect(txnRows(idkey, "charge").map(parts)).toEqual([
+      [60, 0, 3.3, 10, 73.3],
+      [15, 0, 0.83, 0, 15.83],
+    ]);
+
+    const down = await move(idkey, "S-1001");
+
+    expect(down.body.settlement).toMatchObject({ status: "refunded", amount: 15.83 });
+    expect(rowFor(idkey)).toMatchObject({ Session_ID: "S-1001", Unit_Price: "60" });
+
+    const refund = stripeState.refunds.get(down.body.settlement.refunds[0].refund_id);
+    expect(refund.metadata).toMatchObject({
+      source: "customer-reschedule",
+      refund_base_amount: "15.00",
+      refund_tax_amount: "0.83",
+    });
+    await deliver(buildEvent("refund.created", refund));
+    expect(txnRows(idkey, "refund").map(parts)).toEqual([[-15, 0, -0.83, 0, -15.83]]);
+
+    const audit = changeRows(idkey).map((c) => [c.From_Session_ID, c.To_Session_ID, c.Price_Difference, c.Settlement, c.Settled_Amount]);
+    expect(audit).toEqual([
+      ["S-1001", "S-1004", 15.83, "charged", 15.83],
+      ["S-1004", "S-1001", -15.83, "refunded", 15.83],
+    ]);
+    expect(changeRows(idkey)[1].StripeRefundIds).toBe(refund.id);
+  });
+
+  test("the current side is priced from the pricing view, not the Unit_Price the booking page sent", async () => {
+    const idkey = await paidReservation({ body: { ...RESERVE_BODY, Unit_Price: "600" } });
+
+    const listed = await options(idkey);
+    expect(listed.body.current.unit_price).toBe(60);
+    expect(listed.body.options.find((o) => o.session_id === "S-1003").difference.amount).toBe(0);
+
+    const out = await move(idkey, "S-1003");
+
+    expect(out.body.settlement).toEqual({ status: "none", amount: 0, payment_intent_id: null, refunds: [] });
+    expect(stripeState.calls.filter((c) => c.method === "refunds.create")).toHaveLength(0);
+  });
+
+  test("the promo discount comes off both sides of the difference", async () => {
+    const paid = { base_amount: "54", grat_amount: "0", tax_amount: "2.97", fee_amount: "10" };
+    const idkey = await paidReservation({ body: { ...RESERVE_BODY, Promo_Code: "SAVE10" }, breakdown: paid });
+
+    const up = await move(idkey, "S-1004");
+
+    expect(up.body.difference).toEqual({ base: 13.5, grat: 0, tax: 0.74, amount: 14.24 });
+    expect(rowFor(idkey)).toMatchObject({ Unit_Price: "75", Discount_Amount: 7.5 });
+
+    const down = await move(idkey, "S-1001");
+    expect(down.body.settlement).toMatchObject({ status: "refunded", amount: 14.24 });
+  });
+
+  test("a declined card leaves the reservation where it was", async () => {
+    const idkey = await bookedReservation();
+    rowFor(idkey).StripePaymentMethodId = "pm_card_chargeDeclinedInsufficientFunds";
+
+    const out = await move(idkey, "S-1004");
+
+    expect(out).toMatchObject({ statusCode: 402, body: { ok: false, code: "PAYMENT_FAILED" } });
+    expect(rowFor(idkey).Session_ID).toBe("S-1001");
+    expect(changeRows(idkey)).toHaveLength(0);
+  });
+
+  test("only the booking fee paid: the new price is recorded, nothing is charged", async () => {
+    const idkey = await bookedReservation(null);
+    const piCount = stripeState.paymentIntents.size;
+
+    const out = await move(idkey, "S-1004");
+
+    expect(out.body.settlement).toMatchObject({ status: "at_venue", amount: 0 });
+    expect(rowFor(idkey)).toMatchObject({ Session_ID: "S-1004", Unit_Price: "75" });
+    expect(stripeState.paymentIntents.size).toBe(piCount);
+    expect(changeRows(idkey)).toEqual([expect.objectContaining({ Settlement: "at_venue", Price_Difference: 15.83 })]);
+  });
+
+  test("full sessions, the same session and the cancel window are refused", async () => {
+    const idkey = await bookedReservation();
+    const other = await bookedReservation();
+    await move(other, "S-1003");
+    caspio.rows("BAR2_Reservations_SIGMA").find((r) => r.IDKEY === other).C_Quant = 2; // VIP lanes now full
+
+    expect((await options(idkey)).body.options.map((o) => o.session_id)).not.toContain("S-1003");
+    expect(await move(idkey, "S-1003")).toMatchObject({ statusCode: 409, body: { code: "SESSION_UNAVAILABLE" } });
+    expect(await move(idkey, "S-1001")).toMatchObject({ statusCode: 409, body: { code: "SAME_SESSION" } });
+
+    lanesConfig().Cancel_Hour_Window = 1000000;
+    expect(await options(idkey)).toMatchObject({ statusCode: 403, body: { code: "WITHIN_CANCEL_WINDOW" } });
+    expect(rowFor(idkey).Session_ID).toBe("S-1001");
+  });
+
+  test("priceDifference is the quote price at the new session minus at the old, both ways", () => {
+    const up = priceDifference({ units: 1, fromUnitPrice: 60, toUnitPrice: 75, autoGrat: 0.18, taxRate: 0.055 });
+    const down = priceDifference({ units: 1, fromUnitPrice: 75, toUnitPrice: 60, autoGrat: 18, taxRate: 0.055 });
+
+    expect(up).toEqual({ base: 15, grat: 2.7, tax: 0.98, amount: 18.68 });
+    expect(down).toEqual({ base: -15, grat: -2.7, tax: -0.98, amount: -18.68 });
+    // A flat gratuity is the same at either price
+    expect(priceDifference({ units: 2, fromUnitPrice: 60, toUnitPrice: 75, autoGrat: 150, taxRate: 0.05 })).toEqual({
+      base: 30,
+      grat: 0,
+      tax: 1.5,
+      amount: 31.5,
+    });
+    expect(priceDifference({ units: 2, fromUnitPrice: 60, toUnitPrice: 60 })).toEqual({ base: 0, grat: 0, tax: 0, amount: 0 });
+  });
+});
@@ -0,0 +1,194 @@
+// tests/disputes.test.js
+//
+// charge.dispute.* webhooks -> "dispute" / "dispute_reversal" ledger rows tied to the disputed
+// charge, the reservation flagged, totals rolled up; /api/dispute-evidence assembles and
+// submits evidence.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { stripeState, resetFakeStripe, openDispute, settleDispute } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { RESERVE_BODY as LANE_BOOKING, bookingHelpers, deliver } from "./helpers/booking";
+import { assembleDisputeEvidence } from "../lib/disputes";
+
+import disputeEvidence from "../pages/api/dispute-evidence";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+const DISPUTE_HEADERS = { "x-admin-key": "admin_test_key" };
+
+// The evidence is addressed to this guest
+const RESERVE_BODY = { ...LANE_BOOKING, First_Name: "Chad", Last_Name: "Back", Email: "chad@example.com" };
+
+const booking = bookingHelpers(caspio);
+const { rowFor, txnRows } = booking;
+const totalsFor = (idkey) => caspio.rows("SIGMA_BAR3_TOTAL_RES").find((r) => r.IDKEY === idkey);
+
+// Booked + paid 73.30 (60 base, 3.30 tax, 10 booking fee) through Checkout
+async function paidReservation() {
+  const idkey = await booking.paidReservation({ body: RESERVE_BODY });
+
+  const [charge] = txnRows(idkey, "charge");
+  expect(charge.Amount).toBe(73.3);
+  return { idkey, charge };
+}
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  process.env.ADMIN_API_KEY = "admin_test_key";
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.ADMIN_API_KEY;
+});
+
+describe("dispute webhooks", () => {
+  test("a new dispute withdraws the charge in the ledger and flags the reservation", async () => {
+    const { idkey, charge } = await paidReservation();
+    const created = openDispute(charge.StripeChargeId, { reason: "product_not_received" });
+
+    await deliver(created);
+    await deliver(created); // Stripe retry
+
+    expect(txnRows(idkey, "dispute")).toEqual([
+      expect.objectContaining({
+        Base_Amount: -60,
+        Tax: -3.3,
+        Fee: -10,
+        Amount: -73.3,
+        PaymentStatus: "Disputed",
+        Status: "needs_response",
+        StripeDisputeId: created.data.object.id,
+        StripeChargeId: charge.StripeChargeId,
+        ParentTxnId: charge.TXN_ID,
+        Description: "Dispute - product not received",
+      }),
+    ]);
+
+    expect(rowFor(idkey)).toMatchObject({
+      PaymentStatus: "PaidBookingFee",
+      DisputeId: created.data.object.id,
+      DisputeStatus: "needs_response",
+      DisputeReason: "product_not_received",
+      DisputeAmount: 73.3,
+    });
+
+    expect(totalsFor(idkey)).toMatchObject({ Total_Charged_Amount: 0, Total_Disputed_Amount: 73.3 });
+  });
+
+  test("a won dispute reinstates the funds; a lost one keeps them withdrawn", async () => {
+    const won = await paidReservation();
+    const wonEvent = openDispute(won.charge.StripeChargeId);
+    await deliver(wonEvent);
+    await deliver(settleDispute(wonEvent.data.object.id, "under_review"));
+    await deliver(settleDispute(wonEvent.data.object.id, "won"));
+
+    expect(txnRows(won.idkey, "dispute_reversal")).toEqual([
+      expect.objectContaining({ Amount: 73.3, Base_Amount: 60, ParentTxnId: won.charge.TXN_ID }),
+    ]);
+    expect(txnRows(won.idkey).filter((t) => t.StripeDisputeId).map((t) => t.Status)).toEqual(["won", "won"]);
+    expect(rowFor(won.idkey).DisputeStatus).toBe("won");
+    expect(totalsFor(won.idkey)).toMatchObject({ Total_Charged_Amount: 73.3, Total_Disputed_Amount: 0 });
+
+    const lost = await paidReservation();
+    const lostEvent = openDispute(lost.charge.StripeChargeId);
+    await deliver(lostEvent);
+    await deliver(settleDispute(lostEvent.data.object.id, "lost"));
+
+    expect(txnRows(lost.idkey, "dispute_reversal")).toHaveLength(0);
+    expect(txnRows(lost.idkey, "dispute")[0].Status).toBe("lost");
+    expect(totalsFor(lost.idkey)).toMatchObject({ Total_Charged_Amount: 0, Total_Disputed_Amount: 73.3 });
+  });
+
+  test("events arriving out of order still write each ledger row once", async () => {
+    const { idkey, charge } = await paidReservation();
+    const created = openDispute(charge.StripeChargeId, { amount: 1000 });
+    const closed = settleDispute(created.data.object.id, "won");
+
+    await deliver(closed);
+    await deliver(created);
+
+    expect(txnRows(idkey, "dispute")).toEqual([expect.objectContaining({ Amount: -10, Status: "won" })]);
+    expect(txnRows(idkey, "dispute_reversal")).toEqual([expect.objectContaining({ Amount: 10 })]);
+    expect(totalsFor(idkey).Total_Charged_Amount).toBe(73.3);
+    expect(rowFor(idkey).DisputeStatus).toBe("won");
+  });
+
+  test("an inquiry flags the reservation without moving money", async () => {
+    const { idkey, charge } = await paidReservation();
+
+    await deliver(openDispute(charge.StripeChargeId, { status: "warning_needs_response" }));
+
+    expect(txnRows(idkey, "dispute")).toHaveLength(0);
+    expect(rowFor(idkey).DisputeStatus).toBe("warning_needs_response");
+    expect(totalsFor(idkey).Total_Charged_Amount).toBe(73.3);
+  });
+});
+
+describe("/api/dispute-evidence", () => {
+  test("requires the admin key", async () => {
+    const out = await callApi(disputeEvidence, { query: { idkey: "X" } });
+    expect(out.statusCode).toBe(401);
+
+    const wrong = { "x-admin-key": "admin_test_key_but_longer" };
+    expect((await callApi(disputeEvidence, { headers: wrong, query: { idkey: "X" } })).statusCode).toBe(401);
+  });
+
+  test("previews evidence for the reservation's dispute and submits it to Stripe", async () => {
+    const { idkey, charge } = await paidReservation();
+    const created = openDispute(charge.StripeChargeId);
+    await deliver(created);
+
+    const preview = await callApi(disputeEvidence, { headers: DISPUTE_HEADERS, query: { idkey } });
+    expect(preview.statusCode).toBe(200);
+    expect(preview.body.dispute).toMatchObject({ id: created.data.object.id, status: "needs_response", amount: 73.3 });
+    expect(preview.body.evidence).toMatchObject({
+      customer_name: "Chad Back",
+      customer_email_address: "chad@example.com",
+      service_date: "2030-06-01",
+      cancellation_policy_disclosure: expect.stringContaining("at least 24 hours before the session start"),
+      access_activity_log: expect.stringContaining("Reservation status: Booked."),
+    });
+    expect(preview.body.evidence.product_description).toContain("Friday Night Bowling");
+    expect(preview.body.evidence.uncategorized_text).toContain(`TXN ${charge.TXN_ID}`);
+    expect(preview.body.evidence.uncategorized_text).not.toContain("dispute");
+    expect(stripeState.calls.some((c) => c.method === "disputes.update")).toBe(false);
+
+    const submitted = await callApi(disputeEvidence, {
+      method: "POST",
+      headers: DISPUTE_HEADERS,
+      body: {
+        dispute_id: created.data.object.id,
+        evidence: { uncategorized_text: "Customer bowled two games; lane log attached." },
+        submit: true,
+      },
+    });
+
+    expect(submitted.statusCode).toBe(200);
+    expect(submitted.body).toMatchObject({ ok: true, submitted: true, idkey, dispute: { status: "under_review" } });
+    expect(stripeState.disputes.get(created.data.object.id).evidence).toMatchObject({
+      customer_email_address: "chad@example.com",
+      uncategorized_text: "Customer bowled two games; lane log attached.",
+    });
+  });
+
+  test("attendance is asserted only once the booked session has started", () => {
+    const reservation = { Status: "Booked", Session_Date: "2030-06-01", Cancelation_Policy: "Agreed" };
+    const viewRow = { BAR2_Sessions_Date_Start_Time: "2030-06-01T19:00:00Z" };
+
+    const before = assembleDisputeEvidence({ reservation, viewRow, now: new Date("2030-05-30T00:00:00Z") });
+    const after = assembleDisputeEvidence({ reservation, viewRow, now: new Date("2030-06-02T00:00:00Z") });
+
+    expect(before.summary.session_attended).toBe(false);
+    expect(after.summary.session_attended).toBe(true);
+    expect(after.evidence.access_activity_log).toContain("The session took place");
+  });
+});
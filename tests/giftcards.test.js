@@ -0,0 +1,298 @@
+// tests/giftcards.test.js
+//
+// Gift cards: /api/giftcard-purchase sells a card through Checkout and the webhook activates
+// it; /api/paystart (Pay Now) and /api/charge-adjustment redeem it in full or in part next to
+// a card payment, with TxnType='giftcard_redeem' rows the rollup counts; an abandoned
+// reservation, a cancellation refund or a cheaper reschedule puts the balance back.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { stripeState, resetFakeStripe, completeCheckoutSession, expireCheckoutSession } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { AXE_BODY, bookingHelpers, deliver } from "./helpers/booking";
+
+import reserve from "../pages/api/reserve";
+import paystart from "../pages/api/paystart";
+import quoteApi from "../pages/api/quote";
+import chargeAdjustment from "../pages/api/charge-adjustment";
+import giftcardPurchase from "../pages/api/giftcard-purchase";
+import giftcardBalance from "../pages/api/giftcard-balance";
+import txnsApi from "../pages/api/txns";
+import customerCancel from "../pages/api/customer-cancel";
+import customerReschedule from "../pages/api/customer-reschedule";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+const CARD_25 = "GIFT-TEST-AAAA-0025";
+const CARD_BRC = "GIFT-TEST-BRC0-0100";
+const CARD_500 = "GIFT-TEST-BIG0-0500";
+const CARD_VOID = "GIFT-TEST-VOID-0050";
+
+const card = (code) => caspio.rows("SIGMA_BAR3_Gift_Cards").find((c) => c.Code === code);
+const { rowFor, txnRows } = bookingHelpers(caspio);
+const totalsFor = (idkey) => caspio.rows("SIGMA_BAR3_TOTAL_RES").find((r) => r.IDKEY === idkey);
+const checkoutCreates = () => stripeState.calls.filter((c) => c.method === "checkout.sessions.create");
+
+// Pay Now AXE reservation (49.80: 40 + 7.20 gratuity + 2.60 tax) and its quote
+async function quotedReservation(body = {}) {
+  const { idkey } = (await callApi(reserve, { method: "POST", body: { ...AXE_BODY, ...body } })).body;
+  const quoted = await callApi(quoteApi, { query: { idkey } });
+  return { idkey, quoteId: quoted.body.quote_id };
+}
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  process.env.ADMIN_CHARGE_KEY = "charge_test_key";
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete process.env.ADMIN_CHARGE_KEY;
+  delete process.env.CANCEL_REFUND_POLICY;
+  jest.restoreAllMocks();
+});
+
+describe("gift cards", () => {
+  test("a purchase goes through Checkout and the webhook activates the card", async () => {
+    const bought = await callApi(giftcardPurchase, {
+      method: "POST",
+      body: { amount: 75, business_unit: "BRC", purchaser_email: "buyer@example.com", recipient_name: "Robin" },
+    });
+
+    expect(bought.statusCode).toBe(200);
+    expect(bought.body).toMatchObject({ ok: true, url: expect.any(String), amount: 75 });
+
+    const pending = caspio.rows("SIGMA_BAR3_Gift_Cards").find((c) => c.Purchaser_Email === "buyer@example.com");
+    expect(pending).toMatchObject({ Status: "Pending", Balance: 0, Business_Unit: "BRC" });
+    expect(pending.Code).toMatch(/^[A-Z0-9]{4}(-[A-Z0-9]{4}){3}$/);
+    expect((await callApi(giftcardBalance, { query: { code: pending.Code } })).statusCode).toBe(404);
+
+    const session = stripeState.sessions.get(bought.body.session_id);
+    expect(session).toMatchObject({ amount_total: 7500, metadata: { purpose: "gift_card" } });
+    expect(pending.StripeCheckoutSessionId).toBe(session.id);
+
+    await deliver(completeCheckoutSession(session.id));
+    await deliver(completeCheckoutSession(session.id));
+
+    expect(card(pending.Code)).toMatchObject({ Status: "Active", Balance: 75, Initial_Amount: 75 });
+    const balance = await callApi(giftcardBalance, { query: { code: pending.Code.toLowerCase() } });
+    expect(balance.body).toEqual({
+      ok: true,
+      masked_code: `**** ${pending.Code.slice(-4)}`,
+      status: "Active",
+      balance: 75,
+      business_unit: "BRC",
+    });
+
+    const tooBig = await callApi(giftcardPurchase, {
+      method: "POST",
+      body: { amount: 5000, purchaser_email: "buyer@example.com" },
+    });
+    expect(tooBig).toMatchObject({ statusCode: 400, body: { code: "GIFT_CARD_AMOUNT" } });
+  });
+
+  test("a partial redemption is combined with a card payment and both count in the rollup", async () => {
+    const { idkey, quoteId } = await quotedReservation();
+
+    const started = await callApi(paystart, { query: { idkey, quote_id: quoteId, gift_card: "gift test aaaa 0025" } });
+    expect(started.statusCode).toBe(200);
+
+    expect(card(CARD_25).Balance).toBe(0);
+    const [redeem] = txnRows(idkey, "giftcard_redeem");
+    expect(redeem).toMatchObject({ Amount: 25, Base_Amount: 20.08, Auto_Gratuity: 3.61, Tax: 1.31, Fee: 0 });
+
+    const sessionId = rowFor(idkey).StripeCheckoutSessionId;
+    const session = stripeState.sessions.get(sessionId);
+    expect(session.amount_total).toBe(2480);
+    expect(session.metadata).toMatchObject({
+      base_amount: "19.92",
+      grat_amount: "3.59",
+      tax_amount: "1.29",
+      total_amount: "24.8",
+      gift_card_amount: "25",
+      gift_card: "**** 0025",
+    });
+    expect([...stripeState.coupons.values()][0]).toMatchObject({ amount_off: 2500, name: "Gift card" });
+
+    // Reopening the link doesn't redeem again and reuses the open session
+    const reopened = await callApi(paystart, { query: { idkey, quote_id: quoteId, gift_card: CARD_25 } });
+    expect(reopened.statusCode).toBe(200);
+    expect(reopened.body).toContain(session.url);
+    expect(txnRows(idkey, "giftcard_redeem")).toHaveLength(1);
+    expect(checkoutCreates()).toHaveLength(1);
+
+    await deliver(completeCheckoutSession(sessionId));
+
+    expect(txnRows(idkey, "charge")[0]).toMatchObject({ Amount: 24.8, Base_Amount: 19.92 });
+    expect(totalsFor(idkey)).toMatchObject({
+      Total_Charged_Base_Amount: 40,
+      Total_Charged_Amount: 49.8,
+      Total_GiftCard_Amount: 25,
+    });
+
+    const listed = await callApi(txnsApi, { query: { idkey } });
+    expect(listed.body.txns.find((t) => t.TxnType === "giftcard_redeem").Gift_Card_Code).toBe("**** 0025");
+  });
+
+  test("reopening the checkout without its quote after a redemption doesn't spend the card again", async () => {
+    const { idkey, quoteId } = await quotedReservation({ Addons: [{ addon_id: "ADD-TARGET", qty: 1 }] });
+    await callApi(paystart, { query: { idkey, quote_id: quoteId, gift_card: CARD_25 } });
+    expect(txnRows(idkey, "giftcard_redeem")).toHaveLength(1);
+
+    const reopened = await callApi(paystart, { query: { idkey } });
+
+    // Priced here to the same total, so the open Checkout Session is reused
+    expect(reopened.statusCode).toBe(200);
+    expect(reopened.body).toContain(stripeState.sessions.get(rowFor(idkey).StripeCheckoutSessionId).url);
+    expect(checkoutCreates()).toHaveLength(1);
+    expect(txnRows(idkey, "giftcard_redeem")).toHaveLength(1);
+    expect(card(CARD_25).Balance).toBe(0);
+    expect([...stripeState.idempotency.keys()].filter((k) => k.includes("undefined"))).toEqual([]);
+  });
+
+  test("a card that covers the total books the reservation without Stripe", async () => {
+    const { idkey, quoteId } = await quotedReservation();
+
+    const paid = await callApi(paystart, { query: { idkey, quote_id: quoteId, gift_card: CARD_500 } });
+
+    expect(paid.statusCode).toBe(200);
+    expect(paid.body).toContain("barresv5custmanage.html?idkey=");
+    expect(checkoutCreates()).toHaveLength(0);
+    expect(rowFor(idkey)).toMatchObject({ Status: "Booked", PaymentStatus: "PaidBookingFee" });
+    expect(card(CARD_500).Balance).toBe(450.2);
+    expect(totalsFor(idkey)).toMatchObject({ Total_Charged_Amount: 49.8, Total_GiftCard_Amount: 49.8 });
+  });
+
+  test("cards for another venue, void cards and hold-fee bookings are refused before anything is spent", async () => {
+    const { idkey, quoteId } = await quotedReservation();
+    const pay = (code, q = quoteId, k = idkey) =>
+      callApi(paystart, { query: { idkey: k, quote_id: q, gift_card: code } });
+
+    expect(await pay(CARD_BRC)).toMatchObject({ statusCode: 400, body: "This gift card can only be used at BRC" });
+    expect((await pay(CARD_VOID)).statusCode).toBe(400);
+    expect((await pay("NOPE-NOPE-NOPE-NOPE")).statusCode).toBe(404);
+
+    const hold = await quotedReservation({ Charge_Type: "24 Hour Hold Fee", BookingFeeAmount: 15 });
+    expect((await pay(CARD_500, hold.quoteId, hold.idkey)).statusCode).toBe(400);
+
+    expect(card(CARD_BRC).Balance).toBe(100);
+    expect(card(CARD_500).Balance).toBe(500);
+    expect(caspio.rows("SIGMA_BAR3_Transactions").filter((t) => t.TxnType === "giftcard_redeem")).toHaveLength(0);
+  });
+
+  test("an abandoned checkout puts the redeemed amount back on the card", async () => {
+    const { idkey, quoteId } = await quotedReservation();
+    await callApi(paystart, { query: { idkey, quote_id: quoteId, gift_card: CARD_25 } });
+    expect(card(CARD_25).Balance).toBe(0);
+
+    await deliver(expireCheckoutSession(rowFor(idkey).StripeCheckoutSessionId));
+
+    expect(rowFor(idkey).Status).toBe("Abandoned");
+    expect(card(CARD_25).Balance).toBe(25);
+    expect(txnRows(idkey, "giftcard_refund")[0]).toMatchObject({
+      Amount: -25,
+      Base_Amount: -20.08,
+      ParentTxnId: txnRows(idkey, "giftcard_redeem")[0].TXN_ID,
+    });
+
+    // Resuming the booking spends the card again
+    const resumed = await callApi(paystart, { query: { idkey, quote_id: quoteId, gift_card: CARD_25 } });
+    expect(resumed.statusCode).toBe(200);
+    expect(txnRows(idkey, "giftcard_redeem")).toHaveLength(2);
+    expect(card(CARD_25).Balance).toBe(0);
+  });
+
+  test("supplemental charges take the gift card first and charge the rest off-session", async () => {
+    const { idkey, quoteId } = await quotedReservation();
+    await callApi(paystart, { query: { idkey, quote_id: quoteId } });
+    await deliver(completeCheckoutSession(rowFor(idkey).StripeCheckoutSessionId));
+
+    const body = { idkey, type: "Supplemental Fee", why: "extra bay", base_amount: 40, tax_pct: 5.5, grat_pct: 0 };
+    const headers = { "x-charge-key": "charge_test_key" };
+    const charged = await callApi(chargeAdjustment, { method: "POST", headers, body: { ...body, gift_card: CARD_25 } });
+
+    expect(charged.body).toMatchObject({ ok: true, mode: "off_session", amount: 17.2, gift_card: { amount: 25 } });
+    expect(txnRows(idkey, "giftcard_redeem")[0]).toMatchObject({ Amount: 25, Base_Amount: 23.7, Tax: 1.3 });
+    expect(txnRows(idkey, "charge").map((t) => t.Amount).sort()).toEqual([17.2, 49.8]);
+    expect(totalsFor(idkey)).toMatchObject({ Total_Charged_Amount: 92, Total_GiftCard_Amount: 25 });
+
+    // Retrying the same request doesn't spend the card twice
+    await callApi(chargeAdjustment, { method: "POST", headers, body: { ...body, gift_card: CARD_25 } });
+    expect(txnRows(idkey, "giftcard_redeem")).toHaveLength(1);
+    expect(card(CARD_25).Balance).toBe(0);
+  });
+
+  test("a cheaper reschedule puts the gift card's share of the difference back on the card", async () => {
+    // Sunday Bowling at 75 + 4.13 tax, paid in full by the card
+    const { idkey, quoteId } = await quotedReservation({
+      Business_Unit: "BRC",
+      Session_ID: "S-1004",
+      Session_Date: "2030-06-02",
+      Item: "Bowling Lane",
+      Price_Class: "Lane",
+      Sessions_Title: "Sunday Bowling",
+      Unit_Price: "75",
+    });
+    await callApi(paystart, { query: { idkey, quote_id: quoteId, gift_card: CARD_500 } });
+    expect(card(CARD_500).Balance).toBe(420.87);
+
+    const moved = await callApi(customerReschedule, { method: "POST", body: { idkey, session_id: "S-1001" } });
+
+    expect(moved.body.settlement).toMatchObject({
+      status: "refunded",
+      amount: 15.83,
+      refunds: [{ refund_id: null, gift_card: "**** 0500", amount: 15.83 }],
+    });
+    expect(stripeState.calls.filter((c) => c.method === "refunds.create")).toHaveLength(0);
+    expect(card(CARD_500).Balance).toBe(436.7);
+    expect(txnRows(idkey, "giftcard_refund")[0]).toMatchObject({
+      Amount: -15.83,
+      Base_Amount: -15,
+      Tax: -0.83,
+      ParentTxnId: txnRows(idkey, "giftcard_redeem")[0].TXN_ID,
+    });
+    expect(totalsFor(idkey)).toMatchObject({ Total_GiftCard_Amount: 63.3 });
+  });
+
+  test("cancelling a hold-fee booking puts a gift-card supplemental charge back on the card", async () => {
+    process.env.CANCEL_REFUND_POLICY = "full";
+    const { idkey } = (
+      await callApi(reserve, {
+        method: "POST",
+        body: { ...AXE_BODY, Charge_Type: "24 Hour Hold Fee", BookingFeeAmount: 15 },
+      })
+    ).body;
+    const quoted = await callApi(quoteApi, { query: { idkey } });
+    await callApi(paystart, { query: { idkey, quote_id: quoted.body.quote_id } });
+    await deliver(completeCheckoutSession(rowFor(idkey).StripeCheckoutSessionId));
+
+    const headers = { "x-charge-key": "charge_test_key" };
+    const body = { idkey, type: "Supplemental Fee", why: "extra bay", base_amount: 20, tax_pct: 5.5, grat_pct: 0 };
+    const extra = await callApi(chargeAdjustment, { method: "POST", headers, body: { ...body, gift_card: CARD_25 } });
+    expect(extra.body).toMatchObject({ mode: "gift_card", gift_card: { amount: 21.1 } });
+    expect(card(CARD_25).Balance).toBe(3.9);
+
+    const cancelled = await callApi(customerCancel, { method: "POST", body: { idkey } });
+
+    expect(cancelled.body.refund).toMatchObject({ policy: "full", status: "refunded" });
+    expect(cancelled.body.refund.refunds).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ refund_id: expect.any(String) }),
+        expect.objectContaining({ refund_id: null, gift_card: "**** 0025", amount: 21.1 }),
+      ])
+    );
+    expect(card(CARD_25).Balance).toBe(25);
+    expect(txnRows(idkey, "giftcard_refund")[0]).toMatchObject({ Amount: -21.1, Base_Amount: -20, Tax: -1.1 });
+    expect(totalsFor(idkey)).toMatchObject({ Total_GiftCard_Amount: 0 });
+
+    // Cancelling again puts nothing more back
+    await callApi(customerCancel, { method: "POST", body: { idkey } });
+    expect(txnRows(idkey, "giftcard_refund")).toHaveLength(1);
+  });
+});
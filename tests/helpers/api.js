@@ -0,0 +1,55 @@
+// tests/helpers/api.js
+//
+// Minimal Next.js API req/res doubles: call a route handler directly and capture the response.
+
+import { Readable } from "stream";
+
+/**
+ * @param {Function} handler  default export of a pages/api route
+ * @param {object} opts
+ *   method, query, headers
+ *   body     parsed body (routes with bodyParser)
+ *   rawBody  string/Buffer streamed as the request (routes with bodyParser: false)
+ */
+export async function callApi(handler, { method = "GET", query = {}, headers = {}, body, rawBody } = {}) {
+  const req = rawBody != null ? Readable.from([Buffer.from(rawBody)]) : {};
+  Object.assign(req, { method, query, headers, body });
+
+  const out = { statusCode: 200, headers: {}, body: undefined };
+
+  const res = {
+    status(code) {
+      out.statusCode = code;
+      return res;
+    },
+    setHeader(name, value) {
+      out.headers[String(name).toLowerCase()] = value;
+      return res;
+    },
+    getHeader(name) {
+      return out.headers[String(name).toLowerCase()];
+    },
+    json(payload) {
+      out.body = payload;
+      return res;
+    },
+    send(payload) {
+      // Routes that res.send(JSON.stringify(...)) with a JSON content-type
+      const isJson = /application\/json/i.test(String(out.headers["content-type"] || ""));
+      out.body = isJson && typeof payload === "string" ? JSON.parse(payload) : payload;
+      return res;
+    },
+    end(payload) {
+      if (payload !== undefined) out.body = payload;
+      return res;
+    },
+    redirect(statusOrUrl, maybeUrl) {
+      out.statusCode = maybeUrl ? statusOrUrl : 307;
+      out.headers.location = maybeUrl || statusOrUrl;
+      return res;
+    },
+  };
+
+  await handler(req, res);
+  return out;
+}
@@ -0,0 +1,85 @@
+// tests/helpers/booking.js
+//
+// The bookings most suites start from (six people on a BRC lane with a booking fee; one AXE
+// bay paid in full) and the steps around them: reservation / ledger rows in a suite's Caspio
+// emulator, signed webhook deliveries, and a reservation taken to (or paid through) Checkout.
+
+import { callApi } from "./api";
+import { completeCheckoutSession, signEvent } from "./fake-stripe";
+import { quoteFor } from "./quote";
+
+import reserve from "../../pages/api/reserve";
+import paystart from "../../pages/api/paystart";
+import stripeWebhook from "../../pages/api/stripe-webhook";
+
+export const RESERVE_BODY = {
+  Business_Unit: "BRC",
+  Session_Date: "2030-06-01",
+  Session_ID: "S-1001",
+  Item: "Bowling Lane",
+  Price_Class: "Lane",
+  Sessions_Title: "Friday Night Bowling",
+  C_Quant: "1",
+  Units: "6",
+  Unit_Price: "60",
+  Charge_Type: "Booking Fee",
+  First_Name: "Test",
+  Last_Name: "Guest",
+  Email: "guest@example.com",
+  Phone_Number: "555-0199",
+  BookingFeeAmount: 10,
+  Tax_Rate: 0.055,
+};
+
+// Pay Now: 49.80 (40 + 7.20 gratuity + 2.60 tax)
+export const AXE_BODY = {
+  Business_Unit: "AXE",
+  Session_Date: "2030-06-01",
+  Session_ID: "S-2001",
+  Item: "Axe Throwing Bays",
+  Price_Class: "Bay",
+  Sessions_Title: "Axe Throwing",
+  C_Quant: "1",
+  Units: "1",
+  Unit_Price: "40",
+  Charge_Type: "Pay Now",
+  First_Name: "Test",
+  Last_Name: "Guest",
+  Email: "guest@example.com",
+  Phone_Number: "555-0199",
+  BookingFeeAmount: 49.8,
+  Tax_Rate: 0.055,
+};
+
+// 73.30 charged, base prepaid
+export const BREAKDOWN = { base_amount: "60", grat_amount: "0", tax_amount: "3.30", fee_amount: "10" };
+
+export async function deliver(event) {
+  const { rawBody, headers } = signEvent(event);
+  return await callApi(stripeWebhook, { method: "POST", rawBody, headers });
+}
+
+// Bound to a suite's emulator (txnRows without a type returns all of the reservation's rows)
+export function bookingHelpers(caspio) {
+  const rowFor = (idkey) => caspio.rows("BAR2_Reservations_SIGMA").find((r) => r.IDKEY === idkey);
+  const txnRows = (idkey, type) =>
+    caspio.rows("SIGMA_BAR3_Transactions").filter((r) => r.IDKEY === idkey && (!type || r.TxnType === type));
+
+  // Reserves `body` and opens Checkout with a quote for `breakdown` (null: none) -> idkey
+  async function startedReservation({ body = RESERVE_BODY, breakdown = BREAKDOWN } = {}) {
+    const { idkey } = (await callApi(reserve, { method: "POST", body })).body;
+    const quoteId = breakdown ? quoteFor(rowFor(idkey), breakdown) : null;
+    await callApi(paystart, { query: { idkey, ...(quoteId ? { quote_id: quoteId } : {}) } });
+    return idkey;
+  }
+
+  // ...then pays the session and, unless `delivered` is false, delivers checkout.session.completed
+  async function paidReservation({ delivered = true, ...started } = {}) {
+    const idkey = await startedReservation(started);
+    const event = completeCheckoutSession(rowFor(idkey).StripeCheckoutSessionId);
+    if (delivered) await deliver(event);
+    return idkey;
+  }
+
+  return { rowFor, txnRows, startedReservation, paidReservation };
+}
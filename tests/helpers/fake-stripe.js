@@ -0,0 +1,594 @@
+// tests/helpers/fake-stripe.js
+//
+// stripe-mock style stand-in for the parts of the Stripe SDK our routes call.
+// Use from a test file with:
+//   jest.mock("stripe", () => require("./helpers/fake-stripe"));
+//
+// All instances share one in-memory account (`stripeState`), so the test can drive
+// out-of-band transitions (e.g. completeCheckoutSession) and inspect what routes did.
+// Webhook signing/verification uses the real SDK so signature checks stay honest.
+
+const RealStripe = jest.requireActual("stripe");
+
+export const stripeState = {
+  seq: 0,
+  customers: new Map(),
+  coupons: new Map(),
+  sessions: new Map(),
+  paymentIntents: new Map(),
+  charges: new Map(),
+  refunds: new Map(),
+  disputes: new Map(),
+  events: new Map(),
+  idempotency: new Map(),
+  calls: [],
+};
+
+export function resetFakeStripe() {
+  stripeState.seq = 0;
+  const keys = ["customers", "coupons", "sessions", "paymentIntents", "charges", "refunds", "disputes", "events"];
+  for (const key of [...keys, "idempotency"]) {
+    stripeState[key].clear();
+  }
+  stripeState.calls.length = 0;
+}
+
+const nowUnix = () => Math.floor(Date.now() / 1000);
+const clone = (v) => (v == null ? v : structuredClone(v));
+
+function nextId(prefix) {
+  stripeState.seq += 1;
+  return `${prefix}_test_${String(stripeState.seq).padStart(6, "0")}`;
+}
+
+function missing(kind, id) {
+  const err = new Error(`No such ${kind}: '${id}'`);
+  err.type = "StripeInvalidRequestError";
+  err.code = "resource_missing";
+  err.statusCode = 404;
+  return err;
+}
+
+function record(method, args) {
+  stripeState.calls.push({ method, args: clone(args) });
+}
+
+// Replays the stored response for a reused idempotency key, like the live API
+function idempotent(opts, create) {
+  const key = opts?.idempotencyKey;
+  if (key && stripeState.idempotency.has(key)) return clone(stripeState.idempotency.get(key));
+  const out = create();
+  if (key) stripeState.idempotency.set(key, clone(out));
+  return clone(out);
+}
+
+function cardError(message, { code, declineCode = code, paymentIntent = null } = {}) {
+  const err = new Error(message);
+  err.type = "StripeCardError";
+  err.statusCode = 402;
+  err.code = code;
+  err.decline_code = declineCode;
+  err.payment_intent = clone(paymentIntent);
+  err.raw = { type: "card_error", code, decline_code: declineCode, message, payment_intent: clone(paymentIntent) };
+  return err;
+}
+
+// Settles a PaymentIntent with a succeeded card charge
+function succeedPaymentIntent(pi, card = {}) {
+  const charge = {
+    id: nextId("ch"),
+    object: "charge",
+    amount: pi.amount,
+    amount_refunded: 0,
+    refunded: false,
+    currency: pi.currency,
+    customer: pi.customer,
+    payment_intent: pi.id,
+    payment_method: pi.payment_method,
+    payment_method_details: {
+      type: "card",
+      card: { brand: "visa", last4: "3184", exp_month: 12, exp_year: 2034, ...card },
+    },
+    status: "succeeded",
+    created: nowUnix(),
+  };
+  stripeState.charges.set(charge.id, charge);
+
+  Object.assign(pi, {
+    status: "succeeded",
+    amount_received: pi.amount,
+    last_payment_error: null,
+    next_action: null,
+    latest_charge: charge.id,
+    charges: { object: "list", data: [charge] },
+  });
+  return charge;
+}
+
+function expandPaymentIntent(pi, expand = []) {
+  const out = clone(pi);
+  if (expand.includes("latest_charge") && typeof out.latest_charge === "string") {
+    out.latest_charge = clone(stripeState.charges.get(out.latest_charge)) || out.latest_charge;
+  }
+  if (expand.includes("payment_method") && typeof out.payment_method === "string") {
+    const charge = out.charges?.data?.[0];
+    out.payment_method = { id: out.payment_method, card: clone(charge?.payment_method_details?.card) || null };
+  }
+  return out;
+}
+
+// created: { gt, gte, lt, lte } (unix seconds), like Stripe list filters
+function createdMatches(obj, created) {
+  if (!created) return true;
+  const t = obj.created;
+  return (
+    (created.gt == null || t > created.gt) &&
+    (created.gte == null || t >= created.gte) &&
+    (created.lt == null || t < created.lt) &&
+    (created.lte == null || t <= created.lte)
+  );
+}
+
+// Newest first, awaitable as one page and auto-pageable like the SDK's list promise
+function listOf(map, params = {}) {
+  const data = [...map.values()]
+    .filter((o) => createdMatches(o, params.created))
+    .reverse()
+    .map(clone);
+  const page = Promise.resolve({ object: "list", data, has_more: false });
+  page.autoPagingToArray = async ({ limit } = {}) => data.slice(0, limit ?? data.length);
+  return page;
+}
+
+export default class FakeStripe {
+  constructor(apiKey, config = {}) {
+    this.apiKey = apiKey;
+    this.config = config;
+    this.webhooks = RealStripe.webhooks;
+
+    this.customers = {
+      create: async (params = {}, opts = {}) => {
+        record("customers.create", params);
+        return idempotent(opts, () => {
+          const customer = { id: nextId("cus"), object: "customer", created: nowUnix(), ...params };
+          stripeState.customers.set(customer.id, customer);
+          return customer;
+        });
+      },
+      retrieve: async (id) => {
+        const c = stripeState.customers.get(id);
+        if (!c) throw missing("customer", id);
+        return clone(c);
+      },
+    };
+
+    this.coupons = {
+      create: async (params = {}, opts = {}) => {
+        record("coupons.create", { params, opts });
+        return idempotent(opts, () => {
+          const coupon = { id: nextId("coupon"), object: "coupon", created: nowUnix(), valid: true, ...params };
+          stripeState.coupons.set(coupon.id, coupon);
+          return coupon;
+        });
+      },
+    };
+
+    this.checkout = {
+      sessions: {
+        create: async (params = {}, opts = {}) => {
+          record("checkout.sessions.create", { params, opts });
+          return idempotent(opts, () => {
+            const id = nextId("cs");
+            const subtotal = (params.line_items || []).reduce(
+              (sum, li) => sum + Number(li?.price_data?.unit_amount || 0) * Number(li?.quantity || 1),
+              0
+            );
+            // discounts: [{ coupon }] -> amount_off (flat coupons only)
+            const amountDiscount = (params.discounts || []).reduce(
+              (sum, d) => sum + Number(stripeState.coupons.get(d?.coupon)?.amount_off || 0),
+              0
+            );
+            const amountTotal = Math.max(0, subtotal - amountDiscount);
+            const session = {
+              id,
+              object: "checkout.session",
+              url: `https://checkout.stripe.test/c/pay/${id}`,
+              mode: params.mode,
+              status: "open",
+              payment_status: "unpaid",
+              customer: params.customer || null,
+              client_reference_id: params.client_reference_id || null,
+              metadata: params.metadata || {},
+              amount_subtotal: subtotal,
+              amount_total: amountTotal,
+              total_details: { amount_discount: amountDiscount },
+              currency: params.line_items?.[0]?.price_data?.currency || "usd",
+              payment_intent: null,
+              livemode: false,
+              created: nowUnix(),
+              success_url: params.success_url,
+              cancel_url: params.cancel_url,
+              expires_at: params.expires_at || nowUnix() + 24 * 60 * 60,
+              payment_intent_data: params.payment_intent_data || {},
+            };
+            stripeState.sessions.set(id, session);
+            return session;
+          });
+        },
+        retrieve: async (id, params = {}) => {
+          const session = stripeState.sessions.get(id);
+          if (!session) throw missing("checkout.session", id);
+
+          const out = clone(session);
+          const expand = params.expand || [];
+          if (expand.includes("payment_intent") && out.payment_intent) {
+            out.payment_intent = expandPaymentIntent(stripeState.paymentIntents.get(out.payment_intent));
+          }
+          if (expand.includes("customer") && out.customer) {
+            out.customer = clone(stripeState.customers.get(out.customer)) || out.customer;
+          }
+          return out;
+        },
+        expire: async (id) => {
+          record("checkout.sessions.expire", { id });
+          const session = stripeState.sessions.get(id);
+          if (!session) throw missing("checkout.session", id);
+          if (session.status !== "open") {
+            const err = new Error(`Only Checkout Sessions with a status of open can be expired. This session has a status of ${session.status}.`);
+            err.type = "StripeInvalidRequestError";
+            err.statusCode = 400;
+            throw err;
+          }
+          session.status = "expired";
+          return clone(session);
+        },
+      },
+    };
+
+    this.paymentIntents = {
+      // Outcome follows Stripe's test PaymentMethods: pm_card_authenticationRequired (3DS),
+      // pm_card_chargeDeclinedInsufficientFunds (decline), anything else succeeds
+      create: async (params = {}, opts = {}) => {
+        record("paymentIntents.create", { params, opts });
+        const { expand = [], ...rest } = params;
+
+        const pi = {
+          id: nextId("pi"),
+          object: "payment_intent",
+          amount: rest.amount,
+          amount_received: 0,
+          currency: rest.currency || "usd",
+          customer: rest.customer || null,
+          payment_method: rest.payment_method || null,
+          description: rest.description || null,
+          metadata: rest.metadata || {},
+          status: "requires_confirmation",
+          last_payment_error: null,
+          next_action: null,
+          latest_charge: null,
+          charges: { object: "list", data: [] },
+          created: nowUnix(),
+        };
+        pi.client_secret = `${pi.id}_secret_test`;
+        stripeState.paymentIntents.set(pi.id, pi);
+
+        if (!rest.confirm) return expandPaymentIntent(pi, expand);
+
+        if (pi.payment_method === "pm_card_authenticationRequired") {
+          const message = "Your card was declined. This transaction requires authentication.";
+          pi.status = "requires_payment_method";
+          pi.last_payment_error = {
+            type: "card_error",
+            code: "authentication_required",
+            decline_code: "authentication_required",
+            message,
+            payment_method: { id: pi.payment_method, card: { brand: "visa", last4: "3184" } },
+          };
+          throw cardError(message, { code: "authentication_required", paymentIntent: pi });
+        }
+
+        if (pi.payment_method === "pm_card_chargeDeclinedInsufficientFunds") {
+          const message = "Your card has insufficient funds.";
+          pi.status = "requires_payment_method";
+          pi.last_payment_error = { type: "card_error", code: "card_declined", decline_code: "insufficient_funds", message };
+          throw cardError(message, { code: "card_declined", declineCode: "insufficient_funds", paymentIntent: pi });
+        }
+
+        succeedPaymentIntent(pi);
+        return expandPaymentIntent(pi, expand);
+      },
+      retrieve: async (id, params = {}) => {
+        const pi = stripeState.paymentIntents.get(id);
+        if (!pi) throw missing("payment_intent", id);
+        return expandPaymentIntent(pi, params.expand || []);
+      },
+    };
+
+    this.charges = {
+      retrieve: async (id) => {
+        const ch = stripeState.charges.get(id);
+        if (!ch) throw missing("charge", id);
+        return clone(ch);
+      },
+      list: (params = {}) => listOf(stripeState.charges, params),
+    };
+
+    this.refunds = {
+      create: async (params = {}, opts = {}) => {
+        record("refunds.create", { params, opts });
+        return idempotent(opts, () => {
+          const chargeId =
+            params.charge ||
+            stripeState.paymentIntents.get(params.payment_intent)?.charges?.data?.[0]?.id ||
+            null;
+          const charge = stripeState.charges.get(chargeId);
+          if (!charge) throw missing("charge", chargeId || params.payment_intent);
+
+          const amount = params.amount ?? charge.amount - charge.amount_refunded;
+          charge.amount_refunded += amount;
+          charge.refunded = charge.amount_refunded >= charge.amount;
+
+          const refund = {
+            id: nextId("re"),
+            object: "refund",
+            amount,
+            currency: charge.currency,
+            charge: charge.id,
+            payment_intent: charge.payment_intent,
+            status: "succeeded",
+            metadata: params.metadata || {},
+            created: nowUnix(),
+          };
+          stripeState.refunds.set(refund.id, refund);
+          return refund;
+        });
+      },
+      list: (params = {}) => listOf(stripeState.refunds, params),
+    };
+
+    this.events = {
+      retrieve: async (id) => {
+        const ev = stripeState.events.get(id);
+        if (!ev) throw missing("event", id);
+        return clone(ev);
+      },
+    };
+
+    this.disputes = {
+      retrieve: async (id) => {
+        const dp = stripeState.disputes.get(id);
+        if (!dp) throw missing("dispute", id);
+        return clone(dp);
+      },
+
+      update: async (id, params = {}) => {
+        record("disputes.update", { id, params });
+        const dp = stripeState.disputes.get(id);
+        if (!dp) throw missing("dispute", id);
+        if (params.evidence) dp.evidence = { ...dp.evidence, ...params.evidence };
+        if (params.metadata) dp.metadata = { ...dp.metadata, ...params.metadata };
+        if (params.submit) {
+          dp.status = "under_review";
+          dp.evidence_details = { ...dp.evidence_details, submission_count: (dp.evidence_details?.submission_count || 0) + 1 };
+        }
+        return clone(dp);
+      },
+    };
+  }
+}
+
+FakeStripe.webhooks = RealStripe.webhooks;
+
+/**
+ * Simulates the customer paying a Checkout Session with a card.
+ * Returns the `checkout.session.completed` event Stripe would send.
+ */
+export function completeCheckoutSession(sessionId, { card = {} } = {}) {
+  const session = stripeState.sessions.get(sessionId);
+  if (!session) throw missing("checkout.session", sessionId);
+
+  const created = nowUnix();
+  const piId = nextId("pi");
+  const pmId = nextId("pm");
+
+  const charge = {
+    id: nextId("ch"),
+    object: "charge",
+    amount: session.amount_total,
+    amount_refunded: 0,
+    refunded: false,
+    currency: session.currency,
+    customer: session.customer,
+    payment_intent: piId,
+    payment_method: pmId,
+    payment_method_details: {
+      type: "card",
+      card: { brand: "visa", last4: "4242", exp_month: 12, exp_year: 2034, ...card },
+    },
+    status: "succeeded",
+    created,
+  };
+
+  const paymentIntent = {
+    id: piId,
+    object: "payment_intent",
+    amount: session.amount_total,
+    amount_received: session.amount_total,
+    currency: session.currency,
+    customer: session.customer,
+    payment_method: pmId,
+    metadata: session.payment_intent_data?.metadata || {},
+    status: "succeeded",
+    charges: { object: "list", data: [charge] },
+    created,
+  };
+
+  stripeState.charges.set(charge.id, charge);
+  stripeState.paymentIntents.set(piId, paymentIntent);
+  Object.assign(session, { status: "complete", payment_status: "paid", payment_intent: piId });
+
+  return buildEvent("checkout.session.completed", session);
+}
+
+/**
+ * Simulates the customer completing 3-D Secure for a PaymentIntent (stripe.confirmCardPayment).
+ * Returns the `payment_intent.succeeded` event Stripe would send.
+ */
+export function authenticatePaymentIntent(paymentIntentId) {
+  const pi = stripeState.paymentIntents.get(paymentIntentId);
+  if (!pi) throw missing("payment_intent", paymentIntentId);
+
+  succeedPaymentIntent(pi);
+  return buildEvent("payment_intent.succeeded", pi);
+}
+
+/**
+ * Simulates a PaymentIntent that didn't go through (e.g. an off-session supplemental charge):
+ * a card decline (charge + last_payment_error), or with `requiresAction` a 3DS challenge.
+ * Returns { paymentIntent, charge } (charge is null for requires_action).
+ */
+export function failPaymentIntent({
+  amount,
+  currency = "usd",
+  customer = null,
+  metadata = {},
+  declineCode = "insufficient_funds",
+  requiresAction = false,
+} = {}) {
+  const created = nowUnix();
+  const piId = nextId("pi");
+  const pmId = nextId("pm");
+  const card = { brand: "visa", last4: "0341", exp_month: 12, exp_year: 2034 };
+
+  const paymentIntent = {
+    id: piId,
+    object: "payment_intent",
+    amount,
+    amount_received: 0,
+    currency,
+    customer,
+    payment_method: pmId,
+    metadata,
+    status: requiresAction ? "requires_action" : "requires_payment_method",
+    next_action: requiresAction ? { type: "use_stripe_sdk" } : null,
+    last_payment_error: null,
+    latest_charge: null,
+    charges: { object: "list", data: [] },
+    created,
+  };
+
+  let charge = null;
+  if (!requiresAction) {
+    const message = "Your card was declined.";
+    charge = {
+      id: nextId("ch"),
+      object: "charge",
+      amount,
+      amount_refunded: 0,
+      refunded: false,
+      currency,
+      customer,
+      payment_intent: piId,
+      payment_method: pmId,
+      payment_method_details: { type: "card", card },
+      status: "failed",
+      failure_code: "card_declined",
+      failure_message: message,
+      outcome: { type: "issuer_declined", reason: declineCode, seller_message: "The bank did not return any further details." },
+      metadata: {},
+      created,
+    };
+    stripeState.charges.set(charge.id, charge);
+
+    Object.assign(paymentIntent, {
+      latest_charge: charge.id,
+      charges: { object: "list", data: [charge] },
+      last_payment_error: {
+        type: "card_error",
+        code: "card_declined",
+        decline_code: declineCode,
+        message,
+        charge: charge.id,
+        payment_method: { id: pmId, card },
+      },
+    });
+  }
+
+  stripeState.paymentIntents.set(piId, paymentIntent);
+  return { paymentIntent: clone(paymentIntent), charge: clone(charge) };
+}
+
+/**
+ * Simulates Stripe expiring an open Checkout Session (expires_at passed).
+ * Returns the `checkout.session.expired` event Stripe would send.
+ */
+export function expireCheckoutSession(sessionId) {
+  const session = stripeState.sessions.get(sessionId);
+  if (!session) throw missing("checkout.session", sessionId);
+
+  session.status = "expired";
+  return buildEvent("checkout.session.expired", session);
+}
+
+/**
+ * Simulates the cardholder disputing `chargeId` (whole charge unless `amount` given).
+ * `status: "warning_needs_response"` opens an inquiry instead. Returns `charge.dispute.created`.
+ */
+export function openDispute(chargeId, { amount, reason = "fraudulent", status = "needs_response" } = {}) {
+  const charge = stripeState.charges.get(chargeId);
+  if (!charge) throw missing("charge", chargeId);
+
+  const dispute = {
+    id: nextId("dp"),
+    object: "dispute",
+    amount: amount ?? charge.amount,
+    currency: charge.currency,
+    charge: charge.id,
+    payment_intent: charge.payment_intent,
+    reason,
+    status,
+    evidence: {},
+    evidence_details: { due_by: nowUnix() + 7 * 86400, submission_count: 0 },
+    metadata: {},
+    created: nowUnix(),
+  };
+  charge.disputed = true;
+  stripeState.disputes.set(dispute.id, dispute);
+  return buildEvent("charge.dispute.created", dispute);
+}
+
+/**
+ * Moves a dispute to `status`. Returns `charge.dispute.closed` for won/lost,
+ * `charge.dispute.updated` otherwise.
+ */
+export function settleDispute(disputeId, status) {
+  const dispute = stripeState.disputes.get(disputeId);
+  if (!dispute) throw missing("dispute", disputeId);
+
+  dispute.status = status;
+  const closed = ["won", "lost", "warning_closed"].includes(status);
+  return buildEvent(closed ? "charge.dispute.closed" : "charge.dispute.updated", dispute);
+}
+
+export function buildEvent(type, object) {
+  const event = {
+    id: nextId("evt"),
+    object: "event",
+    type,
+    created: nowUnix(),
+    livemode: false,
+    data: { object: clone(object) },
+  };
+  stripeState.events.set(event.id, clone(event));
+  return event;
+}
+
+/**
+ * Serializes + signs an event the way Stripe does, for POSTing to /api/stripe-webhook.
+ * Returns { rawBody, headers }.
+ */
+export function signEvent(event, secret = process.env.STRIPE_WEBHOOK_SECRET) {
+  const rawBody = JSON.stringify(event);
+  const header = RealStripe.webhooks.generateTestHeaderString({ payload: rawBody, secret });
+  return { rawBody, headers: { "stripe-signature": header, "content-type": "application/json" } };
+}
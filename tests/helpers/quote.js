@@ -0,0 +1,35 @@
+// tests/helpers/quote.js
+//
+// Signed quotes with fixed amounts, for suites that exercise payments and the ledger rather
+// than pricing (tests/quote.test.js covers how lib/quote prices a booking).
+
+import { quoteTtlMs, signQuote } from "../../lib/quote";
+
+// Bound to the reservation row's IDKEY and package, like a quote /api/quote issues for it.
+// breakdown in the old paystart query-param shape: { base_amount, grat_amount, tax_amount, fee_amount }
+export function quoteFor(reservation, breakdown = {}) {
+  const num = (v) => Number(v) || 0;
+  const charge = {
+    base: num(breakdown.base_amount),
+    grat: num(breakdown.grat_amount),
+    tax: num(breakdown.tax_amount),
+    fee: num(breakdown.fee_amount),
+  };
+  charge.total = Number((charge.base + charge.grat + charge.tax + charge.fee).toFixed(2));
+
+  const now = Date.now();
+  const idkey = reservation.IDKEY;
+  return signQuote({
+    v: 1,
+    qid: `test_${idkey}`,
+    idkey,
+    session_id: reservation.Session_ID,
+    c_quant: Number(reservation.C_Quant) || 1,
+    units: Number(reservation.Units),
+    charge_type: reservation.Charge_Type,
+    promo_code: reservation.Promo_Code || null,
+    charge,
+    iat: now,
+    exp: now + quoteTtlMs(),
+  });
+}
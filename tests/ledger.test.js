@@ -0,0 +1,196 @@
+// tests/ledger.test.js
+//
+// lib/ledger: rows balance to the cent, partial refunds are split over what is left of each
+// component, and /api/ledger-balance reports per-IDKEY and per-business-unit totals.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import Stripe from "stripe";
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { resetFakeStripe, buildEvent } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { bookingHelpers, deliver } from "./helpers/booking";
+import { LedgerError, allocateRefund, recordLedgerTxn, validateTxnBalance } from "../lib/ledger";
+
+import ledgerBalance from "../pages/api/ledger-balance";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+const stripe = new Stripe("sk_test_fake");
+
+const LEDGER_HEADERS = { "x-admin-key": "admin_test_key" };
+
+const CHARGED = { base: 60, grat: 0, tax: 3.3, fee: 10 };
+
+const booking = bookingHelpers(caspio);
+const { txnRows } = booking;
+const parts = (t) => [t.Base_Amount, t.Auto_Gratuity, t.Tax, t.Fee, t.Amount];
+
+async function paidReservation() {
+  const idkey = await booking.paidReservation();
+  const charge = (await stripe.charges.list().autoPagingToArray({ limit: 1 }))[0];
+  return { idkey, charge };
+}
+
+async function refund(charge, cents) {
+  const r = await stripe.refunds.create({ charge: charge.id, amount: cents });
+  await deliver(buildEvent("refund.created", r));
+  return r;
+}
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  process.env.ADMIN_API_KEY = "admin_test_key";
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.ADMIN_API_KEY;
+});
+
+describe("ledger rules", () => {
+  test("validateTxnBalance checks the cents and the sign", () => {
+    const row = { TxnType: "charge", Base_Amount: 60, Auto_Gratuity: 0, Tax: 3.3, Fee: 10, Amount: 73.3 };
+    expect(validateTxnBalance(row)).toEqual({ ok: true, errors: [] });
+
+    expect(validateTxnBalance({ ...row, Amount: 73.31 }).errors).toEqual(["components sum to 73.3, Amount is 73.31"]);
+    expect(validateTxnBalance({ ...row, TxnType: "refund" }).ok).toBe(false);
+    expect(validateTxnBalance({ ...row, Amount: null }).errors).toEqual(["Amount is missing"]);
+    expect(validateTxnBalance({ TxnType: "failed", Amount: 12 }).ok).toBe(true);
+  });
+
+  test("allocateRefund prorates in cents over what is left", () => {
+    const first = allocateRefund({ original: CHARGED, amount: 10 });
+    expect(first).toEqual({ base: 8.19, grat: 0, tax: 0.45, fee: 1.36, amount: 10 });
+
+    // Whatever is left after earlier refunds comes back exactly
+    const second = allocateRefund({ original: CHARGED, refunded: first, amount: 63.3 });
+    expect(second).toEqual({ base: 51.81, grat: 0, tax: 2.85, fee: 8.64, amount: 63.3 });
+
+    // No breakdown known: the money is Fee
+    expect(allocateRefund({ original: {}, amount: 5 })).toEqual({ base: 0, grat: 0, tax: 0, fee: 5, amount: 5 });
+  });
+
+  test("allocateRefund follows explicit components and refuses bad ones", () => {
+    expect(allocateRefund({ original: CHARGED, amount: 13.3, components: { tax: 3.3, fee: 10 } })).toEqual({
+      base: 0,
+      grat: 0,
+      tax: 3.3,
+      fee: 10,
+      amount: 13.3,
+    });
+
+    const bad = (components, amount = 5) => () => allocateRefund({ original: CHARGED, amount, components });
+    expect(bad({ base: 4 })).toThrow(/sum to \$4\.00, refund is \$5\.00/);
+    expect(bad({ grat: 5 })).toThrow(/grat exceeds/);
+    expect(bad({ tip: 5 })).toThrow(LedgerError);
+    expect(new LedgerError("x")).toMatchObject({ code: "LEDGER_ERROR", status: 400 });
+    expect(() => allocateRefund({ original: CHARGED, refunded: { fee: 8 }, amount: 5, components: { fee: 5 } })).toThrow(
+      /fee exceeds what is left of it \(\$2\.00\)/
+    );
+  });
+
+  test("recordLedgerTxn refuses an unbalanced row", async () => {
+    const row = {
+      IDKEY: "B9Q9PN8L1M",
+      TxnType: "refund",
+      Base_Amount: -5,
+      Auto_Gratuity: 0,
+      Tax: 0,
+      Fee: 0,
+      Amount: -6,
+      RawEventId: "evt_unbalanced",
+    };
+
+    await expect(recordLedgerTxn(row)).rejects.toMatchObject({ name: "LedgerError", code: "UNBALANCED", status: 400 });
+    expect(caspio.rows("SIGMA_BAR3_Transactions").find((t) => t.RawEventId === "evt_unbalanced")).toBeUndefined();
+  });
+});
+
+describe("refunds through the webhook", () => {
+  test("partial refunds add up to exactly what was charged", async () => {
+    const { idkey, charge } = await paidReservation();
+
+    await refund(charge, 1000);
+    await refund(charge, 500);
+    await refund(charge, 5830);
+
+    expect(txnRows(idkey, "refund").map(parts)).toEqual([
+      [-8.19, 0, -0.45, -1.36, -10],
+      [-4.09, 0, -0.23, -0.68, -5],
+      [-47.72, 0, -2.62, -7.96, -58.3],
+    ]);
+    for (const t of txnRows(idkey)) expect(validateTxnBalance(t)).toEqual({ ok: true, errors: [] });
+
+    const out = await callApi(ledgerBalance, { query: { idkey } });
+    expect(out.body).toMatchObject({
+      ok: true,
+      balanced: true,
+      charged: { base: 60, grat: 0, tax: 3.3, fee: 10, amount: 73.3 },
+      refunded: { base: 60, grat: 0, tax: 3.3, fee: 10, amount: 73.3 },
+      net: { base: 0, grat: 0, tax: 0, fee: 0, amount: 0 },
+      charges: [expect.objectContaining({ stripe_charge_id: charge.id, refundable: expect.objectContaining({ amount: 0 }) })],
+    });
+  });
+});
+
+describe("/api/ledger-balance", () => {
+  test("per IDKEY: net and what is still refundable", async () => {
+    const { idkey, charge } = await paidReservation();
+    await refund(charge, 1000);
+
+    const out = await callApi(ledgerBalance, { query: { idkey } });
+
+    expect(out.statusCode).toBe(200);
+    expect(out.body).toMatchObject({
+      idkey,
+      txn_count: 2,
+      net: { base: 51.81, grat: 0, tax: 2.85, fee: 8.64, amount: 63.3 },
+      charges: [
+        {
+          txn_id: txnRows(idkey, "charge")[0].TXN_ID,
+          stripe_charge_id: charge.id,
+          transaction_date: expect.any(String),
+          charged: { base: 60, grat: 0, tax: 3.3, fee: 10, amount: 73.3 },
+          refunded: { base: 8.19, grat: 0, tax: 0.45, fee: 1.36, amount: 10 },
+          refundable: { base: 51.81, grat: 0, tax: 2.85, fee: 8.64, amount: 63.3 },
+        },
+      ],
+    });
+
+    expect((await callApi(ledgerBalance, { query: { idkey: "NOPE" } })).statusCode).toBe(404);
+  });
+
+  test("per business unit: needs the key, totals the unit and lists unbalanced rows", async () => {
+    const { idkey } = await paidReservation();
+    const seed = caspio.rows("SIGMA_BAR3_Transactions").find((t) => t.IDKEY === "B9Q9PN8L1M");
+    seed.Fee = 9; // hand-edited in Caspio
+
+    expect((await callApi(ledgerBalance, { query: { business_unit: "BRC" } })).statusCode).toBe(401);
+
+    const out = await callApi(ledgerBalance, { headers: LEDGER_HEADERS, query: { business_unit: "BRC" } });
+
+    expect(out.statusCode).toBe(200);
+    expect(out.body).toMatchObject({
+      ok: true,
+      business_unit: "BRC",
+      txn_count: 2,
+      charged: { base: 60, grat: 0, tax: 3.3, fee: 19, amount: 83.3 },
+      balanced: false,
+      unbalanced: [{ txn_id: seed.TXN_ID, idkey: "B9Q9PN8L1M", txn_type: "charge", amount: 10, errors: [expect.any(String)] }],
+    });
+    expect(txnRows(idkey)).toHaveLength(1);
+
+    // The seed charge is dated 2030-05-01; only it falls in May
+    const may = await callApi(ledgerBalance, {
+      headers: LEDGER_HEADERS,
+      query: { business_unit: "BRC", from: "2030-05-01", to: "2030-06-01" },
+    });
+    expect(may.body).toMatchObject({ txn_count: 1, charged: { amount: 10 } });
+  });
+});
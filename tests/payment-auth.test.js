@@ -0,0 +1,173 @@
+// tests/payment-auth.test.js
+//
+// 3-D Secure recovery: /api/charge-adjustment keeps the off-session PaymentIntent that needs
+// authentication and emails a link; /api/payment-auth hands the page its client secret; the
+// payment_intent.succeeded webhook logs the charge with the original breakdown.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { stripeState, resetFakeStripe, buildEvent, authenticatePaymentIntent } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { RESERVE_BODY as LANE_BOOKING, bookingHelpers, deliver } from "./helpers/booking";
+
+import reserve from "../pages/api/reserve";
+import chargeAdjustment from "../pages/api/charge-adjustment";
+import paymentAuth from "../pages/api/payment-auth";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+const MAIL_HOOK = "http://mail.test/hook";
+const CHARGE_HEADERS = { "x-charge-key": "charge_test_key" };
+
+// The authentication link is mailed to this guest
+const RESERVE_BODY = { ...LANE_BOOKING, First_Name: "Tess", Last_Name: "Dee", Email: "tess@example.com" };
+
+const SUPPLEMENTAL = { type: "Supplemental Fee", why: "broken pin", base_amount: 20, tax_pct: 5.5, grat_pct: 0 };
+
+const { rowFor, txnRows, paidReservation } = bookingHelpers(caspio);
+
+let mails;
+
+// Booked reservation whose saved card (Stripe test PM) demands 3-D Secure off-session
+async function bookedWith3dsCard() {
+  const idkey = await paidReservation({ body: RESERVE_BODY, breakdown: null });
+  rowFor(idkey).StripePaymentMethodId = "pm_card_authenticationRequired";
+  return idkey;
+}
+
+async function chargeSupplemental(idkey) {
+  return await callApi(chargeAdjustment, {
+    method: "POST",
+    headers: CHARGE_HEADERS,
+    body: { idkey, ...SUPPLEMENTAL },
+  });
+}
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+
+  process.env.ADMIN_CHARGE_KEY = "charge_test_key";
+  process.env.API_BASE_URL = "https://api.example.test";
+  process.env.CUSTOMER_EMAIL_WEBHOOK_URL = MAIL_HOOK;
+
+  mails = [];
+  const passthrough = globalThis.fetch;
+  jest.spyOn(globalThis, "fetch").mockImplementation(async (input, init) => {
+    if (String(input) !== MAIL_HOOK) return passthrough(input, init);
+    mails.push(JSON.parse(init.body));
+    return new Response("ok", { status: 200 });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  for (const k of ["ADMIN_CHARGE_KEY", "API_BASE_URL", "CUSTOMER_EMAIL_WEBHOOK_URL"]) delete process.env[k];
+});
+
+describe("3-D Secure recovery for off-session charges", () => {
+  test("charge-adjustment keeps the PaymentIntent and emails an authentication link", async () => {
+    const idkey = await bookedWith3dsCard();
+
+    const out = await chargeSupplemental(idkey);
+
+    const authUrl = `https://api.example.test/api/payment-auth?idkey=${idkey}`;
+    expect(out.statusCode).toBe(202);
+    expect(out.body).toMatchObject({
+      ok: false,
+      mode: "requires_action",
+      payment_intent_id: expect.stringMatching(/^pi_/),
+      auth_url: authUrl,
+      email_sent: true,
+      amount: 21.1,
+    });
+
+    expect(rowFor(idkey)).toMatchObject({
+      PendingAuthPaymentIntentId: out.body.payment_intent_id,
+      PaymentAuthEmailSentAt: expect.any(String),
+    });
+    expect(mails).toEqual([
+      expect.objectContaining({ template: "authenticate_payment", to: "tess@example.com", amount: 21.1, auth_url: authUrl }),
+    ]);
+    expect(txnRows(idkey, "charge")).toHaveLength(1); // just the booking fee
+  });
+
+  test("payment-auth serves the page and the pending PaymentIntent's client secret", async () => {
+    const idkey = await bookedWith3dsCard();
+    const { body } = await chargeSupplemental(idkey);
+
+    const page = await callApi(paymentAuth, { query: { idkey } });
+    expect(page.statusCode).toBe(200);
+    expect(page.headers["content-type"]).toMatch(/text\/html/);
+    expect(page.body).toContain("https://js.stripe.com/v3/");
+    expect(page.body).toContain(`/api/payment-auth?idkey=${idkey}&format=json`);
+
+    const data = await callApi(paymentAuth, { query: { idkey, format: "json" } });
+    expect(data.body).toEqual({
+      ok: true,
+      payment_intent_id: body.payment_intent_id,
+      status: "requires_payment_method",
+      amount: 21.1,
+      currency: "usd",
+      description: "Supplemental Fee - broken pin",
+      client_secret: `${body.payment_intent_id}_secret_test`,
+      payment_method: "pm_card_authenticationRequired",
+      publishable_key: "pk_test_fake",
+    });
+  });
+
+  test("once authenticated, the webhook logs the charge with the original breakdown and idem_key", async () => {
+    const idkey = await bookedWith3dsCard();
+    const { body } = await chargeSupplemental(idkey);
+
+    await deliver(authenticatePaymentIntent(body.payment_intent_id));
+
+    const pi = stripeState.paymentIntents.get(body.payment_intent_id);
+    expect(pi.metadata.idem_key).toBe(body.idem_key);
+
+    const supplemental = txnRows(idkey, "charge").find((t) => t.StripePaymentIntentId === pi.id);
+    expect(supplemental).toMatchObject({
+      Base_Amount: 20,
+      Tax: 1.1,
+      Auto_Gratuity: 0,
+      Amount: 21.1,
+      PaymentStatus: "Paid",
+      Charge_Type: "Supplemental Fee",
+    });
+
+    expect(rowFor(idkey).PendingAuthPaymentIntentId).toBeNull();
+    const after = await callApi(paymentAuth, { query: { idkey, format: "json" } });
+    expect(after.statusCode).toBe(404);
+  });
+
+  test("the matching payment_intent.payment_failed webhook doesn't email the customer twice", async () => {
+    const idkey = await bookedWith3dsCard();
+    const { body } = await chargeSupplemental(idkey);
+    const pi = stripeState.paymentIntents.get(body.payment_intent_id);
+
+    await deliver(buildEvent("payment_intent.payment_failed", pi));
+
+    expect(mails).toHaveLength(1);
+    expect(txnRows(idkey, "failed")).toEqual([
+      expect.objectContaining({ DeclineCode: "authentication_required", StripePaymentIntentId: pi.id }),
+    ]);
+  });
+
+  test("payment-auth never returns another reservation's PaymentIntent", async () => {
+    const idkey = await bookedWith3dsCard();
+    const { body } = await chargeSupplemental(idkey);
+
+    const other = (await callApi(reserve, { method: "POST", body: RESERVE_BODY })).body.idkey;
+    rowFor(other).PendingAuthPaymentIntentId = body.payment_intent_id;
+
+    const out = await callApi(paymentAuth, { query: { idkey: other, format: "json" } });
+    expect(out.statusCode).toBe(404);
+    expect(out.body.client_secret).toBeUndefined();
+  });
+});
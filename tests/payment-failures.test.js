@@ -0,0 +1,164 @@
+// tests/payment-failures.test.js
+//
+// payment_intent.payment_failed / payment_intent.requires_action / charge.failed ->
+// TxnType "failed" rows with the decline code, and the reservation stamped accordingly.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import {
+  stripeState,
+  resetFakeStripe,
+  buildEvent,
+  completeCheckoutSession,
+  failPaymentIntent,
+} from "./helpers/fake-stripe";
+import { bookingHelpers, deliver } from "./helpers/booking";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+// What charge-adjustment.js puts on an off-session supplemental PaymentIntent
+const supplementalMetadata = (idkey) => ({
+  IDKEY: idkey,
+  purpose: "supplemental_fee",
+  Charge_Type: "Supplemental Fee",
+  Description: "Supplemental Fee - broken pin",
+  base_amount: "20",
+  tax_amount: "1.1",
+  grat_amount: "0",
+  fee_amount: "0",
+  total_amount: "21.1",
+  source: "off_session",
+});
+
+const { rowFor, txnRows, startedReservation } = bookingHelpers(caspio);
+
+async function reserveAndStart() {
+  const idkey = await startedReservation({ breakdown: null });
+  return { idkey, sessionId: rowFor(idkey).StripeCheckoutSessionId };
+}
+
+async function bookedReservation() {
+  const { idkey, sessionId } = await reserveAndStart();
+  await deliver(completeCheckoutSession(sessionId));
+  expect(rowFor(idkey).PaymentStatus).toBe("PaidBookingFee");
+  return { idkey, customer: stripeState.sessions.get(sessionId).customer };
+}
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("payment failures", () => {
+  test("a declined off-session supplemental charge is recorded once with its decline code", async () => {
+    const { idkey, customer } = await bookedReservation();
+    const { paymentIntent, charge } = failPaymentIntent({
+      amount: 2110,
+      customer,
+      metadata: supplementalMetadata(idkey),
+      declineCode: "insufficient_funds",
+    });
+
+    // Stripe sends both for the same decline
+    await deliver(buildEvent("charge.failed", charge));
+    await deliver(buildEvent("payment_intent.payment_failed", paymentIntent));
+
+    const failed = txnRows(idkey, "failed");
+    expect(failed).toHaveLength(1);
+    expect(failed[0]).toMatchObject({
+      PaymentStatus: "PaymentFailed",
+      Status: "failed",
+      Amount: 21.1,
+      DeclineCode: "insufficient_funds",
+      FailureMessage: "Your card was declined.",
+      StripePaymentIntentId: paymentIntent.id,
+      StripeChargeId: charge.id,
+      Charge_Type: "Supplemental Fee",
+      Card_number_masked: "**** **** **** 0341",
+    });
+    expect(failed[0].Description).toMatch(/^Payment failed - Supplemental Fee - broken pin/);
+
+    // Paid booking stays paid; the failure is still visible on the reservation
+    expect(rowFor(idkey)).toMatchObject({
+      PaymentStatus: "PaidBookingFee",
+      PaymentFailureCode: "insufficient_funds",
+      PaymentFailureMessage: "Your card was declined.",
+    });
+
+    // Failed attempts don't count towards totals
+    const totals = caspio.rows("SIGMA_BAR3_TOTAL_RES").find((r) => r.IDKEY === idkey);
+    expect(totals.Total_Charged_Amount).toBe(10);
+  });
+
+  test("a declined booking fee marks the reservation PaymentFailed until a retry succeeds", async () => {
+    const { idkey, sessionId } = await reserveAndStart();
+    const session = stripeState.sessions.get(sessionId);
+    const { paymentIntent } = failPaymentIntent({
+      amount: session.amount_total,
+      customer: session.customer,
+      metadata: session.payment_intent_data.metadata,
+      declineCode: "do_not_honor",
+    });
+
+    await deliver(buildEvent("payment_intent.payment_failed", paymentIntent));
+
+    expect(rowFor(idkey)).toMatchObject({
+      Status: "In Process",
+      PaymentStatus: "PaymentFailed",
+      PaymentFailureCode: "do_not_honor",
+      StatusChangedBy: expect.stringMatching(/^stripe-webhook:payment_intent\.payment_failed:/),
+    });
+
+    await deliver(completeCheckoutSession(sessionId));
+    expect(rowFor(idkey)).toMatchObject({ Status: "Booked", PaymentStatus: "PaidBookingFee" });
+  });
+
+  test("an off-session charge stuck on 3DS is recorded as requires_action", async () => {
+    const { idkey, customer } = await bookedReservation();
+    const { paymentIntent } = failPaymentIntent({
+      amount: 2110,
+      customer,
+      metadata: supplementalMetadata(idkey),
+      requiresAction: true,
+    });
+
+    await deliver(buildEvent("payment_intent.requires_action", paymentIntent));
+
+    expect(txnRows(idkey, "failed")).toEqual([
+      expect.objectContaining({
+        PaymentStatus: "RequiresAction",
+        Status: "requires_action",
+        DeclineCode: "authentication_required",
+        StripePaymentIntentId: paymentIntent.id,
+      }),
+    ]);
+    expect(rowFor(idkey)).toMatchObject({
+      PaymentStatus: "PaidBookingFee",
+      PaymentFailureCode: "authentication_required",
+    });
+  });
+
+  test("requires_action during Checkout is left to the customer", async () => {
+    const { idkey, sessionId } = await reserveAndStart();
+    const session = stripeState.sessions.get(sessionId);
+    const { paymentIntent } = failPaymentIntent({
+      amount: session.amount_total,
+      metadata: session.payment_intent_data.metadata,
+      requiresAction: true,
+    });
+
+    const hook = await deliver(buildEvent("payment_intent.requires_action", paymentIntent));
+
+    expect(hook.body).toEqual({ received: true, skipped: "not_off_session" });
+    expect(txnRows(idkey)).toHaveLength(0);
+    expect(rowFor(idkey).PaymentStatus).toBe("PendingBookingFee");
+  });
+});
@@ -0,0 +1,178 @@
+// tests/promo.test.js
+//
+// Promo codes: lib/promo validates a code (business unit / Price_Class, date window, uses,
+// first-time guests); /api/reserve stores it, /api/quote prices with it, /api/paystart shows
+// the discount as a Stripe coupon and the webhook ledgers it as a TxnType='discount' row.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { stripeState, resetFakeStripe, completeCheckoutSession } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { AXE_BODY as PAY_NOW_BODY, bookingHelpers, deliver } from "./helpers/booking";
+
+import reserve from "../pages/api/reserve";
+import paystart from "../pages/api/paystart";
+import quoteApi from "../pages/api/quote";
+import { PromoError, promoDiscount, validatePromo } from "../lib/promo";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+// The total the booking page sends with 10% off
+const AXE_BODY = { ...PAY_NOW_BODY, BookingFeeAmount: 44.82 };
+
+const LANE = { businessUnit: "BRC", priceClass: "Lane" };
+
+const { rowFor, txnRows } = bookingHelpers(caspio);
+const reserveWith = (body) => callApi(reserve, { method: "POST", body: { ...AXE_BODY, ...body } });
+const getQuote = (query) => callApi(quoteApi, { query });
+
+async function promoCode(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (e) {
+    if (!(e instanceof PromoError)) throw e;
+    return e.code;
+  }
+}
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("promo codes", () => {
+  test("codes are checked for scope, date window and status; discounts are percent or capped flat", async () => {
+    expect((await validatePromo(" save10 ", LANE)).Code).toBe("SAVE10");
+    expect((await validatePromo("LANES5", LANE)).Discount_Value).toBe(5);
+
+    expect(await promoCode(validatePromo("LANES5", { businessUnit: "AXE", priceClass: "Bay" }))).toBe(
+      "PROMO_NOT_APPLICABLE"
+    );
+    expect(await promoCode(validatePromo("SPRING20", LANE))).toBe("PROMO_EXPIRED");
+    expect(await promoCode(validatePromo("SPRING20", { ...LANE, now: new Date("2020-04-01T12:00:00Z") }))).toBe(null);
+    expect(await promoCode(validatePromo("RETIRED", LANE))).toBe("PROMO_NOT_FOUND");
+    expect(await promoCode(validatePromo("NOPE", LANE))).toBe("PROMO_NOT_FOUND");
+
+    expect(promoDiscount({ Discount_Type: "percent", Discount_Value: 15 }, 33.33)).toBe(5);
+    expect(promoDiscount({ Discount_Type: "flat", Discount_Value: 5 }, 220)).toBe(5);
+    expect(promoDiscount({ Discount_Type: "flat", Discount_Value: 50 }, 40)).toBe(40);
+  });
+
+  test("quotes take the discount off base before gratuity and tax", async () => {
+    const axe = await getQuote({ session_id: "S-2001", units: 1, charge_type: "Pay Now", promo_code: "save10" });
+    expect(axe.body.quote).toMatchObject({
+      promo_code: "SAVE10",
+      price: { base: 36, grat: 6.48, tax: 2.34, total: 44.82, discount: 4 },
+      charge: { base: 36, grat: 6.48, tax: 2.34, fee: 0, discount: 4, total: 44.82 },
+    });
+
+    // Hold-fee bookings pay the booking fee now; the discount is settled at the venue
+    const hold = await getQuote({
+      session_id: "S-1001",
+      units: 2,
+      charge_type: "24 Hour Hold Fee",
+      promo_code: "LANES5",
+    });
+    expect(hold.body.quote).toMatchObject({
+      price: { base: 215, discount: 5 },
+      charge: { fee: 10, discount: 0, total: 10 },
+    });
+
+    const wrong = await getQuote({ session_id: "S-2001", units: 1, charge_type: "Pay Now", promo_code: "LANES5" });
+    expect(wrong).toMatchObject({ statusCode: 400, body: { ok: false, code: "PROMO_NOT_APPLICABLE" } });
+  });
+
+  test("reserve stores the code; usage limits and first-time-only codes are enforced", async () => {
+    const first = await reserveWith({ Promo_Code: "oneuse" });
+    expect(first.body).toMatchObject({ ok: true, promo_code: "ONEUSE", discount_amount: 8 });
+    expect(rowFor(first.body.idkey)).toMatchObject({ Promo_Code: "ONEUSE", Discount_Amount: 8 });
+
+    // The open hold is the code's one use; re-pricing that reservation still works
+    const second = await reserveWith({ Promo_Code: "ONEUSE" });
+    expect(second).toMatchObject({ statusCode: 409, body: { code: "PROMO_USED_UP" } });
+    expect((await getQuote({ idkey: first.body.idkey })).body.quote).toMatchObject({ charge: { discount: 8 } });
+
+    const returning = await reserveWith({ Promo_Code: "WELCOME", Email: "sam.seed@example.com" });
+    expect(returning.body).toMatchObject({ ok: false, code: "PROMO_FIRST_TIME_ONLY" });
+    expect((await reserveWith({ Promo_Code: "WELCOME" })).body).toMatchObject({ ok: true, discount_amount: 6 });
+  });
+
+  test("the discount comes from the pricing view, not the body's Unit_Price", async () => {
+    const out = await reserveWith({ Promo_Code: "SAVE10", Unit_Price: "4000" });
+    expect(out.body).toMatchObject({ ok: true, discount_amount: 4 });
+    expect(rowFor(out.body.idkey).Discount_Amount).toBe(4);
+
+    const unpriced = await reserveWith({ Promo_Code: "SAVE10", Units: "7" });
+    expect(unpriced).toMatchObject({ statusCode: 400, body: { code: "NO_PRICE" } });
+  });
+
+  test("a code's last use taken while reserving is verified after the insert and the loser removed", async () => {
+    const passthrough = globalThis.fetch;
+    jest.spyOn(globalThis, "fetch").mockImplementation(async (input, init) => {
+      if (init?.method === "POST" && String(init.body).includes('"Promo_Code":"ONEUSE"')) {
+        caspio.insert("BAR2_Reservations_SIGMA", {
+          Type: "Reservation",
+          Status: "In Process",
+          Session_ID: "S-1001",
+          Promo_Code: "ONEUSE",
+          HoldExpiresAt: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+        });
+      }
+      return passthrough(input, init);
+    });
+
+    const out = await reserveWith({ Promo_Code: "ONEUSE" });
+
+    expect(out).toMatchObject({ statusCode: 409, body: { code: "PROMO_USED_UP" } });
+    expect(caspio.rows("BAR2_Reservations_SIGMA").filter((r) => r.Promo_Code === "ONEUSE")).toHaveLength(1);
+  });
+
+  test("paystart applies the discount as a coupon and the webhook ledgers it outside the charged totals", async () => {
+    const { idkey } = (await reserveWith({ Promo_Code: "SAVE10" })).body;
+    const quoted = await getQuote({ idkey });
+
+    // A quote priced without the reservation's code doesn't fit it
+    const plain = await getQuote({ session_id: "S-2001", units: 1, charge_type: "Pay Now" });
+    expect((await callApi(paystart, { query: { idkey, quote_id: plain.body.quote_id } })).statusCode).toBe(409);
+
+    expect((await callApi(paystart, { query: { idkey, quote_id: quoted.body.quote_id } })).statusCode).toBe(200);
+
+    const [coupon] = [...stripeState.coupons.values()];
+    expect(coupon).toMatchObject({ amount_off: 400, currency: "usd", duration: "once", max_redemptions: 1 });
+
+    const sessionId = rowFor(idkey).StripeCheckoutSessionId;
+    const session = stripeState.sessions.get(sessionId);
+    const create = stripeState.calls.find((c) => c.method === "checkout.sessions.create");
+    expect(create.args.params.discounts).toEqual([{ coupon: coupon.id }]);
+    expect(create.args.params.line_items[0].price_data.unit_amount).toBe(4882);
+    expect(session.amount_total).toBe(4482);
+    expect(session.metadata).toMatchObject({ base_amount: "36", promo_code: "SAVE10", discount_amount: "4" });
+
+    await deliver(completeCheckoutSession(sessionId));
+
+    const txns = txnRows(idkey);
+    expect(txns.find((t) => t.TxnType === "charge")).toMatchObject({ Amount: 44.82, Base_Amount: 36 });
+    expect(txns.find((t) => t.TxnType === "discount")).toMatchObject({
+      Amount: -4,
+      Base_Amount: -4,
+      Tax: 0,
+      Promo_Code: "SAVE10",
+    });
+
+    const totals = caspio.rows("SIGMA_BAR3_TOTAL_RES").find((r) => r.IDKEY === idkey);
+    expect(totals).toMatchObject({
+      Total_Charged_Base_Amount: 36,
+      Total_Charged_Amount: 44.82,
+      Total_Discount_Amount: 4,
+    });
+  });
+});
@@ -0,0 +1,160 @@
+// tests/quote.test.js
+//
+// Server-side quotes: /api/quote prices a package from the pricing / sessions / billing views
+// and signs it; /api/paystart charges only a valid quote issued for that reservation and
+// ignores client-supplied breakdown params.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { stripeState, resetFakeStripe } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { quoteFor } from "./helpers/quote";
+import { AXE_BODY, bookingHelpers } from "./helpers/booking";
+
+import reserve from "../pages/api/reserve";
+import paystart from "../pages/api/paystart";
+import quoteApi from "../pages/api/quote";
+import { chargeComponents, signQuote } from "../lib/quote";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+const { rowFor } = bookingHelpers(caspio);
+const checkout = (idkey) => stripeState.sessions.get(rowFor(idkey).StripeCheckoutSessionId);
+const getQuote = (query) => callApi(quoteApi, { query });
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("quotes", () => {
+  test("gratuity is a rate or a flat amount, and tax applies to base + gratuity", () => {
+    expect(chargeComponents({ base: 20, autoGrat: 0.18, taxRate: 0.055 })).toEqual({
+      base: 20,
+      grat: 3.6,
+      tax: 1.3,
+      total: 24.9,
+    });
+    expect(chargeComponents({ base: 20, autoGrat: 18, taxRate: 0 }).grat).toBe(3.6);
+    expect(chargeComponents({ base: 200, autoGrat: 150, taxRate: 0.1 })).toMatchObject({ grat: 150, tax: 35 });
+  });
+
+  test("a session + package is priced from the views; hold-fee bookings are charged the booking fee", async () => {
+    const payNow = await getQuote({ session_id: "S-2001", units: 1, charge_type: "Pay Now" });
+
+    expect(payNow.statusCode).toBe(200);
+    expect(payNow.body).toMatchObject({
+      ok: true,
+      quote_id: expect.any(String),
+      expires_at: expect.any(String),
+      quote: {
+        session_id: "S-2001",
+        c_quant: 1,
+        units: 1,
+        unit_price: 40,
+        tax_rate: 0.055,
+        price: { base: 40, grat: 7.2, tax: 2.6, total: 49.8 },
+        charge: { base: 40, grat: 7.2, tax: 2.6, fee: 0, total: 49.8 },
+      },
+    });
+
+    const hold = await getQuote({ session_id: "S-1001", units: 2, charge_type: "24 Hour Hold Fee" });
+    expect(hold.body.quote).toMatchObject({
+      unit_price: 110,
+      price: { base: 220, grat: 0, tax: 12.1, total: 232.1 },
+      charge: { base: 0, grat: 0, tax: 0, fee: 10, total: 10 },
+    });
+
+    expect((await getQuote({ session_id: "S-1001", units: 5, charge_type: "Pay Now" })).body).toMatchObject({
+      code: "NO_PRICE",
+    });
+    expect((await getQuote({ session_id: "S-NOPE", units: 1, charge_type: "Pay Now" })).statusCode).toBe(404);
+  });
+
+  test("paystart charges the quote and ignores breakdown query params", async () => {
+    const { idkey } = (await callApi(reserve, { method: "POST", body: AXE_BODY })).body;
+    const quoted = await getQuote({ idkey });
+    expect(quoted.body.quote).toMatchObject({ idkey, charge: { total: 49.8 } });
+
+    const started = await callApi(paystart, {
+      query: { idkey, quote_id: quoted.body.quote_id, base_amount: "1", tax_amount: "0", fee_amount: "0" },
+    });
+
+    expect(started.statusCode).toBe(200);
+    expect(checkout(idkey).amount_total).toBe(4980);
+    expect(checkout(idkey).metadata).toMatchObject({
+      base_amount: "40",
+      grat_amount: "7.2",
+      tax_amount: "2.6",
+      fee_amount: "0",
+      quote_id: expect.any(String),
+    });
+  });
+
+  test("without a quote Pay Now is priced from the stored package, whatever the query says", async () => {
+    const reserveAxe = async (body) =>
+      (await callApi(reserve, { method: "POST", body: { ...AXE_BODY, ...body } })).body;
+    const payNow = await reserveAxe({ Unit_Price: "0.01", BookingFeeAmount: 15 });
+    const hold = await reserveAxe({ Charge_Type: "24 Hour Hold Fee", BookingFeeAmount: 15 });
+
+    for (const { idkey } of [payNow, hold]) {
+      await callApi(paystart, { query: { idkey, base_amount: "0.01", fee_amount: "0" } });
+    }
+
+    expect(checkout(payNow.idkey).amount_total).toBe(4980);
+    expect(checkout(payNow.idkey).metadata).toMatchObject({
+      base_amount: "40",
+      grat_amount: "7.2",
+      tax_amount: "2.6",
+      fee_amount: "0",
+    });
+    expect(checkout(hold.idkey).amount_total).toBe(1500);
+    expect(checkout(hold.idkey).metadata).toMatchObject({ base_amount: "0", fee_amount: "15" });
+  });
+
+  test("tampered, expired and someone else's quotes are refused before Stripe is called", async () => {
+    const { idkey } = (await callApi(reserve, { method: "POST", body: AXE_BODY })).body;
+    const { idkey: other } = (await callApi(reserve, { method: "POST", body: AXE_BODY })).body;
+
+    const [payload, sig] = quoteFor(rowFor(idkey), { base_amount: "40" }).split(".");
+    const forged = `${Buffer.from(JSON.stringify({ idkey, charge: { base: 1, total: 1 }, exp: Date.now() + 60000 }))
+      .toString("base64url")}.${sig}`;
+    const expired = signQuote({ qid: "old", idkey, charge: { base: 40, total: 40 }, exp: Date.now() - 1000 });
+
+    expect((await callApi(paystart, { query: { idkey, quote_id: forged } })).statusCode).toBe(400);
+    expect((await callApi(paystart, { query: { idkey, quote_id: `${payload}.x${sig.slice(1)}` } })).statusCode).toBe(400);
+    expect((await callApi(paystart, { query: { idkey, quote_id: expired } })).statusCode).toBe(410);
+    const someoneElses = quoteFor(rowFor(idkey), {});
+    expect((await callApi(paystart, { query: { idkey: other, quote_id: someoneElses } })).statusCode).toBe(409);
+
+    // A session-level quote for a different package doesn't fit this reservation either
+    const unbound = await getQuote({ session_id: "S-2001", units: 1, charge_type: "24 Hour Hold Fee" });
+    expect((await callApi(paystart, { query: { idkey, quote_id: unbound.body.quote_id } })).statusCode).toBe(409);
+
+    expect(stripeState.calls.some((c) => c.method === "checkout.sessions.create")).toBe(false);
+  });
+
+  test("a reservation's own quote stops matching once its session or units change", async () => {
+    const { idkey } = (await callApi(reserve, { method: "POST", body: AXE_BODY })).body;
+    const quoted = await getQuote({ idkey });
+    const row = rowFor(idkey);
+
+    row.Units = String(Number(row.Units) + 1);
+    const moreUnits = await callApi(paystart, { query: { idkey, quote_id: quoted.body.quote_id } });
+    expect(moreUnits).toMatchObject({ statusCode: 409, body: expect.stringMatching(/does not match/) });
+
+    Object.assign(row, { Units: AXE_BODY.Units, Session_ID: "S-1001" });
+    expect((await callApi(paystart, { query: { idkey, quote_id: quoted.body.quote_id } })).statusCode).toBe(409);
+
+    row.Session_ID = AXE_BODY.Session_ID;
+    expect((await callApi(paystart, { query: { idkey, quote_id: quoted.body.quote_id } })).statusCode).toBe(200);
+  });
+});
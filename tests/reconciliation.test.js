@@ -0,0 +1,186 @@
+// tests/reconciliation.test.js
+//
+// /api/reconcile: Stripe charges/refunds without a ledger row are inserted, amount
+// mismatches are flagged, totals re-rolled and a discrepancy report returned.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import Stripe from "stripe";
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { resetFakeStripe, buildEvent } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { bookingHelpers, deliver } from "./helpers/booking";
+import { reconcileWindow } from "../lib/reconciliation";
+
+import reconcile from "../pages/api/reconcile";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+const stripe = new Stripe("sk_test_fake");
+
+const MAIL_HOOK = "http://mail.test/hook";
+const CRON_HEADERS = { authorization: "Bearer cron_test_secret" };
+
+const booking = bookingHelpers(caspio);
+const { rowFor, txnRows } = booking;
+const totalsFor = (idkey) => caspio.rows("SIGMA_BAR3_TOTAL_RES").find((r) => r.IDKEY === idkey);
+
+let mails;
+
+// Paid in Stripe; `delivered: false` = the webhook never arrived
+async function paidReservation({ delivered = true } = {}) {
+  const idkey = await booking.paidReservation({ delivered });
+  const charge = (await stripe.charges.list().autoPagingToArray({ limit: 1 }))[0];
+  return { idkey, charge };
+}
+
+async function runReconcile(query = {}) {
+  const window = {
+    from: new Date(Date.now() - 3600000).toISOString(),
+    to: new Date(Date.now() + 60000).toISOString(),
+  };
+  return await callApi(reconcile, { headers: CRON_HEADERS, query: { ...window, ...query } });
+}
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  process.env.CRON_SECRET = "cron_test_secret";
+
+  mails = [];
+  const passthrough = globalThis.fetch;
+  jest.spyOn(globalThis, "fetch").mockImplementation(async (input, init) => {
+    if (String(input) !== MAIL_HOOK) return passthrough(input, init);
+    mails.push(JSON.parse(init.body));
+    return new Response("ok", { status: 200 });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  for (const k of ["CRON_SECRET", "CUSTOMER_EMAIL_WEBHOOK_URL", "RECONCILE_REPORT_EMAIL"]) delete process.env[k];
+});
+
+describe("Stripe reconciliation", () => {
+  test("a charge the webhook never delivered is inserted once and totals re-rolled", async () => {
+    const { idkey, charge } = await paidReservation({ delivered: false });
+    expect(txnRows(idkey)).toHaveLength(0);
+
+    const first = await runReconcile();
+
+    expect(first.statusCode).toBe(200);
+    expect(first.body).toMatchObject({
+      ok: true,
+      charges: { seen: 1, matched: 0, inserted: 1 },
+      rolled_up: [idkey],
+      discrepancies: [
+        expect.objectContaining({ kind: "missing_charge", action: "inserted", stripe_id: charge.id, idkey, stripe_amount: 73.3 }),
+      ],
+    });
+    expect(txnRows(idkey, "charge")).toEqual([
+      expect.objectContaining({
+        Base_Amount: 60,
+        Tax: 3.3,
+        Fee: 10,
+        Amount: 73.3,
+        PaymentStatus: "PaidBookingFee",
+        StripeChargeId: charge.id,
+        StripePaymentIntentId: charge.payment_intent,
+        RawEventId: `recon:${charge.id}`,
+      }),
+    ]);
+    expect(totalsFor(idkey).Total_Charged_Amount).toBe(73.3);
+
+    // The late webhook and the next run both see the row
+    await deliver(buildEvent("checkout.session.completed", { id: rowFor(idkey).StripeCheckoutSessionId, metadata: { IDKEY: idkey } }));
+    const second = await runReconcile();
+    expect(second.body).toMatchObject({ charges: { seen: 1, matched: 1, inserted: 0 }, discrepancies: [] });
+    expect(txnRows(idkey, "charge")).toHaveLength(1);
+  });
+
+  test("each partial refund is matched by its own refund id", async () => {
+    const { idkey, charge } = await paidReservation();
+
+    const first = await stripe.refunds.create({ charge: charge.id, amount: 1000 });
+    await deliver(buildEvent("refund.created", first));
+    const second = await stripe.refunds.create({ charge: charge.id, amount: 500 }); // webhook lost
+
+    const out = await runReconcile();
+
+    expect(out.body.refunds).toEqual({ seen: 2, matched: 1, inserted: 1, skipped: 0 });
+    expect(out.body.discrepancies).toEqual([
+      expect.objectContaining({ kind: "missing_refund", action: "inserted", stripe_id: second.id, stripe_amount: -5 }),
+    ]);
+    expect(txnRows(idkey, "refund").map((t) => [t.StripeRefundId, t.Amount])).toEqual([
+      [first.id, -10],
+      [second.id, -5],
+    ]);
+    expect(totalsFor(idkey).Total_Charged_Amount).toBe(58.3);
+  });
+
+  test("amount mismatches are flagged, not rewritten", async () => {
+    const { idkey, charge } = await paidReservation();
+    txnRows(idkey, "charge")[0].Amount = 63.3;
+
+    const out = await runReconcile();
+
+    expect(out.body.discrepancies).toEqual([
+      expect.objectContaining({
+        kind: "amount_mismatch",
+        action: "flagged",
+        stripe_id: charge.id,
+        stripe_amount: 73.3,
+        ledger_amount: 63.3,
+        txn_id: txnRows(idkey, "charge")[0].TXN_ID,
+      }),
+    ]);
+    expect(txnRows(idkey, "charge")[0].Amount).toBe(63.3);
+    expect(out.body.rolled_up).toEqual([]);
+  });
+
+  test("dry_run reports without writing", async () => {
+    const { idkey } = await paidReservation({ delivered: false });
+
+    const out = await runReconcile({ dry_run: "1" });
+
+    expect(out.body).toMatchObject({ dry_run: true, discrepancies: [expect.objectContaining({ action: "would_insert" })] });
+    expect(txnRows(idkey)).toHaveLength(0);
+  });
+
+  test("the report is emailed when there are discrepancies", async () => {
+    process.env.CUSTOMER_EMAIL_WEBHOOK_URL = MAIL_HOOK;
+    process.env.RECONCILE_REPORT_EMAIL = "books@example.com";
+    await paidReservation({ delivered: false });
+
+    const out = await runReconcile();
+
+    expect(out.body.email).toMatchObject({ sent: true });
+    expect(mails).toEqual([
+      expect.objectContaining({
+        template: "reconciliation_report",
+        to: "books@example.com",
+        discrepancies: [expect.objectContaining({ kind: "missing_charge" })],
+      }),
+    ]);
+  });
+
+  test("requires the cron secret and a non-empty window", async () => {
+    expect((await callApi(reconcile, { query: {} })).statusCode).toBe(401);
+    const wrong = { authorization: "Bearer cron_test_secret_x" };
+    expect((await callApi(reconcile, { headers: wrong, query: {} })).statusCode).toBe(401);
+
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const bad = await runReconcile({ from: "2030-01-02", to: "2030-01-01" });
+    expect(bad.statusCode).toBe(400);
+
+    const now = new Date("2030-01-02T12:00:00Z");
+    expect(reconcileWindow({ now })).toEqual({
+      from: new Date("2029-12-31T11:45:00Z"),
+      to: new Date("2030-01-02T11:45:00Z"),
+    });
+  });
+});
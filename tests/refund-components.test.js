@@ -0,0 +1,133 @@
+// tests/refund-components.test.js
+//
+// /api/refund per component: explicit amounts or a preset, checked against what the charge
+// still has, carried in the refund metadata and written exactly by the webhook.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { resetFakeStripe, stripeState, buildEvent } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { bookingHelpers, deliver } from "./helpers/booking";
+
+import refundApi from "../pages/api/refund";
+import ledgerBalance from "../pages/api/ledger-balance";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+const REFUND_HEADERS = { "x-admin-key": "admin_test_key" };
+
+// 85.30 charged
+const BREAKDOWN = { base_amount: "60", grat_amount: "12", tax_amount: "3.30", fee_amount: "10" };
+
+const booking = bookingHelpers(caspio);
+const { txnRows } = booking;
+const parts = (t) => [t.Base_Amount, t.Auto_Gratuity, t.Tax, t.Fee, t.Amount];
+const refundCalls = () => stripeState.calls.filter((c) => c.method === "refunds.create");
+
+async function paidCharge() {
+  const idkey = await booking.paidReservation({ breakdown: BREAKDOWN });
+  return { idkey, txnId: txnRows(idkey, "charge")[0].TXN_ID };
+}
+
+// Refund through the admin route, then let the webhook record it
+async function refund(body) {
+  const out = await callApi(refundApi, { method: "POST", headers: REFUND_HEADERS, body });
+  if (out.statusCode === 200) await deliver(buildEvent("refund.created", stripeState.refunds.get(out.body.refund_id)));
+  return out;
+}
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  process.env.ADMIN_API_KEY = "admin_test_key";
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.ADMIN_API_KEY;
+});
+
+describe("component refunds", () => {
+  test("explicit components are refunded and written exactly", async () => {
+    const { idkey, txnId } = await paidCharge();
+
+    const out = await refund({ txn_id: txnId, components: { grat: 2, tax: 0.5 } });
+
+    expect(out.statusCode).toBe(200);
+    expect(out.body).toMatchObject({
+      refunded_amount: 2.5,
+      remaining_refundable: 82.8,
+      components: { base: 0, grat: 2, tax: 0.5, fee: 0, amount: 2.5 },
+    });
+    expect(refundCalls()[0].args.params.metadata).toMatchObject({
+      refund_base_amount: "0.00",
+      refund_grat_amount: "2.00",
+      refund_tax_amount: "0.50",
+      refund_fee_amount: "0.00",
+    });
+    expect(txnRows(idkey, "refund").map(parts)).toEqual([[0, -2, -0.5, 0, -2.5]]);
+  });
+
+  test("presets take what is left of their components", async () => {
+    const { idkey, txnId } = await paidCharge();
+
+    await refund({ txn_id: txnId, components: { Auto_Gratuity: 2 } });
+    const grat = await refund({ txn_id: txnId, preset: "gratuity_only" });
+    const rest = await refund({ txn_id: txnId, preset: "all_but_fee" });
+
+    expect(grat.body.refunded_amount).toBe(10);
+    expect(rest.body.refunded_amount).toBe(63.3);
+    expect(txnRows(idkey, "refund").map(parts)).toEqual([
+      [0, -2, 0, 0, -2],
+      [0, -10, 0, 0, -10],
+      [-60, 0, -3.3, 0, -63.3],
+    ]);
+
+    const balance = await callApi(ledgerBalance, { query: { idkey } });
+    expect(balance.body.charges[0].refundable).toEqual({ base: 0, grat: 0, tax: 0, fee: 10, amount: 10 });
+
+    const empty = await refund({ txn_id: txnId, preset: "gratuity_only" });
+    expect(empty).toMatchObject({ statusCode: 400, body: "Nothing left to refund in those components" });
+  });
+
+  test("components are checked against the charge before Stripe is called", async () => {
+    const { txnId } = await paidCharge();
+
+    const over = await refund({ txn_id: txnId, components: { grat: 12.01 } });
+    expect(over).toMatchObject({ statusCode: 400, body: "Refund of grat exceeds what is left of it ($12.00)" });
+
+    const mismatch = await refund({ txn_id: txnId, amount: 5, components: { fee: 4 } });
+    expect(mismatch).toMatchObject({ statusCode: 400, body: "Components sum to $4.00, refund is $5.00" });
+
+    const unknown = await refund({ txn_id: txnId, preset: "half" });
+    expect(unknown.statusCode).toBe(400);
+
+    expect(refundCalls()).toHaveLength(0);
+  });
+
+  test("a plain amount is still split pro rata", async () => {
+    const { idkey, txnId } = await paidCharge();
+
+    const out = await refund({ txn_id: txnId, amount: 8.53 });
+
+    expect(out.body.components).toBeNull();
+    expect(refundCalls()[0].args.params.metadata.refund_base_amount).toBeUndefined();
+    expect(txnRows(idkey, "refund").map(parts)).toEqual([[-6, -1.2, -0.33, -1, -8.53]]);
+  });
+
+  test("the route answers a missing or wrong admin key in plain text", async () => {
+    const { txnId } = await paidCharge();
+
+    for (const headers of [{}, { "x-admin-key": "admin_test_key_but_longer" }]) {
+      const out = await callApi(refundApi, { method: "POST", headers, body: { txn_id: txnId, amount: 1 } });
+      expect(out).toMatchObject({ statusCode: 401, body: "Unauthorized" });
+    }
+    expect(refundCalls()).toHaveLength(0);
+  });
+});
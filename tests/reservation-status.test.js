@@ -0,0 +1,107 @@
+// tests/reservation-status.test.js
+
+import {
+  RESERVATION_STATUS as S,
+  PAYMENT_STATUS as P,
+  canTransitionStatus,
+  canTransitionPaymentStatus,
+  planTransition,
+  assertTransition,
+  paymentStatusForPurpose,
+  bookingFeeCheckoutTargets,
+  ReservationNotFoundError,
+  ReservationTransitionError,
+  transitionReservation,
+} from "../lib/reservation-status";
+
+describe("reservation status transitions", () => {
+  test.each([
+    ["", S.IN_PROCESS, true],
+    [S.IN_PROCESS, S.BOOKED, true],
+    [S.IN_PROCESS, S.CANCELLED, true],
+    [S.BOOKED, S.CANCELLED, true],
+    [S.BOOKED, S.IN_PROCESS, false],
+    [S.CANCELLED, S.BOOKED, false],
+    [S.CANCELLED, S.IN_PROCESS, false],
+    ["cancelled", S.BOOKED, false],
+    [S.BOOKED, S.BOOKED, true],
+    ["Legacy Hold", S.BOOKED, true],
+    [S.IN_PROCESS, S.ABANDONED, true],
+    [S.ABANDONED, S.IN_PROCESS, true],
+    [S.BOOKED, S.ABANDONED, false],
+    [S.CANCELLED, S.ABANDONED, false],
+  ])("Status %p -> %p allowed=%p", (from, to, ok) => {
+    expect(canTransitionStatus(from, to)).toBe(ok);
+  });
+
+  test.each([
+    ["", P.PENDING_BOOKING_FEE, true],
+    [P.PENDING_BOOKING_FEE, P.PAID_BOOKING_FEE, true],
+    [P.PAID_BOOKING_FEE, P.PAID, true],
+    [P.PAID_BOOKING_FEE, P.PENDING_BOOKING_FEE, false],
+    [P.PAID, P.REFUNDED, true],
+    [P.REFUNDED, P.PAID_BOOKING_FEE, false],
+    [P.PENDING_BOOKING_FEE, P.PAYMENT_FAILED, true],
+    [P.REQUIRES_ACTION, P.PAYMENT_FAILED, true],
+    [P.PAYMENT_FAILED, P.PENDING_BOOKING_FEE, true],
+    [P.PAYMENT_FAILED, P.PAID, true],
+    [P.PAID_BOOKING_FEE, P.PAYMENT_FAILED, false],
+    [P.PAID, P.REQUIRES_ACTION, false],
+  ])("PaymentStatus %p -> %p allowed=%p", (from, to, ok) => {
+    expect(canTransitionPaymentStatus(from, to)).toBe(ok);
+  });
+
+  test("a cancelled reservation cannot start a new booking-fee checkout", () => {
+    expect(canTransitionPaymentStatus("", P.PENDING_BOOKING_FEE, { status: S.CANCELLED })).toBe(false);
+    expect(canTransitionPaymentStatus(P.PENDING_BOOKING_FEE, P.PAID_BOOKING_FEE, { status: S.CANCELLED })).toBe(true);
+  });
+
+  test("planTransition keeps legal changes, reports illegal ones and skips no-ops", () => {
+    const plan = planTransition(
+      { Status: S.CANCELLED, PaymentStatus: P.PENDING_BOOKING_FEE },
+      { status: S.BOOKED, paymentStatus: P.PAID_BOOKING_FEE }
+    );
+
+    expect(plan.changes).toEqual({ PaymentStatus: P.PAID_BOOKING_FEE });
+    expect(plan.rejected).toEqual([{ field: "Status", from: S.CANCELLED, to: S.BOOKED }]);
+
+    expect(planTransition({ Status: S.BOOKED }, { status: "booked" })).toEqual({
+      changes: {},
+      transitions: [],
+      rejected: [],
+    });
+  });
+
+  test("assertTransition throws a 409 ReservationTransitionError", () => {
+    expect.assertions(4);
+    try {
+      assertTransition({ PaymentStatus: P.PAID_BOOKING_FEE }, { paymentStatus: P.PENDING_BOOKING_FEE }, { idkey: "K1" });
+    } catch (e) {
+      expect(e).toBeInstanceOf(ReservationTransitionError);
+      expect(e.status).toBe(409);
+      expect(e.field).toBe("PaymentStatus");
+      expect(e.idkey).toBe("K1");
+    }
+  });
+
+  test("transitioning a missing reservation is a 404, not a conflict", async () => {
+    const err = await transitionReservation("K404", { status: S.BOOKED, by: "test", current: null }).catch((e) => e);
+
+    expect(err).toBeInstanceOf(ReservationNotFoundError);
+    expect(err).toMatchObject({ status: 404, code: "RESERVATION_NOT_FOUND", idkey: "K404" });
+  });
+
+  test("paymentStatusForPurpose maps booking fees and defaults everything else to Paid", () => {
+    expect(paymentStatusForPurpose("booking_fee")).toBe(P.PAID_BOOKING_FEE);
+    expect(paymentStatusForPurpose("supplemental_fee")).toBe(P.PAID);
+    expect(paymentStatusForPurpose(null)).toBe(P.PAID);
+  });
+
+  test("bookingFeeCheckoutTargets resumes abandoned reservations", () => {
+    expect(bookingFeeCheckoutTargets({ Status: S.IN_PROCESS })).toEqual({ paymentStatus: P.PENDING_BOOKING_FEE });
+    expect(bookingFeeCheckoutTargets({ Status: "abandoned" })).toEqual({
+      status: S.IN_PROCESS,
+      paymentStatus: P.PENDING_BOOKING_FEE,
+    });
+  });
+});
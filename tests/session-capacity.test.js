@@ -0,0 +1,213 @@
+// tests/session-capacity.test.js
+//
+// Capacity holds: /api/reserve and /api/paystart against a 2-lane session (S-1003).
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { verifyNewHold, SoldOutError } from "../lib/session-capacity";
+import { stripeState, resetFakeStripe } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { RESERVE_BODY, bookingHelpers } from "./helpers/booking";
+
+import reserve from "../pages/api/reserve";
+import paystart from "../pages/api/paystart";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+const SESSION_ID = "S-1003"; // capacity 2
+
+const body = (overrides = {}) => ({
+  ...RESERVE_BODY,
+  Session_ID: SESSION_ID,
+  Sessions_Title: "VIP Lanes",
+  Units: "4",
+  Unit_Price: "80",
+  ...overrides,
+});
+
+const sessionRows = () => caspio.rows("BAR2_Reservations_SIGMA").filter((r) => r.Session_ID === SESSION_ID);
+const { rowFor } = bookingHelpers(caspio);
+const expireHold = (idkey) => (rowFor(idkey).HoldExpiresAt = "2000-01-01T00:00:00.000Z");
+const minutesFromNow = (m) => new Date(Date.now() + m * 60_000).toISOString();
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.RESERVATION_HOLD_MINUTES;
+});
+
+describe("capacity holds", () => {
+  test("reserve places a hold and answers SOLD_OUT once the session is full", async () => {
+    const a = await callApi(reserve, { method: "POST", body: body() });
+    const b = await callApi(reserve, { method: "POST", body: body() });
+    expect(a.body.ok && b.body.ok).toBe(true);
+    expect(Date.parse(a.body.hold_expires_at)).toBeGreaterThan(Date.now());
+    expect(rowFor(a.body.idkey).HoldExpiresAt).toBe(a.body.hold_expires_at);
+
+    const c = await callApi(reserve, { method: "POST", body: body() });
+    expect(c.statusCode).toBe(409);
+    expect(c.body).toMatchObject({ ok: false, code: "SOLD_OUT", available: 0 });
+    expect(sessionRows()).toHaveLength(2);
+  });
+
+  test("a multi-unit request larger than what's left is refused", async () => {
+    await callApi(reserve, { method: "POST", body: body() });
+    const big = await callApi(reserve, { method: "POST", body: body({ C_Quant: "2" }) });
+
+    expect(big.statusCode).toBe(409);
+    expect(big.body.available).toBe(1);
+  });
+
+  test("concurrent reserves for the last unit: exactly one wins", async () => {
+    await callApi(reserve, { method: "POST", body: body() });
+
+    const results = await Promise.all([
+      callApi(reserve, { method: "POST", body: body() }),
+      callApi(reserve, { method: "POST", body: body() }),
+    ]);
+
+    expect(results.map((r) => r.statusCode).sort()).toEqual([200, 409]);
+    expect(sessionRows()).toHaveLength(2);
+  });
+
+  test("insert-then-verify removes the later of two holds that overfill the session", async () => {
+    const first = caspio.insert("BAR2_Reservations_SIGMA", {
+      Type: "Reservation",
+      Status: "Booked",
+      Session_ID: SESSION_ID,
+      C_Quant: "1",
+    });
+    const earlier = caspio.insert("BAR2_Reservations_SIGMA", {
+      Type: "Reservation",
+      Status: "In Process",
+      Session_ID: SESSION_ID,
+      C_Quant: "1",
+      HoldExpiresAt: new Date(Date.now() + 60_000).toISOString(),
+    });
+    const later = caspio.insert("BAR2_Reservations_SIGMA", {
+      Type: "Reservation",
+      Status: "In Process",
+      Session_ID: SESSION_ID,
+      C_Quant: "1",
+      HoldExpiresAt: new Date(Date.now() + 60_000).toISOString(),
+    });
+
+    await expect(verifyNewHold(earlier.IDKEY)).resolves.toMatchObject({ capacity: 2, available: 0 });
+    await expect(verifyNewHold(later.IDKEY)).rejects.toBeInstanceOf(SoldOutError);
+
+    expect(sessionRows().map((r) => r.IDKEY)).toEqual([first.IDKEY, earlier.IDKEY]);
+  });
+
+  test("lapsed holds free capacity; booked rows always count", async () => {
+    const a = await callApi(reserve, { method: "POST", body: body() });
+    const b = await callApi(reserve, { method: "POST", body: body() });
+
+    // a is paid (hold no longer matters), b abandoned checkout and its hold lapsed
+    Object.assign(rowFor(a.body.idkey), { Status: "Booked" });
+    expireHold(a.body.idkey);
+    expireHold(b.body.idkey);
+
+    const c = await callApi(reserve, { method: "POST", body: body() });
+    expect(c.body.ok).toBe(true);
+
+    const d = await callApi(reserve, { method: "POST", body: body() });
+    expect(d.body.code).toBe("SOLD_OUT");
+  });
+
+  test("paystart extends the hold and expires Checkout with it", async () => {
+    const a = await callApi(reserve, { method: "POST", body: body() });
+    const started = await callApi(paystart, { query: { idkey: a.body.idkey } });
+    expect(started.statusCode).toBe(200);
+
+    const row = rowFor(a.body.idkey);
+    const session = stripeState.sessions.get(row.StripeCheckoutSessionId);
+    expect(session.expires_at).toBe(Math.floor(Date.parse(row.HoldExpiresAt) / 1000));
+    expect(session.expires_at - Date.now() / 1000).toBeGreaterThanOrEqual(30 * 60);
+  });
+
+  test("paystart re-acquires a lapsed hold only if the session still has room", async () => {
+    const a = await callApi(reserve, { method: "POST", body: body() });
+    expireHold(a.body.idkey);
+
+    // Room left: hold re-acquired
+    const ok = await callApi(paystart, { query: { idkey: a.body.idkey } });
+    expect(ok.statusCode).toBe(200);
+    expect(Date.parse(rowFor(a.body.idkey).HoldExpiresAt)).toBeGreaterThan(Date.now());
+
+    // Now the session fills up while a's hold has lapsed again
+    expireHold(a.body.idkey);
+    await callApi(reserve, { method: "POST", body: body() });
+    await callApi(reserve, { method: "POST", body: body() });
+
+    const full = await callApi(paystart, { query: { idkey: a.body.idkey } });
+    expect(full.statusCode).toBe(409);
+    expect(full.body).toMatch(/sold out/i);
+  });
+
+  test("a re-acquired hold that loses the last seat to a concurrent hold is dropped again", async () => {
+    const a = await callApi(reserve, { method: "POST", body: body() });
+    await callApi(reserve, { method: "POST", body: body() });
+    expireHold(a.body.idkey);
+
+    // Another reservation takes the free seat between paystart's capacity check and its write
+    const passthrough = globalThis.fetch;
+    jest.spyOn(globalThis, "fetch").mockImplementation(async (input, init) => {
+      if (init?.method === "PUT" && String(init.body).includes("HoldStartedAt")) {
+        caspio.insert("BAR2_Reservations_SIGMA", {
+          Type: "Reservation",
+          Status: "In Process",
+          Session_ID: SESSION_ID,
+          C_Quant: "1",
+          HoldExpiresAt: minutesFromNow(30),
+        });
+      }
+      return passthrough(input, init);
+    });
+
+    const out = await callApi(paystart, { query: { idkey: a.body.idkey } });
+
+    expect(out.statusCode).toBe(409);
+    expect(rowFor(a.body.idkey).HoldExpiresAt).toBeNull();
+    expect(stripeState.sessions.size).toBe(0);
+  });
+
+  test("reopening Checkout extends the hold up to HoldStartedAt + the maximum, then refuses", async () => {
+    process.env.RESERVATION_HOLD_MINUTES = "60";
+    const a = await callApi(reserve, { method: "POST", body: body() });
+    const row = rowFor(a.body.idkey);
+
+    // Held for 70 of the 120 minutes: extended to the cap, not a full 60 minutes
+    Object.assign(row, { HoldStartedAt: minutesFromNow(-70), HoldExpiresAt: minutesFromNow(5) });
+    expect((await callApi(paystart, { query: { idkey: a.body.idkey } })).statusCode).toBe(200);
+    expect(Date.parse(row.HoldExpiresAt)).toBe(Date.parse(row.HoldStartedAt) + 120 * 60_000);
+
+    // Less than Checkout's 30 minutes left before the cap: refused, hold left to lapse
+    Object.assign(row, { HoldStartedAt: minutesFromNow(-100), HoldExpiresAt: minutesFromNow(10) });
+    const before = row.HoldExpiresAt;
+    const refused = await callApi(paystart, { query: { idkey: a.body.idkey } });
+
+    expect(refused.statusCode).toBe(409);
+    expect(refused.body).toMatch(/can't be held any longer/);
+    expect(row.HoldExpiresAt).toBe(before);
+  });
+
+  test("paystart reuses the reservation's open Checkout Session", async () => {
+    const a = await callApi(reserve, { method: "POST", body: body() });
+
+    await callApi(paystart, { query: { idkey: a.body.idkey } });
+    await callApi(paystart, { query: { idkey: a.body.idkey } });
+
+    expect(stripeState.sessions.size).toBe(1);
+  });
+});
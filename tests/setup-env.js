@@ -0,0 +1,20 @@
+// tests/setup-env.js
+//
+// Env for the test suite: Stripe is faked (tests/helpers/fake-stripe.js) and Caspio is the
+// in-process emulator (lib/caspio-emulator.js), so nothing here points at a real account.
+
+process.env.STRIPE_SECRET_KEY = "sk_test_fake";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test_fake";
+process.env.STRIPE_PUBLISHABLE_KEY = "pk_test_fake";
+process.env.SITE_BASE_URL = "https://www.reservebarsandrec.com";
+
+process.env.CASPIO_INTEGRATION_URL = "http://caspio.test";
+process.env.CASPIO_CLIENT_ID = "test-client";
+process.env.CASPIO_CLIENT_SECRET = "test-secret";
+process.env.CASPIO_RES_BILLING_VIEW = "SIGMA_VW_Res_Billing_Edit";
+
+// Fail fast instead of backing off against the emulator
+process.env.CASPIO_MAX_RETRIES = "0";
+
+// Signs /api/quote quotes (lib/quote)
+process.env.QUOTE_SECRET = "quote_test_secret";
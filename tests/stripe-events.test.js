@@ -0,0 +1,198 @@
+// tests/stripe-events.test.js
+//
+// Verified webhook events are stored with their processing status; failures are recorded
+// and replayed through the same handler via /api/stripe-events.
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { resetFakeStripe, completeCheckoutSession } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { bookingHelpers, deliver } from "./helpers/booking";
+
+import stripeEvents from "../pages/api/stripe-events";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+const EVENTS_HEADERS = { "x-admin-key": "admin_test_key" };
+
+const { rowFor, txnRows, startedReservation } = bookingHelpers(caspio);
+const storedEvent = (id) => caspio.rows("SIGMA_BAR3_Stripe_Events").find((r) => r.EventId === id);
+
+async function checkoutCompleted() {
+  const idkey = await startedReservation({ breakdown: null });
+  return { idkey, event: completeCheckoutSession(rowFor(idkey).StripeCheckoutSessionId) };
+}
+
+// Caspio rejects ledger inserts until the returned restore() is called
+function breakLedgerInserts() {
+  const passthrough = globalThis.fetch;
+  const spy = jest.spyOn(globalThis, "fetch").mockImplementation(async (input, init) => {
+    const url = String(input);
+    if (init?.method === "POST" && url.includes("/tables/SIGMA_BAR3_Transactions/records")) {
+      return new Response(JSON.stringify({ Code: "SqlServerError", Message: "Database is busy" }), {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+    return passthrough(input, init);
+  });
+  return () => spy.mockRestore();
+}
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  process.env.ADMIN_API_KEY = "admin_test_key";
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.ADMIN_API_KEY;
+  delete process.env.CASPIO_STRIPE_EVENTS_TABLE;
+});
+
+describe("stripe event store", () => {
+  test("every verified event is stored and processed once", async () => {
+    const { idkey, event } = await checkoutCompleted();
+
+    await deliver(event);
+    const again = await deliver(event);
+
+    expect(again.body).toEqual({ received: true, duplicate: true });
+    expect(storedEvent(event.id)).toMatchObject({
+      Type: "checkout.session.completed",
+      ProcessingStatus: "processed",
+      Attempts: 1,
+      Error: null,
+      ProcessedBy: "stripe-webhook",
+    });
+    expect(JSON.parse(storedEvent(event.id).Payload)).toEqual(event);
+    expect(txnRows(idkey)).toHaveLength(1);
+  });
+
+  test("a delivery that loses the insert race leaves the event to the one that won", async () => {
+    const { idkey, event } = await checkoutCompleted();
+
+    // The concurrent delivery stores the row between our lookup and insert; the unique index rejects ours
+    const passthrough = globalThis.fetch;
+    jest.spyOn(globalThis, "fetch").mockImplementation(async (input, init) => {
+      const url = String(input);
+      if (init?.method === "POST" && url.includes("/tables/SIGMA_BAR3_Stripe_Events/records")) {
+        caspio.insert("SIGMA_BAR3_Stripe_Events", {
+          ...JSON.parse(init.body),
+          ProcessingStatus: "processing",
+          Attempts: 1,
+          LastAttemptAt: new Date().toISOString(),
+        });
+        return new Response(JSON.stringify({ Code: "SqlServerError", Message: "Cannot insert duplicate key" }), {
+          status: 500,
+          headers: { "Content-Type": "application/json" },
+        });
+      }
+      return passthrough(input, init);
+    });
+
+    const hook = await deliver(event);
+
+    expect(hook.body).toEqual({ received: true, duplicate: true });
+    expect(caspio.rows("SIGMA_BAR3_Stripe_Events").filter((r) => r.EventId === event.id)).toHaveLength(1);
+    expect(txnRows(idkey)).toHaveLength(0);
+  });
+
+  test("a failed ledger write is recorded and fixed by replaying the stored event", async () => {
+    const { idkey, event } = await checkoutCompleted();
+
+    const restore = breakLedgerInserts();
+    const hook = await deliver(event);
+    restore();
+
+    expect(hook.statusCode).toBe(200);
+    expect(txnRows(idkey)).toHaveLength(0);
+    expect(storedEvent(event.id)).toMatchObject({ ProcessingStatus: "failed", Attempts: 1 });
+    expect(storedEvent(event.id).Error).toMatch(/Database is busy/);
+
+    const listed = await callApi(stripeEvents, { headers: EVENTS_HEADERS, query: {} });
+    expect(listed.body.events).toEqual([
+      expect.objectContaining({ event_id: event.id, type: "checkout.session.completed", status: "failed", attempts: 1 }),
+    ]);
+
+    const replay = await callApi(stripeEvents, { method: "POST", headers: EVENTS_HEADERS, body: { event_id: event.id } });
+
+    expect(replay.body).toEqual({
+      ok: true,
+      replayed: 1,
+      failed: 0,
+      results: [{ event_id: event.id, type: "checkout.session.completed", ok: true, result: { received: true } }],
+    });
+    expect(txnRows(idkey)).toEqual([expect.objectContaining({ TxnType: "charge", RawEventId: event.id })]);
+    expect(storedEvent(event.id)).toMatchObject({
+      ProcessingStatus: "processed",
+      Attempts: 2,
+      Error: null,
+      ProcessedBy: expect.stringMatching(/^stripe-events:replay:/),
+    });
+
+    // Stripe's own retry after the replay is a no-op
+    expect((await deliver(event)).body).toEqual({ received: true, duplicate: true });
+    expect(txnRows(idkey)).toHaveLength(1);
+  });
+
+  test("a range replay runs every failed event in it, oldest first", async () => {
+    const first = await checkoutCompleted();
+    const second = await checkoutCompleted();
+
+    const restore = breakLedgerInserts();
+    await deliver(first.event);
+    await deliver(second.event);
+    restore();
+
+    const replay = await callApi(stripeEvents, {
+      method: "POST",
+      headers: EVENTS_HEADERS,
+      body: { from: "2000-01-01T00:00:00Z", to: new Date(Date.now() + 60000).toISOString() },
+    });
+
+    expect(replay.body.results.map((r) => r.event_id)).toEqual([first.event.id, second.event.id]);
+    expect(replay.body).toMatchObject({ ok: true, replayed: 2, failed: 0 });
+    expect(txnRows(first.idkey)).toHaveLength(1);
+    expect(txnRows(second.idkey)).toHaveLength(1);
+
+    const stillFailed = await callApi(stripeEvents, { headers: EVENTS_HEADERS, query: { status: "failed" } });
+    expect(stillFailed.body.events).toEqual([]);
+  });
+
+  test("events are still processed when the store is unavailable", async () => {
+    process.env.CASPIO_STRIPE_EVENTS_TABLE = "No_Such_Table";
+    const { idkey, event } = await checkoutCompleted();
+
+    const hook = await deliver(event);
+
+    expect(hook.body).toEqual({ received: true });
+    expect(txnRows(idkey)).toHaveLength(1);
+    expect(rowFor(idkey).Status).toBe("Booked");
+  });
+
+  test("the admin route requires its key", async () => {
+    const out = await callApi(stripeEvents, { method: "POST", body: { event_id: "evt_x" } });
+    expect(out.statusCode).toBe(401);
+
+    const wrong = { "x-admin-key": "admin_test_key_but_longer" };
+    expect((await callApi(stripeEvents, { method: "POST", headers: wrong, body: { event_id: "evt_x" } })).statusCode)
+      .toBe(401);
+
+    const missing = await callApi(stripeEvents, { method: "POST", headers: EVENTS_HEADERS, body: { event_id: "evt_x" } });
+    expect(missing.statusCode).toBe(404);
+
+    delete process.env.ADMIN_API_KEY;
+    const unset = await callApi(stripeEvents, { method: "POST", headers: EVENTS_HEADERS, body: { event_id: "evt_x" } });
+    expect(unset.statusCode).toBe(500);
+    expect(unset.body.error).toBe("Missing ADMIN_API_KEY");
+  });
+});
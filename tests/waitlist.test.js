@@ -0,0 +1,259 @@
+// tests/waitlist.test.js
+//
+// Waitlist: joining a full session, the first party that fits being offered the seats a
+// cancellation frees (held reservation + paystart link), and an unpaid offer expiring in
+// favour of the next in line (on the next promotion or the cron sweep).
+
+jest.mock("stripe", () => require("./helpers/fake-stripe"));
+
+import { createCaspioEmulator } from "../lib/caspio-emulator";
+import { resetFakeStripe, stripeState, completeCheckoutSession } from "./helpers/fake-stripe";
+import { callApi } from "./helpers/api";
+import { RESERVE_BODY as LANE_BOOKING, bookingHelpers, deliver } from "./helpers/booking";
+
+import paystart from "../pages/api/paystart";
+import quoteApi from "../pages/api/quote";
+import customerCancel from "../pages/api/customer-cancel";
+import waitlist from "../pages/api/waitlist";
+import sweepWaitlist from "../pages/api/sweep-waitlist";
+
+const caspio = createCaspioEmulator({ baseUrl: process.env.CASPIO_INTEGRATION_URL });
+
+const MAIL_HOOK = "http://mail.test/hook";
+const ADMIN_HEADERS = { "x-admin-key": "admin_test_key" };
+const SESSION_ID = "S-1003"; // capacity 2
+
+const RESERVE_BODY = { ...LANE_BOOKING, Session_ID: SESSION_ID, Sessions_Title: "VIP Lanes", Units: "1" };
+
+const party = (name, extra = {}) => ({
+  session_id: SESSION_ID,
+  party_size: 4,
+  first_name: name,
+  last_name: "Wait",
+  email: `${name.toLowerCase()}@example.com`,
+  phone: "555-0199",
+  ...extra,
+});
+
+const { rowFor, paidReservation } = bookingHelpers(caspio);
+const entryFor = (id) => caspio.rows("SIGMA_BAR3_Waitlist").find((r) => r.WAITLIST_ID === id);
+const bookedReservation = () => paidReservation({ body: RESERVE_BODY, breakdown: null });
+
+let mails;
+
+const join = (body) => callApi(waitlist, { method: "POST", body });
+const admin = (body) => callApi(waitlist, { method: "POST", headers: ADMIN_HEADERS, body });
+const listing = () => callApi(waitlist, { headers: ADMIN_HEADERS, query: { session_id: SESSION_ID } });
+
+beforeAll(() => caspio.install());
+afterAll(() => caspio.uninstall());
+
+beforeEach(() => {
+  caspio.reset();
+  resetFakeStripe();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+
+  process.env.ADMIN_API_KEY = "admin_test_key";
+  process.env.CRON_SECRET = "cron_test_secret";
+  process.env.API_BASE_URL = "https://api.example.test";
+  process.env.CUSTOMER_EMAIL_WEBHOOK_URL = MAIL_HOOK;
+
+  mails = [];
+  const passthrough = globalThis.fetch;
+  jest.spyOn(globalThis, "fetch").mockImplementation(async (input, init) => {
+    if (String(input) !== MAIL_HOOK) return passthrough(input, init);
+    mails.push(JSON.parse(init.body));
+    return new Response("ok", { status: 200 });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  for (const k of ["ADMIN_API_KEY", "CRON_SECRET", "API_BASE_URL", "CUSTOMER_EMAIL_WEBHOOK_URL"]) {
+    delete process.env[k];
+  }
+});
+
+describe("waitlist", () => {
+  test("only a full session can be joined, once per email, in order", async () => {
+    const open = await join(party("Ada"));
+    expect(open).toMatchObject({ statusCode: 409, body: { code: "NOT_SOLD_OUT" } });
+
+    await bookedReservation();
+    await bookedReservation();
+
+    const ada = await join(party("Ada"));
+    const bo = await join(party("Bo"));
+    const again = await join(party("Ada", { party_size: 6 }));
+
+    expect(ada).toMatchObject({ statusCode: 201, body: { ok: true, status: "waiting", position: 1, existing: false } });
+    expect(bo.body).toMatchObject({ position: 2 });
+    expect(again).toMatchObject({ statusCode: 200, body: { waitlist_id: ada.body.waitlist_id, existing: true } });
+
+    expect(entryFor(ada.body.waitlist_id)).toMatchObject({
+      Sessions_Title: "VIP Lanes",
+      Item: "Bowling Lanes",
+      Party_Size: 4,
+      C_Quant: 1,
+      Unit_Price: 60,
+      BookingFeeAmount: 10,
+      Tax_Rate: 0.055,
+      Charge_Type: "Booking Fee",
+    });
+
+    expect((await join({ ...party("Cy"), email: "" })).statusCode).toBe(400);
+    expect((await callApi(waitlist, { query: { session_id: SESSION_ID } })).statusCode).toBe(401);
+  });
+
+  test("a cancellation offers the freed lane to the first in line, whose link pays it", async () => {
+    const first = await bookedReservation();
+    await bookedReservation();
+    const ada = await join(party("Ada"));
+    const bo = await join(party("Bo"));
+
+    const cancelled = await callApi(customerCancel, { method: "POST", body: { idkey: first } });
+    expect(cancelled.body).toMatchObject({ ok: true, cancelled: true });
+
+    const offer = entryFor(ada.body.waitlist_id);
+    expect(offer).toMatchObject({
+      Status: "offered",
+      OfferIdKey: expect.any(String),
+      OfferEmailSentAt: expect.any(String),
+    });
+    expect(entryFor(bo.body.waitlist_id).Status).toBe("waiting");
+
+    const held = rowFor(offer.OfferIdKey);
+    expect(held).toMatchObject({
+      Status: "In Process",
+      Session_ID: SESSION_ID,
+      First_Name: "Ada",
+      People_Text: "4 people",
+      WaitlistId: ada.body.waitlist_id,
+    });
+    expect(Date.parse(held.HoldExpiresAt)).toBeGreaterThan(Date.now() + 100 * 60 * 1000);
+
+    const offerUrl = `https://api.example.test/api/paystart?idkey=${offer.OfferIdKey}`;
+    expect(mails).toEqual([
+      expect.objectContaining({ template: "waitlist_offer", to: "ada@example.com", offer_url: offerUrl }),
+    ]);
+
+    const pay = await callApi(paystart, { query: { idkey: offer.OfferIdKey } });
+    expect(pay.statusCode).toBe(200);
+    await deliver(completeCheckoutSession(rowFor(offer.OfferIdKey).StripeCheckoutSessionId));
+    expect(rowFor(offer.OfferIdKey).Status).toBe("Booked");
+
+    // Next promotion records the booking; the session is full again so Bo keeps waiting
+    const promoted = await admin({ action: "promote", session_id: SESSION_ID });
+    expect(promoted.body).toMatchObject({ ok: true, available: 0, offered: [], booked: 1 });
+
+    const list = await listing();
+    expect(list.body.entries.map((e) => [e.name, e.status])).toEqual([
+      ["Ada Wait", "booked"],
+      ["Bo Wait", "waiting"],
+    ]);
+  });
+
+  test("an unpaid offer expires: its link is refused and the next in line is offered", async () => {
+    const first = await bookedReservation();
+    await bookedReservation();
+    const ada = await join(party("Ada"));
+    const bo = await join(party("Bo"));
+    await callApi(customerCancel, { method: "POST", body: { idkey: first } });
+
+    const adaOffer = entryFor(ada.body.waitlist_id).OfferIdKey;
+    rowFor(adaOffer).HoldExpiresAt = new Date(Date.now() - 1000).toISOString();
+
+    const late = await callApi(paystart, { query: { idkey: adaOffer } });
+    expect(late.statusCode).toBe(410);
+
+    const promoted = await admin({ action: "promote", session_id: SESSION_ID });
+
+    expect(promoted.body).toMatchObject({
+      expired: 1,
+      offered: [expect.objectContaining({ waitlist_id: bo.body.waitlist_id })],
+    });
+    expect(entryFor(ada.body.waitlist_id).Status).toBe("expired");
+    expect(rowFor(adaOffer).Status).toBe("Cancelled");
+    expect(rowFor(entryFor(bo.body.waitlist_id).OfferIdKey).Status).toBe("In Process");
+  });
+
+  test("the cron sweep expires a lapsed offer and offers the seats to the next in line", async () => {
+    const first = await bookedReservation();
+    await bookedReservation();
+    const ada = await join(party("Ada"));
+    const bo = await join(party("Bo"));
+    await callApi(customerCancel, { method: "POST", body: { idkey: first } });
+
+    const unauthorized = await callApi(sweepWaitlist, { headers: { authorization: "Bearer nope" } });
+    expect(unauthorized.statusCode).toBe(401);
+
+    const adaEntry = entryFor(ada.body.waitlist_id);
+    const past = new Date(Date.now() - 1000).toISOString();
+    adaEntry.OfferExpiresAt = past;
+    rowFor(adaEntry.OfferIdKey).HoldExpiresAt = past;
+
+    const swept = await callApi(sweepWaitlist, { headers: { authorization: "Bearer cron_test_secret" } });
+    expect(swept).toMatchObject({
+      statusCode: 200,
+      body: { ok: true, sessions: [{ session_id: SESSION_ID, expired: 1, offered: [bo.body.waitlist_id] }] },
+    });
+    expect(entryFor(ada.body.waitlist_id).Status).toBe("expired");
+    expect(rowFor(adaEntry.OfferIdKey).Status).toBe("Cancelled");
+    expect(entryFor(bo.body.waitlist_id).Status).toBe("offered");
+    expect(mails.map((m) => m.to)).toEqual(["ada@example.com", "bo@example.com"]);
+
+    // Nothing lapsed: the next run leaves Bo's offer alone
+    const again = await callApi(sweepWaitlist, { headers: { authorization: "Bearer cron_test_secret" } });
+    expect(again.body).toEqual({ ok: true, sessions: [], errors: [] });
+  });
+
+  test("the offer reservation takes the primary config's charge type", async () => {
+    caspio.rows("BAR2_Primary_Config").find((r) => r.Primary_ID === "P-LANES").Charge_Type = "24 Hour Hold Fee";
+    const first = await bookedReservation();
+    await bookedReservation();
+    const ada = await join(party("Ada"));
+    await callApi(customerCancel, { method: "POST", body: { idkey: first } });
+
+    const offer = entryFor(ada.body.waitlist_id);
+    expect(offer.Charge_Type).toBe("24 Hour Hold Fee");
+    expect(rowFor(offer.OfferIdKey).Charge_Type).toBe("24 Hour Hold Fee");
+  });
+
+  test("a Pay Now offer's link charges the party's priced total", async () => {
+    caspio.rows("BAR2_Primary_Config").find((r) => r.Primary_ID === "P-LANES").Charge_Type = "Pay Now";
+    const first = await bookedReservation();
+    await bookedReservation();
+    const ada = await join(party("Ada"));
+    await callApi(customerCancel, { method: "POST", body: { idkey: first } });
+
+    const { OfferIdKey } = entryFor(ada.body.waitlist_id);
+    const quoted = await callApi(quoteApi, { query: { idkey: OfferIdKey } });
+    expect(quoted.body.quote.charge).toMatchObject({ fee: 0, base: expect.any(Number) });
+
+    expect((await callApi(paystart, { query: { idkey: OfferIdKey } })).statusCode).toBe(200);
+    const session = stripeState.sessions.get(rowFor(OfferIdKey).StripeCheckoutSessionId);
+    expect(session.amount_total).toBe(Math.round(quoted.body.quote.charge.total * 100));
+    expect(session.metadata).toMatchObject({ fee_amount: "0", base_amount: String(quoted.body.quote.charge.base) });
+  });
+
+  test("parties are priced from the pricing view at join; staff can withdraw an offer", async () => {
+    const first = await bookedReservation();
+    await bookedReservation();
+    const big = await join(party("Big", { c_quant: 2, units: 1 }));
+    const small = await join(party("Small"));
+
+    // C_Quant 2 isn't priced for Lanes, so that join is refused
+    expect(big).toMatchObject({ statusCode: 400, body: { code: "NO_PRICE" } });
+
+    const pair = await join(party("Pair", { c_quant: 1, units: 2 }));
+    await callApi(customerCancel, { method: "POST", body: { idkey: first } });
+
+    expect(entryFor(small.body.waitlist_id).Status).toBe("offered");
+    expect(entryFor(pair.body.waitlist_id)).toMatchObject({ Status: "waiting", Unit_Price: 110 });
+
+    const removed = await admin({ action: "cancel", waitlist_id: small.body.waitlist_id });
+    expect(removed.body.entry).toMatchObject({ status: "cancelled" });
+    expect(rowFor(entryFor(small.body.waitlist_id).OfferIdKey).Status).toBe("Cancelled");
+  });
+});